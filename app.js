@@ -12,6 +12,12 @@ const swaggerSpec = require("./src/config/swagger");
 
 const authRouter = require("./src/api/routes/auth.routes");
 const albumsRouter = require("./src/api/routes/album.routes");
+const journeysRouter = require("./src/api/routes/journey.routes");
+const collectionsRouter = require("./src/api/routes/collection.routes");
+const templatesRouter = require("./src/api/routes/template.routes");
+const artistsRouter = require("./src/api/routes/artist.routes");
+const labelsRouter = require("./src/api/routes/label.routes");
+const genresRouter = require("./src/api/routes/genre.routes");
 const usersRouter = require("./src/api/routes/user.routes");
 const adminRouter = require("./src/api/routes/admin.routes");
 
@@ -51,6 +57,12 @@ app.get("/api/v1/docs", swaggerUi.setup(swaggerSpec, { explorer: true }));
 // ── Routes ───────────────────────────────────────────────────────────────────
 app.use("/api/v1/auth", authLimiter, authRouter);
 app.use("/api/v1/albums", apiLimiter, albumsRouter);
+app.use("/api/v1/journeys", apiLimiter, journeysRouter);
+app.use("/api/v1/collections", apiLimiter, collectionsRouter);
+app.use("/api/v1/templates", apiLimiter, templatesRouter);
+app.use("/api/v1/artists", apiLimiter, artistsRouter);
+app.use("/api/v1/labels", apiLimiter, labelsRouter);
+app.use("/api/v1/genres", apiLimiter, genresRouter);
 app.use("/api/v1/users", apiLimiter, usersRouter);
 app.use("/api/v1/admin", apiLimiter, adminRouter);
 
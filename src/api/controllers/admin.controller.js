@@ -1,5 +1,8 @@
 const Album = require("../models/album.model");
 const User = require("../models/user.model");
+const Journey = require("../models/journey.model");
+const Collection = require("../models/collection.model");
+const NoteRevision = require("../models/noteRevision.model");
 const { deleteImgCloudinary } = require("../../utils/deleteImage");
 const { sendResponse } = require("../../utils/sendResponse");
 const { createError } = require("../../utils/createError");
@@ -41,7 +44,8 @@ const getAllAlbums = async (req, res, next) => {
  * 1. Extracts the album ID from `req.params.id`.
  * 2. Fetches the album document → throws 404 if not found.
  * 3. If the album has a cover image stored in Cloudinary, deletes it via `deleteImgCloudinary()`.
- * 4. Deletes the album document from the database using `findByIdAndDelete`.
+ * 4. Deletes the album document from the database using `findByIdAndDelete`, and removes it
+ *    from connections, favorites, journey steps and collections, along with its note revisions.
  * 5. Returns 200 with the deleted album document.
  *
  * Error Handling:
@@ -65,6 +69,9 @@ const deleteAlbum = async (req, res, next) => {
 		await Album.findByIdAndDelete(id);
 		await Album.updateMany({ "connections.album": id }, { $pull: { connections: { album: id } } });
 		await User.updateMany({ favorites: id }, { $pull: { favorites: id } });
+		await Journey.updateMany({ "steps.album": id }, { $pull: { steps: { album: id } } });
+		await Collection.updateMany({ "items.album": id }, { $pull: { items: { album: id } } });
+		await NoteRevision.deleteMany({ album: id });
 
 		return sendResponse(res, 200, true, "Album deleted successfully", album);
 	} catch (error) {
@@ -1,38 +1,231 @@
 const Album = require("../models/album.model");
 const User = require("../models/user.model");
+const Journey = require("../models/journey.model");
+const Collection = require("../models/collection.model");
+const NoteRevision = require("../models/noteRevision.model");
+const NoteTemplate = require("../models/noteTemplate.model");
 const { deleteImgCloudinary } = require("../../utils/deleteImage");
 const { sendResponse } = require("../../utils/sendResponse");
 const { createError } = require("../../utils/createError");
+const { buildAlbumFilter, paginateAlbums } = require("../../utils/albumQuery");
+const { extractSearchTerms, buildSnippet } = require("../../utils/highlightSnippet");
+const { collectEdges } = require("../../utils/albumGraph");
+const { GRAPH_FORMATS } = require("../../utils/graphFormats");
+const { inverseType } = require("../../utils/connectionTypes");
+const { syncNoteLinks, snapshotConnections, syncMirrors } = require("../../utils/albumLinks");
+const { renderMarkdown } = require("../../utils/markdown");
+const { fillTemplate } = require("../../utils/noteTemplates");
+const { canonicalArtistNames, linkArtists } = require("../../utils/artistLinks");
+const { linkLabels } = require("../../utils/labelLinks");
+const { loadGenreExpander } = require("../../utils/genreTaxonomy");
 
 /**
  * Controller: getMyAlbums
  * -----------------------
- * Retrieves all albums created by the currently authenticated user.
+ * Retrieves the albums created by the currently authenticated user, one page at a time.
+ *
+ * Query parameters (validated by listAlbumsValidations):
+ * - Filters: genre, label, scene, movement, tag, format, emotional, sonic, frequency
+ *   (comma-separated, any value matches), yearFrom/yearTo, ratingMin/ratingMax, favourite.
+ * - sort: createdAt (default), updatedAt, title, releaseDate, rating, format, favourite,
+ *   frequency, firstListen, lastListen, releaseCountry.
+ * - order: asc | desc (default desc).
+ * - limit: page size, 1–100 (default 20).
+ * - cursor: nextCursor/prevCursor from a previous response.
  *
  * Workflow:
- * 1. Queries the Album collection filtering by addedBy: req.user._id.
- * 2. Populates connections.album (title, artists, releaseDate, coverArtUrl).
- * 3. Sorts results by createdAt descending (newest first).
+ * 1. Builds a filter scoped to addedBy: req.user._id from the query parameters; genre
+ *    filters include the subgenres of the user's genre tree.
+ * 2. Fetches one page with keyset pagination on (sort field, _id), populating
+ *    connections.album (title, artists, releaseDate, coverArtUrl).
+ * 3. Returns 200 with the album array and a meta object holding total, count,
+ *    limit, sort, order, nextCursor and prevCursor.
  * 4. Returns 200 with an empty array and a specific message if the user has no albums.
- * 5. Returns 200 with the album array otherwise.
  *
  * Notes:
  * - Only returns albums belonging to the logged-in user, never other users' albums.
+ * - Cursors are opaque; a cursor only makes sense with the same filters, sort and order.
  */
 
 const getMyAlbums = async (req, res, next) => {
 	try {
 		const userId = req.user._id;
+		const { sort, order, limit, cursor } = req.query;
+
+		const filter = buildAlbumFilter(userId, req.query, {
+			expandGenres: await loadGenreExpander(userId),
+		});
+		const { items, meta } = await paginateAlbums(Album, filter, {
+			sort,
+			order,
+			limit,
+			cursor,
+			populate: ["connections.album", "title artists releaseDate coverArtUrl"],
+		});
+
+		if (!meta.total) {
+			// Only addedBy in the filter means no filters were applied
+			const message =
+				Object.keys(filter).length === 1
+					? "You haven't added any albums yet"
+					: "No albums match these filters";
+			return sendResponse(res, 200, true, message, [], meta);
+		}
+
+		return sendResponse(res, 200, true, "Albums fetched successfully", items, meta);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: searchAlbums
+ * ------------------------
+ * Full-text search across the user's albums (title, artists, labels, tags and
+ * personal note), ranked by relevance.
+ *
+ * Query parameters (validated by searchAlbumsValidations):
+ * - q: search string in MongoDB $text syntax — words, "exact phrases", -excluded
+ * - the same filters as getMyAlbums (genre, format, yearFrom, ...)
+ * - limit: page size, 1–100 (default 20); page: 1-based page number (default 1)
+ *
+ * Workflow:
+ * 1. Combines the list filters with a $text query on the album_text_search index.
+ * 2. Sorts by textScore (best match first) and pages with limit/page.
+ * 3. Adds `score` and a highlighted `snippet` of the personal note to each result.
+ * 4. Returns 200 with the results and a meta object (total, count, limit, page, pages).
+ *
+ * Notes:
+ * - Relevance ordering cannot be keyset-paginated, so search uses page numbers.
+ * - `snippet` is HTML-escaped with matches wrapped in <mark>; it is null when
+ *   the match came from another field than the note.
+ */
+
+const searchAlbums = async (req, res, next) => {
+	try {
+		const { q } = req.query;
+		const limit = Number(req.query.limit) || 20;
+		const page = Number(req.query.page) || 1;
+
+		const expandGenres = await loadGenreExpander(req.user._id);
+		const filter = {
+			...buildAlbumFilter(req.user._id, req.query, { expandGenres }),
+			$text: { $search: q },
+		};
+
+		const [results, total] = await Promise.all([
+			Album.find(filter, { score: { $meta: "textScore" } })
+				.sort({ score: { $meta: "textScore" } })
+				.skip((page - 1) * limit)
+				.limit(limit)
+				.lean(),
+			Album.countDocuments(filter),
+		]);
+
+		const terms = extractSearchTerms(q);
+		const data = results.map((album) => ({
+			...album,
+			snippet: buildSnippet(album.personalNote?.content, terms),
+		}));
+
+		const meta = { total, count: data.length, limit, page, pages: Math.ceil(total / limit) };
+
+		if (!total) {
+			return sendResponse(res, 200, true, "No albums match your search", [], meta);
+		}
+
+		return sendResponse(res, 200, true, "Search results fetched successfully", data, meta);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Facets returned by getAlbumFacets, mapped to the Album path they count.
+ * Array fields are unwound so every value of every album is counted once.
+ */
+const ARRAY_FACETS = {
+	genres: "genres",
+	scenes: "scenes",
+	movements: "movements",
+	labels: "labels",
+	tags: "tags",
+	emotional: "dimensions.emotional",
+	sonic: "dimensions.sonic",
+};
 
-		const myAlbums = await Album.find({ addedBy: userId })
-			.populate("connections.album", "title artists releaseDate coverArtUrl")
-			.sort({ createdAt: -1 }); // Sort by creation date, newest first
+const SCALAR_FACETS = {
+	formats: "format",
+	releaseCountries: "releaseCountry",
+};
 
-		if (!myAlbums.length) {
-			return sendResponse(res, 200, true, "You haven't added any albums yet", []);
+/**
+ * Builds the $facet pipeline that counts the values of one field, most frequent first.
+ */
+const countValues = (path, limit, { unwind = false } = {}) => [
+	...(unwind ? [{ $unwind: `$${path}` }] : []),
+	{ $match: { [path]: { $nin: [null, ""] } } },
+	{ $group: { _id: `$${path}`, count: { $sum: 1 } } },
+	{ $sort: { count: -1, _id: 1 } },
+	{ $limit: limit },
+	{ $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+/**
+ * Controller: getAlbumFacets
+ * --------------------------
+ * Returns value counts per facet (genre, scene, movement, label, format, tag, decade,
+ * release country, emotional and sonic dimension) for the user's albums.
+ *
+ * Query parameters (validated by facetsValidations):
+ * - the same filters as getMyAlbums, so counts narrow as filters are applied
+ * - limit: maximum number of values returned per facet, 1–500 (default 50)
+ *
+ * Workflow:
+ * 1. Builds the same filter as getMyAlbums, scoped to req.user._id.
+ * 2. Runs a single aggregation with one $facet branch per field.
+ * 3. Returns 200 with { total, facets } where every facet is a list of
+ *    { value, count } sorted by count descending.
+ *
+ * Notes:
+ * - Decades are derived from releaseDate (e.g. 1991 → 1990) and sorted chronologically.
+ * - Values are counted as stored, so "Shoegaze" and "shoegaze" are separate buckets.
+ */
+const getAlbumFacets = async (req, res, next) => {
+	try {
+		const limit = Number(req.query.limit) || 50;
+		const filter = buildAlbumFilter(req.user._id, req.query, {
+			expandGenres: await loadGenreExpander(req.user._id),
+		});
+
+		const facetStages = { total: [{ $count: "count" }] };
+
+		for (const [name, path] of Object.entries(ARRAY_FACETS)) {
+			facetStages[name] = countValues(path, limit, { unwind: true });
+		}
+		for (const [name, path] of Object.entries(SCALAR_FACETS)) {
+			facetStages[name] = countValues(path, limit);
 		}
 
-		return sendResponse(res, 200, true, "Albums fetched successfully", myAlbums);
+		facetStages.decades = [
+			{ $match: { releaseDate: { $ne: null } } },
+			{
+				$group: {
+					_id: { $multiply: [{ $floor: { $divide: [{ $year: "$releaseDate" }, 10] } }, 10] },
+					count: { $sum: 1 },
+				},
+			},
+			{ $sort: { _id: 1 } },
+			{ $project: { _id: 0, value: "$_id", count: 1 } },
+		];
+
+		const [result] = await Album.aggregate([{ $match: filter }, { $facet: facetStages }]);
+		const { total, ...facets } = result;
+
+		return sendResponse(res, 200, true, "Album facets fetched successfully", {
+			total: total[0]?.count || 0,
+			facets,
+		});
 	} catch (error) {
 		next(error);
 	}
@@ -43,14 +236,20 @@ const getMyAlbums = async (req, res, next) => {
  * ------------------------
  * Retrieves a single album by its ID for the currently authenticated user.
  *
+ * Query parameters (validated by getAlbumValidations):
+ * - render: html to include the Markdown note rendered as HTML
+ *
  * Behavior:
  * 1. Checks if album exists and is owned by req.user._id
  *    (can rely on isOwner middleware).
- * 2. Returns 200 with album data if authorized.
+ * 2. With render=html, adds personalNote.html (sanitised HTML) and
+ *    personalNote.outline (headings with their anchor IDs), see utils/markdown.
+ * 3. Returns 200 with album data if authorized.
  *
  * Notes:
  * - Do NOT need to manually check ownership if isOwner middleware is applied.
  * - Throws 404 or 403 via isOwner if album does not exist or user is not owner.
+ * - The rendered note is not stored: it is built on every request.
  */
 
 const getAlbumById = async (req, res, next) => {
@@ -60,12 +259,75 @@ const getAlbumById = async (req, res, next) => {
 			"title artists releaseDate coverArtUrl",
 		);
 
+		if (req.query.render === "html") {
+			const data = album.toObject();
+			data.personalNote = { ...data.personalNote, ...renderMarkdown(data.personalNote?.content) };
+			return sendResponse(res, 200, true, "Album fetched successfully", data);
+		}
+
 		return sendResponse(res, 200, true, "Album fetched successfully", album);
 	} catch (error) {
 		next(error);
 	}
 };
 
+/**
+ * Controller: getAlbumBacklinks
+ * -----------------------------
+ * Lists every album of the same user whose connections point at this album,
+ * grouped by connection type.
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Finds the user's albums with a connection whose album is req.album._id.
+ * 3. Groups the matching connections by type, keeping the source album summary,
+ *    the connection note, its origin and its subdocument ID.
+ * 4. Returns 200 with { total, backlinks } where backlinks maps type → entries.
+ *
+ * Notes:
+ * - An album connected twice with different types appears once under each type.
+ * - Mirrors are skipped: they are the other end of this album's own connections,
+ *   which already list them.
+ */
+const getAlbumBacklinks = async (req, res, next) => {
+	try {
+		const albumId = req.album._id;
+
+		const sources = await Album.find(
+			{ addedBy: req.user._id, "connections.album": albumId },
+			"title artists releaseDate coverArtUrl connections",
+		).sort({ title: 1 });
+
+		const backlinks = {};
+		let total = 0;
+
+		for (const source of sources) {
+			for (const conn of source.connections) {
+				if (!conn.album?.equals(albumId) || conn.mirror) continue;
+
+				backlinks[conn.type] ??= [];
+				backlinks[conn.type].push({
+					connectionId: conn._id,
+					album: {
+						_id: source._id,
+						title: source.title,
+						artists: source.artists,
+						releaseDate: source.releaseDate,
+						coverArtUrl: source.coverArtUrl,
+					},
+					note: conn.note,
+					origin: conn.origin,
+				});
+				total++;
+			}
+		}
+
+		return sendResponse(res, 200, true, "Backlinks fetched successfully", { total, backlinks });
+	} catch (error) {
+		next(error);
+	}
+};
+
 /**
  * Controller: postAlbum
  * ---------------------
@@ -75,14 +337,22 @@ const getAlbumById = async (req, res, next) => {
  * - title: string (required)
  * - artists: array of strings (required)
  * - other optional fields: format, releaseDate, labels, genres, tags, dimensions
+ * - templateId: one of the user's note templates, to pre-fill personalNote.content (optional)
  *
  * Behavior:
- * 1. Trims whitespace from title and each artist string.
+ * 1. Trims whitespace from title and resolves each artist name to the user's artist with
+ *    that name or alias (see utils/artistLinks).
  * 2. Checks for an existing album with the same title (case-insensitive regex) and exact artist
  *    list for this user → throws 400 if a duplicate is found.
- * 3. Creates a new Album document from req.body, setting addedBy to req.user._id.
- * 4. If a cover image was uploaded (req.file), attaches the Cloudinary URL and public ID.
- * 5. Saves the document and returns 201 with the saved album.
+ * 3. With templateId, loads the template → 400 if the user has no such template.
+ * 4. Creates a new Album document from req.body, setting addedBy to req.user._id, and
+ *    attaches the uploaded cover (req.file) if any.
+ * 5. Validates it, then links it to its artists and labels (artistIds, labelIds),
+ *    creating the ones the user does not have yet, and fills the template's
+ *    placeholders from it as personalNote.content.
+ * 6. Turns [[wikilinks]] in personalNote.content into connections (see syncNoteLinks).
+ * 7. Saves the document and adds the other end of its connections to the target albums.
+ * 8. Returns 201 with the saved album and meta.unresolvedLinks.
  *
  * Notes:
  * - The duplicate check uses `$regex` with the "i" flag so "OK Computer" and "ok computer"
@@ -93,11 +363,11 @@ const getAlbumById = async (req, res, next) => {
 
 const postAlbum = async (req, res, next) => {
 	try {
-		const { title, artists = [] } = req.body;
+		const { title, artists = [], templateId, ...fields } = req.body;
 		const addedBy = req.user._id;
 
 		const trimmedTitle = title.trim();
-		const trimmedArtists = artists.map((a) => a.trim());
+		const trimmedArtists = await canonicalArtistNames(addedBy, artists);
 
 		// Check if album already exists for this user (case-insensitive title)
 		const albumExist = await Album.findOne({
@@ -110,9 +380,17 @@ const postAlbum = async (req, res, next) => {
 			throw createError(400, "This album already exists in your collection");
 		}
 
+		const template = templateId ? await NoteTemplate.findOne({ _id: templateId, addedBy }) : null;
+
+		if (templateId && !template) {
+			throw createError(400, "Note template not found");
+		}
+
 		// Create album
 		const newAlbum = new Album({
-			...req.body,
+			...fields,
+			title,
+			artists,
 			addedBy,
 		});
 
@@ -121,9 +399,23 @@ const postAlbum = async (req, res, next) => {
 			newAlbum.coverArtId = req.file.filename;
 		}
 
+		// Validated before linking, so a rejected album leaves no new artists or labels
+		await newAlbum.validate();
+		await linkArtists(newAlbum);
+		await linkLabels(newAlbum);
+
+		if (template) {
+			newAlbum.personalNote.content = fillTemplate(template.content, newAlbum);
+		}
+
+		const unresolvedLinks = await syncNoteLinks(newAlbum);
+
 		const albumSaved = await newAlbum.save();
+		await syncMirrors(albumSaved, []);
 
-		return sendResponse(res, 201, true, "Album created successfully", albumSaved);
+		return sendResponse(res, 201, true, "Album created successfully", albumSaved, {
+			unresolvedLinks,
+		});
 	} catch (error) {
 		if (req.file?.filename) {
 			await deleteImgCloudinary(req.file.filename);
@@ -144,11 +436,18 @@ const postAlbum = async (req, res, next) => {
  * Behavior:
  * 1. Ownership check handled by isOwner middleware.
  * 2. Updates allowed fields in the database.
- * 3. If a new image is uploaded, deletes the old one from Cloudinary.
- * 4. Returns 200 with updated album data.
+ * 3. If artists or labels are sent, links the album to them (creating missing ones) and
+ *    stores each name as its artist's or label's name.
+ * 4. If personalNote.content is sent, saves it through the document so wordCount and
+ *    lastEdited are recomputed, and re-syncs its [[wikilinks]] with the connections.
+ * 5. Applies connection changes to the other end of each connection (see syncMirrors).
+ * 6. If a new image is uploaded, deletes the old one from Cloudinary.
+ * 7. Returns 200 with updated album data (plus meta.unresolvedLinks when the note changed).
  *
  * Notes:
  * - Cannot update addedBy.
+ * - listens and the listening context fields derived from them are managed through
+ *   /albums/:id/listens; only listeningContext.context is updated here.
  * - Ensures only the album owner can modify the album.
  */
 
@@ -161,7 +460,13 @@ const updateAlbum = async (req, res, next) => {
 			throw createError(404, "Album not found");
 		}
 
-		const updates = { ...req.body };
+		// The note is applied separately so the pre-save hook and link sync run on it
+		const { personalNote, listeningContext, ...updates } = req.body;
+
+		// Only the free-text context is editable; the rest is derived from the listens
+		if (listeningContext?.context !== undefined) {
+			updates["listeningContext.context"] = listeningContext.context;
+		}
 		let newCoverArtId = null;
 
 		if (req.file) {
@@ -175,12 +480,32 @@ const updateAlbum = async (req, res, next) => {
 			runValidators: true,
 		});
 
+		// New artist and label names are linked to their entities (see utils/nameLinks)
+		if (updates.artists !== undefined) {
+			await linkArtists(updated);
+		}
+		if (updates.labels !== undefined) {
+			await linkLabels(updated);
+		}
+
+		let meta = null;
+		if (personalNote?.content !== undefined) {
+			updated.personalNote.content = personalNote.content;
+			meta = { unresolvedLinks: await syncNoteLinks(updated) };
+		}
+
+		if (updated.isModified()) {
+			await updated.save();
+		}
+
+		await syncMirrors(updated, snapshotConnections(prev));
+
 		// Delete the previous image after updating the fields successfully
 		if (newCoverArtId && prev.coverArtId) {
 			await deleteImgCloudinary(prev.coverArtId);
 		}
 
-		return sendResponse(res, 200, true, "Album updated successfully", updated);
+		return sendResponse(res, 200, true, "Album updated successfully", updated, meta);
 	} catch (error) {
 		if (req.file?.filename) {
 			await deleteImgCloudinary(req.file.filename);
@@ -197,7 +522,8 @@ const updateAlbum = async (req, res, next) => {
  * Behavior:
  * 1. Ownership check handled by isOwner middleware.
  * 2. Deletes album’s cover image from Cloudinary first (to prevent orphaned files).
- * 3. Deletes album from the database.
+ * 3. Deletes album from the database, and removes it from connections, favorites,
+ *    journey steps and collections, along with its note revisions.
  * 4. Returns 200 with success message.
  *
  * Notes:
@@ -219,6 +545,15 @@ const deleteAlbum = async (req, res, next) => {
 			{ $pull: { connections: { album: req.album._id } } },
 		);
 		await User.updateMany({ favorites: req.album._id }, { $pull: { favorites: req.album._id } });
+		await Journey.updateMany(
+			{ "steps.album": req.album._id },
+			{ $pull: { steps: { album: req.album._id } } },
+		);
+		await Collection.updateMany(
+			{ "items.album": req.album._id },
+			{ $pull: { items: { album: req.album._id } } },
+		);
+		await NoteRevision.deleteMany({ album: req.album._id });
 
 		return sendResponse(res, 200, true, "Album deleted successfully", req.album);
 	} catch (error) {
@@ -232,21 +567,31 @@ const deleteAlbum = async (req, res, next) => {
  * Retrieves the complete album graph for visualization (like Obsidian).
  * Returns all albums for the user and their connections in a format suitable for graph visualization.
  *
+ * Query parameters (validated by graphValidations):
+ * - format: graphml | gexf | dot | cytoscape (optional; JSON { nodes, edges } by default)
+ *
  * Behavior:
  * 1. Fetches all albums with their full connection data
- * 2. Returns nodes (albums) and edges (connections) for graph visualization
+ * 2. Builds nodes (albums, with format, genres, dimensions, rating and release date)
+ *    and edges (connections, with type, note, strength, dates and a weight for weighted
+ *    layouts: the strength, or 3 when the connection has none)
+ * 3. Without `format`, returns 200 with { nodes, edges, journeys }, where every journey is a
+ *    highlighted path: its album IDs in order and the step edges between them, with
+ *    connected: false for steps that do not follow a connection
+ * 4. With `format`, sends the graph as a downloadable file for Gephi, Cytoscape or Graphviz
  *
  * Notes:
  * - Used for Obsidian-like visualization of album relationships
+ * - Connections pointing at albums that no longer exist are left out
  */
 const getAlbumGraph = async (req, res, next) => {
 	try {
 		const userId = req.user._id;
 
-		const albums = await Album.find({ addedBy: userId }).populate(
-			"connections.album",
-			"title artists _id",
-		);
+		const albums = await Album.find(
+			{ addedBy: userId },
+			"title artists format coverArtUrl releaseDate genres dimensions rating connections",
+		).lean();
 
 		// Format data for graph visualization
 		const nodes = albums.map((album) => ({
@@ -256,21 +601,60 @@ const getAlbumGraph = async (req, res, next) => {
 			format: album.format,
 			coverArtUrl: album.coverArtUrl,
 			releaseDate: album.releaseDate,
+			genres: album.genres,
+			dimensions: album.dimensions,
+			rating: album.rating,
 		}));
 
-		const edges = [];
-		albums.forEach((album) => {
-			album.connections.forEach((conn) => {
-				edges.push({
-					source: album._id,
-					target: conn.album?._id,
-					type: conn.type,
-					note: conn.note,
-				});
-			});
-		});
+		const edges = collectEdges(albums).map(
+			({ source, target, type, note, strength, weight, createdAt, discoveredOn }) => ({
+				source,
+				target,
+				type,
+				note,
+				strength,
+				weight,
+				createdAt,
+				discoveredOn,
+			}),
+		);
+
+		if (req.query.format) {
+			const { serialize, contentType, extension } = GRAPH_FORMATS[req.query.format];
+			const filename = `craterra-graph-${new Date().toISOString().split("T")[0]}.${extension}`;
 
-		return sendResponse(res, 200, true, "Album graph fetched successfully", { nodes, edges });
+			res.setHeader("Content-Type", `${contentType}; charset=utf-8`);
+			res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+			return res.send(serialize(nodes, edges));
+		}
+
+		// Journeys are highlighted paths over the nodes; steps whose albums are gone are skipped
+		const nodeIds = new Set(nodes.map((node) => node.id.toString()));
+		const journeys = (await Journey.find({ addedBy: userId }, "title steps").lean()).map(
+			(journey) => {
+				const path = journey.steps.map((step) => step.album.toString()).filter((id) => nodeIds.has(id));
+				return {
+					id: journey._id,
+					title: journey.title,
+					path,
+					edges: path.slice(1).map((target, i) => {
+						const source = path[i];
+						const edge = edges.find(
+							(e) =>
+								(e.source === source && e.target === target) ||
+								(e.source === target && e.target === source),
+						);
+						return { source, target, connected: Boolean(edge) };
+					}),
+				};
+			},
+		);
+
+		return sendResponse(res, 200, true, "Album graph fetched successfully", {
+			nodes,
+			edges,
+			journeys,
+		});
 	} catch (error) {
 		next(error);
 	}
@@ -285,16 +669,20 @@ const getAlbumGraph = async (req, res, next) => {
  * - targetAlbumId: ObjectId of the album to connect to
  * - type: connection type (influences, similar-to, etc)
  * - note: optional note about the connection
+ * - strength: optional strength, 1 (faint) – 5 (defining)
+ * - discoveredOn: optional date the link was noticed
  *
  * Behavior:
  * 1. Validates both albums exist and belong to the user
  * 2. Adds connection to source album
- * 3. Returns 201 with updated album data
+ * 3. Adds the other end to the target album: the same type when symmetric
+ *    (similar-to), its inverse otherwise (influences → influenced-by)
+ * 4. Returns 201 with updated album data
  */
 const addConnection = async (req, res, next) => {
 	try {
 		const { id: sourceAlbumId } = req.params;
-		const { targetAlbumId, type, note } = req.body;
+		const { targetAlbumId, type, note, strength, discoveredOn } = req.body;
 		const userId = req.user._id;
 
 		// Validate source album exists and belongs to user
@@ -317,23 +705,31 @@ const addConnection = async (req, res, next) => {
 			throw createError(404, "Target album not found");
 		}
 
-		// Check if connection already exists
-		const connectionExists = sourceAlbum.connections.some(
-			(conn) => conn.album.toString() === targetAlbumId && conn.type === type,
-		);
+		// Check if connection already exists, from either end
+		const connectionExists =
+			sourceAlbum.connections.some(
+				(conn) => conn.album.toString() === targetAlbumId && conn.type === type,
+			) ||
+			targetAlbum.connections.some(
+				(conn) => conn.album.equals(sourceAlbum._id) && conn.type === inverseType(type),
+			);
 
 		if (connectionExists) {
 			throw createError(400, "This connection already exists");
 		}
 
 		// Add connection
+		const before = snapshotConnections(sourceAlbum);
 		sourceAlbum.connections.push({
 			album: targetAlbumId,
 			type,
 			note: note || "",
+			strength,
+			discoveredOn,
 		});
 
 		const updated = await sourceAlbum.save();
+		await syncMirrors(updated, before);
 		const populated = await updated.populate(
 			"connections.album",
 			"title artists releaseDate coverArtUrl",
@@ -355,18 +751,27 @@ const addConnection = async (req, res, next) => {
  * - req.params.connectionId — subdocument ID of the connection to update
  * - req.body.type          — new connection type (optional)
  * - req.body.note          — new note (optional; pass empty string to clear)
+ * - req.body.strength      — new strength, 1–5 (optional; pass null to clear)
+ * - req.body.discoveredOn  — new discovery date (optional; pass null to clear)
  *
  * Workflow:
  * 1. Finds the album by ID, verifying it belongs to req.user._id → 404 if not found.
  * 2. Locates the connection subdocument via album.connections.id(connectionId) → 404 if missing.
- * 3. Applies type and/or note changes only when the fields are present in the request.
- * 4. Saves the parent album document and populates connection references.
- * 5. Returns 200 with the updated album.
+ * 3. Applies type, note, strength and discoveredOn changes only when the fields are present
+ *    in the request.
+ * 4. Saves the parent album document and updates the other end on the target album:
+ *    a new type replaces the counterpart with the new inverse, other changes are copied.
+ * 5. Populates connection references and returns 200 with the updated album.
+ *
+ * Notes:
+ * - Editing a mirror makes it a regular connection; its counterpart becomes the mirror
+ *   (see syncMirrors). An edited wikilink connection becomes manual, since the link lives
+ *   in the other album's note and would otherwise be dropped when this note is saved.
  */
 const updateConnection = async (req, res, next) => {
 	try {
 		const { id: albumId, connectionId } = req.params;
-		const { type, note } = req.body;
+		const { type, note, strength, discoveredOn } = req.body;
 		const userId = req.user._id;
 
 		const album = await Album.findOne({ _id: albumId, addedBy: userId });
@@ -381,10 +786,18 @@ const updateConnection = async (req, res, next) => {
 			throw createError(404, "Connection not found");
 		}
 
+		const before = snapshotConnections(album);
 		if (type) connection.type = type;
 		if (note !== undefined) connection.note = note;
+		if (strength !== undefined) connection.strength = strength;
+		if (discoveredOn !== undefined) connection.discoveredOn = discoveredOn;
+		if (connection.mirror) {
+			connection.mirror = false;
+			connection.origin = "manual";
+		}
 
 		const updated = await album.save();
+		await syncMirrors(updated, before);
 		const populated = await updated.populate(
 			"connections.album",
 			"title artists releaseDate coverArtUrl",
@@ -408,8 +821,8 @@ const updateConnection = async (req, res, next) => {
  * Workflow:
  * 1. Finds the album by ID, verifying it belongs to req.user._id → 404 if not found.
  * 2. Calls deleteOne() on the connection subdocument identified by connectionId.
- * 3. Saves the parent album document and populates connection references.
- * 4. Returns 200 with the updated album (connection list no longer includes the removed entry).
+ * 3. Saves the parent album document and removes the other end from the target album.
+ * 4. Populates connection references and returns 200 with the updated album (connection list no longer includes the removed entry).
  */
 const deleteConnection = async (req, res, next) => {
 	try {
@@ -428,8 +841,10 @@ const deleteConnection = async (req, res, next) => {
 			throw createError(404, "Connection not found");
 		}
 
+		const before = snapshotConnections(album);
 		connection.deleteOne();
 		const updated = await album.save();
+		await syncMirrors(updated, before);
 		const populated = await updated.populate(
 			"connections.album",
 			"title artists releaseDate coverArtUrl",
@@ -443,7 +858,10 @@ const deleteConnection = async (req, res, next) => {
 
 module.exports = {
 	getMyAlbums,
+	searchAlbums,
+	getAlbumFacets,
 	getAlbumById,
+	getAlbumBacklinks,
 	postAlbum,
 	updateAlbum,
 	deleteAlbum,
@@ -0,0 +1,254 @@
+const Artist = require("../models/artist.model");
+const Album = require("../models/album.model");
+const { sendResponse } = require("../../utils/sendResponse");
+const { createError } = require("../../utils/createError");
+const { nameKeys } = require("../../utils/artistNames");
+const { relinkAlbums, countAlbums } = require("../../utils/artistLinks");
+const { findOwned, checkNames, absorbEntity } = require("../../utils/namedEntities");
+const { collectEdges } = require("../../utils/albumGraph");
+const { topValues, releaseTime } = require("../../utils/albumStats");
+
+// Loads one of the user's artists → 404 "Artist not found"
+const findArtist = (userId, artistId) => findOwned(Artist, userId, artistId, "Artist not found");
+
+// Album summary used on artist pages
+const toSummary = (album) => ({
+	_id: album._id,
+	title: album.title,
+	artists: album.artists,
+	releaseDate: album.releaseDate,
+	coverArtUrl: album.coverArtUrl,
+	rating: album.rating,
+	favourite: album.favourite,
+});
+
+/**
+ * Controller: getMyArtists
+ * ------------------------
+ * Lists the authenticated user's artists by name, with the number of albums of each
+ * (albumCount).
+ */
+const getMyArtists = async (req, res, next) => {
+	try {
+		const [artists, albumCounts] = await Promise.all([
+			Artist.find({ addedBy: req.user._id }, "-keys").sort({ name: 1 }).lean(),
+			countAlbums(req.user._id),
+		]);
+
+		const data = artists.map((artist) => ({
+			...artist,
+			albumCount: albumCounts.get(artist._id.toString()) || 0,
+		}));
+
+		return sendResponse(res, 200, true, "Artists fetched successfully", data, {
+			count: data.length,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getArtistById
+ * -------------------------
+ * Returns the page of one of the user's artists.
+ *
+ * Workflow:
+ * 1. Loads the artist → 404 "Artist not found".
+ * 2. Loads all of the user's albums: connections to other artists' albums count too.
+ * 3. Returns 200 with:
+ *    - artist: the artist
+ *    - albums: the artist's albums, oldest release first
+ *    - stats: albumCount, averageRating and rated (albums with a rating), the most
+ *      frequent emotional and sonic dimensions and genres
+ *    - connections: graph edges touching the artist's albums (see collectEdges), with
+ *      both albums summarised
+ *    - relatedArtists: artists of the albums at the other end of those edges, most
+ *      connected first, with the connection count and types
+ */
+const getArtistById = async (req, res, next) => {
+	try {
+		const artist = await findArtist(req.user._id, req.params.id);
+		const library = await Album.find(
+			{ addedBy: req.user._id },
+			"title artists artistIds releaseDate coverArtUrl rating favourite dimensions genres connections",
+		);
+
+		const albums = library
+			.filter((album) => album.artistIds.some((id) => id.equals(artist._id)))
+			.sort((a, b) => releaseTime(a) - releaseTime(b));
+		const ownIds = new Set(albums.map((album) => album._id.toString()));
+		const albumsById = new Map(library.map((album) => [album._id.toString(), album]));
+
+		const rated = albums.filter((album) => album.rating !== undefined && album.rating !== null);
+		const averageRating = rated.length
+			? Math.round((rated.reduce((sum, album) => sum + album.rating, 0) / rated.length) * 100) / 100
+			: null;
+
+		const edges = collectEdges(library).filter(
+			(edge) => ownIds.has(edge.source) || ownIds.has(edge.target),
+		);
+
+		// Every edge leaving the artist's albums counts once for each artist at its other end
+		const related = new Map();
+		for (const edge of edges) {
+			const other = ownIds.has(edge.source) ? edge.target : edge.source;
+			if (ownIds.has(other)) continue;
+
+			const album = albumsById.get(other);
+			album.artistIds.forEach((id, i) => {
+				if (id.equals(artist._id)) return;
+				const entry = related.get(id.toString()) || {
+					_id: id,
+					name: album.artists[i],
+					connections: 0,
+					types: new Set(),
+				};
+				entry.connections++;
+				entry.types.add(edge.type);
+				related.set(id.toString(), entry);
+			});
+		}
+
+		return sendResponse(res, 200, true, "Artist fetched successfully", {
+			artist,
+			albums: albums.map(toSummary),
+			stats: {
+				albumCount: albums.length,
+				averageRating,
+				rated: rated.length,
+				dimensions: {
+					emotional: topValues(albums.flatMap((album) => album.dimensions?.emotional || [])),
+					sonic: topValues(albums.flatMap((album) => album.dimensions?.sonic || [])),
+				},
+				genres: topValues(albums.flatMap((album) => album.genres)),
+			},
+			connections: edges.map((edge) => ({
+				id: edge.id,
+				source: toSummary(albumsById.get(edge.source)),
+				target: toSummary(albumsById.get(edge.target)),
+				type: edge.type,
+				strength: edge.strength,
+			})),
+			relatedArtists: [...related.values()]
+				.map((entry) => ({ ...entry, types: [...entry.types] }))
+				.sort((a, b) => b.connections - a.connections || a.name.localeCompare(b.name)),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: updateArtist
+ * ------------------------
+ * Updates the name, aliases, country, active years or personal note of an artist.
+ *
+ * Workflow:
+ * 1. Loads the artist → 404 "Artist not found".
+ * 2. When the name or aliases change, checks no other artist uses them
+ *    (see checkNames in utils/namedEntities) → 400.
+ * 3. Saves the artist; a new name is written to its albums' artists (see relinkAlbums).
+ * 4. Returns 200 with the updated artist.
+ *
+ * Notes:
+ * - A renamed artist keeps its old name as an alias, so albums typed with it still link
+ *   here. Setting the name to one of the aliases swaps them.
+ */
+const updateArtist = async (req, res, next) => {
+	try {
+		const artist = await findArtist(req.user._id, req.params.id);
+		const { name, aliases, country, activeYears, personalNote } = req.body;
+		const previousName = artist.name;
+
+		if (aliases !== undefined) artist.aliases = aliases;
+		if (name !== undefined && name !== previousName) {
+			artist.name = name;
+			artist.aliases = [...artist.aliases, previousName];
+		}
+		if (country !== undefined) artist.country = country;
+		if (activeYears?.from !== undefined) artist.activeYears.from = activeYears.from;
+		if (activeYears?.to !== undefined) artist.activeYears.to = activeYears.to;
+		if (personalNote?.content !== undefined) artist.personalNote.content = personalNote.content;
+
+		if (artist.isModified("name") || artist.isModified("aliases")) {
+			await checkNames(Artist, artist, nameKeys(artist), "Merge the two artists instead");
+		}
+
+		await artist.save();
+
+		if (artist.name !== previousName) {
+			await relinkAlbums(artist);
+		}
+
+		return sendResponse(res, 200, true, "Artist updated successfully", artist);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: mergeArtist
+ * -----------------------
+ * Merges another artist (sourceId) into this one, e.g. "Bjork" into "Björk".
+ *
+ * Workflow:
+ * 1. Loads both artists → 404 "Artist not found"; 400 when they are the same.
+ * 2. Keeps the source's name and aliases as aliases, and its country, active years and
+ *    note where this artist has none (notes are appended otherwise).
+ * 3. Moves the source's albums to this artist (see relinkAlbums) and deletes the source.
+ * 4. Returns 200 with the merged artist and meta.albumsMoved.
+ */
+const mergeArtist = async (req, res, next) => {
+	try {
+		const artist = await findArtist(req.user._id, req.params.id);
+		const source = await findArtist(req.user._id, req.body.sourceId);
+
+		if (artist._id.equals(source._id)) {
+			throw createError(400, "An artist cannot be merged into itself");
+		}
+
+		absorbEntity(artist, source);
+		artist.country ??= source.country;
+		artist.activeYears.from ??= source.activeYears?.from;
+		artist.activeYears.to ??= source.activeYears?.to;
+
+		await artist.save();
+		const albumsMoved = await relinkAlbums(artist, [source._id]);
+		await source.deleteOne();
+
+		return sendResponse(res, 200, true, "Artists merged successfully", artist, {
+			albumsMoved,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: deleteArtist
+ * ------------------------
+ * Deletes one of the user's artists → 404 if not found; 400 while albums still
+ * reference it (change their artists or merge the artist first).
+ */
+const deleteArtist = async (req, res, next) => {
+	try {
+		const artist = await findArtist(req.user._id, req.params.id);
+		const albumCount = await Album.countDocuments({ artistIds: artist._id });
+
+		if (albumCount) {
+			throw createError(
+				400,
+				`This artist still has ${albumCount} album(s). Change their artists or merge it instead`,
+			);
+		}
+
+		await artist.deleteOne();
+
+		return sendResponse(res, 200, true, "Artist deleted successfully", artist);
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = { getMyArtists, getArtistById, updateArtist, mergeArtist, deleteArtist };
@@ -0,0 +1,461 @@
+const Album = require("../models/album.model");
+const Collection = require("../models/collection.model");
+const { sendResponse } = require("../../utils/sendResponse");
+const { createError } = require("../../utils/createError");
+const { deleteImgCloudinary } = require("../../utils/deleteImage");
+const {
+	buildAlbumFilter,
+	normalizeAlbumFilter,
+	paginateAlbums,
+} = require("../../utils/albumQuery");
+const { loadGenreExpander } = require("../../utils/genreTaxonomy");
+
+const ITEM_ALBUM_FIELDS = "title artists releaseDate coverArtUrl";
+
+/**
+ * Helper: findOwnCollection
+ * -------------------------
+ * Finds one of the user's collections by ID → 404 if it does not exist or belongs to
+ * someone else.
+ */
+const findOwnCollection = async (id, userId) => {
+	const collection = await Collection.findOne({ _id: id, addedBy: userId });
+
+	if (!collection) {
+		throw createError(404, "Collection not found");
+	}
+
+	return collection;
+};
+
+/**
+ * Helper: checkAlbums
+ * -------------------
+ * Ensures every album ID belongs to the user → 400 listing the missing ones otherwise.
+ */
+const checkAlbums = async (userId, albumIds) => {
+	const ids = [...new Set(albumIds.map(String))];
+	const albums = await Album.find({ _id: { $in: ids }, addedBy: userId }, "_id").lean();
+	const found = new Set(albums.map((album) => album._id.toString()));
+
+	const missing = ids.filter((id) => !found.has(id));
+	if (missing.length) {
+		throw createError(400, `Albums not found in your collection: ${missing.join(", ")}`);
+	}
+};
+
+/**
+ * Item endpoints only apply to manual collections → 400 for smart ones.
+ */
+const assertManual = (collection) => {
+	if (collection.filter) {
+		throw createError(400, "Smart collections are defined by their filter, not by items");
+	}
+};
+
+const itemIndex = (collection, albumId) =>
+	collection.items.findIndex((item) => item.album.toString() === String(albumId));
+
+/**
+ * Counts the albums of a collection: its items, or the albums matching its filter
+ * (expandGenres: see loadGenreExpander).
+ */
+const countAlbums = async (collection, expandGenres) =>
+	collection.filter
+		? Album.countDocuments(buildAlbumFilter(collection.addedBy, collection.filter, { expandGenres }))
+		: collection.items.length;
+
+/**
+ * Helper: toCollectionResponse
+ * ----------------------------
+ * Builds the response for a single collection, with an albumCount.
+ *
+ * - Manual collections: items with their albums populated; meta is null.
+ * - Smart collections: the albums matching the filter right now, as items
+ *   ({ album }), one page at a time (options: sort, order, limit, cursor as in the
+ *   album list); meta is the pagination metadata.
+ */
+const toCollectionResponse = async (collection, options = {}) => {
+	if (!collection.filter) {
+		await collection.populate("items.album", ITEM_ALBUM_FIELDS);
+		return {
+			data: { ...collection.toObject(), albumCount: collection.items.length },
+			meta: null,
+		};
+	}
+
+	const expandGenres = await loadGenreExpander(collection.addedBy);
+	const { items, meta } = await paginateAlbums(
+		Album,
+		buildAlbumFilter(collection.addedBy, collection.filter, { expandGenres }),
+		options,
+	);
+
+	return {
+		data: {
+			...collection.toObject(),
+			items: items.map((album) => ({ album })),
+			albumCount: meta.total,
+		},
+		meta,
+	};
+};
+
+/**
+ * Saves the collection and returns its response (see toCollectionResponse).
+ */
+const saveAndRespond = async (collection) => {
+	await collection.save();
+	return (await toCollectionResponse(collection)).data;
+};
+
+/**
+ * Controller: getMyCollections
+ * ----------------------------
+ * Lists the authenticated user's collections, most recently updated first, each with
+ * an albumCount.
+ *
+ * Notes:
+ * - Manual collections come with their items' albums populated; smart collections
+ *   only with their count (use getCollectionById for their albums).
+ */
+const getMyCollections = async (req, res, next) => {
+	try {
+		const collections = await Collection.find({ addedBy: req.user._id })
+			.sort({ updatedAt: -1 })
+			.populate("items.album", ITEM_ALBUM_FIELDS);
+		const expandGenres = await loadGenreExpander(req.user._id);
+
+		const data = await Promise.all(
+			collections.map(async (collection) => ({
+				...collection.toObject(),
+				albumCount: await countAlbums(collection, expandGenres),
+			})),
+		);
+
+		return sendResponse(res, 200, true, "Collections fetched successfully", data);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getCollectionById
+ * -----------------------------
+ * Returns one of the user's collections with its albums → 404 if not found.
+ *
+ * Notes:
+ * - Smart collections are evaluated now, so they reflect the current library; sort,
+ *   order, limit and cursor page through their albums like the album list.
+ */
+const getCollectionById = async (req, res, next) => {
+	try {
+		const collection = await findOwnCollection(req.params.id, req.user._id);
+		const { sort, order, limit, cursor } = req.query;
+
+		const { data, meta } = await toCollectionResponse(collection, { sort, order, limit, cursor });
+
+		return sendResponse(res, 200, true, "Collection fetched successfully", data, meta);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: postCollection
+ * --------------------------
+ * Creates a collection (crate) of albums.
+ *
+ * Expected input (req.body):
+ * - name: string (required)
+ * - description: string (optional)
+ * - items: [{ album, note }] (optional, JSON only) — initial albums, in order
+ * - filter: album list filters (optional, JSON only) — makes it a smart collection
+ * - req.file: cover image (optional, multipart)
+ *
+ * Workflow:
+ * 1. Every item must be one of the user's albums, at most once → 400 otherwise.
+ * 2. Stores the filter normalized (see normalizeAlbumFilter).
+ * 3. Attaches the uploaded cover, saves and returns 201 with the collection.
+ *
+ * Notes:
+ * - The uploaded cover is deleted from Cloudinary if anything fails.
+ */
+const postCollection = async (req, res, next) => {
+	try {
+		const { name, description, items = [], filter } = req.body;
+		const albumIds = items.map((item) => String(item.album));
+
+		if (new Set(albumIds).size !== albumIds.length) {
+			throw createError(400, "Each album can only appear once in a collection");
+		}
+
+		await checkAlbums(req.user._id, albumIds);
+
+		const collection = new Collection({ name, description, items, addedBy: req.user._id });
+
+		if (filter) {
+			collection.filter = normalizeAlbumFilter(filter);
+		}
+
+		if (req.file) {
+			collection.coverUrl = req.file.path;
+			collection.coverId = req.file.filename;
+		}
+
+		return sendResponse(
+			res,
+			201,
+			true,
+			"Collection created successfully",
+			await saveAndRespond(collection),
+		);
+	} catch (error) {
+		if (req.file?.filename) {
+			await deleteImgCloudinary(req.file.filename);
+		}
+		next(error);
+	}
+};
+
+/**
+ * Controller: updateCollection
+ * ----------------------------
+ * Updates the name, description, cover or (smart collections) filter of a collection.
+ *
+ * Workflow:
+ * 1. Finds the collection by ID and owner → 404 if not found.
+ * 2. A filter is only accepted for smart collections → 400 otherwise.
+ * 3. Applies the changes; a new cover replaces the previous one, which is deleted
+ *    from Cloudinary after saving.
+ * 4. Returns 200 with the updated collection.
+ *
+ * Notes:
+ * - Items are managed through the item and order endpoints.
+ */
+const updateCollection = async (req, res, next) => {
+	try {
+		const collection = await findOwnCollection(req.params.id, req.user._id);
+		const previousCoverId = collection.coverId;
+		const { name, description, filter } = req.body;
+
+		if (filter !== undefined && !collection.filter) {
+			throw createError(400, "Only smart collections have a filter");
+		}
+
+		if (name !== undefined) collection.name = name;
+		if (description !== undefined) collection.description = description;
+		if (filter !== undefined) collection.filter = normalizeAlbumFilter(filter);
+
+		if (req.file) {
+			collection.coverUrl = req.file.path;
+			collection.coverId = req.file.filename;
+		}
+
+		const updated = await saveAndRespond(collection);
+
+		if (req.file && previousCoverId) {
+			await deleteImgCloudinary(previousCoverId);
+		}
+
+		return sendResponse(res, 200, true, "Collection updated successfully", updated);
+	} catch (error) {
+		if (req.file?.filename) {
+			await deleteImgCloudinary(req.file.filename);
+		}
+		next(error);
+	}
+};
+
+/**
+ * Controller: deleteCollection
+ * ----------------------------
+ * Deletes one of the user's collections and its cover → 404 if not found.
+ * The albums are untouched.
+ */
+const deleteCollection = async (req, res, next) => {
+	try {
+		const collection = await Collection.findOneAndDelete({
+			_id: req.params.id,
+			addedBy: req.user._id,
+		});
+
+		if (!collection) {
+			throw createError(404, "Collection not found");
+		}
+
+		await deleteImgCloudinary(collection.coverId);
+
+		return sendResponse(res, 200, true, "Collection deleted successfully", collection);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: addCollectionItem
+ * -----------------------------
+ * Adds one of the user's albums to a collection.
+ *
+ * Expected input (req.body):
+ * - album: album ID (required)
+ * - note: string (optional)
+ * - position: 0-based index (optional, defaults to the end)
+ *
+ * Workflow:
+ * 1. Finds the collection → 404 (400 if smart); checks the album is the user's → 400.
+ * 2. Rejects albums already in the collection → 400.
+ * 3. Inserts the item and returns 201 with the collection.
+ */
+const addCollectionItem = async (req, res, next) => {
+	try {
+		const collection = await findOwnCollection(req.params.id, req.user._id);
+		assertManual(collection);
+		const { album, note, position } = req.body;
+
+		await checkAlbums(req.user._id, [album]);
+
+		if (itemIndex(collection, album) !== -1) {
+			throw createError(400, "This album is already in the collection");
+		}
+
+		const index = Math.min(position ?? collection.items.length, collection.items.length);
+		collection.items.splice(index, 0, { album, note });
+
+		return sendResponse(
+			res,
+			201,
+			true,
+			"Album added to collection",
+			await saveAndRespond(collection),
+		);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: updateCollectionItem
+ * --------------------------------
+ * Updates the note of an album in a collection, or moves it to another position.
+ *
+ * Workflow:
+ * 1. Finds the collection → 404 (400 if smart), then the item by album ID → 404.
+ * 2. Applies note and/or position (0-based, clamped to the end).
+ * 3. Returns 200 with the collection.
+ */
+const updateCollectionItem = async (req, res, next) => {
+	try {
+		const collection = await findOwnCollection(req.params.id, req.user._id);
+		assertManual(collection);
+		const index = itemIndex(collection, req.params.albumId);
+
+		if (index === -1) {
+			throw createError(404, "Album not found in this collection");
+		}
+
+		const { note, position } = req.body;
+
+		if (note !== undefined) collection.items[index].note = note;
+
+		if (position !== undefined) {
+			const [item] = collection.items.splice(index, 1);
+			collection.items.splice(Math.min(position, collection.items.length), 0, item.toObject());
+		}
+
+		return sendResponse(
+			res,
+			200,
+			true,
+			"Collection item updated successfully",
+			await saveAndRespond(collection),
+		);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: removeCollectionItem
+ * --------------------------------
+ * Removes an album from a collection → 404 if the collection or the item is not found,
+ * 400 if the collection is smart.
+ */
+const removeCollectionItem = async (req, res, next) => {
+	try {
+		const collection = await findOwnCollection(req.params.id, req.user._id);
+		assertManual(collection);
+		const index = itemIndex(collection, req.params.albumId);
+
+		if (index === -1) {
+			throw createError(404, "Album not found in this collection");
+		}
+
+		collection.items.splice(index, 1);
+
+		return sendResponse(
+			res,
+			200,
+			true,
+			"Album removed from collection",
+			await saveAndRespond(collection),
+		);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: reorderCollection
+ * -----------------------------
+ * Sets the order of a collection's items.
+ *
+ * Expected input (req.body):
+ * - albums: album IDs in the new order — exactly the albums already in the collection
+ *
+ * Workflow:
+ * 1. Finds the collection → 404 (400 if smart).
+ * 2. Rejects lists that add, drop or repeat albums → 400.
+ * 3. Reorders the items (notes are kept) and returns 200 with the collection.
+ */
+const reorderCollection = async (req, res, next) => {
+	try {
+		const collection = await findOwnCollection(req.params.id, req.user._id);
+		assertManual(collection);
+		const albums = req.body.albums.map(String);
+
+		const current = collection.items.map((item) => item.album.toString());
+		const isPermutation =
+			albums.length === current.length &&
+			new Set(albums).size === albums.length &&
+			albums.every((id) => current.includes(id));
+
+		if (!isPermutation) {
+			throw createError(400, "Albums must list every album of the collection exactly once");
+		}
+
+		collection.items = albums.map((id) => collection.items[current.indexOf(id)].toObject());
+
+		return sendResponse(
+			res,
+			200,
+			true,
+			"Collection reordered successfully",
+			await saveAndRespond(collection),
+		);
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = {
+	getMyCollections,
+	getCollectionById,
+	postCollection,
+	updateCollection,
+	deleteCollection,
+	addCollectionItem,
+	updateCollectionItem,
+	removeCollectionItem,
+	reorderCollection,
+};
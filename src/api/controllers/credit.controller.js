@@ -0,0 +1,86 @@
+const Album = require("../models/album.model");
+const { sendResponse } = require("../../utils/sendResponse");
+const { normalizeArtistName } = require("../../utils/artistNames");
+const { findArtists } = require("../../utils/artistLinks");
+const { personCredits } = require("../../utils/credits");
+
+/**
+ * Controller: getCreditsByPerson
+ * ------------------------------
+ * Lists every album of the authenticated user's library a person worked on.
+ *
+ * Query parameters (validated by creditsQueryValidations):
+ * - person: name of the person (required)
+ * - role: only albums where they had this role (artist, producer, engineer…)
+ *
+ * Workflow:
+ * 1. Resolves the person: when they are one of the user's artists, their aliases match
+ *    too (see utils/artistLinks); names are compared normalised either way.
+ * 2. Collects the person's roles on each album: album artist, credits and tracks they
+ *    are featured on (see personCredits).
+ * 3. Returns 200 with { person, albums, roles }: the albums by release date (oldest
+ *    first, undated last), each with the person's credits, and the number of albums
+ *    per role; meta.count is the number of albums.
+ *
+ * Notes:
+ * - Ordered by release date so producer and engineer lineages read in sequence.
+ */
+const getCreditsByPerson = async (req, res, next) => {
+	try {
+		const person = req.query.person.trim();
+		const { role } = req.query;
+
+		const [artist] = await findArtists(req.user._id, [person]);
+		const keys = artist?.keys ?? [normalizeArtistName(person)];
+
+		const albums = await Album.find(
+			{ addedBy: req.user._id },
+			"title artists releaseDate coverArtUrl rating credits tracks",
+		);
+
+		const credited = albums
+			.map((album) => ({ album, credits: personCredits(album, keys) }))
+			.filter(({ credits }) =>
+				role ? credits.some((credit) => credit.role === role) : credits.length,
+			)
+			.sort(
+				(a, b) =>
+					(a.album.releaseDate?.getTime() ?? Number.MAX_SAFE_INTEGER) -
+					(b.album.releaseDate?.getTime() ?? Number.MAX_SAFE_INTEGER),
+			);
+
+		const roleCounts = new Map();
+		for (const { credits } of credited) {
+			for (const credit of credits) {
+				roleCounts.set(credit.role, (roleCounts.get(credit.role) || 0) + 1);
+			}
+		}
+
+		return sendResponse(
+			res,
+			200,
+			true,
+			"Credits fetched successfully",
+			{
+				person: artist?.name ?? person,
+				albums: credited.map(({ album, credits }) => ({
+					_id: album._id,
+					title: album.title,
+					artists: album.artists,
+					releaseDate: album.releaseDate,
+					coverArtUrl: album.coverArtUrl,
+					rating: album.rating,
+					credits,
+				})),
+				roles: [...roleCounts]
+					.map(([creditRole, count]) => ({ role: creditRole, count }))
+					.sort((a, b) => b.count - a.count || a.role.localeCompare(b.role)),
+			},
+			{ count: credited.length },
+		);
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = { getCreditsByPerson };
@@ -1,76 +1,5 @@
 const Album = require("../models/album.model");
-
-const HEADERS = [
-	"Name",
-	"Artist",
-	"Release Date",
-	"Format",
-	"Label",
-	"Main Genre",
-	"Tags",
-	"Scenes",
-	"Movements",
-	"Emotional Dimensions",
-	"Sonic Dimensions",
-	"Release Country",
-	"Cover",
-	"URL",
-	"Rating",
-	"Favourite",
-	"First Listen",
-	"Last Listen",
-	"Listening Frequency",
-	"Listening Context",
-	"Personal Note",
-];
-
-/**
- * Escapes a value for CSV output.
- * Wraps in quotes if the value contains commas, quotes, or newlines.
- */
-const escapeCSV = (value) => {
-	if (value === null || value === undefined) return "";
-	const str = String(value);
-	if (str.includes(",") || str.includes('"') || str.includes("\n")) {
-		return `"${str.replace(/"/g, '""')}"`;
-	}
-	return str;
-};
-
-/**
- * Maps an Album document to a CSV row array.
- */
-const albumToRow = (album) => [
-	escapeCSV(album.title),
-	escapeCSV(album.artists.join(", ")),
-	escapeCSV(album.releaseDate ? album.releaseDate.toISOString().split("T")[0] : ""),
-	escapeCSV(album.format),
-	escapeCSV(album.labels.join(", ")),
-	escapeCSV(album.genres.join(", ")),
-	escapeCSV(album.tags.join(", ")),
-	escapeCSV(album.scenes.join(", ")),
-	escapeCSV(album.movements.join(", ")),
-	escapeCSV(album.dimensions?.emotional?.join(", ") || ""),
-	escapeCSV(album.dimensions?.sonic?.join(", ") || ""),
-	escapeCSV(album.releaseCountry || ""),
-	escapeCSV(album.coverArtUrl || ""),
-	escapeCSV(album.externalUrl || ""),
-	escapeCSV(album.rating !== undefined && album.rating !== null ? album.rating : ""),
-	escapeCSV(album.favourite ? "Yes" : "No"),
-	escapeCSV(
-		album.listeningContext?.firstListen
-			? album.listeningContext.firstListen.toISOString().split("T")[0]
-			: "",
-	),
-	escapeCSV(
-		album.listeningContext?.lastListen
-			? album.listeningContext.lastListen.toISOString().split("T")[0]
-			: "",
-	),
-	escapeCSV(album.listeningContext?.frequency || ""),
-	escapeCSV(album.listeningContext?.context || ""),
-	escapeCSV(album.personalNote?.content || ""),
-];
+const { HEADERS, albumToRow } = require("../../utils/albumExport");
 
 /**
  * Controller: exportAlbums
@@ -84,6 +13,7 @@ const albumToRow = (album) => [
  *
  * Notes:
  * - No external library needed — CSV is built manually with proper escaping.
+ * - Columns and their serialization live in utils/albumExport (shared with the reports).
  * - The column names for the core fields (Name, Artist, Release Date, Format,
  *   Label, Main Genre, Release Country, Cover, URL, Rating, Favourite) match
  *   the Notion import format, so re-importing this file keeps those fields intact.
@@ -92,6 +22,9 @@ const albumToRow = (album) => [
  * - Dimensions and Listening Context are Craterra-specific fields with no
  *   Notion equivalent — included here to avoid data loss on export, but
  *   importAlbums does not currently read them back in.
+ * - Tracks and Duration carry the track count and total duration of the tracklist
+ *   (not the tracks themselves); importAlbums reads them back into trackCount and
+ *   totalDuration.
  */
 const exportAlbums = async (req, res, next) => {
 	try {
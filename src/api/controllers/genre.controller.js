@@ -0,0 +1,347 @@
+const Genre = require("../models/genre.model");
+const Album = require("../models/album.model");
+const { sendResponse } = require("../../utils/sendResponse");
+const { genreKeys } = require("../../utils/genreNames");
+const { findOwned, checkNames, ancestorsOf, checkNesting } = require("../../utils/namedEntities");
+const {
+	childrenByParent,
+	subtree,
+	nestGenres,
+	proposeGenreTree,
+} = require("../../utils/genreTaxonomy");
+
+// Loads one of the user's genres → 404 "Genre not found"
+const findGenre = (userId, genreId) => findOwned(Genre, userId, genreId, "Genre not found");
+
+// A name or alias identifies one genre per user → 400 (see checkNames)
+const checkGenreNames = (genre) => checkNames(Genre, genre, genreKeys(genre));
+
+/**
+ * Helper: checkParent
+ * -------------------
+ * The parent must be another of the user's genres → 404 "Genre not found", and cannot
+ * be the genre itself or one of its subgenres (at any depth) → 400.
+ */
+const checkParent = async (genre, parentId) =>
+	checkNesting(
+		Genre,
+		genre,
+		await findGenre(genre.addedBy, parentId),
+		"A genre cannot be nested under itself or one of its subgenres",
+	);
+
+/**
+ * Helper: countAlbums
+ * -------------------
+ * Counts the user's albums of each genre: Map of genre ID → { albumCount,
+ * totalAlbumCount }. albumCount counts the albums tagged with the genre's name or an
+ * alias (case-insensitive, like genre filters); totalAlbumCount also counts those of
+ * its subgenres, each album once.
+ */
+const countAlbums = async (userId, genres) => {
+	const albums = await Album.find({ addedBy: userId }, "genres").lean();
+	const children = childrenByParent(genres);
+
+	const namesOf = (genre) => [genre.name, ...genre.aliases].map((name) => name.toLowerCase());
+	const countTagged = (names) => {
+		const wanted = new Set(names);
+		return albums.filter((album) => album.genres.some((name) => wanted.has(name.toLowerCase())))
+			.length;
+	};
+
+	return new Map(
+		genres.map((genre) => [
+			genre._id.toString(),
+			{
+				albumCount: countTagged(namesOf(genre)),
+				totalAlbumCount: countTagged(subtree(genre, children).flatMap(namesOf)),
+			},
+		]),
+	);
+};
+
+/**
+ * Loads the user's genres by name, each with its album counts (see countAlbums).
+ */
+const genresWithCounts = async (userId) => {
+	const genres = await Genre.find({ addedBy: userId }, "-keys").sort({ name: 1 }).lean();
+	const counts = await countAlbums(userId, genres);
+
+	return genres.map((genre) => ({ ...genre, ...counts.get(genre._id.toString()) }));
+};
+
+/**
+ * Controller: getMyGenres
+ * -----------------------
+ * Lists the authenticated user's genres by name, each with its parent ID, albumCount
+ * and totalAlbumCount (subgenres included).
+ */
+const getMyGenres = async (req, res, next) => {
+	try {
+		const data = await genresWithCounts(req.user._id);
+
+		return sendResponse(res, 200, true, "Genres fetched successfully", data, {
+			count: data.length,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getGenreTree
+ * ------------------------
+ * Returns the user's genres as a tree: the top-level genres, each with its subgenres
+ * nested in children, sorted by name at every level.
+ */
+const getGenreTree = async (req, res, next) => {
+	try {
+		const genres = await genresWithCounts(req.user._id);
+		const tree = nestGenres(
+			genres,
+			(genre) => genre._id.toString(),
+			(genre) => genre.parent?.toString(),
+		);
+
+		return sendResponse(res, 200, true, "Genre tree fetched successfully", tree, {
+			count: genres.length,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Helper: buildProposal
+ * ---------------------
+ * Proposes a genre tree from the genres of the user's albums (see proposeGenreTree)
+ * and marks the proposed genres that already exist (by name or alias).
+ */
+const buildProposal = async (userId) => {
+	const [albums, existing] = await Promise.all([
+		Album.find({ addedBy: userId }, "genres").lean(),
+		Genre.find({ addedBy: userId }, "name keys"),
+	]);
+	const known = new Map(existing.flatMap((genre) => genre.keys.map((key) => [key, genre])));
+
+	return proposeGenreTree(albums).map((genre) => ({
+		...genre,
+		existing: known.get(genre.key) ?? null,
+	}));
+};
+
+/**
+ * Controller: getGenreProposal
+ * ----------------------------
+ * Proposes a genre tree built from the genres of the user's albums, without saving it.
+ *
+ * Workflow:
+ * 1. Groups spellings of the same genre, then places genres under the genre their name
+ *    ends with ("Dub Techno" under "Techno") or, failing that, under the broader genre
+ *    most of their albums also carry ("IDM" under "Electronic"); see proposeGenreTree.
+ * 2. Returns 200 with the proposed tree: every node has name, aliases, albumCount,
+ *    reason ("name", "albums" or null for top-level genres), existing (true when the
+ *    genre is already in the user's tree) and children.
+ *
+ * Notes:
+ * - POST /genres/proposal saves it; the tree can then be edited genre by genre.
+ */
+const getGenreProposal = async (req, res, next) => {
+	try {
+		const proposal = await buildProposal(req.user._id);
+		const tree = nestGenres(
+			proposal.map(({ existing, ...genre }) => ({ ...genre, existing: Boolean(existing) })),
+			(genre) => genre.key,
+			(genre) => genre.parent,
+		);
+
+		return sendResponse(res, 200, true, "Genre tree proposed successfully", tree, {
+			count: proposal.length,
+			new: proposal.filter((genre) => !genre.existing).length,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: applyGenreProposal
+ * ------------------------------
+ * Saves the proposed genre tree (see getGenreProposal).
+ *
+ * Workflow:
+ * 1. Builds the proposal from the user's albums.
+ * 2. Creates the proposed genres the user does not have yet, with their aliases, under
+ *    their proposed parent (an existing or a new genre).
+ * 3. Returns 201 with the created genres and meta { created, skipped }.
+ *
+ * Notes:
+ * - Genres already in the tree are left as they are, parent included, so running it
+ *   again only adds the genres of albums tagged since.
+ */
+const applyGenreProposal = async (req, res, next) => {
+	try {
+		const proposal = await buildProposal(req.user._id);
+		const fresh = proposal.filter((genre) => !genre.existing);
+
+		const byKey = new Map(proposal.map((genre) => [genre.key, genre.existing]));
+		for (const genre of fresh) {
+			byKey.set(
+				genre.key,
+				new Genre({ name: genre.name, aliases: genre.aliases, addedBy: req.user._id }),
+			);
+		}
+
+		const created = [];
+		for (const genre of fresh) {
+			const doc = byKey.get(genre.key);
+			doc.parent = genre.parent ? byKey.get(genre.parent)._id : undefined;
+			created.push(await doc.save());
+		}
+
+		return sendResponse(res, 201, true, "Genre tree created successfully", created, {
+			created: created.length,
+			skipped: proposal.length - created.length,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getGenreById
+ * ------------------------
+ * Returns one of the user's genres → 404 "Genre not found", with:
+ * - ancestors: its parent, the parent's parent… from the top-level genre down
+ *   ({ _id, name })
+ * - children: its direct subgenres ({ _id, name })
+ * - albumCount and totalAlbumCount (subgenres included)
+ */
+const getGenreById = async (req, res, next) => {
+	try {
+		const genre = await findGenre(req.user._id, req.params.id);
+		const [ancestors, genres] = await Promise.all([
+			ancestorsOf(Genre, genre),
+			Genre.find({ addedBy: req.user._id }, "name aliases parent").lean(),
+		]);
+		const counts = await countAlbums(req.user._id, genres);
+
+		return sendResponse(res, 200, true, "Genre fetched successfully", {
+			genre,
+			ancestors: ancestors.map(({ _id, name }) => ({ _id, name })),
+			children: genres
+				.filter((other) => other.parent?.equals(genre._id))
+				.map(({ _id, name }) => ({ _id, name }))
+				.sort((a, b) => a.name.localeCompare(b.name)),
+			...counts.get(genre._id.toString()),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: createGenre
+ * -----------------------
+ * Adds a genre to the user's tree.
+ *
+ * Workflow:
+ * 1. Checks no other genre uses the name or aliases (see checkGenreNames) → 400.
+ * 2. When a parent is sent, checks it is one of the user's genres → 404.
+ * 3. Returns 201 with the new genre.
+ */
+const createGenre = async (req, res, next) => {
+	try {
+		const { name, aliases = [], parent } = req.body;
+		const genre = new Genre({ name, aliases, addedBy: req.user._id });
+
+		await checkGenreNames(genre);
+		if (parent) {
+			await checkParent(genre, parent);
+			genre.parent = parent;
+		}
+
+		await genre.save();
+
+		return sendResponse(res, 201, true, "Genre created successfully", genre);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: updateGenre
+ * -----------------------
+ * Updates the name, aliases or parent of a genre.
+ *
+ * Workflow:
+ * 1. Loads the genre → 404 "Genre not found".
+ * 2. When the name or aliases change, checks no other genre uses them → 400.
+ * 3. When a parent is sent, checks it (see checkParent) → 404 / 400; null makes the
+ *    genre top-level.
+ * 4. Returns 200 with the updated genre.
+ *
+ * Notes:
+ * - Album genres are not renamed: a renamed genre keeps its old name as an alias, so
+ *   albums tagged with it still belong here.
+ */
+const updateGenre = async (req, res, next) => {
+	try {
+		const genre = await findGenre(req.user._id, req.params.id);
+		const { name, aliases, parent } = req.body;
+		const previousName = genre.name;
+
+		if (aliases !== undefined) genre.aliases = aliases;
+		if (name !== undefined && name !== previousName) {
+			genre.name = name;
+			genre.aliases = [...genre.aliases, previousName];
+		}
+		if (parent !== undefined) {
+			if (parent !== null) await checkParent(genre, parent);
+			genre.parent = parent;
+		}
+
+		if (genre.isModified("name") || genre.isModified("aliases")) {
+			await checkGenreNames(genre);
+		}
+
+		await genre.save();
+
+		return sendResponse(res, 200, true, "Genre updated successfully", genre);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: deleteGenre
+ * -----------------------
+ * Deletes one of the user's genres → 404 if not found. Its subgenres move up to its
+ * parent (or become top-level); albums keep their genres.
+ */
+const deleteGenre = async (req, res, next) => {
+	try {
+		const genre = await findGenre(req.user._id, req.params.id);
+
+		await Genre.updateMany(
+			{ parent: genre._id },
+			genre.parent ? { parent: genre.parent } : { $unset: { parent: 1 } },
+		);
+		await genre.deleteOne();
+
+		return sendResponse(res, 200, true, "Genre deleted successfully", genre);
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = {
+	getMyGenres,
+	getGenreTree,
+	getGenreProposal,
+	applyGenreProposal,
+	getGenreById,
+	createGenre,
+	updateGenre,
+	deleteGenre,
+};
@@ -0,0 +1,338 @@
+const Album = require("../models/album.model");
+const { sendResponse } = require("../../utils/sendResponse");
+const { createError } = require("../../utils/createError");
+const { splitList } = require("../../utils/albumQuery");
+const { canonicalType } = require("../../utils/connectionTypes");
+const {
+	collectEdges,
+	buildAdjacency,
+	neighbourhood,
+	shortestPath,
+	connectedComponents,
+	degreeCentrality,
+	betweennessCentrality,
+	pageRank,
+	louvainCommunities,
+} = require("../../utils/albumGraph");
+
+/**
+ * Loads the user's albums with the fields needed for graph queries and
+ * returns them indexed by ID together with the graph edges.
+ * Edges carry active labels only (see collectEdges), which is why `types`
+ * filters are passed through canonicalType.
+ */
+const loadGraph = async (userId) => {
+	const albums = await Album.find(
+		{ addedBy: userId },
+		"title artists format coverArtUrl releaseDate genres dimensions connections",
+	).lean();
+
+	const albumsById = new Map(albums.map((album) => [album._id.toString(), album]));
+
+	return { albums, albumsById, edges: collectEdges(albums) };
+};
+
+/**
+ * Shapes an album into the node summary returned by graph queries.
+ */
+const toNode = (album) => ({
+	id: album._id,
+	label: album.title,
+	artists: album.artists,
+	format: album.format,
+	coverArtUrl: album.coverArtUrl,
+	releaseDate: album.releaseDate,
+});
+
+const toEdge = (edge) => ({
+	id: edge.id,
+	source: edge.source,
+	target: edge.target,
+	type: edge.type,
+	note: edge.note,
+	strength: edge.strength,
+	weight: edge.weight,
+	createdAt: edge.createdAt,
+	discoveredOn: edge.discoveredOn,
+});
+
+/**
+ * Controller: getAlbumNeighbourhood
+ * ---------------------------------
+ * Returns the albums reachable from an album within N hops, and the connections between them.
+ *
+ * Query parameters (validated by neighbourhoodValidations):
+ * - depth: number of hops, 1–5 (default 1)
+ * - types: comma-separated connection types to follow (default: all)
+ * - minStrength: only follow connections at least this strong, 1–5 (unrated ones count as 3)
+ * - direction: out (follow connections), in (follow backlinks) or both (default)
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Loads the user's graph and walks it breadth-first from req.album.
+ * 3. Returns 200 with { center, depth, nodes, edges }: every node carries its hop
+ *    distance, and edges are all connections matching types and minStrength between
+ *    two returned nodes, with their weight.
+ */
+const getAlbumNeighbourhood = async (req, res, next) => {
+	try {
+		const depth = Number(req.query.depth) || 1;
+		const types = splitList(req.query.types).map(canonicalType);
+		const minWeight = Number(req.query.minStrength) || 0;
+		const direction = req.query.direction || "both";
+		const center = req.album._id.toString();
+
+		const { albumsById, edges } = await loadGraph(req.user._id);
+		const adjacency = buildAdjacency(edges, { types, minWeight, direction });
+		const distances = neighbourhood(adjacency, center, depth);
+
+		const nodes = [...distances].map(([id, distance]) => ({
+			...toNode(albumsById.get(id)),
+			distance,
+		}));
+		const subgraphEdges = edges
+			.filter((edge) => !types.length || types.includes(edge.type))
+			.filter((edge) => edge.weight >= minWeight)
+			.filter((edge) => distances.has(edge.source) && distances.has(edge.target))
+			.map(toEdge);
+
+		return sendResponse(res, 200, true, "Album neighbourhood fetched successfully", {
+			center,
+			depth,
+			nodes,
+			edges: subgraphEdges,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getShortestPath
+ * ---------------------------
+ * Finds the strongest chain of connections between two of the user's albums.
+ *
+ * Query parameters (validated by shortestPathValidations):
+ * - from, to: album IDs (required)
+ * - types: comma-separated connection types allowed on the path (default: all)
+ * - minStrength: weakest connection allowed on the path, 1–5 (unrated ones count as 3)
+ * - directed: "true" to only follow connections from source to target; by default
+ *   connections can be walked both ways
+ *
+ * Workflow:
+ * 1. Loads the user's graph → 404 if either album is not in the user's collection.
+ * 2. Runs Dijkstra from `from` to `to`, each connection costing 1 / strength, so strong
+ *    links are preferred and, with equal strengths, the fewest hops win.
+ * 3. Returns 200 with { found, length, cost, nodes, steps }. Each step carries the connection
+ *    type, note and strength, and direction "forward" (from → to) or "backward" when the
+ *    connection was walked against its direction.
+ * 4. Returns 200 with found: false when the albums are not connected.
+ */
+const getShortestPath = async (req, res, next) => {
+	try {
+		const { from, to } = req.query;
+		const types = splitList(req.query.types).map(canonicalType);
+		const directed = req.query.directed === "true";
+
+		const { albumsById, edges } = await loadGraph(req.user._id);
+
+		if (!albumsById.has(from) || !albumsById.has(to)) {
+			throw createError(404, "Album not found");
+		}
+
+		const adjacency = buildAdjacency(edges, {
+			types,
+			minWeight: Number(req.query.minStrength) || 0,
+			direction: directed ? "out" : "both",
+		});
+		const path = shortestPath(adjacency, from, to);
+
+		if (!path) {
+			return sendResponse(res, 200, true, "No path found between these albums", {
+				found: false,
+			});
+		}
+
+		const nodeIds = [from, ...path.map((step) => step.to)];
+
+		return sendResponse(res, 200, true, "Shortest path fetched successfully", {
+			found: true,
+			length: path.length,
+			cost: path.reduce((total, step) => total + 1 / step.edge.weight, 0),
+			nodes: nodeIds.map((id) => toNode(albumsById.get(id))),
+			steps: path.map((step) => ({
+				from: step.from,
+				to: step.to,
+				connectionId: step.edge.id,
+				type: step.edge.type,
+				note: step.edge.note,
+				strength: step.edge.strength,
+				direction: step.reversed ? "backward" : "forward",
+			})),
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getGraphComponents
+ * ------------------------------
+ * Splits the user's album graph into connected components.
+ *
+ * Workflow:
+ * 1. Loads the user's graph and computes weakly connected components
+ *    (connection direction is ignored).
+ * 2. Returns 200 with:
+ *    - components: groups of two or more connected albums, largest first,
+ *      each with its size, albums and number of connections;
+ *    - isolated: albums with no incoming or outgoing connections.
+ */
+const getGraphComponents = async (req, res, next) => {
+	try {
+		const { albums, albumsById, edges } = await loadGraph(req.user._id);
+
+		const groups = connectedComponents(
+			albums.map((album) => album._id.toString()),
+			edges,
+		);
+
+		const components = groups
+			.filter((group) => group.length > 1)
+			.map((group) => {
+				const members = new Set(group);
+				return {
+					size: group.length,
+					edgeCount: edges.filter((edge) => members.has(edge.source)).length,
+					albums: group.map((id) => toNode(albumsById.get(id))),
+				};
+			});
+
+		const isolated = groups
+			.filter((group) => group.length === 1)
+			.map(([id]) => toNode(albumsById.get(id)));
+
+		return sendResponse(res, 200, true, "Graph components fetched successfully", {
+			components,
+			isolated,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Counts the values of an array field across albums and returns the most common ones.
+ */
+const dominantValues = (albums, getValues, limit = 3) => {
+	const counts = new Map();
+	for (const album of albums) {
+		for (const value of new Set(getValues(album) || [])) {
+			counts.set(value, (counts.get(value) || 0) + 1);
+		}
+	}
+
+	return [...counts]
+		.map(([value, count]) => ({ value, count }))
+		.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+		.slice(0, limit);
+};
+
+/**
+ * Controller: getGraphAnalytics
+ * -----------------------------
+ * Finds the hubs and clusters of the user's album graph.
+ *
+ * Query parameters (validated by graphAnalyticsValidations):
+ * - sort: pagerank (default), betweenness or degree — ranking used for `albums`
+ * - limit: number of ranked albums returned, 1–100 (default 20)
+ * - types: comma-separated connection types to include (default: all)
+ * - minStrength: weakest connection to include, 1–5 (unrated ones count as 3)
+ *
+ * Workflow:
+ * 1. Loads the user's graph and keeps the connections of the requested types and strength.
+ * 2. Computes per album:
+ *    - degree: incoming, outgoing and total connections, and the sum of their strengths (weighted);
+ *    - betweenness: share of shortest paths between other albums that pass through it (0–1);
+ *    - pagerank: importance from incoming connections, weighted by their strength and the
+ *      importance of their sources.
+ * 3. Detects communities with the Louvain method (strong connections pull albums together
+ *    harder) and summarises each one with its
+ *    dominant genres and emotional/sonic dimensions.
+ * 4. Returns 200 with { albumCount, connectionCount, albums, communities }.
+ *
+ * Notes:
+ * - Centrality and communities ignore connection direction, except PageRank and in/out degree.
+ * - Betweenness counts hops and ignores strength.
+ * - Albums without connections are not reported as communities.
+ */
+const getGraphAnalytics = async (req, res, next) => {
+	try {
+		const sort = req.query.sort || "pagerank";
+		const limit = Number(req.query.limit) || 20;
+		const types = splitList(req.query.types).map(canonicalType);
+
+		const { albums, albumsById, edges: allEdges } = await loadGraph(req.user._id);
+		const minWeight = Number(req.query.minStrength) || 0;
+		const edges = allEdges.filter(
+			(edge) => (!types.length || types.includes(edge.type)) && edge.weight >= minWeight,
+		);
+		const nodeIds = albums.map((album) => album._id.toString());
+
+		const degrees = degreeCentrality(nodeIds, edges);
+		const betweenness = betweennessCentrality(nodeIds, edges);
+		const ranks = pageRank(nodeIds, edges);
+
+		const communities = louvainCommunities(nodeIds, edges)
+			.filter((group) => group.length > 1)
+			.map((group, index) => {
+				const members = group.map((id) => albumsById.get(id));
+				return {
+					id: index + 1,
+					size: group.length,
+					dominantGenres: dominantValues(members, (album) => album.genres),
+					dominantEmotional: dominantValues(members, (album) => album.dimensions?.emotional),
+					dominantSonic: dominantValues(members, (album) => album.dimensions?.sonic),
+					albums: members.map(toNode),
+				};
+			});
+
+		const communityOf = new Map();
+		for (const community of communities) {
+			for (const album of community.albums) communityOf.set(album.id.toString(), community.id);
+		}
+
+		const sortValue = {
+			pagerank: (id) => ranks.get(id),
+			betweenness: (id) => betweenness.get(id),
+			degree: (id) => degrees.get(id).total,
+		}[sort];
+
+		const ranked = [...nodeIds]
+			.sort((a, b) => sortValue(b) - sortValue(a) || ranks.get(b) - ranks.get(a))
+			.slice(0, limit)
+			.map((id) => ({
+				...toNode(albumsById.get(id)),
+				degree: degrees.get(id),
+				betweenness: betweenness.get(id),
+				pagerank: ranks.get(id),
+				community: communityOf.get(id) ?? null,
+			}));
+
+		return sendResponse(res, 200, true, "Graph analytics fetched successfully", {
+			albumCount: nodeIds.length,
+			connectionCount: edges.length,
+			albums: ranked,
+			communities,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = {
+	getAlbumNeighbourhood,
+	getShortestPath,
+	getGraphComponents,
+	getGraphAnalytics,
+};
@@ -1,6 +1,9 @@
 const { parse } = require("csv-parse/sync");
 const Album = require("../models/album.model");
 const { sendResponse } = require("../../utils/sendResponse");
+const { parseDuration } = require("../../utils/tracklist");
+const { canonicalArtistNames, linkArtists } = require("../../utils/artistLinks");
+const { linkLabels } = require("../../utils/labelLinks");
 
 const VALID_FORMATS = [
 	"LP",
@@ -78,6 +81,7 @@ const mapRowToAlbum = (row) => {
 	const formatRaw = row["Format"]?.trim();
 	const ratingRaw = row["Rating"]?.trim();
 	const favouriteRaw = row["Favourite"]?.trim().toLowerCase();
+	const tracksRaw = row["Tracks"]?.trim();
 
 	return {
 		title: (row["Title"] || row["Name"] || "").trim(),
@@ -94,6 +98,9 @@ const mapRowToAlbum = (row) => {
 		externalUrl: row["URL"]?.trim() || undefined,
 		rating: ratingRaw && !Number.isNaN(Number(ratingRaw)) ? Number(ratingRaw) : undefined,
 		favourite: favouriteRaw === "yes" || favouriteRaw === "true" || favouriteRaw === "checked",
+		// Only the totals travel in the CSV; the tracklist itself is not exported
+		trackCount: /^\d+$/.test(tracksRaw || "") ? Number(tracksRaw) : undefined,
+		totalDuration: parseDuration(row["Duration"]) ?? undefined,
 	};
 };
 
@@ -110,7 +117,7 @@ const mapRowToAlbum = (row) => {
  * 2. Maps each row to the Album schema (handling Notion-specific formats)
  * 3. Skips rows missing title or release date
  * 4. Skips albums already in the user's collection (same title + artist)
- * 5. Bulk inserts valid albums
+ * 5. Inserts valid albums, linked to the user's artists and labels (created when missing)
  * 6. Returns a summary: imported, skipped, errors
  *
  * Notes:
@@ -119,6 +126,9 @@ const mapRowToAlbum = (row) => {
  *   in the schema) still falls back into `tags`.
  * - dimensions and listeningContext are not populated on import — Notion has
  *   no equivalent columns for them; they remain unset until edited manually.
+ * - "Tracks" (track count) and "Duration" (total, seconds or "m:ss"/"h:mm:ss"), as
+ *   written by the CSV export, set trackCount and totalDuration. They are replaced by
+ *   the tracklist's own totals once tracks are added.
  */
 const importAlbums = async (req, res, next) => {
 	try {
@@ -160,6 +170,9 @@ const importAlbums = async (req, res, next) => {
 
 			// releaseDate is optional — albums without date are imported without it
 
+			// "Bjork" in the CSV is the user's "Björk" (see utils/artistLinks)
+			mapped.artists = await canonicalArtistNames(addedBy, mapped.artists);
+
 			// Duplicate check (escape special regex chars in title)
 			const normalizedTitle = mapped.title.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 			const duplicateQuery = {
@@ -192,6 +205,10 @@ const importAlbums = async (req, res, next) => {
 
 			try {
 				const album = new Album({ ...mapped, addedBy });
+				// Validated before linking, so a rejected row leaves no new artists or labels
+				await album.validate();
+				await linkArtists(album);
+				await linkLabels(album);
 				const saved = await album.save();
 				imported.push({ id: saved._id, title: saved.title });
 			} catch (err) {
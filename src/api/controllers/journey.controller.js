@@ -0,0 +1,272 @@
+const Album = require("../models/album.model");
+const Journey = require("../models/journey.model");
+const { sendResponse } = require("../../utils/sendResponse");
+const { createError } = require("../../utils/createError");
+const { collectEdges } = require("../../utils/albumGraph");
+
+const STEP_ALBUM_FIELDS = "title artists releaseDate coverArtUrl";
+
+const albumIdOf = (step) => String(step.album?._id ?? step.album);
+
+/**
+ * Helper: loadStepEdges
+ * ---------------------
+ * Loads the connections between the albums of a journey.
+ *
+ * Returns { found, edges }: the IDs of the steps' albums that belong to the user,
+ * and the graph edges between them (see collectEdges).
+ */
+const loadStepEdges = async (userId, steps) => {
+	const ids = [...new Set(steps.map(albumIdOf))];
+	const albums = await Album.find({ _id: { $in: ids }, addedBy: userId }, "connections").lean();
+
+	return {
+		found: new Set(albums.map((album) => album._id.toString())),
+		edges: collectEdges(albums),
+	};
+};
+
+/**
+ * Finds the edge linking two albums, in either direction.
+ */
+const findStepEdge = (edges, from, to) =>
+	edges.find(
+		(edge) =>
+			(edge.source === from && edge.target === to) || (edge.source === to && edge.target === from),
+	);
+
+/**
+ * Helper: checkSteps
+ * ------------------
+ * Validates the steps of a journey before it is saved.
+ *
+ * Workflow:
+ * 1. Every step must be one of the user's albums → 400 otherwise.
+ * 2. When strict, every pair of consecutive steps must be linked by a connection
+ *    (any type, either direction) → 400 listing the unconnected pairs otherwise.
+ */
+const checkSteps = async (userId, steps, strict) => {
+	const { found, edges } = await loadStepEdges(userId, steps);
+
+	const missing = steps.map(albumIdOf).filter((id) => !found.has(id));
+	if (missing.length) {
+		throw createError(
+			400,
+			`Albums not found in your collection: ${[...new Set(missing)].join(", ")}`,
+		);
+	}
+
+	if (!strict) return;
+
+	const gaps = [];
+	for (let i = 1; i < steps.length; i++) {
+		if (!findStepEdge(edges, albumIdOf(steps[i - 1]), albumIdOf(steps[i]))) {
+			gaps.push(`${i} → ${i + 1}`);
+		}
+	}
+
+	if (gaps.length) {
+		throw createError(400, `Steps are not connected: ${gaps.join(", ")}`);
+	}
+};
+
+/**
+ * Helper: toJourneyResponse
+ * -------------------------
+ * Populates the steps' albums and adds to every step after the first the connection
+ * that leads to it from the previous step: { id, type, note, strength, direction },
+ * where direction is "forward" when the connection goes from the previous album to
+ * this one. It is null when the two albums are not connected.
+ */
+const toJourneyResponse = async (journey) => {
+	await journey.populate("steps.album", STEP_ALBUM_FIELDS);
+	const { edges } = await loadStepEdges(journey.addedBy, journey.steps);
+
+	const data = journey.toObject();
+	data.steps = data.steps.map((step, i) => {
+		if (i === 0) return { ...step, connection: null };
+
+		const from = albumIdOf(data.steps[i - 1]);
+		const edge = findStepEdge(edges, from, albumIdOf(step));
+
+		return {
+			...step,
+			connection: edge
+				? {
+						id: edge.id,
+						type: edge.type,
+						note: edge.note,
+						strength: edge.strength,
+						direction: edge.source === from ? "forward" : "backward",
+					}
+				: null,
+		};
+	});
+
+	return data;
+};
+
+/**
+ * Controller: getMyJourneys
+ * -------------------------
+ * Lists the authenticated user's journeys, most recently updated first.
+ *
+ * Notes:
+ * - Step albums are populated with a short summary; use getJourneyById for the
+ *   connections between steps.
+ */
+const getMyJourneys = async (req, res, next) => {
+	try {
+		const journeys = await Journey.find({ addedBy: req.user._id })
+			.sort({ updatedAt: -1 })
+			.populate("steps.album", STEP_ALBUM_FIELDS);
+
+		return sendResponse(res, 200, true, "Journeys fetched successfully", journeys);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getJourneyById
+ * --------------------------
+ * Returns one of the user's journeys with its steps and the connection behind each step.
+ *
+ * Workflow:
+ * 1. Finds the journey by ID and owner → 404 if not found.
+ * 2. Returns 200 with the journey (see toJourneyResponse).
+ */
+const getJourneyById = async (req, res, next) => {
+	try {
+		const journey = await Journey.findOne({ _id: req.params.id, addedBy: req.user._id });
+
+		if (!journey) {
+			throw createError(404, "Journey not found");
+		}
+
+		return sendResponse(
+			res,
+			200,
+			true,
+			"Journey fetched successfully",
+			await toJourneyResponse(journey),
+		);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: postJourney
+ * -----------------------
+ * Creates a journey: an ordered, titled sequence of the user's albums.
+ *
+ * Expected input (req.body):
+ * - title: string (required)
+ * - description: string (optional)
+ * - steps: [{ album, note }] (required, at least one step)
+ * - strict: boolean (optional) — require a connection between consecutive steps
+ *
+ * Workflow:
+ * 1. Validates the steps (see checkSteps) → 400 on unknown albums or, when strict,
+ *    unconnected steps.
+ * 2. Saves the journey and returns 201 with it.
+ */
+const postJourney = async (req, res, next) => {
+	try {
+		const { title, description, steps, strict = false } = req.body;
+
+		await checkSteps(req.user._id, steps, strict);
+
+		const journey = await Journey.create({
+			title,
+			description,
+			steps,
+			strict,
+			addedBy: req.user._id,
+		});
+
+		return sendResponse(
+			res,
+			201,
+			true,
+			"Journey created successfully",
+			await toJourneyResponse(journey),
+		);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: updateJourney
+ * -------------------------
+ * Updates the title, description, steps or strict flag of a journey.
+ *
+ * Workflow:
+ * 1. Finds the journey by ID and owner → 404 if not found.
+ * 2. When steps or strict change, validates the resulting steps (see checkSteps).
+ * 3. Saves and returns 200 with the updated journey.
+ *
+ * Notes:
+ * - steps replaces the whole sequence.
+ */
+const updateJourney = async (req, res, next) => {
+	try {
+		const journey = await Journey.findOne({ _id: req.params.id, addedBy: req.user._id });
+
+		if (!journey) {
+			throw createError(404, "Journey not found");
+		}
+
+		const { title, description, steps, strict } = req.body;
+
+		if (steps !== undefined || strict !== undefined) {
+			await checkSteps(req.user._id, steps ?? journey.steps, strict ?? journey.strict);
+		}
+
+		if (title !== undefined) journey.title = title;
+		if (description !== undefined) journey.description = description;
+		if (steps !== undefined) journey.steps = steps;
+		if (strict !== undefined) journey.strict = strict;
+
+		await journey.save();
+
+		return sendResponse(
+			res,
+			200,
+			true,
+			"Journey updated successfully",
+			await toJourneyResponse(journey),
+		);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: deleteJourney
+ * -------------------------
+ * Deletes one of the user's journeys → 404 if not found. The albums are untouched.
+ */
+const deleteJourney = async (req, res, next) => {
+	try {
+		const journey = await Journey.findOneAndDelete({ _id: req.params.id, addedBy: req.user._id });
+
+		if (!journey) {
+			throw createError(404, "Journey not found");
+		}
+
+		return sendResponse(res, 200, true, "Journey deleted successfully", journey);
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = {
+	getMyJourneys,
+	getJourneyById,
+	postJourney,
+	updateJourney,
+	deleteJourney,
+};
@@ -0,0 +1,292 @@
+const Label = require("../models/label.model");
+const Album = require("../models/album.model");
+const { sendResponse } = require("../../utils/sendResponse");
+const { createError } = require("../../utils/createError");
+const { nameKeys } = require("../../utils/artistNames");
+const { relinkAlbums, countAlbums } = require("../../utils/labelLinks");
+const { groupLabelVariants } = require("../../utils/labelNames");
+const {
+	findOwned,
+	checkNames,
+	ancestorsOf,
+	checkNesting,
+	absorbEntity,
+} = require("../../utils/namedEntities");
+const { topValues, releaseTime } = require("../../utils/albumStats");
+
+// Loads one of the user's labels → 404 "Label not found"
+const findLabel = (userId, labelId) => findOwned(Label, userId, labelId, "Label not found");
+
+/**
+ * Helper: checkParent
+ * -------------------
+ * The parent must be another of the user's labels → 404 "Label not found", and cannot
+ * be the label itself or one of its sublabels (at any depth) → 400.
+ */
+const checkParent = async (label, parentId) =>
+	checkNesting(
+		Label,
+		label,
+		await findLabel(label.addedBy, parentId),
+		"A label cannot be nested under itself or one of its sublabels",
+	);
+
+/**
+ * Controller: getMyLabels
+ * -----------------------
+ * Lists the authenticated user's labels by name, with the number of albums of each
+ * (albumCount).
+ */
+const getMyLabels = async (req, res, next) => {
+	try {
+		const [labels, albumCounts] = await Promise.all([
+			Label.find({ addedBy: req.user._id }, "-keys").sort({ name: 1 }).lean(),
+			countAlbums(req.user._id),
+		]);
+
+		const data = labels.map((label) => ({
+			...label,
+			albumCount: albumCounts.get(label._id.toString()) || 0,
+		}));
+
+		return sendResponse(res, 200, true, "Labels fetched successfully", data, {
+			count: data.length,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getLabelMergeSuggestions
+ * ------------------------------------
+ * Suggests labels to merge: the user's labels whose names only differ by a company
+ * suffix, such as "Warp" and "Warp Records" (see utils/labelNames).
+ *
+ * Workflow:
+ * 1. Groups the user's labels by name without suffixes.
+ * 2. Returns 200 with one entry per group: the labels with their albumCount, and
+ *    suggestedTarget, the label with the most albums (the shortest name on ties), to
+ *    merge the others into with POST /labels/:id/merge.
+ *
+ * Notes:
+ * - Nothing is merged here: a suffix sometimes tells two labels apart.
+ */
+const getLabelMergeSuggestions = async (req, res, next) => {
+	try {
+		const [labels, albumCounts] = await Promise.all([
+			Label.find({ addedBy: req.user._id }, "name").sort({ name: 1 }),
+			countAlbums(req.user._id),
+		]);
+
+		const suggestions = groupLabelVariants(labels).map((group) => {
+			const entries = group.map((label) => ({
+				_id: label._id,
+				name: label.name,
+				albumCount: albumCounts.get(label._id.toString()) || 0,
+			}));
+			const [target] = [...entries].sort(
+				(a, b) => b.albumCount - a.albumCount || a.name.length - b.name.length,
+			);
+
+			return { labels: entries, suggestedTarget: target._id };
+		});
+
+		return sendResponse(res, 200, true, "Merge suggestions fetched successfully", suggestions, {
+			count: suggestions.length,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getLabelById
+ * ------------------------
+ * Returns the page of one of the user's labels.
+ *
+ * Workflow:
+ * 1. Loads the label → 404 "Label not found".
+ * 2. Returns 200 with:
+ *    - label: the label, with its parent ({ _id, name }) populated
+ *    - sublabels: labels whose parent is this one ({ _id, name })
+ *    - albums: the user's albums on the label, oldest release first (undated last)
+ *    - stats: albumCount and the most frequent emotional and sonic dimensions, genres
+ *      and artists of those albums
+ */
+const getLabelById = async (req, res, next) => {
+	try {
+		const label = await findLabel(req.user._id, req.params.id);
+
+		const [albums, sublabels] = await Promise.all([
+			Album.find(
+				{ addedBy: req.user._id, labelIds: label._id },
+				"title artists releaseDate format coverArtUrl rating favourite dimensions genres",
+			),
+			Label.find({ addedBy: req.user._id, parent: label._id }, "name").sort({ name: 1 }),
+			label.populate("parent", "name"),
+		]);
+
+		albums.sort((a, b) => releaseTime(a) - releaseTime(b));
+
+		return sendResponse(res, 200, true, "Label fetched successfully", {
+			label,
+			sublabels,
+			albums: albums.map((album) => ({
+				_id: album._id,
+				title: album.title,
+				artists: album.artists,
+				releaseDate: album.releaseDate,
+				format: album.format,
+				coverArtUrl: album.coverArtUrl,
+				rating: album.rating,
+				favourite: album.favourite,
+			})),
+			stats: {
+				albumCount: albums.length,
+				dimensions: {
+					emotional: topValues(albums.flatMap((album) => album.dimensions?.emotional || [])),
+					sonic: topValues(albums.flatMap((album) => album.dimensions?.sonic || [])),
+				},
+				genres: topValues(albums.flatMap((album) => album.genres)),
+				artists: topValues(albums.flatMap((album) => album.artists)),
+			},
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: updateLabel
+ * -----------------------
+ * Updates the name, aliases, country, founding year, parent label or personal note of
+ * a label.
+ *
+ * Workflow:
+ * 1. Loads the label → 404 "Label not found".
+ * 2. When the name or aliases change, checks no other label uses them
+ *    (see checkNames in utils/namedEntities) → 400.
+ * 3. When a parent is sent, checks it (see checkParent); null removes the parent.
+ * 4. Saves the label; a new name is written to its albums' labels (see relinkAlbums).
+ * 5. Returns 200 with the updated label.
+ *
+ * Notes:
+ * - A renamed label keeps its old name as an alias, so albums typed with it still link
+ *   here.
+ */
+const updateLabel = async (req, res, next) => {
+	try {
+		const label = await findLabel(req.user._id, req.params.id);
+		const { name, aliases, country, foundedYear, parent, personalNote } = req.body;
+		const previousName = label.name;
+
+		if (aliases !== undefined) label.aliases = aliases;
+		if (name !== undefined && name !== previousName) {
+			label.name = name;
+			label.aliases = [...label.aliases, previousName];
+		}
+		if (country !== undefined) label.country = country;
+		if (foundedYear !== undefined) label.foundedYear = foundedYear;
+		if (parent !== undefined) {
+			if (parent !== null) await checkParent(label, parent);
+			label.parent = parent;
+		}
+		if (personalNote?.content !== undefined) label.personalNote.content = personalNote.content;
+
+		if (label.isModified("name") || label.isModified("aliases")) {
+			await checkNames(Label, label, nameKeys(label), "Merge the two labels instead");
+		}
+
+		await label.save();
+
+		if (label.name !== previousName) {
+			await relinkAlbums(label);
+		}
+
+		return sendResponse(res, 200, true, "Label updated successfully", label);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: mergeLabel
+ * ----------------------
+ * Merges another label (sourceId) into this one, e.g. "Warp Records" into "Warp".
+ *
+ * Workflow:
+ * 1. Loads both labels → 404 "Label not found"; 400 when they are the same.
+ * 2. Keeps the source's name and aliases as aliases, and its country, founding year
+ *    and note where this label has none (notes are appended otherwise).
+ * 3. Moves the source's albums (see relinkAlbums) and sublabels to this label, and
+ *    deletes the source. A label merged with one of its ancestors takes the
+ *    ancestor's place in the tree.
+ * 4. Returns 200 with the merged label and meta.albumsMoved.
+ */
+const mergeLabel = async (req, res, next) => {
+	try {
+		const label = await findLabel(req.user._id, req.params.id);
+		const source = await findLabel(req.user._id, req.body.sourceId);
+
+		if (label._id.equals(source._id)) {
+			throw createError(400, "A label cannot be merged into itself");
+		}
+
+		absorbEntity(label, source);
+		label.country ??= source.country;
+		label.foundedYear ??= source.foundedYear;
+		if ((await ancestorsOf(Label, label)).some((ancestor) => ancestor._id.equals(source._id))) {
+			label.parent = source.parent;
+		}
+
+		await label.save();
+		const albumsMoved = await relinkAlbums(label, [source._id]);
+		await Label.updateMany(
+			{ addedBy: req.user._id, parent: source._id, _id: { $ne: label._id } },
+			{ parent: label._id },
+		);
+		await source.deleteOne();
+
+		return sendResponse(res, 200, true, "Labels merged successfully", label, { albumsMoved });
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: deleteLabel
+ * -----------------------
+ * Deletes one of the user's labels → 404 if not found; 400 while albums still
+ * reference it (change their labels or merge the label first). Its sublabels are left
+ * without a parent.
+ */
+const deleteLabel = async (req, res, next) => {
+	try {
+		const label = await findLabel(req.user._id, req.params.id);
+		const albumCount = await Album.countDocuments({ labelIds: label._id });
+
+		if (albumCount) {
+			throw createError(
+				400,
+				`This label still has ${albumCount} album(s). Change their labels or merge it instead`,
+			);
+		}
+
+		await Label.updateMany({ parent: label._id }, { $unset: { parent: 1 } });
+		await label.deleteOne();
+
+		return sendResponse(res, 200, true, "Label deleted successfully", label);
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = {
+	getMyLabels,
+	getLabelMergeSuggestions,
+	getLabelById,
+	updateLabel,
+	mergeLabel,
+	deleteLabel,
+};
@@ -0,0 +1,151 @@
+const { sendResponse } = require("../../utils/sendResponse");
+const { createError } = require("../../utils/createError");
+const { sessionsFromContext } = require("../../utils/listeningLog");
+
+// Session fields that can be set through the API
+const LISTEN_FIELDS = ["listenedAt", "setting", "medium", "moodBefore", "moodAfter", "note"];
+
+/**
+ * Helper: findListen
+ * ------------------
+ * Returns the listening session of the album with the given ID → 404 when missing.
+ */
+const findListen = (album, listenId) => {
+	const listen = album.listens.id(listenId);
+
+	if (!listen) {
+		throw createError(404, "Listen not found");
+	}
+
+	return listen;
+};
+
+/**
+ * Helper: applyListenFields
+ * -------------------------
+ * Copies the session fields present in the body onto a session; null clears a field.
+ */
+const applyListenFields = (listen, body) => {
+	for (const field of LISTEN_FIELDS) {
+		if (body[field] !== undefined) {
+			listen[field] = body[field] ?? undefined;
+		}
+	}
+};
+
+/**
+ * Controller: getAlbumListens
+ * ---------------------------
+ * Returns the listening log of an album owned by the authenticated user.
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Returns 200 with the sessions, newest first, and meta { count, listeningContext }.
+ *
+ * Notes:
+ * - listeningContext.firstListen, lastListen and frequency are derived from the sessions.
+ */
+const getAlbumListens = async (req, res, next) => {
+	try {
+		const listens = [...req.album.listens].sort((a, b) => b.listenedAt - a.listenedAt);
+
+		return sendResponse(res, 200, true, "Listens fetched successfully", listens, {
+			count: listens.length,
+			listeningContext: req.album.listeningContext,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: addListen
+ * ---------------------
+ * Logs a listening session for an album owned by the authenticated user.
+ *
+ * Expected input (validated by addListenValidations):
+ * - listenedAt (optional, defaults to now; cannot be in the future)
+ * - setting, medium, moodBefore, moodAfter, note (optional)
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Appends the session and saves; the pre-save hook re-derives the listening context.
+ * 3. Returns 201 with the new session and meta.listeningContext.
+ *
+ * Notes:
+ * - On an album without sessions, the firstListen and lastListen it already carries
+ *   (entered before the listening log, or imported) are logged as sessions first, so
+ *   the new session does not replace them (see sessionsFromContext).
+ */
+const addListen = async (req, res, next) => {
+	try {
+		const album = req.album;
+		const listen = album.listens.create({});
+		applyListenFields(listen, req.body);
+
+		album.listens.push(...sessionsFromContext(album), listen);
+		await album.save();
+
+		return sendResponse(res, 201, true, "Listen added successfully", listen, {
+			listeningContext: album.listeningContext,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: updateListen
+ * ------------------------
+ * Edits a listening session of an album owned by the authenticated user.
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Finds the session → 404 "Listen not found".
+ * 3. Applies the fields sent and saves; the listening context is re-derived.
+ * 4. Returns 200 with the session and meta.listeningContext.
+ */
+const updateListen = async (req, res, next) => {
+	try {
+		const album = req.album;
+		const listen = findListen(album, req.params.listenId);
+		applyListenFields(listen, req.body);
+
+		await album.save();
+
+		return sendResponse(res, 200, true, "Listen updated successfully", listen, {
+			listeningContext: album.listeningContext,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: deleteListen
+ * ------------------------
+ * Removes a listening session of an album owned by the authenticated user.
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Finds the session → 404 "Listen not found".
+ * 3. Removes it and saves; the listening context is re-derived (and cleared
+ *    when the last session is removed).
+ * 4. Returns 200 with meta.listeningContext.
+ */
+const deleteListen = async (req, res, next) => {
+	try {
+		const album = req.album;
+		findListen(album, req.params.listenId).deleteOne();
+
+		await album.save();
+
+		return sendResponse(res, 200, true, "Listen deleted successfully", null, {
+			listeningContext: album.listeningContext,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = { getAlbumListens, addListen, updateListen, deleteListen };
@@ -0,0 +1,160 @@
+const NoteRevision = require("../models/noteRevision.model");
+const { sendResponse } = require("../../utils/sendResponse");
+const { createError } = require("../../utils/createError");
+const { diffLines } = require("../../utils/lineDiff");
+const { syncNoteLinks, snapshotConnections, syncMirrors } = require("../../utils/albumLinks");
+
+/**
+ * Helper: findRevision
+ * --------------------
+ * Loads a revision of the album's note → 404 "Revision not found" when it does not
+ * exist or belongs to another album.
+ */
+const findRevision = async (album, revisionId) => {
+	const revision = await NoteRevision.findOne({ _id: revisionId, album: album._id });
+
+	if (!revision) {
+		throw createError(404, "Revision not found");
+	}
+
+	return revision;
+};
+
+// Revision summary used in lists and diffs (without the content)
+const toSummary = (revision) => ({
+	_id: revision._id,
+	wordCount: revision.wordCount,
+	restoredFrom: revision.restoredFrom,
+	createdAt: revision.createdAt,
+});
+
+/**
+ * Controller: getNoteRevisions
+ * ----------------------------
+ * Lists the revisions of an album's personal note, newest first.
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Returns 200 with the revision summaries (_id, wordCount, restoredFrom, createdAt)
+ *    and meta.count; the newest revision is the current note.
+ *
+ * Notes:
+ * - A revision is stored every time the note content changes (album model save hooks).
+ * - Use getNoteRevision for the content of a revision.
+ */
+const getNoteRevisions = async (req, res, next) => {
+	try {
+		const revisions = await NoteRevision.find({ album: req.album._id }, "-content").sort({
+			createdAt: -1,
+			_id: -1,
+		});
+
+		const summaries = revisions.map(toSummary);
+
+		return sendResponse(res, 200, true, "Note revisions fetched successfully", summaries, {
+			count: summaries.length,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getNoteRevision
+ * ---------------------------
+ * Returns one revision of an album's personal note, with its content.
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Loads the revision → 404 "Revision not found".
+ * 3. Returns 200 with the revision.
+ */
+const getNoteRevision = async (req, res, next) => {
+	try {
+		const revision = await findRevision(req.album, req.params.revisionId);
+
+		return sendResponse(res, 200, true, "Note revision fetched successfully", revision);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getNoteDiff
+ * -----------------------
+ * Shows the line diff between two revisions of an album's personal note.
+ *
+ * Query parameters (validated by noteDiffValidations):
+ * - from: revision ID of the old text (required)
+ * - to: revision ID of the new text (default: the newest revision)
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Loads both revisions → 404 "Revision not found".
+ * 3. Diffs them line by line (utils/lineDiff).
+ * 4. Returns 200 with { from, to, stats, lines }: the two revision summaries, the number
+ *    of added/removed/unchanged lines and every line with its op (equal, removed, added)
+ *    and line numbers.
+ */
+const getNoteDiff = async (req, res, next) => {
+	try {
+		const from = await findRevision(req.album, req.query.from);
+		const to = req.query.to
+			? await findRevision(req.album, req.query.to)
+			: await NoteRevision.findOne({ album: req.album._id }).sort({ createdAt: -1, _id: -1 });
+
+		const { lines, stats } = diffLines(from.content, to.content);
+
+		return sendResponse(res, 200, true, "Note diff fetched successfully", {
+			from: toSummary(from),
+			to: toSummary(to),
+			stats,
+			lines,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: restoreNoteRevision
+ * -------------------------------
+ * Restores an old revision of an album's personal note.
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Loads the revision → 404 "Revision not found"; 400 when the note already has
+ *    that content.
+ * 3. Sets the note back to the revision's content, re-syncs its [[wikilinks]] with the
+ *    connections and saves. The restore is stored as a new revision with restoredFrom,
+ *    so no history is lost.
+ * 4. Applies connection changes to the other ends (syncMirrors).
+ * 5. Returns 200 with the album and meta.unresolvedLinks, like updateAlbum.
+ */
+const restoreNoteRevision = async (req, res, next) => {
+	try {
+		const album = req.album;
+		const revision = await findRevision(album, req.params.revisionId);
+
+		if ((album.personalNote?.content || "") === revision.content) {
+			throw createError(400, "The note already matches this revision");
+		}
+
+		const before = snapshotConnections(album);
+
+		album.personalNote.content = revision.content;
+		album.$locals.restoredFrom = revision._id;
+		const unresolvedLinks = await syncNoteLinks(album);
+
+		await album.save();
+		await syncMirrors(album, before);
+
+		return sendResponse(res, 200, true, "Note revision restored successfully", album, {
+			unresolvedLinks,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = { getNoteRevisions, getNoteRevision, getNoteDiff, restoreNoteRevision };
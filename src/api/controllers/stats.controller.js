@@ -0,0 +1,190 @@
+const Album = require("../models/album.model");
+const { sendResponse } = require("../../utils/sendResponse");
+const { buildYearReview, renderYearReviewHtml } = require("../../utils/yearReview");
+
+// $dateToString formats for the time buckets
+const PERIOD_FORMATS = { month: "%Y-%m", year: "%Y" };
+
+// Distributions reported over time, by album field
+const DISTRIBUTIONS = {
+	genres: "genres",
+	scenes: "scenes",
+	emotional: "dimensions.emotional",
+	sonic: "dimensions.sonic",
+};
+
+/**
+ * Helper: periodOf
+ * ----------------
+ * Expression for the time bucket ("2024-03" or "2024", UTC) of a date field.
+ */
+const periodOf = (path, interval) => ({
+	$dateToString: { format: PERIOD_FORMATS[interval], date: `$${path}` },
+});
+
+/**
+ * Helper: countPerPeriod
+ * ----------------------
+ * Pipeline counting documents per time bucket of a date field, oldest first:
+ * [{ period, count }]. Extra accumulators (e.g. a $sum of words) can be added.
+ */
+const countPerPeriod = (path, interval, extra = {}) => [
+	{ $match: { [path]: { $ne: null } } },
+	{ $group: { _id: periodOf(path, interval), count: { $sum: 1 }, ...extra } },
+	{ $sort: { _id: 1 } },
+	{ $addFields: { period: "$_id" } },
+	{ $project: { _id: 0 } },
+];
+
+/**
+ * Helper: distributionOverTime
+ * ----------------------------
+ * Pipeline for the most frequent values of an array field among the albums added
+ * in each time bucket: [{ period, values: [{ value, count }] }], oldest first.
+ */
+const distributionOverTime = (path, interval, limit) => [
+	{ $unwind: `$${path}` },
+	{ $match: { [path]: { $nin: [null, ""] } } },
+	{
+		$group: {
+			_id: { period: periodOf("createdAt", interval), value: `$${path}` },
+			count: { $sum: 1 },
+		},
+	},
+	{ $sort: { "_id.period": 1, count: -1, "_id.value": 1 } },
+	{ $group: { _id: "$_id.period", values: { $push: { value: "$_id.value", count: "$count" } } } },
+	{ $sort: { _id: 1 } },
+	{ $project: { _id: 0, period: "$_id", values: { $slice: ["$values", limit] } } },
+];
+
+/**
+ * Helper: averageRatingBy
+ * -----------------------
+ * Pipeline for the average rating (2 decimals) and number of rated albums per
+ * group key: [{ value, average, count }], sorted by value.
+ */
+const averageRatingBy = (key, match = {}) => [
+	{ $match: { rating: { $ne: null }, ...match } },
+	{ $group: { _id: key, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+	{ $sort: { _id: 1 } },
+	{ $project: { _id: 0, value: "$_id", average: { $round: ["$average", 2] }, count: 1 } },
+];
+
+/**
+ * Controller: getMyStats
+ * ----------------------
+ * Returns listening statistics and trends for the authenticated user's albums.
+ *
+ * Query parameters (validated by statsValidations):
+ * - interval: month (default) or year, the time bucket of distributions and activity
+ * - limit: values kept per bucket in each distribution, 1–50 (default 10)
+ *
+ * Workflow:
+ * 1. Runs a single aggregation over the user's albums with one $facet branch per statistic.
+ * 2. Returns 200 with:
+ *    - total: number of albums
+ *    - added: albums added per bucket (createdAt)
+ *    - distributions: genres, scenes, emotional and sonic values of the albums added in
+ *      each bucket, most frequent first
+ *    - ratings: average rating by decade (releaseDate) and by format
+ *    - listening: listeningContext.frequency counts (albums never listened are counted
+ *      as "unlogged") and listening sessions per bucket
+ *    - notes: notes last edited per bucket (personalNote.lastEdited) with their words
+ *
+ * Notes:
+ * - Buckets are UTC and only include periods with data.
+ */
+const getMyStats = async (req, res, next) => {
+	try {
+		const interval = req.query.interval || "month";
+		const limit = Number(req.query.limit) || 10;
+
+		const distributions = {};
+		for (const [name, path] of Object.entries(DISTRIBUTIONS)) {
+			distributions[name] = distributionOverTime(path, interval, limit);
+		}
+
+		const [result] = await Album.aggregate([
+			{ $match: { addedBy: req.user._id } },
+			{
+				$facet: {
+					total: [{ $count: "count" }],
+					added: countPerPeriod("createdAt", interval),
+					...distributions,
+					ratingsByDecade: averageRatingBy(
+						{ $multiply: [{ $floor: { $divide: [{ $year: "$releaseDate" }, 10] } }, 10] },
+						{ releaseDate: { $ne: null } },
+					),
+					ratingsByFormat: averageRatingBy("$format", { format: { $ne: null } }),
+					frequency: [
+						{
+							$group: {
+								_id: { $ifNull: ["$listeningContext.frequency", "unlogged"] },
+								count: { $sum: 1 },
+							},
+						},
+						{ $sort: { count: -1, _id: 1 } },
+						{ $project: { _id: 0, value: "$_id", count: 1 } },
+					],
+					listens: [{ $unwind: "$listens" }, ...countPerPeriod("listens.listenedAt", interval)],
+					notes: countPerPeriod("personalNote.lastEdited", interval, {
+						words: { $sum: "$personalNote.wordCount" },
+					}),
+				},
+			},
+		]);
+
+		return sendResponse(res, 200, true, "Stats fetched successfully", {
+			interval,
+			total: result.total[0]?.count || 0,
+			added: result.added,
+			distributions: Object.fromEntries(
+				Object.keys(DISTRIBUTIONS).map((name) => [name, result[name]]),
+			),
+			ratings: { byDecade: result.ratingsByDecade, byFormat: result.ratingsByFormat },
+			listening: { frequency: result.frequency, listens: result.listens },
+			notes: result.notes,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getYearReview
+ * -------------------------
+ * Returns the year in review of the authenticated user's library.
+ *
+ * Parameters (validated by reviewValidations):
+ * - year (path): calendar year, up to the current one
+ * - format (query): json (default) or html
+ *
+ * Workflow:
+ * 1. Loads all of the user's albums: listens, connections and first listens of older
+ *    albums count towards the year too.
+ * 2. Builds the review (see utils/yearReview): albums added, ratings, favourites,
+ *    listening sessions, connections created and the most frequent dimensions.
+ * 3. Returns 200 with the review as JSON, or as a standalone HTML page with format=html.
+ *
+ * Notes:
+ * - The album list uses the same fields as the CSV export (utils/albumExport).
+ */
+const getYearReview = async (req, res, next) => {
+	try {
+		const year = Number(req.params.year);
+		const albums = await Album.find({ addedBy: req.user._id });
+		const review = buildYearReview(albums, year);
+
+		if (req.query.format === "html") {
+			res.setHeader("Content-Type", "text/html; charset=utf-8");
+			res.setHeader("Content-Disposition", `inline; filename="craterra-${year}-review.html"`);
+			return res.send(renderYearReviewHtml(review, req.user));
+		}
+
+		return sendResponse(res, 200, true, "Year review fetched successfully", review);
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = { getMyStats, getYearReview };
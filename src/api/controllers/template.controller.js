@@ -0,0 +1,173 @@
+const NoteTemplate = require("../models/noteTemplate.model");
+const { sendResponse } = require("../../utils/sendResponse");
+const { createError } = require("../../utils/createError");
+const { escapeRegex } = require("../../utils/albumQuery");
+const { PLACEHOLDER_NAMES } = require("../../utils/noteTemplates");
+
+/**
+ * Helper: checkTemplateName
+ * -------------------------
+ * Template names are unique per user (case-insensitive) → 400 when the user already
+ * has another template with this name.
+ */
+const checkTemplateName = async (userId, name, excludeId) => {
+	const existing = await NoteTemplate.findOne({
+		addedBy: userId,
+		name: { $regex: new RegExp(`^${escapeRegex(name.trim())}$`, "i") },
+		...(excludeId && { _id: { $ne: excludeId } }),
+	});
+
+	if (existing) {
+		throw createError(400, "You already have a template with this name");
+	}
+};
+
+/**
+ * Helper: findTemplate
+ * --------------------
+ * Loads one of the user's templates → 404 "Template not found".
+ */
+const findTemplate = async (userId, templateId) => {
+	const template = await NoteTemplate.findOne({ _id: templateId, addedBy: userId });
+
+	if (!template) {
+		throw createError(404, "Template not found");
+	}
+
+	return template;
+};
+
+/**
+ * Controller: getMyTemplates
+ * --------------------------
+ * Lists the authenticated user's note templates, by name.
+ *
+ * Notes:
+ * - meta.placeholders lists the placeholders templates can use.
+ */
+const getMyTemplates = async (req, res, next) => {
+	try {
+		const templates = await NoteTemplate.find({ addedBy: req.user._id }).sort({ name: 1 });
+
+		return sendResponse(res, 200, true, "Templates fetched successfully", templates, {
+			count: templates.length,
+			placeholders: PLACEHOLDER_NAMES,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: getTemplateById
+ * ---------------------------
+ * Returns one of the user's note templates → 404 if not found.
+ */
+const getTemplateById = async (req, res, next) => {
+	try {
+		const template = await findTemplate(req.user._id, req.params.id);
+
+		return sendResponse(res, 200, true, "Template fetched successfully", template);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: postTemplate
+ * ------------------------
+ * Creates a note template for the authenticated user.
+ *
+ * Expected input (req.body):
+ * - name: string (required, unique per user)
+ * - description: string (optional)
+ * - content: Markdown with {{placeholders}} (required)
+ *
+ * Workflow:
+ * 1. Unknown placeholders are rejected by createTemplateValidations → 400.
+ * 2. Checks the name is not taken (see checkTemplateName).
+ * 3. Saves the template and returns 201 with it.
+ */
+const postTemplate = async (req, res, next) => {
+	try {
+		const { name, description, content } = req.body;
+
+		await checkTemplateName(req.user._id, name);
+
+		const template = await NoteTemplate.create({
+			name,
+			description,
+			content,
+			addedBy: req.user._id,
+		});
+
+		return sendResponse(res, 201, true, "Template created successfully", template);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: updateTemplate
+ * --------------------------
+ * Updates the name, description or content of a note template.
+ *
+ * Workflow:
+ * 1. Loads the template → 404 "Template not found".
+ * 2. When the name changes, checks it is not taken (see checkTemplateName).
+ * 3. Saves and returns 200 with the updated template.
+ *
+ * Notes:
+ * - Albums created from the template keep their notes: the template is only copied
+ *   into personalNote.content when the album is created.
+ */
+const updateTemplate = async (req, res, next) => {
+	try {
+		const template = await findTemplate(req.user._id, req.params.id);
+		const { name, description, content } = req.body;
+
+		if (name !== undefined) {
+			await checkTemplateName(req.user._id, name, template._id);
+			template.name = name;
+		}
+		if (description !== undefined) template.description = description;
+		if (content !== undefined) template.content = content;
+
+		await template.save();
+
+		return sendResponse(res, 200, true, "Template updated successfully", template);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: deleteTemplate
+ * --------------------------
+ * Deletes one of the user's note templates → 404 if not found. Notes written from it
+ * are untouched.
+ */
+const deleteTemplate = async (req, res, next) => {
+	try {
+		const template = await NoteTemplate.findOneAndDelete({
+			_id: req.params.id,
+			addedBy: req.user._id,
+		});
+
+		if (!template) {
+			throw createError(404, "Template not found");
+		}
+
+		return sendResponse(res, 200, true, "Template deleted successfully", template);
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = {
+	getMyTemplates,
+	getTemplateById,
+	postTemplate,
+	updateTemplate,
+	deleteTemplate,
+};
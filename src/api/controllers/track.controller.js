@@ -0,0 +1,223 @@
+const { sendResponse } = require("../../utils/sendResponse");
+const { createError } = require("../../utils/createError");
+const { numberTracks, duplicatePositions } = require("../../utils/tracklist");
+
+// Track fields that can be set through the API
+const TRACK_FIELDS = [
+	"disc",
+	"position",
+	"title",
+	"duration",
+	"featuredArtists",
+	"note",
+	"standout",
+];
+
+/**
+ * Helper: findTrack
+ * -----------------
+ * Returns the track of the album with the given ID → 404 when missing.
+ */
+const findTrack = (album, trackId) => {
+	const track = album.tracks.id(trackId);
+
+	if (!track) {
+		throw createError(404, "Track not found");
+	}
+
+	return track;
+};
+
+/**
+ * Helper: applyTrackFields
+ * ------------------------
+ * Copies the track fields present in the body onto a track; null clears a field.
+ */
+const applyTrackFields = (track, body) => {
+	for (const field of TRACK_FIELDS) {
+		if (body[field] !== undefined) {
+			track[field] = body[field] ?? undefined;
+		}
+	}
+};
+
+/**
+ * Helper: checkPositions
+ * ----------------------
+ * Every track needs its own place on the album → 400 listing the positions (e.g. "A3")
+ * used by more than one track.
+ */
+const checkPositions = (tracks) => {
+	const duplicates = duplicatePositions(tracks);
+
+	if (duplicates.length) {
+		throw createError(400, `Track positions already taken: ${duplicates.join(", ")}`);
+	}
+};
+
+// Totals returned with every tracklist change
+const tracklistMeta = (album) => ({
+	trackCount: album.trackCount,
+	totalDuration: album.totalDuration,
+});
+
+/**
+ * Controller: getAlbumTracks
+ * --------------------------
+ * Returns the tracklist of an album owned by the authenticated user.
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Returns 200 with the tracks in play order (disc/side, then position) and
+ *    meta { trackCount, totalDuration, standouts }.
+ *
+ * Notes:
+ * - trackCount and totalDuration (seconds) are derived from the tracks.
+ */
+const getAlbumTracks = async (req, res, next) => {
+	try {
+		const { tracks } = req.album;
+
+		return sendResponse(res, 200, true, "Tracks fetched successfully", tracks, {
+			...tracklistMeta(req.album),
+			standouts: tracks.filter((track) => track.standout).length,
+		});
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: addTrack
+ * --------------------
+ * Adds a track to an album owned by the authenticated user.
+ *
+ * Expected input (validated by addTrackValidations):
+ * - title (required)
+ * - disc, position, duration (seconds or "m:ss"), featuredArtists, note, standout (optional)
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Without a position, the track goes after the last track of its disc.
+ * 3. Checks the position is free (see checkPositions) → 400.
+ * 4. Saves; the pre-save hook sorts the tracklist and re-derives its totals.
+ * 5. Returns 201 with the new track and meta { trackCount, totalDuration }.
+ */
+const addTrack = async (req, res, next) => {
+	try {
+		const album = req.album;
+		const track = album.tracks.create({});
+		applyTrackFields(track, req.body);
+
+		if (!track.position) {
+			track.position = numberTracks([...album.tracks, { disc: track.disc }]).at(-1).position;
+		}
+
+		checkPositions([...album.tracks, track]);
+		album.tracks.push(track);
+		await album.save();
+
+		return sendResponse(res, 201, true, "Track added successfully", track, tracklistMeta(album));
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: replaceTracks
+ * -------------------------
+ * Replaces the whole tracklist of an album owned by the authenticated user, e.g. to
+ * enter it in one go.
+ *
+ * Expected input (validated by replaceTracksValidations):
+ * - tracks: array of tracks, in play order (an empty array clears the tracklist)
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Numbers the tracks sent without a position, after the last one of their disc.
+ * 3. Checks every position is used once (see checkPositions) → 400.
+ * 4. Saves and returns 200 with the tracklist and meta { trackCount, totalDuration }.
+ *
+ * Notes:
+ * - Tracks get new IDs; their notes and standout flags are the ones sent.
+ */
+const replaceTracks = async (req, res, next) => {
+	try {
+		const album = req.album;
+		const tracks = numberTracks(
+			req.body.tracks.map((body) => {
+				const track = {};
+				applyTrackFields(track, body);
+				return track;
+			}),
+		);
+
+		checkPositions(tracks);
+		album.tracks = tracks;
+		await album.save();
+
+		return sendResponse(
+			res,
+			200,
+			true,
+			"Tracks replaced successfully",
+			album.tracks,
+			tracklistMeta(album),
+		);
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: updateTrack
+ * -----------------------
+ * Edits a track of an album owned by the authenticated user.
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Finds the track → 404 "Track not found".
+ * 3. Applies the fields sent and checks the position is still free → 400.
+ * 4. Saves; the tracklist is re-sorted and its totals re-derived.
+ * 5. Returns 200 with the track and meta { trackCount, totalDuration }.
+ */
+const updateTrack = async (req, res, next) => {
+	try {
+		const album = req.album;
+		const track = findTrack(album, req.params.trackId);
+		applyTrackFields(track, req.body);
+
+		checkPositions(album.tracks);
+		await album.save();
+
+		return sendResponse(res, 200, true, "Track updated successfully", track, tracklistMeta(album));
+	} catch (error) {
+		next(error);
+	}
+};
+
+/**
+ * Controller: deleteTrack
+ * -----------------------
+ * Removes a track of an album owned by the authenticated user.
+ *
+ * Workflow:
+ * 1. Ownership check handled by isOwner middleware (req.album).
+ * 2. Finds the track → 404 "Track not found".
+ * 3. Removes it and saves; the other tracks keep their positions.
+ * 4. Returns 200 with meta { trackCount, totalDuration }.
+ */
+const deleteTrack = async (req, res, next) => {
+	try {
+		const album = req.album;
+		findTrack(album, req.params.trackId).deleteOne();
+
+		await album.save();
+
+		return sendResponse(res, 200, true, "Track deleted successfully", null, tracklistMeta(album));
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = { getAlbumTracks, addTrack, replaceTracks, updateTrack, deleteTrack };
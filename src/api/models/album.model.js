@@ -1,9 +1,32 @@
 const mongoose = require("mongoose");
+const { CONNECTION_TYPE_NAMES } = require("../../utils/connectionTypes");
+const { deriveListeningContext } = require("../../utils/listeningLog");
+const { readingTime } = require("../../utils/markdown");
+const { compareTracks, deriveTracklist } = require("../../utils/tracklist");
+const { CREDIT_ROLES } = require("../../utils/credits");
+const NoteRevision = require("./noteRevision.model");
+
+const EMOTIONAL_DIMENSIONS = [
+	"melancholic",
+	"euphoric",
+	"introspective",
+	"energetic",
+	"nostalgic",
+	"anxious",
+	"peaceful",
+	"rebellious",
+	"angry",
+	"joyful",
+	"contemplative",
+	"dreamy",
+];
 
 const albumSchema = new mongoose.Schema(
 	{
 		title: { type: String, required: true, trim: true },
 		artists: { type: [{ type: String, trim: true }], required: true },
+		// The Artist of each name in artists, same order (see utils/artistLinks)
+		artistIds: [{ type: mongoose.Types.ObjectId, ref: "Artist" }],
 		format: {
 			type: String,
 			enum: [
@@ -22,6 +45,8 @@ const albumSchema = new mongoose.Schema(
 		},
 		releaseDate: { type: Date },
 		labels: [{ type: String, trim: true }],
+		// The Label of each name in labels, same order (see utils/labelLinks)
+		labelIds: [{ type: mongoose.Types.ObjectId, ref: "Label" }],
 		genres: [{ type: String, trim: true }],
 		scenes: [{ type: String, trim: true }],
 		movements: [{ type: String, trim: true }],
@@ -31,27 +56,10 @@ const albumSchema = new mongoose.Schema(
 			content: { type: String, default: "" },
 			lastEdited: { type: Date },
 			wordCount: { type: Number, default: 0 },
+			readingTime: { type: Number, default: 0 },
 		},
 		dimensions: {
-			emotional: [
-				{
-					type: String,
-					enum: [
-						"melancholic",
-						"euphoric",
-						"introspective",
-						"energetic",
-						"nostalgic",
-						"anxious",
-						"peaceful",
-						"rebellious",
-						"angry",
-						"joyful",
-						"contemplative",
-						"dreamy",
-					],
-				},
-			],
+			emotional: [{ type: String, enum: EMOTIONAL_DIMENSIONS }],
 			sonic: [
 				{
 					type: String,
@@ -76,23 +84,61 @@ const albumSchema = new mongoose.Schema(
 		connections: [
 			{
 				album: { type: mongoose.Types.ObjectId, ref: "Album" },
-				type: {
+				// Symmetric or inverse semantics are declared in utils/connectionTypes
+				type: { type: String, enum: CONNECTION_TYPE_NAMES },
+				note: { type: String, trim: true },
+				// "note" connections are created from [[wikilinks]] and kept in sync with the note
+				origin: { type: String, enum: ["manual", "note"], default: "manual" },
+				// true when this is the other end of a connection created on the target album
+				mirror: { type: Boolean, default: false },
+				// How strong the link feels, 1 (faint) – 5 (defining); used as edge weight
+				strength: { type: Number, min: 1, max: 5 },
+				discoveredOn: { type: Date },
+				createdAt: { type: Date, default: Date.now },
+			},
+		],
+		// Who else worked on the album (see utils/credits)
+		credits: [
+			{
+				person: { type: String, required: true, trim: true },
+				role: { type: String, enum: CREDIT_ROLES, required: true },
+				// Labels of the tracks the credit covers ("3", "A3"); empty for the whole album
+				tracks: [{ type: String, trim: true }],
+			},
+		],
+		// Tracklist in play order (sorted on save); managed through /albums/:id/tracks
+		tracks: [
+			{
+				// Disc number or vinyl side ("1", "2", "A", "B"…); empty on single-disc albums
+				disc: { type: String, trim: true },
+				position: { type: Number, required: true, min: 1 },
+				title: { type: String, required: true, trim: true },
+				// Seconds
+				duration: { type: Number, min: 0 },
+				featuredArtists: [{ type: String, trim: true }],
+				note: { type: String, trim: true, maxlength: 1000 },
+				standout: { type: Boolean, default: false },
+			},
+		],
+		// Derived from tracks (pre-save hook); set directly only by the CSV import
+		trackCount: { type: Number, min: 0 },
+		totalDuration: { type: Number, min: 0 },
+		// One entry per listening session; managed through /albums/:id/listens
+		listens: [
+			{
+				listenedAt: { type: Date, required: true, default: Date.now },
+				setting: { type: String, trim: true },
+				medium: {
 					type: String,
-					enum: [
-						"influences",
-						"similar-to",
-						"contrasts-with",
-						"evokes",
-						"progression",
-						"thematic",
-						"discovered-through",
-						"samples",
-					],
+					enum: ["vinyl", "cd", "cassette", "digital", "streaming", "radio", "live", "other"],
 				},
-				note: { type: String, trim: true },
+				moodBefore: { type: String, enum: EMOTIONAL_DIMENSIONS },
+				moodAfter: { type: String, enum: EMOTIONAL_DIMENSIONS },
+				note: { type: String, trim: true, maxlength: 500 },
 			},
 		],
 		listeningContext: {
+			// firstListen, lastListen and frequency are derived from listens (pre-save hook)
 			firstListen: { type: Date },
 			lastListen: { type: Date },
 			frequency: {
@@ -113,18 +159,102 @@ const albumSchema = new mongoose.Schema(
 	},
 );
 
+albumSchema.index({ artistIds: 1 });
+albumSchema.index({ labelIds: 1 });
+
+// Text index backing full-text search. A collection can only have one text index,
+// so every searchable field lives here; weights rank title/artist hits above note hits.
+albumSchema.index(
+	{
+		title: "text",
+		artists: "text",
+		labels: "text",
+		tags: "text",
+		"personalNote.content": "text",
+	},
+	{
+		name: "album_text_search",
+		weights: { title: 10, artists: 8, labels: 3, tags: 3, "personalNote.content": 1 },
+	},
+);
+
 // Pre-save hook: Automatically executed before saving an album document
 albumSchema.pre("save", function (next) {
-	// Check if personal note content exists
-	if (this.personalNote.content) {
+	// Only recompute note metadata when the note content itself changed
+	if (this.isModified("personalNote.content")) {
+		const content = this.personalNote.content?.trim() || "";
+
 		// Calculate word count by splitting content by whitespace
 		// and store the result in the wordCount field
-		this.personalNote.wordCount = this.personalNote.content.split(/\s+/).length;
+		this.personalNote.wordCount = content ? content.split(/\s+/).length : 0;
+		this.personalNote.readingTime = readingTime(this.personalNote.wordCount);
+
+		// Stamp the edit, keeping an explicit lastEdited on new documents (e.g. seeds)
+		if (content && !(this.isNew && this.personalNote.lastEdited)) {
+			this.personalNote.lastEdited = new Date();
+		}
+
+		// Recorded as a revision once saved (new albums only when they have a note)
+		this.$locals.noteChanged = Boolean(content) || !this.isNew;
 	}
+
+	// Derive the listening context from the sessions. New albums without sessions keep
+	// the values they were created with (e.g. seeds)
+	if (this.isModified("listens") && (this.listens.length || !this.isNew)) {
+		Object.assign(this.listeningContext, deriveListeningContext(this.listens));
+	}
+
+	// Keep the tracklist in order and derive its totals. New albums without tracks keep
+	// the values they were created with (e.g. imports)
+	if (this.isModified("tracks") && (this.tracks.length || !this.isNew)) {
+		this.tracks.sort(compareTracks);
+		Object.assign(this, deriveTracklist(this.tracks));
+	}
+
 	// Continue with the save process
 	next();
 });
 
+// Post-init hook: remembers the stored note of loaded albums, so a note written before
+// revisions existed can be kept when it first changes (see the post-save hook)
+albumSchema.post("init", function () {
+	this.$locals.previousNote = {
+		content: this.personalNote?.content || "",
+		wordCount: this.personalNote?.wordCount || 0,
+		lastEdited: this.personalNote?.lastEdited,
+	};
+});
+
+// Post-save hook: stores every change of the note as a revision, so its history
+// can be listed, compared and restored (see note.controller)
+albumSchema.post("save", async function () {
+	if (!this.$locals.noteChanged) return;
+
+	const { restoredFrom, previousNote } = this.$locals;
+	this.$locals.noteChanged = false;
+	this.$locals.restoredFrom = undefined;
+	this.$locals.previousNote = undefined;
+
+	// A note that predates revisions becomes the first one, dated from its last edit
+	if (previousNote?.content && !(await NoteRevision.exists({ album: this._id }))) {
+		await NoteRevision.create({
+			album: this._id,
+			content: previousNote.content,
+			wordCount: previousNote.wordCount,
+			addedBy: this.addedBy,
+			createdAt: previousNote.lastEdited || this.createdAt,
+		});
+	}
+
+	await NoteRevision.create({
+		album: this._id,
+		content: this.personalNote?.content || "",
+		wordCount: this.personalNote?.wordCount || 0,
+		restoredFrom,
+		addedBy: this.addedBy,
+	});
+});
+
 const Album = mongoose.model("Album", albumSchema);
 
 module.exports = Album;
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const { nameKeys } = require("../../utils/artistNames");
+const { namedEntity } = require("../../utils/namedEntities");
+
+const artistSchema = new mongoose.Schema(
+	{
+		name: { type: String, required: true, trim: true },
+		// Other spellings of the name; albums typed with any of them link to this artist
+		aliases: [{ type: String, trim: true }],
+		// Normalised name and aliases (see namedEntity), used to match typed names
+		keys: [{ type: String }],
+		country: { type: String, trim: true },
+		activeYears: {
+			from: { type: Number, min: 1000 },
+			to: { type: Number, min: 1000 },
+		},
+		personalNote: {
+			content: { type: String, default: "" },
+			lastEdited: { type: Date },
+		},
+		addedBy: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+	},
+	{
+		timestamps: true,
+		versionKey: false,
+	},
+);
+
+artistSchema.index({ addedBy: 1, keys: 1 });
+
+// Keeps the matching keys in sync with the name and aliases, and stamps note edits
+artistSchema.plugin(namedEntity, { keysOf: nameKeys });
+
+const Artist = mongoose.model("Artist", artistSchema);
+
+module.exports = Artist;
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+const collectionSchema = new mongoose.Schema(
+	{
+		name: { type: String, required: true, trim: true },
+		description: { type: String, trim: true },
+		coverUrl: { type: String },
+		coverId: { type: String },
+		// Ordered: the position in the array is the position in the collection
+		items: [
+			{
+				album: { type: mongoose.Types.ObjectId, ref: "Album", required: true },
+				note: { type: String, trim: true },
+				addedAt: { type: Date, default: Date.now },
+			},
+		],
+		// Smart collections store album list filters instead of items; their albums are
+		// whatever matches the filter when the collection is read
+		filter: { type: mongoose.Schema.Types.Mixed },
+		addedBy: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+	},
+	{
+		timestamps: true,
+		versionKey: false,
+	},
+);
+
+const Collection = mongoose.model("Collection", collectionSchema);
+
+module.exports = Collection;
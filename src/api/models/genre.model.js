@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const { genreKeys } = require("../../utils/genreNames");
+const { namedEntity } = require("../../utils/namedEntities");
+
+const genreSchema = new mongoose.Schema(
+	{
+		name: { type: String, required: true, trim: true },
+		// Other spellings of the name; album genres typed with any of them belong here
+		aliases: [{ type: String, trim: true }],
+		// Normalised name and aliases (see namedEntity), used to match typed names
+		keys: [{ type: String }],
+		// Broader genre this one belongs to, e.g. Electronic for IDM
+		parent: { type: mongoose.Types.ObjectId, ref: "Genre" },
+		addedBy: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+	},
+	{
+		timestamps: true,
+		versionKey: false,
+	},
+);
+
+genreSchema.index({ addedBy: 1, keys: 1 });
+
+// Keeps the matching keys in sync with the name and aliases
+genreSchema.plugin(namedEntity, { keysOf: genreKeys });
+
+const Genre = mongoose.model("Genre", genreSchema);
+
+module.exports = Genre;
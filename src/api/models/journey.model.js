@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const journeySchema = new mongoose.Schema(
+	{
+		title: { type: String, required: true, trim: true },
+		description: { type: String, trim: true },
+		steps: [
+			{
+				album: { type: mongoose.Types.ObjectId, ref: "Album", required: true },
+				// Narrative for this step: why the previous album led here
+				note: { type: String, trim: true },
+			},
+		],
+		// When true, every pair of consecutive steps must be linked by a connection
+		strict: { type: Boolean, default: false },
+		addedBy: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+	},
+	{
+		timestamps: true,
+		versionKey: false,
+	},
+);
+
+const Journey = mongoose.model("Journey", journeySchema);
+
+module.exports = Journey;
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { nameKeys } = require("../../utils/artistNames");
+const { namedEntity } = require("../../utils/namedEntities");
+
+const labelSchema = new mongoose.Schema(
+	{
+		name: { type: String, required: true, trim: true },
+		// Other spellings of the name; albums typed with any of them link to this label
+		aliases: [{ type: String, trim: true }],
+		// Normalised name and aliases (see namedEntity), used to match typed names
+		keys: [{ type: String }],
+		country: { type: String, trim: true },
+		foundedYear: { type: Number, min: 1000 },
+		// Label this one is an imprint or sublabel of
+		parent: { type: mongoose.Types.ObjectId, ref: "Label" },
+		personalNote: {
+			content: { type: String, default: "" },
+			lastEdited: { type: Date },
+		},
+		addedBy: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+	},
+	{
+		timestamps: true,
+		versionKey: false,
+	},
+);
+
+labelSchema.index({ addedBy: 1, keys: 1 });
+
+// Keeps the matching keys in sync with the name and aliases, and stamps note edits
+labelSchema.plugin(namedEntity, { keysOf: nameKeys });
+
+const Label = mongoose.model("Label", labelSchema);
+
+module.exports = Label;
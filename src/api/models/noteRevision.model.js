@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// One snapshot of an album's personal note, recorded every time the note changes
+// (see the album model's save hooks)
+const noteRevisionSchema = new mongoose.Schema(
+	{
+		album: { type: mongoose.Types.ObjectId, ref: "Album", required: true },
+		content: { type: String, default: "" },
+		wordCount: { type: Number, default: 0 },
+		// Set when the revision was created by restoring an older one
+		restoredFrom: { type: mongoose.Types.ObjectId, ref: "NoteRevision" },
+		addedBy: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+		versionKey: false,
+	},
+);
+
+noteRevisionSchema.index({ album: 1, createdAt: -1 });
+
+const NoteRevision = mongoose.model("NoteRevision", noteRevisionSchema);
+
+module.exports = NoteRevision;
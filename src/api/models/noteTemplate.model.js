@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Note templates are Markdown with {{placeholders}} filled from the album when
+// an album is created with templateId (see utils/noteTemplates)
+const noteTemplateSchema = new mongoose.Schema(
+	{
+		name: { type: String, required: true, trim: true },
+		description: { type: String, trim: true },
+		content: { type: String, required: true },
+		addedBy: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+	},
+	{
+		timestamps: true,
+		versionKey: false,
+	},
+);
+
+noteTemplateSchema.index({ addedBy: 1, name: 1 });
+
+const NoteTemplate = mongoose.model("NoteTemplate", noteTemplateSchema);
+
+module.exports = NoteTemplate;
@@ -1,6 +1,9 @@
 const {
 	getMyAlbums,
+	searchAlbums,
+	getAlbumFacets,
 	getAlbumById,
+	getAlbumBacklinks,
 	postAlbum,
 	updateAlbum,
 	deleteAlbum,
@@ -9,6 +12,32 @@ const {
 	updateConnection,
 	deleteConnection,
 } = require("../controllers/album.controller");
+const {
+	getAlbumNeighbourhood,
+	getShortestPath,
+	getGraphComponents,
+	getGraphAnalytics,
+} = require("../controllers/graph.controller");
+const {
+	getAlbumListens,
+	addListen,
+	updateListen,
+	deleteListen,
+} = require("../controllers/listen.controller");
+const {
+	getAlbumTracks,
+	addTrack,
+	replaceTracks,
+	updateTrack,
+	deleteTrack,
+} = require("../controllers/track.controller");
+const {
+	getNoteRevisions,
+	getNoteRevision,
+	getNoteDiff,
+	restoreNoteRevision,
+} = require("../controllers/note.controller");
+const { getCreditsByPerson } = require("../controllers/credit.controller");
 const { importAlbums } = require("../controllers/import.controller");
 const { exportAlbums } = require("../controllers/export.controller");
 const { uploadAlbumCover } = require("../../middlewares/upload/album.upload");
@@ -20,6 +49,24 @@ const {
 	updateAlbumValidations,
 	addConnectionValidations,
 	updateConnectionValidations,
+	getAlbumValidations,
+	addListenValidations,
+	updateListenValidations,
+	deleteListenValidations,
+	addTrackValidations,
+	replaceTracksValidations,
+	updateTrackValidations,
+	deleteTrackValidations,
+	noteRevisionValidations,
+	noteDiffValidations,
+	listAlbumsValidations,
+	searchAlbumsValidations,
+	creditsQueryValidations,
+	facetsValidations,
+	neighbourhoodValidations,
+	shortestPathValidations,
+	graphAnalyticsValidations,
+	graphValidations,
 } = require("../validations/album.validations");
 
 const albumsRouter = require("express").Router();
@@ -44,11 +91,119 @@ const handleCSVUpload = (req, res, next) => {
  * /api/v1/albums:
  *   get:
  *     summary: Get my albums
- *     description: Returns all albums created by the authenticated user, sorted by most recently added.
+ *     description: |
+ *       Returns a page of the authenticated user's albums. Results can be filtered,
+ *       sorted by any scalar field and paged with opaque cursors. List filters accept
+ *       comma-separated values and match when any of the values matches.
+ *
+ *       `query` takes a query language expression combined with the other filters:
+ *       `field:value` terms separated by spaces, `field:a,b` for any of, `-field:value` to
+ *       exclude, quotes for values with spaces, and comparisons or ranges for numbers
+ *       (`rating:>=8`, `year:1990..1995`). Fields: genre, label, scene, movement, tag,
+ *       artist, country, title, note, format, mood, sonic, frequency, year, rating,
+ *       favourite. `genre` also matches subgenres (see /genres). Bare words match the title
+ *       or artists. Invalid terms return 400 with their position.
  *     tags:
  *       - Albums
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         description: Query language expression
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         example: 'genre:shoegaze year:1990..1995 mood:dreamy rating:>=8 -tag:overrated artist:"My Bloody Valentine"'
+ *       - in: query
+ *         name: genre
+ *         description: Genres, comma-separated; each also matches its subgenres in the user's genre tree
+ *         schema:
+ *           type: string
+ *         example: shoegaze,dream pop
+ *       - in: query
+ *         name: label
+ *         schema:
+ *           type: string
+ *         example: Creation
+ *       - in: query
+ *         name: scene
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: movement
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *         example: LP,EP
+ *       - in: query
+ *         name: emotional
+ *         schema:
+ *           type: string
+ *         example: dreamy
+ *       - in: query
+ *         name: sonic
+ *         schema:
+ *           type: string
+ *         example: layered
+ *       - in: query
+ *         name: frequency
+ *         schema:
+ *           type: string
+ *           enum: [once, occasional, regular, obsessive]
+ *       - in: query
+ *         name: yearFrom
+ *         schema:
+ *           type: integer
+ *         example: 1988
+ *       - in: query
+ *         name: yearTo
+ *         schema:
+ *           type: integer
+ *         example: 1995
+ *       - in: query
+ *         name: ratingMin
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: ratingMax
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: favourite
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, title, releaseDate, rating, format, favourite, frequency, firstListen, lastListen, releaseCountry]
+ *           default: createdAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         description: nextCursor or prevCursor from a previous response
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Albums retrieved successfully
@@ -67,6 +222,14 @@ const handleCSVUpload = (req, res, next) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Album'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *       400:
+ *         description: Invalid filter, query, sort or cursor (query errors name the position of the bad term)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: No token or invalid token
  *         content:
@@ -76,21 +239,55 @@ const handleCSVUpload = (req, res, next) => {
  *       500:
  *         description: Server error
  */
-albumsRouter.get("/", getMyAlbums); // → GET /api/v1/albums
+albumsRouter.get("/", listAlbumsValidations, handleValidationErrors, getMyAlbums); // → GET /api/v1/albums
 
 /**
  * @swagger
- * /api/v1/albums/graph/all:
+ * /api/v1/albums/search:
  *   get:
- *     summary: Get album graph
- *     description: Returns all the user's albums formatted as a graph (nodes + edges) for Obsidian-like visualisation.
+ *     summary: Search albums
+ *     description: |
+ *       Full-text search over title, artists, labels, tags and personal notes, ranked by
+ *       relevance. Supports "exact phrases" and -excluded words, and the same filters as
+ *       the album list. Each result carries a relevance `score` and an HTML-escaped
+ *       `snippet` of the personal note with matches wrapped in `<mark>`.
  *     tags:
  *       - Albums
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: night drives
+ *       - in: query
+ *         name: query
+ *         description: Query language expression, as in the album list
+ *         schema:
+ *           type: string
+ *         example: year:1990..1995 -tag:overrated
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
  *     responses:
  *       200:
- *         description: Graph data retrieved successfully
+ *         description: Search results retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -101,125 +298,77 @@ albumsRouter.get("/", getMyAlbums); // → GET /api/v1/albums
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Album graph fetched successfully
+ *                   example: Search results fetched successfully
  *                 data:
- *                   type: object
- *                   properties:
- *                     nodes:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           id:
- *                             type: string
- *                             example: 507f1f77bcf86cd799439011
- *                           label:
- *                             type: string
- *                             example: OK Computer
- *                           artists:
- *                             type: array
- *                             items:
- *                               type: string
- *                             example: ["Radiohead"]
- *                           format:
- *                             type: string
- *                             example: LP
- *                           coverArtUrl:
- *                             type: string
- *                             example: https://res.cloudinary.com/...
- *                           releaseDate:
- *                             type: string
- *                             format: date
- *                             example: 1997-05-21
- *                     edges:
- *                       type: array
- *                       items:
- *                         type: object
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Album'
+ *                       - type: object
  *                         properties:
- *                           source:
- *                             type: string
- *                             example: 507f1f77bcf86cd799439011
- *                           target:
- *                             type: string
- *                             example: 507f1f77bcf86cd799439012
- *                           type:
- *                             type: string
- *                             enum: [influences, similar-to, contrasts-with, evokes, progression, thematic, discovered-through, samples]
- *                             example: influences
- *                           note:
+ *                           score:
+ *                             type: number
+ *                             example: 1.6
+ *                           snippet:
  *                             type: string
- *                             example: Similar production approach
- *       401:
- *         description: No token or invalid token
+ *                             nullable: true
+ *                             example: …the soundtrack to every <mark>night</mark> <mark>drive</mark> along the coast…
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: number
+ *                     count:
+ *                       type: number
+ *                     limit:
+ *                       type: number
+ *                     page:
+ *                       type: number
+ *                     pages:
+ *                       type: number
+ *       400:
+ *         description: Missing search query or invalid filters
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
  *       500:
  *         description: Server error
  */
-albumsRouter.get("/graph/all", getAlbumGraph); // → GET /api/v1/albums/graph/all
+albumsRouter.get("/search", searchAlbumsValidations, handleValidationErrors, searchAlbums); // → GET /api/v1/albums/search
 
 /**
  * @swagger
- * /api/v1/albums:
- *   post:
- *     summary: Create album
- *     description: Creates a new album for the authenticated user. Duplicate detection is case-insensitive on title + artists combination.
+ * /api/v1/albums/credits:
+ *   get:
+ *     summary: Albums a person worked on
+ *     description: |
+ *       Lists every album of the user's library a person worked on, oldest release first:
+ *       as one of its artists, through its credits or as a featured artist on its tracks.
+ *       Names are matched ignoring case, diacritics and punctuation, and through the
+ *       aliases of the user's artist with that name.
  *     tags:
  *       - Albums
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             required:
- *               - title
- *               - artists
- *               - format
- *               - releaseDate
- *             properties:
- *               title:
- *                 type: string
- *                 example: OK Computer
- *               artists:
- *                 type: array
- *                 items:
- *                   type: string
- *                 example: ["Radiohead"]
- *               format:
- *                 type: string
- *                 enum: [LP, EP, Reissue, Live, Compilation, Box Set, Holiday, Instrumental, Remix, Soundtrack, Mixtape]
- *                 example: LP
- *               releaseDate:
- *                 type: string
- *                 format: date
- *                 example: 1997-05-21
- *               labels:
- *                 type: array
- *                 items:
- *                   type: string
- *                 example: ["Parlophone"]
- *               genres:
- *                 type: array
- *                 items:
- *                   type: string
- *                 example: ["Alternative Rock"]
- *               tags:
- *                 type: array
- *                 items:
- *                   type: string
- *                 example: ["90s", "brit-rock"]
- *               coverArt:
- *                 type: string
- *                 format: binary
- *                 description: Album cover image (jpg, png, jpeg, gif, webp)
+ *     parameters:
+ *       - in: query
+ *         name: person
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: Steve Albini
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [artist, producer, engineer, featured, composer, mixing, artwork]
+ *         description: Only albums where the person had this role
  *     responses:
- *       201:
- *         description: Album created successfully
+ *       200:
+ *         description: Credits retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -230,11 +379,64 @@ albumsRouter.get("/graph/all", getAlbumGraph); // → GET /api/v1/albums/graph/a
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Album created successfully
+ *                   example: Credits fetched successfully
  *                 data:
- *                   $ref: '#/components/schemas/Album'
+ *                   type: object
+ *                   properties:
+ *                     person:
+ *                       type: string
+ *                       example: Steve Albini
+ *                     albums:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                             example: Surfer Rosa
+ *                           artists:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: [Pixies]
+ *                           releaseDate:
+ *                             type: string
+ *                             format: date-time
+ *                           coverArtUrl:
+ *                             type: string
+ *                           rating:
+ *                             type: number
+ *                           credits:
+ *                             type: array
+ *                             description: The person's roles on the album; no tracks means the whole album
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 role:
+ *                                   type: string
+ *                                   example: producer
+ *                                 tracks:
+ *                                   type: array
+ *                                   items:
+ *                                     type: string
+ *                                   example: []
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           role: { type: string, example: producer }
+ *                           count: { type: integer, example: 2 }
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 2
  *       400:
- *         description: Validation error or album already exists in collection
+ *         description: Missing person or invalid role
  *         content:
  *           application/json:
  *             schema:
@@ -244,37 +446,44 @@ albumsRouter.get("/graph/all", getAlbumGraph); // → GET /api/v1/albums/graph/a
  *       500:
  *         description: Server error
  */
-albumsRouter.post(
-	"/",
-	uploadAlbumCover.single("coverArt"),
-	createAlbumValidations,
-	handleValidationErrors,
-	postAlbum,
-); // → POST /api/v1/albums
-
-albumsRouter.get("/export", exportAlbums); // → GET /api/v1/albums/export
+albumsRouter.get("/credits", creditsQueryValidations, handleValidationErrors, getCreditsByPerson); // → GET /api/v1/albums/credits
 
 /**
  * @swagger
- * /api/v1/albums/{id}:
+ * /api/v1/albums/facets:
  *   get:
- *     summary: Get album by ID
- *     description: Returns a single album. Only accessible by its owner.
+ *     summary: Get album facets
+ *     description: |
+ *       Returns value counts per genre, scene, movement, label, format, tag, decade,
+ *       release country and emotional/sonic dimension for the user's albums. Accepts
+ *       the same filters as the album list, so counts narrow as filters are applied.
  *     tags:
  *       - Albums
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: query
+ *         description: Query language expression, as in the album list
  *         schema:
  *           type: string
- *         description: Album ID
- *         example: 507f1f77bcf86cd799439011
+ *         example: mood:dreamy
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         example: shoegaze
+ *       - in: query
+ *         name: limit
+ *         description: Maximum number of values returned per facet
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
  *     responses:
  *       200:
- *         description: Album retrieved successfully
+ *         description: Facets retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -285,87 +494,1904 @@ albumsRouter.get("/export", exportAlbums); // → GET /api/v1/albums/export
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Album fetched successfully
+ *                   example: Album facets fetched successfully
  *                 data:
- *                   $ref: '#/components/schemas/Album'
- *       401:
- *         description: No token or invalid token
- *       403:
- *         description: Not the album owner
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: Album not found
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: number
+ *                       example: 42
+ *                     facets:
+ *                       type: object
+ *                       description: One list of { value, count } per facet
+ *                       example:
+ *                         genres: [{ value: Shoegaze, count: 12 }, { value: Dream Pop, count: 7 }]
+ *                         decades: [{ value: 1980, count: 9 }, { value: 1990, count: 21 }]
+ *       400:
+ *         description: Invalid filters
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
  *       500:
  *         description: Server error
  */
-albumsRouter.get("/:id", isOwner, getAlbumById); // → GET /api/v1/albums/:id
+albumsRouter.get("/facets", facetsValidations, handleValidationErrors, getAlbumFacets); // → GET /api/v1/albums/facets
 
 /**
  * @swagger
- * /api/v1/albums/{id}:
- *   put:
- *     summary: Update album
- *     description: Updates an album's metadata or cover art. Only the owner can edit.
+ * /api/v1/albums/graph/all:
+ *   get:
+ *     summary: Get album graph
+ *     description: |
+ *       Returns all the user's albums formatted as a graph (nodes + edges) for Obsidian-like visualisation.
+ *       With `format`, the graph is downloaded as a file for Gephi (gexf, graphml), Cytoscape
+ *       (cytoscape, graphml) or Graphviz (dot). Node attributes: label, artists, format, genres,
+ *       emotional, sonic, rating, releaseYear. Edge attributes: type, note.
  *     tags:
  *       - Albums
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: format
  *         schema:
  *           type: string
- *         description: Album ID
- *         example: 507f1f77bcf86cd799439011
- *     requestBody:
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
+ *           enum: [graphml, gexf, dot, cytoscape]
+ *     responses:
+ *       200:
+ *         description: Graph data retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Album graph fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     nodes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             example: 507f1f77bcf86cd799439011
+ *                           label:
+ *                             type: string
+ *                             example: OK Computer
+ *                           artists:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["Radiohead"]
+ *                           format:
+ *                             type: string
+ *                             example: LP
+ *                           coverArtUrl:
+ *                             type: string
+ *                             example: https://res.cloudinary.com/...
+ *                           releaseDate:
+ *                             type: string
+ *                             format: date
+ *                             example: 1997-05-21
+ *                           genres:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["Alternative Rock"]
+ *                           dimensions:
+ *                             type: object
+ *                           rating:
+ *                             type: number
+ *                             example: 9
+ *                     edges:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           source:
+ *                             type: string
+ *                             example: 507f1f77bcf86cd799439011
+ *                           target:
+ *                             type: string
+ *                             example: 507f1f77bcf86cd799439012
+ *                           type:
+ *                             type: string
+ *                             enum: [influences, similar-to, contrasts-with, evokes, progression, thematic, discovered-through, samples]
+ *                             example: influences
+ *                           note:
+ *                             type: string
+ *                             example: Similar production approach
+ *                           strength:
+ *                             type: integer
+ *                             nullable: true
+ *                             example: 4
+ *                           weight:
+ *                             type: number
+ *                             description: Strength, or 3 when the connection has none
+ *                             example: 4
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           discoveredOn:
+ *                             type: string
+ *                             format: date
+ *                             nullable: true
+ *           application/graphml+xml:
+ *             schema:
+ *               type: string
+ *           application/gexf+xml:
+ *             schema:
+ *               type: string
+ *           text/vnd.graphviz:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.get("/graph/all", graphValidations, handleValidationErrors, getAlbumGraph); // → GET /api/v1/albums/graph/all
+
+/**
+ * @swagger
+ * /api/v1/albums/graph/path:
+ *   get:
+ *     summary: Get shortest path between albums
+ *     description: |
+ *       Finds the strongest chain of connections between two albums, with the connection type,
+ *       note and strength of every step. Each connection costs 1 / strength (unrated connections
+ *       count as 3), so strong links are preferred and, with equal strengths, the fewest hops win.
+ *       Connections are walked in both directions unless `directed=true`; steps walked against a
+ *       connection's direction are marked `backward`.
+ *     tags:
+ *       - Graph
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 507f1f77bcf86cd799439012
+ *       - in: query
+ *         name: types
+ *         description: Comma-separated connection types allowed on the path
+ *         schema:
+ *           type: string
+ *         example: influences,samples
+ *       - in: query
+ *         name: minStrength
+ *         description: Ignore connections weaker than this (unrated connections count as 3)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: directed
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Path search completed (found is false when the albums are not connected)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Shortest path fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     found:
+ *                       type: boolean
+ *                       example: true
+ *                     length:
+ *                       type: number
+ *                       example: 2
+ *                     cost:
+ *                       type: number
+ *                       description: Sum of 1 / strength over the steps
+ *                       example: 0.45
+ *                     nodes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     steps:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: string
+ *                           to:
+ *                             type: string
+ *                           connectionId:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                             example: influences
+ *                           note:
+ *                             type: string
+ *                           strength:
+ *                             type: integer
+ *                             nullable: true
+ *                           direction:
+ *                             type: string
+ *                             enum: [forward, backward]
+ *       400:
+ *         description: Missing or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: One of the albums is not in your collection
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.get("/graph/path", shortestPathValidations, handleValidationErrors, getShortestPath); // → GET /api/v1/albums/graph/path
+
+/**
+ * @swagger
+ * /api/v1/albums/graph/components:
+ *   get:
+ *     summary: Get connected components
+ *     description: |
+ *       Splits the album graph into groups of albums linked by connections (direction ignored),
+ *       largest first, and lists the isolated albums that have no connections at all.
+ *     tags:
+ *       - Graph
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Components retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Graph components fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     components:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           size:
+ *                             type: number
+ *                             example: 5
+ *                           edgeCount:
+ *                             type: number
+ *                             example: 6
+ *                           albums:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                     isolated:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.get("/graph/components", getGraphComponents); // → GET /api/v1/albums/graph/components
+
+/**
+ * @swagger
+ * /api/v1/albums/graph/analytics:
+ *   get:
+ *     summary: Get graph centrality and communities
+ *     description: |
+ *       Ranks albums by how central they are in the connection graph and groups them into communities.
+ *       - `degree`: incoming, outgoing and total connections
+ *       - `betweenness`: share of shortest paths between other albums passing through the album (0–1, direction ignored)
+ *       - `pagerank`: importance from incoming connections (scores sum to 1)
+ *
+ *       Communities are detected with the Louvain method (direction ignored) and summarised with their
+ *       dominant genres and emotional/sonic dimensions. Albums without connections are not listed as communities.
+ *     tags:
+ *       - Graph
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [pagerank, betweenness, degree]
+ *           default: pagerank
+ *       - in: query
+ *         name: limit
+ *         description: Number of ranked albums returned
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: types
+ *         description: Comma-separated connection types to include
+ *         schema:
+ *           type: string
+ *           example: influences,samples
+ *       - in: query
+ *         name: minStrength
+ *         description: Ignore connections weaker than this (unrated connections count as 3)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *     responses:
+ *       200:
+ *         description: Analytics computed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Graph analytics fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     albumCount:
+ *                       type: number
+ *                       example: 120
+ *                     connectionCount:
+ *                       type: number
+ *                       example: 86
+ *                     albums:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                             example: Loveless
+ *                           degree:
+ *                             type: object
+ *                             properties:
+ *                               in:
+ *                                 type: number
+ *                               out:
+ *                                 type: number
+ *                               total:
+ *                                 type: number
+ *                               weighted:
+ *                                 type: number
+ *                                 description: Sum of connection weights
+ *                           betweenness:
+ *                             type: number
+ *                             example: 0.21
+ *                           pagerank:
+ *                             type: number
+ *                             example: 0.034
+ *                           community:
+ *                             type: number
+ *                             nullable: true
+ *                             example: 1
+ *                     communities:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: number
+ *                             example: 1
+ *                           size:
+ *                             type: number
+ *                             example: 8
+ *                           dominantGenres:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 value:
+ *                                   type: string
+ *                                   example: Shoegaze
+ *                                 count:
+ *                                   type: number
+ *                                   example: 5
+ *                           dominantEmotional:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                           dominantSonic:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                           albums:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.get(
+	"/graph/analytics",
+	graphAnalyticsValidations,
+	handleValidationErrors,
+	getGraphAnalytics,
+); // → GET /api/v1/albums/graph/analytics
+
+/**
+ * @swagger
+ * /api/v1/albums:
+ *   post:
+ *     summary: Create album
+ *     description: |
+ *       Creates a new album for the authenticated user. Duplicate detection is case-insensitive on title + artists combination.
+ *       `[[Album Title]]` and `[[Album Title|type]]` wikilinks in `personalNote.content` are resolved against
+ *       the user's albums and become connections (default type `discovered-through`). Links that cannot be
+ *       resolved are listed in `meta.unresolvedLinks`.
+ *       With `templateId`, the note is pre-filled from one of the user's note templates, its
+ *       placeholders (`{{title}}`, `{{artists}}`, `{{releaseYear}}`, `{{today}}`…) filled from the album.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - artists
+ *               - format
+ *               - releaseDate
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: OK Computer
+ *               artists:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Radiohead"]
+ *               format:
+ *                 type: string
+ *                 enum: [LP, EP, Reissue, Live, Compilation, Box Set, Holiday, Instrumental, Remix, Soundtrack, Mixtape]
+ *                 example: LP
+ *               releaseDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 1997-05-21
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Parlophone"]
+ *               genres:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Alternative Rock"]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["90s", "brit-rock"]
+ *               credits:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Credit'
+ *               templateId:
+ *                 type: string
+ *                 description: Note template used as personalNote.content (cannot be sent with personalNote.content)
+ *                 example: 507f1f77bcf86cd799439041
+ *               coverArt:
+ *                 type: string
+ *                 format: binary
+ *                 description: Album cover image (jpg, png, jpeg, gif, webp)
+ *     responses:
+ *       201:
+ *         description: Album created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Album created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Album'
+ *       400:
+ *         description: Validation error, album already exists in collection or note template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.post(
+	"/",
+	uploadAlbumCover.single("coverArt"),
+	createAlbumValidations,
+	handleValidationErrors,
+	postAlbum,
+); // → POST /api/v1/albums
+
+albumsRouter.get("/export", exportAlbums); // → GET /api/v1/albums/export
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}:
+ *   get:
+ *     summary: Get album by ID
+ *     description: |
+ *       Returns a single album. Only accessible by its owner.
+ *
+ *       The personal note is Markdown. With `render=html` the response also includes
+ *       `personalNote.html`, the note rendered as sanitised HTML (scripts, event handlers
+ *       and `javascript:` links removed), and `personalNote.outline`, its headings with the
+ *       anchor IDs used in the HTML.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: render
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [html]
+ *         description: Include the personal note rendered as HTML, with its outline
+ *     responses:
+ *       200:
+ *         description: Album retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Album fetched successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Album'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Album not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.get("/:id", isOwner, getAlbumValidations, handleValidationErrors, getAlbumById); // → GET /api/v1/albums/:id
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/backlinks:
+ *   get:
+ *     summary: Get album backlinks
+ *     description: Lists every album of the same user whose connections point at this album, grouped by connection type.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Target album ID
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Backlinks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Backlinks fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: number
+ *                       example: 2
+ *                     backlinks:
+ *                       type: object
+ *                       description: Connection type → list of { connectionId, album, note, origin }
+ *                       example:
+ *                         influences:
+ *                           - connectionId: 507f1f77bcf86cd799439099
+ *                             album: { _id: 507f1f77bcf86cd799439012, title: Kid A, artists: [Radiohead] }
+ *                             note: Same glitchy textures
+ *                             origin: manual
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.get("/:id/backlinks", isOwner, getAlbumBacklinks); // → GET /api/v1/albums/:id/backlinks
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/neighbourhood:
+ *   get:
+ *     summary: Get album neighbourhood
+ *     description: Returns the albums reachable from this album within N hops, each with its distance, and the connections between them.
+ *     tags:
+ *       - Graph
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Center album ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           default: 1
+ *       - in: query
+ *         name: types
+ *         description: Comma-separated connection types to follow
+ *         schema:
+ *           type: string
+ *         example: influences,similar-to
+ *       - in: query
+ *         name: minStrength
+ *         description: Ignore connections weaker than this (unrated connections count as 3)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: direction
+ *         description: out follows connections, in follows backlinks, both follows either
+ *         schema:
+ *           type: string
+ *           enum: [out, in, both]
+ *           default: both
+ *     responses:
+ *       200:
+ *         description: Neighbourhood retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Album neighbourhood fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     center:
+ *                       type: string
+ *                     depth:
+ *                       type: number
+ *                       example: 2
+ *                     nodes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                           distance:
+ *                             type: number
+ *                             example: 1
+ *                     edges:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album not found
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.get(
+	"/:id/neighbourhood",
+	isOwner,
+	neighbourhoodValidations,
+	handleValidationErrors,
+	getAlbumNeighbourhood,
+); // → GET /api/v1/albums/:id/neighbourhood
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}:
+ *   put:
+ *     summary: Update album
+ *     description: |
+ *       Updates an album's metadata or cover art. Only the owner can edit.
+ *       When `personalNote.content` changes, its wikilinks are re-synced: connections created from
+ *       links that were removed from the note are deleted, and unresolved links are listed in `meta.unresolvedLinks`.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: OK Computer OKNOTOK
+ *               artists:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Radiohead"]
+ *               format:
+ *                 type: string
+ *                 enum: [LP, EP, Reissue, Live, Compilation, Box Set, Holiday, Instrumental, Remix, Soundtrack, Mixtape]
+ *                 example: Reissue
+ *               releaseDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2017-06-23
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               genres:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               credits:
+ *                 type: array
+ *                 description: Replaces the album's credits
+ *                 items:
+ *                   $ref: '#/components/schemas/Credit'
+ *               coverArt:
+ *                 type: string
+ *                 format: binary
+ *                 description: New cover image — previous one is deleted from Cloudinary
+ *     responses:
+ *       200:
+ *         description: Album updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Album updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Album'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Album not found
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.put(
+	"/:id",
+	isOwner,
+	uploadAlbumCover.single("coverArt"),
+	updateAlbumValidations,
+	handleValidationErrors,
+	updateAlbum,
+); // → PUT /api/v1/albums/:id
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}:
+ *   delete:
+ *     summary: Delete album
+ *     description: Permanently deletes an album and its cover image from Cloudinary. Only the owner can delete.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Album deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Album deleted successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Album'
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Album not found
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.delete("/:id", isOwner, deleteAlbum); // → DELETE /api/v1/albums/:id
+
+/**
+ * @swagger
+ * /api/v1/albums/import:
+ *   post:
+ *     summary: Import albums from Notion CSV
+ *     description: |
+ *       Bulk import albums from a Notion database CSV export.
+ *       Expected columns: Name, Artist, Release Date, Format, Label, Main Genre,
+ *       Subgenre, Scene, Movements, Release Country, Cover, URL, Rating, Release Status, Favourite.
+ *       Returns a summary of imported, skipped, and errored rows.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file exported from Notion
+ *             required:
+ *               - file
+ *     responses:
+ *       201:
+ *         description: Import complete
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                   example: "Import complete: 42 imported, 3 skipped, 0 errors"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     imported:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: number
+ *                           title:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *                     errors:
+ *                       type: array
+ *       400:
+ *         description: No file provided or invalid CSV
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.post("/import", handleCSVUpload, importAlbums); // → POST /api/v1/albums/import
+
+/**
+ * @swagger
+ * /api/v1/albums/export:
+ *   get:
+ *     summary: Export albums to CSV
+ *     description: |
+ *       Downloads all albums of the authenticated user as a CSV file.
+ *       The core column names match the Notion import format, so those fields
+ *       survive a re-import into Notion or this app without modification.
+ *       Dimensions and Listening Context are Craterra-specific and have no
+ *       Notion equivalent — they are exported to avoid data loss.
+ *       Columns: Name, Artist, Release Date, Format, Label, Main Genre,
+ *       Tags, Scenes, Movements, Emotional Dimensions, Sonic Dimensions,
+ *       Release Country, Cover, URL, Rating, Favourite, First Listen,
+ *       Last Listen, Listening Frequency, Listening Context, Personal Note.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV file download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+/**
+ * @swagger
+ * /api/v1/albums/{id}/connections:
+ *   post:
+ *     summary: Add connection
+ *     description: |
+ *       Creates a connection from one album to another and its other end on the target album
+ *       (the same type when symmetric, e.g. similar-to; the inverse otherwise, e.g. influences → influenced-by).
+ *       The same album pair + type combination cannot be duplicated, from either end.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Source album ID
+ *         example: 507f1f77bcf86cd799439011
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetAlbumId
+ *               - type
+ *             properties:
+ *               targetAlbumId:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439012
+ *               type:
+ *                 type: string
+ *                 enum: [influences, influenced-by, similar-to, contrasts-with, evokes, evoked-by, progression, progressed-from, thematic, discovered-through, led-to, samples, sampled-by]
+ *                 example: influences
+ *               note:
+ *                 type: string
+ *                 example: Shared production aesthetic
+ *               strength:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 description: How strong the link is, 1 (faint) – 5 (defining)
+ *                 example: 4
+ *               discoveredOn:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-03-02
+ *     responses:
+ *       201:
+ *         description: Connection added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Connection added successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Album'
+ *       400:
+ *         description: Duplicate connection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Source or target album not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.post(
+	"/:id/connections",
+	isOwner,
+	addConnectionValidations,
+	handleValidationErrors,
+	addConnection,
+); // → POST /api/v1/albums/:id/connections
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/connections/{connectionId}:
+ *   put:
+ *     summary: Update connection
+ *     description: Updates the type or note of an existing connection between two albums. The other end on the target album is updated too.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Source album ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: path
+ *         name: connectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Connection subdocument ID
+ *         example: 507f1f77bcf86cd799439099
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [influences, influenced-by, similar-to, contrasts-with, evokes, evoked-by, progression, progressed-from, thematic, discovered-through, led-to, samples, sampled-by]
+ *                 example: similar-to
+ *               note:
+ *                 type: string
+ *                 example: Updated note
+ *               strength:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 description: How strong the link is, 1 (faint) – 5 (defining); null clears it
+ *                 nullable: true
+ *                 example: 4
+ *               discoveredOn:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 example: 2024-03-02
+ *     responses:
+ *       200:
+ *         description: Connection updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Connection updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Album'
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album or connection not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.put(
+	"/:id/connections/:connectionId",
+	isOwner,
+	updateConnectionValidations,
+	handleValidationErrors,
+	updateConnection,
+); // → PUT /api/v1/albums/:id/connections/:connectionId
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/connections/{connectionId}:
+ *   delete:
+ *     summary: Delete connection
+ *     description: Removes a connection between two albums, from both ends.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Source album ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: path
+ *         name: connectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Connection subdocument ID
+ *         example: 507f1f77bcf86cd799439099
+ *     responses:
+ *       200:
+ *         description: Connection deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Connection deleted successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Album'
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album or connection not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.delete("/:id/connections/:connectionId", isOwner, deleteConnection); // → DELETE /api/v1/albums/:id/connections/:connectionId
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/listens:
+ *   get:
+ *     summary: Get the listening log of an album
+ *     description: |
+ *       Returns the album's listening sessions, newest first. `listeningContext.firstListen`,
+ *       `lastListen` and `frequency` are derived from the sessions: frequency is once (1 session),
+ *       occasional (2–4), regular (5–11) or obsessive (12+).
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Listens fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Listens fetched successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Listen'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 3
+ *                     listeningContext:
+ *                       type: object
+ *                       description: The derived firstListen, lastListen and frequency, plus context
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.get("/:id/listens", isOwner, getAlbumListens); // → GET /api/v1/albums/:id/listens
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/listens:
+ *   post:
+ *     summary: Log a listening session
+ *     description: Adds a listening session to the album and re-derives its listening context.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
  *             properties:
- *               title:
+ *               listenedAt:
  *                 type: string
- *                 example: OK Computer OKNOTOK
- *               artists:
- *                 type: array
- *                 items:
+ *                 format: date-time
+ *                 description: When the session happened; cannot be in the future
+ *                 example: 2024-03-02T22:30:00.000Z
+ *               setting:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Night bus home
+ *               medium:
+ *                 type: string
+ *                 enum: [vinyl, cd, cassette, digital, streaming, radio, live, other]
+ *                 example: vinyl
+ *               moodBefore:
+ *                 type: string
+ *                 enum: [melancholic, euphoric, introspective, energetic, nostalgic, anxious, peaceful, rebellious, angry, joyful, contemplative, dreamy]
+ *                 example: anxious
+ *               moodAfter:
+ *                 type: string
+ *                 enum: [melancholic, euphoric, introspective, energetic, nostalgic, anxious, peaceful, rebellious, angry, joyful, contemplative, dreamy]
+ *                 example: peaceful
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Side B finally clicked
+ *     responses:
+ *       201:
+ *         description: Listen added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Listen added successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Listen'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     listeningContext:
+ *                       type: object
+ *                       description: The derived firstListen, lastListen and frequency, plus context
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.post("/:id/listens", isOwner, addListenValidations, handleValidationErrors, addListen); // → POST /api/v1/albums/:id/listens
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/listens/{listenId}:
+ *   put:
+ *     summary: Update a listening session
+ *     description: Edits the fields sent (null clears medium or moods) and re-derives the listening context.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: path
+ *         name: listenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Listening session ID
+ *         example: 507f1f77bcf86cd799439077
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               listenedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the session happened; cannot be in the future
+ *                 example: 2024-03-02T22:30:00.000Z
+ *               setting:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Night bus home
+ *               medium:
+ *                 type: string
+ *                 enum: [vinyl, cd, cassette, digital, streaming, radio, live, other]
+ *                 example: vinyl
+ *               moodBefore:
+ *                 type: string
+ *                 enum: [melancholic, euphoric, introspective, energetic, nostalgic, anxious, peaceful, rebellious, angry, joyful, contemplative, dreamy]
+ *                 example: anxious
+ *               moodAfter:
+ *                 type: string
+ *                 enum: [melancholic, euphoric, introspective, energetic, nostalgic, anxious, peaceful, rebellious, angry, joyful, contemplative, dreamy]
+ *                 example: peaceful
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Side B finally clicked
+ *     responses:
+ *       200:
+ *         description: Listen updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Listen updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Listen'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     listeningContext:
+ *                       type: object
+ *                       description: The derived firstListen, lastListen and frequency, plus context
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album or listen not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.put(
+	"/:id/listens/:listenId",
+	isOwner,
+	updateListenValidations,
+	handleValidationErrors,
+	updateListen,
+); // → PUT /api/v1/albums/:id/listens/:listenId
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/listens/{listenId}:
+ *   delete:
+ *     summary: Delete a listening session
+ *     description: Removes a listening session and re-derives the listening context (cleared when no sessions are left).
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: path
+ *         name: listenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Listening session ID
+ *         example: 507f1f77bcf86cd799439077
+ *     responses:
+ *       200:
+ *         description: Listen deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
  *                   type: string
- *                 example: ["Radiohead"]
- *               format:
- *                 type: string
- *                 enum: [LP, EP, Reissue, Live, Compilation, Box Set, Holiday, Instrumental, Remix, Soundtrack, Mixtape]
- *                 example: Reissue
- *               releaseDate:
- *                 type: string
- *                 format: date
- *                 example: 2017-06-23
- *               labels:
- *                 type: array
- *                 items:
+ *                   example: Listen deleted successfully
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     listeningContext:
+ *                       type: object
+ *                       description: The derived firstListen, lastListen and frequency, plus context
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album or listen not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.delete(
+	"/:id/listens/:listenId",
+	isOwner,
+	deleteListenValidations,
+	handleValidationErrors,
+	deleteListen,
+); // → DELETE /api/v1/albums/:id/listens/:listenId
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/tracks:
+ *   get:
+ *     summary: Get the tracklist of an album
+ *     description: |
+ *       Returns the album's tracks in play order: tracks without a disc first, then by disc or side
+ *       ("1", "2"… or "A", "B"…) and position. `trackCount` and `totalDuration` (seconds) are derived
+ *       from the tracks.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Tracks fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
  *                   type: string
- *               genres:
- *                 type: array
- *                 items:
+ *                   example: Tracks fetched successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Track'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     trackCount:
+ *                       type: integer
+ *                       example: 11
+ *                     totalDuration:
+ *                       type: integer
+ *                       description: Seconds
+ *                       example: 2897
+ *                     standouts:
+ *                       type: integer
+ *                       example: 2
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.get("/:id/tracks", isOwner, getAlbumTracks); // → GET /api/v1/albums/:id/tracks
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/tracks:
+ *   post:
+ *     summary: Add a track
+ *     description: |
+ *       Adds a track to the album. Without a position, it goes after the last track of its disc.
+ *       Two tracks cannot share the same disc and position.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TrackInput'
+ *     responses:
+ *       201:
+ *         description: Track added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
  *                   type: string
- *               tags:
+ *                   example: Track added successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Track'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     trackCount:
+ *                       type: integer
+ *                     totalDuration:
+ *                       type: integer
+ *       400:
+ *         description: Validation error or position already taken
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.post("/:id/tracks", isOwner, addTrackValidations, handleValidationErrors, addTrack); // → POST /api/v1/albums/:id/tracks
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/tracks:
+ *   put:
+ *     summary: Replace the tracklist
+ *     description: |
+ *       Replaces every track of the album, e.g. to enter a whole tracklist at once. Tracks sent
+ *       without a position are numbered after the last track of their disc. An empty array clears
+ *       the tracklist.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tracks
+ *             properties:
+ *               tracks:
  *                 type: array
  *                 items:
+ *                   $ref: '#/components/schemas/TrackInput'
+ *     responses:
+ *       200:
+ *         description: Tracks replaced successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
  *                   type: string
- *               coverArt:
- *                 type: string
- *                 format: binary
- *                 description: New cover image — previous one is deleted from Cloudinary
+ *                   example: Tracks replaced successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Track'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     trackCount:
+ *                       type: integer
+ *                     totalDuration:
+ *                       type: integer
+ *       400:
+ *         description: Validation error or several tracks at the same position
+ *       401:
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+albumsRouter.put(
+	"/:id/tracks",
+	isOwner,
+	replaceTracksValidations,
+	handleValidationErrors,
+	replaceTracks,
+); // → PUT /api/v1/albums/:id/tracks
+
+/**
+ * @swagger
+ * /api/v1/albums/{id}/tracks/{trackId}:
+ *   put:
+ *     summary: Update a track
+ *     description: Edits the fields sent (null clears disc, duration or note) and re-sorts the tracklist.
+ *     tags:
+ *       - Albums
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: path
+ *         name: trackId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *         example: 507f1f77bcf86cd799439088
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TrackInput'
  *     responses:
  *       200:
- *         description: Album updated successfully
+ *         description: Track updated successfully
  *         content:
  *           application/json:
  *             schema:
@@ -376,43 +2402,45 @@ albumsRouter.get("/:id", isOwner, getAlbumById); // → GET /api/v1/albums/:id
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Album updated successfully
+ *                   example: Track updated successfully
  *                 data:
- *                   $ref: '#/components/schemas/Album'
+ *                   $ref: '#/components/schemas/Track'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     trackCount:
+ *                       type: integer
+ *                     totalDuration:
+ *                       type: integer
  *       400:
- *         description: Validation error
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: Validation error or position already taken
  *       401:
  *         description: No token or invalid token
  *       403:
  *         description: Not the album owner
+ *       404:
+ *         description: Album or track not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: Album not found
  *       500:
  *         description: Server error
  */
 albumsRouter.put(
-	"/:id",
+	"/:id/tracks/:trackId",
 	isOwner,
-	uploadAlbumCover.single("coverArt"),
-	updateAlbumValidations,
+	updateTrackValidations,
 	handleValidationErrors,
-	updateAlbum,
-); // → PUT /api/v1/albums/:id
+	updateTrack,
+); // → PUT /api/v1/albums/:id/tracks/:trackId
 
 /**
  * @swagger
- * /api/v1/albums/{id}:
+ * /api/v1/albums/{id}/tracks/{trackId}:
  *   delete:
- *     summary: Delete album
- *     description: Permanently deletes an album and its cover image from Cloudinary. Only the owner can delete.
+ *     summary: Delete a track
+ *     description: Removes a track. The other tracks keep their positions.
  *     tags:
  *       - Albums
  *     security:
@@ -425,9 +2453,16 @@ albumsRouter.put(
  *           type: string
  *         description: Album ID
  *         example: 507f1f77bcf86cd799439011
+ *       - in: path
+ *         name: trackId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Track ID
+ *         example: 507f1f77bcf86cd799439088
  *     responses:
  *       200:
- *         description: Album deleted successfully
+ *         description: Track deleted successfully
  *         content:
  *           application/json:
  *             schema:
@@ -438,54 +2473,60 @@ albumsRouter.put(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Album deleted successfully
- *                 data:
- *                   $ref: '#/components/schemas/Album'
+ *                   example: Track deleted successfully
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     trackCount:
+ *                       type: integer
+ *                     totalDuration:
+ *                       type: integer
+ *       400:
+ *         description: Validation error
  *       401:
  *         description: No token or invalid token
  *       403:
  *         description: Not the album owner
+ *       404:
+ *         description: Album or track not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: Album not found
  *       500:
  *         description: Server error
  */
-albumsRouter.delete("/:id", isOwner, deleteAlbum); // → DELETE /api/v1/albums/:id
+albumsRouter.delete(
+	"/:id/tracks/:trackId",
+	isOwner,
+	deleteTrackValidations,
+	handleValidationErrors,
+	deleteTrack,
+); // → DELETE /api/v1/albums/:id/tracks/:trackId
 
 /**
  * @swagger
- * /api/v1/albums/import:
- *   post:
- *     summary: Import albums from Notion CSV
+ * /api/v1/albums/{id}/note/revisions:
+ *   get:
+ *     summary: List note revisions
  *     description: |
- *       Bulk import albums from a Notion database CSV export.
- *       Expected columns: Name, Artist, Release Date, Format, Label, Main Genre,
- *       Subgenre, Scene, Movements, Release Country, Cover, URL, Rating, Release Status, Favourite.
- *       Returns a summary of imported, skipped, and errored rows.
+ *       Lists the revisions of the album's personal note, newest first (without their content).
+ *       A revision is stored every time the note changes; the newest one is the current note.
  *     tags:
  *       - Albums
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               file:
- *                 type: string
- *                 format: binary
- *                 description: CSV file exported from Notion
- *             required:
- *               - file
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Album ID
+ *         example: 507f1f77bcf86cd799439011
  *     responses:
- *       201:
- *         description: Import complete
+ *       200:
+ *         description: Note revisions fetched successfully
  *         content:
  *           application/json:
  *             schema:
@@ -493,81 +2534,41 @@ albumsRouter.delete("/:id", isOwner, deleteAlbum); // → DELETE /api/v1/albums/
  *               properties:
  *                 success:
  *                   type: boolean
+ *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Import complete: 42 imported, 3 skipped, 0 errors"
+ *                   example: Note revisions fetched successfully
  *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NoteRevisionSummary'
+ *                 meta:
  *                   type: object
  *                   properties:
- *                     imported:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           id:
- *                             type: string
- *                           title:
- *                             type: string
- *                     skipped:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           row:
- *                             type: number
- *                           title:
- *                             type: string
- *                           reason:
- *                             type: string
- *                     errors:
- *                       type: array
- *       400:
- *         description: No file provided or invalid CSV
+ *                     count:
+ *                       type: integer
+ *                       example: 4
  *       401:
- *         description: Unauthorized
- *       500:
- *         description: Server error
- */
-albumsRouter.post("/import", handleCSVUpload, importAlbums); // → POST /api/v1/albums/import
-
-/**
- * @swagger
- * /api/v1/albums/export:
- *   get:
- *     summary: Export albums to CSV
- *     description: |
- *       Downloads all albums of the authenticated user as a CSV file.
- *       The core column names match the Notion import format, so those fields
- *       survive a re-import into Notion or this app without modification.
- *       Dimensions and Listening Context are Craterra-specific and have no
- *       Notion equivalent — they are exported to avoid data loss.
- *       Columns: Name, Artist, Release Date, Format, Label, Main Genre,
- *       Tags, Scenes, Movements, Emotional Dimensions, Sonic Dimensions,
- *       Release Country, Cover, URL, Rating, Favourite, First Listen,
- *       Last Listen, Listening Frequency, Listening Context, Personal Note.
- *     tags:
- *       - Albums
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: CSV file download
+ *         description: No token or invalid token
+ *       403:
+ *         description: Not the album owner
+ *       404:
+ *         description: Album not found
  *         content:
- *           text/csv:
+ *           application/json:
  *             schema:
- *               type: string
- *               format: binary
- *       401:
- *         description: Unauthorized
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  */
+albumsRouter.get("/:id/note/revisions", isOwner, getNoteRevisions); // → GET /api/v1/albums/:id/note/revisions
+
 /**
  * @swagger
- * /api/v1/albums/{id}/connections:
- *   post:
- *     summary: Add connection
- *     description: Creates a directional connection from one album to another. The same album pair + type combination cannot be duplicated.
+ * /api/v1/albums/{id}/note/revisions/{revisionId}:
+ *   get:
+ *     summary: Get a note revision
+ *     description: Returns one revision of the album's personal note, with its content.
  *     tags:
  *       - Albums
  *     security:
@@ -578,31 +2579,18 @@ albumsRouter.post("/import", handleCSVUpload, importAlbums); // → POST /api/v1
  *         required: true
  *         schema:
  *           type: string
- *         description: Source album ID
+ *         description: Album ID
  *         example: 507f1f77bcf86cd799439011
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - targetAlbumId
- *               - type
- *             properties:
- *               targetAlbumId:
- *                 type: string
- *                 example: 507f1f77bcf86cd799439012
- *               type:
- *                 type: string
- *                 enum: [influences, similar-to, contrasts-with, evokes, progression, thematic, discovered-through, samples]
- *                 example: influences
- *               note:
- *                 type: string
- *                 example: Shared production aesthetic
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Note revision ID
+ *         example: 507f1f77bcf86cd799439055
  *     responses:
- *       201:
- *         description: Connection added successfully
+ *       200:
+ *         description: Note revision fetched successfully
  *         content:
  *           application/json:
  *             schema:
@@ -613,21 +2601,17 @@ albumsRouter.post("/import", handleCSVUpload, importAlbums); // → POST /api/v1
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Connection added successfully
+ *                   example: Note revision fetched successfully
  *                 data:
- *                   $ref: '#/components/schemas/Album'
+ *                   $ref: '#/components/schemas/NoteRevision'
  *       400:
- *         description: Duplicate connection
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: Invalid revision ID
  *       401:
  *         description: No token or invalid token
  *       403:
  *         description: Not the album owner
  *       404:
- *         description: Source or target album not found
+ *         description: Album or revision not found
  *         content:
  *           application/json:
  *             schema:
@@ -635,20 +2619,20 @@ albumsRouter.post("/import", handleCSVUpload, importAlbums); // → POST /api/v1
  *       500:
  *         description: Server error
  */
-albumsRouter.post(
-	"/:id/connections",
+albumsRouter.get(
+	"/:id/note/revisions/:revisionId",
 	isOwner,
-	addConnectionValidations,
+	noteRevisionValidations,
 	handleValidationErrors,
-	addConnection,
-); // → POST /api/v1/albums/:id/connections
+	getNoteRevision,
+); // → GET /api/v1/albums/:id/note/revisions/:revisionId
 
 /**
  * @swagger
- * /api/v1/albums/{id}/connections/{connectionId}:
- *   put:
- *     summary: Update connection
- *     description: Updates the type or note of an existing connection between two albums.
+ * /api/v1/albums/{id}/note/diff:
+ *   get:
+ *     summary: Diff two note revisions
+ *     description: Line diff between two revisions of the album's personal note, computed with a longest common subsequence.
  *     tags:
  *       - Albums
  *     security:
@@ -659,32 +2643,22 @@ albumsRouter.post(
  *         required: true
  *         schema:
  *           type: string
- *         description: Source album ID
+ *         description: Album ID
  *         example: 507f1f77bcf86cd799439011
- *       - in: path
- *         name: connectionId
+ *       - in: query
+ *         name: from
  *         required: true
  *         schema:
  *           type: string
- *         description: Connection subdocument ID
- *         example: 507f1f77bcf86cd799439099
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               type:
- *                 type: string
- *                 enum: [influences, similar-to, contrasts-with, evokes, progression, thematic, discovered-through, samples]
- *                 example: similar-to
- *               note:
- *                 type: string
- *                 example: Updated note
+ *         description: Revision ID of the old text
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Revision ID of the new text (default — the newest revision)
  *     responses:
  *       200:
- *         description: Connection updated successfully
+ *         description: Note diff fetched successfully
  *         content:
  *           application/json:
  *             schema:
@@ -695,15 +2669,44 @@ albumsRouter.post(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Connection updated successfully
+ *                   example: Note diff fetched successfully
  *                 data:
- *                   $ref: '#/components/schemas/Album'
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       $ref: '#/components/schemas/NoteRevisionSummary'
+ *                     to:
+ *                       $ref: '#/components/schemas/NoteRevisionSummary'
+ *                     stats:
+ *                       type: object
+ *                       properties:
+ *                         added: {{ type: integer, example: 2 }}
+ *                         removed: {{ type: integer, example: 1 }}
+ *                         unchanged: {{ type: integer, example: 12 }}
+ *                     lines:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           op:
+ *                             type: string
+ *                             enum: [equal, removed, added]
+ *                           text:
+ *                             type: string
+ *                           oldLine:
+ *                             type: integer
+ *                             description: Line number in the old text (not on added lines)
+ *                           newLine:
+ *                             type: integer
+ *                             description: Line number in the new text (not on removed lines)
+ *       400:
+ *         description: Missing or invalid revision IDs
  *       401:
  *         description: No token or invalid token
  *       403:
  *         description: Not the album owner
  *       404:
- *         description: Album or connection not found
+ *         description: Album or revision not found
  *         content:
  *           application/json:
  *             schema:
@@ -711,20 +2714,22 @@ albumsRouter.post(
  *       500:
  *         description: Server error
  */
-albumsRouter.put(
-	"/:id/connections/:connectionId",
+albumsRouter.get(
+	"/:id/note/diff",
 	isOwner,
-	updateConnectionValidations,
+	noteDiffValidations,
 	handleValidationErrors,
-	updateConnection,
-); // → PUT /api/v1/albums/:id/connections/:connectionId
+	getNoteDiff,
+); // → GET /api/v1/albums/:id/note/diff
 
 /**
  * @swagger
- * /api/v1/albums/{id}/connections/{connectionId}:
- *   delete:
- *     summary: Delete connection
- *     description: Removes a connection between two albums.
+ * /api/v1/albums/{id}/note/revisions/{revisionId}/restore:
+ *   post:
+ *     summary: Restore a note revision
+ *     description: |
+ *       Sets the personal note back to an old revision. The note's wikilinks are re-synced like on
+ *       update, and the restore is stored as a new revision (with `restoredFrom`), so no history is lost.
  *     tags:
  *       - Albums
  *     security:
@@ -735,18 +2740,18 @@ albumsRouter.put(
  *         required: true
  *         schema:
  *           type: string
- *         description: Source album ID
+ *         description: Album ID
  *         example: 507f1f77bcf86cd799439011
  *       - in: path
- *         name: connectionId
+ *         name: revisionId
  *         required: true
  *         schema:
  *           type: string
- *         description: Connection subdocument ID
- *         example: 507f1f77bcf86cd799439099
+ *         description: Note revision ID
+ *         example: 507f1f77bcf86cd799439055
  *     responses:
  *       200:
- *         description: Connection deleted successfully
+ *         description: Note revision restored successfully
  *         content:
  *           application/json:
  *             schema:
@@ -757,15 +2762,24 @@ albumsRouter.put(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Connection deleted successfully
+ *                   example: Note revision restored successfully
  *                 data:
  *                   $ref: '#/components/schemas/Album'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     unresolvedLinks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid revision ID, or the note already matches the revision
  *       401:
  *         description: No token or invalid token
  *       403:
  *         description: Not the album owner
  *       404:
- *         description: Album or connection not found
+ *         description: Album or revision not found
  *         content:
  *           application/json:
  *             schema:
@@ -773,6 +2787,12 @@ albumsRouter.put(
  *       500:
  *         description: Server error
  */
-albumsRouter.delete("/:id/connections/:connectionId", isOwner, deleteConnection); // → DELETE /api/v1/albums/:id/connections/:connectionId
+albumsRouter.post(
+	"/:id/note/revisions/:revisionId/restore",
+	isOwner,
+	noteRevisionValidations,
+	handleValidationErrors,
+	restoreNoteRevision,
+); // → POST /api/v1/albums/:id/note/revisions/:revisionId/restore
 
 module.exports = albumsRouter;
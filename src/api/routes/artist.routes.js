@@ -0,0 +1,394 @@
+const {
+	getMyArtists,
+	getArtistById,
+	updateArtist,
+	mergeArtist,
+	deleteArtist,
+} = require("../controllers/artist.controller");
+const { isAuth } = require("../../middlewares/auth.middleware");
+const { handleValidationErrors } = require("../../middlewares/validation.middleware");
+const {
+	artistIdValidations,
+	updateArtistValidations,
+	mergeArtistValidations,
+} = require("../validations/artist.validations");
+
+const artistsRouter = require("express").Router();
+
+artistsRouter.use(isAuth([]));
+
+/**
+ * @swagger
+ * /api/v1/artists:
+ *   get:
+ *     summary: Get my artists
+ *     description: |
+ *       Returns the authenticated user's artists by name, each with its number of albums
+ *       (`albumCount`). Artists are created when an album first uses their name; names are
+ *       matched ignoring case, diacritics, punctuation and a leading "The", and through
+ *       the artist's aliases.
+ *     tags:
+ *       - Artists
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Artists retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Artists fetched successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Artist'
+ *                       - type: object
+ *                         properties:
+ *                           albumCount:
+ *                             type: integer
+ *                             example: 3
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 1
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+artistsRouter.get("/", getMyArtists); // → GET /api/v1/artists
+
+/**
+ * @swagger
+ * /api/v1/artists/{id}:
+ *   get:
+ *     summary: Get artist page
+ *     description: |
+ *       Returns an artist with its albums (oldest release first), their average rating,
+ *       most frequent dimensions and genres, the graph connections touching them and the
+ *       artists most connected to them.
+ *     tags:
+ *       - Artists
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Artist retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Artist fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     artist:
+ *                       $ref: '#/components/schemas/Artist'
+ *                     albums:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                             example: Homogenic
+ *                           artists:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: [Björk]
+ *                           releaseDate:
+ *                             type: string
+ *                             format: date-time
+ *                           coverArtUrl:
+ *                             type: string
+ *                           rating:
+ *                             type: number
+ *                             example: 9
+ *                           favourite:
+ *                             type: boolean
+ *                     stats:
+ *                       type: object
+ *                       properties:
+ *                         albumCount:
+ *                           type: integer
+ *                           example: 2
+ *                         averageRating:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 8.5
+ *                         rated:
+ *                           type: integer
+ *                           example: 2
+ *                         dimensions:
+ *                           type: object
+ *                           properties:
+ *                             emotional:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   value: { type: string, example: dreamy }
+ *                                   count: { type: integer, example: 2 }
+ *                             sonic:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   value: { type: string, example: dreamy }
+ *                                   count: { type: integer, example: 2 }
+ *                         genres:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               value: { type: string, example: dreamy }
+ *                               count: { type: integer, example: 2 }
+ *                     connections:
+ *                       type: array
+ *                       description: Edges touching the artist's albums, with both albums summarised
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           source:
+ *                             type: object
+ *                           target:
+ *                             type: object
+ *                           type:
+ *                             type: string
+ *                             example: influences
+ *                           strength:
+ *                             type: integer
+ *                             nullable: true
+ *                     relatedArtists:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                             example: Massive Attack
+ *                           connections:
+ *                             type: integer
+ *                             example: 2
+ *                           types:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: [influences]
+ *       400:
+ *         description: Invalid artist ID
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Artist not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+artistsRouter.get("/:id", artistIdValidations, handleValidationErrors, getArtistById); // → GET /api/v1/artists/:id
+
+/**
+ * @swagger
+ * /api/v1/artists/{id}:
+ *   put:
+ *     summary: Update artist
+ *     description: |
+ *       Updates the name, aliases, country, active years or personal note of an artist.
+ *       A new name is written to the artist's albums, and the old one is kept as an alias.
+ *       Names and aliases already used by another artist are rejected; merge the artists
+ *       instead.
+ *     tags:
+ *       - Artists
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Björk
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Bjork Gudmundsdottir]
+ *               country:
+ *                 type: string
+ *                 example: Iceland
+ *               activeYears:
+ *                 type: object
+ *                 properties:
+ *                   from:
+ *                     type: integer
+ *                     example: 1977
+ *                   to:
+ *                     type: integer
+ *                     nullable: true
+ *               personalNote:
+ *                 type: object
+ *                 properties:
+ *                   content:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Artist updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Artist updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Artist'
+ *       400:
+ *         description: Validation error, or name or alias used by another artist
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Artist not found
+ *       500:
+ *         description: Server error
+ */
+artistsRouter.put("/:id", updateArtistValidations, handleValidationErrors, updateArtist); // → PUT /api/v1/artists/:id
+
+/**
+ * @swagger
+ * /api/v1/artists/{id}/merge:
+ *   post:
+ *     summary: Merge artists
+ *     description: |
+ *       Merges another artist (`sourceId`) into this one: its albums move here, its name
+ *       and aliases become aliases, empty fields are filled from it and notes are appended.
+ *       The source artist is deleted.
+ *     tags:
+ *       - Artists
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sourceId
+ *             properties:
+ *               sourceId:
+ *                 type: string
+ *                 example: 64b7f9e2c1234567890abcde
+ *     responses:
+ *       200:
+ *         description: Artists merged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Artists merged successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Artist'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     albumsMoved:
+ *                       type: integer
+ *                       example: 2
+ *       400:
+ *         description: Validation error, or an artist merged into itself
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Artist not found
+ *       500:
+ *         description: Server error
+ */
+artistsRouter.post("/:id/merge", mergeArtistValidations, handleValidationErrors, mergeArtist); // → POST /api/v1/artists/:id/merge
+
+/**
+ * @swagger
+ * /api/v1/artists/{id}:
+ *   delete:
+ *     summary: Delete artist
+ *     description: Deletes an artist without albums. Change the artists of its albums or merge it first.
+ *     tags:
+ *       - Artists
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Artist deleted successfully
+ *       400:
+ *         description: Invalid artist ID, or the artist still has albums
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Artist not found
+ *       500:
+ *         description: Server error
+ */
+artistsRouter.delete("/:id", artistIdValidations, handleValidationErrors, deleteArtist); // → DELETE /api/v1/artists/:id
+
+module.exports = artistsRouter;
@@ -0,0 +1,577 @@
+const {
+	getMyCollections,
+	getCollectionById,
+	postCollection,
+	updateCollection,
+	deleteCollection,
+	addCollectionItem,
+	updateCollectionItem,
+	removeCollectionItem,
+	reorderCollection,
+} = require("../controllers/collection.controller");
+const { isAuth } = require("../../middlewares/auth.middleware");
+const { handleValidationErrors } = require("../../middlewares/validation.middleware");
+const { uploadCollectionCover } = require("../../middlewares/upload/collection.upload");
+const {
+	collectionIdValidations,
+	getCollectionValidations,
+	createCollectionValidations,
+	updateCollectionValidations,
+	addCollectionItemValidations,
+	updateCollectionItemValidations,
+	removeCollectionItemValidations,
+	reorderCollectionValidations,
+} = require("../validations/collection.validations");
+
+const collectionsRouter = require("express").Router();
+
+collectionsRouter.use(isAuth([]));
+
+/**
+ * @swagger
+ * /api/v1/collections:
+ *   get:
+ *     summary: Get my collections
+ *     description: |
+ *       Returns the authenticated user's collections, most recently updated first, each with an
+ *       `albumCount`. Manual collections come with their albums populated in order; smart
+ *       collections only with the number of albums their filter matches right now.
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Collections retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Collections fetched successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Collection'
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+collectionsRouter.get("/", getMyCollections); // → GET /api/v1/collections
+
+/**
+ * @swagger
+ * /api/v1/collections:
+ *   post:
+ *     summary: Create collection
+ *     description: |
+ *       Creates a collection (crate) of albums. Send JSON to include initial `items`, or
+ *       multipart/form-data to upload a cover image.
+ *
+ *       Send a `filter` instead of `items` to create a smart collection: it stores the same
+ *       filters as `GET /api/v1/albums` (as an object, lists as arrays or comma-separated
+ *       strings) and its albums are whatever matches them when the collection is read.
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Sunday mornings
+ *               description:
+ *                 type: string
+ *                 example: Slow records for slow days
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - album
+ *                   properties:
+ *                     album:
+ *                       type: string
+ *                       example: 507f1f77bcf86cd799439011
+ *                     note:
+ *                       type: string
+ *                       example: Side B first
+ *               filter:
+ *                 $ref: '#/components/schemas/AlbumFilter'
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               cover:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Collection created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Collection created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Validation error, album not in the user's library, repeated album, or both items and filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+collectionsRouter.post(
+	"/",
+	uploadCollectionCover.single("cover"),
+	createCollectionValidations,
+	handleValidationErrors,
+	postCollection,
+); // → POST /api/v1/collections
+
+/**
+ * @swagger
+ * /api/v1/collections/{id}:
+ *   get:
+ *     summary: Get collection by ID
+ *     description: |
+ *       Returns a collection with its albums and `albumCount`. Smart collections are evaluated
+ *       now against the current library: their matching albums are returned as `items` one page
+ *       at a time, with the same sorting and cursor pagination as the album list (`meta`).
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: createdAt
+ *         description: Smart collections only — sort key, as in the album list
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Smart collections only
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Smart collections only
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Smart collections only — nextCursor or prevCursor from a previous page
+ *     responses:
+ *       200:
+ *         description: Collection retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Collection fetched successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Collection'
+ *                 meta:
+ *                   nullable: true
+ *                   description: Pagination of a smart collection's albums; null for manual collections
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PageMeta'
+ *       400:
+ *         description: Invalid collection ID or pagination parameters
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Collection not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+collectionsRouter.get("/:id", getCollectionValidations, handleValidationErrors, getCollectionById); // → GET /api/v1/collections/:id
+
+/**
+ * @swagger
+ * /api/v1/collections/{id}:
+ *   put:
+ *     summary: Update collection
+ *     description: Updates the name, description, cover or, for smart collections, the filter. A new cover replaces (and deletes) the previous one. Items are managed with the item and order endpoints.
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               cover:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               filter:
+ *                 $ref: '#/components/schemas/AlbumFilter'
+ *     responses:
+ *       200:
+ *         description: Collection updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Collection updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Validation error, or a filter for a manual collection
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Collection not found
+ *       500:
+ *         description: Server error
+ */
+collectionsRouter.put(
+	"/:id",
+	uploadCollectionCover.single("cover"),
+	updateCollectionValidations,
+	handleValidationErrors,
+	updateCollection,
+); // → PUT /api/v1/collections/:id
+
+/**
+ * @swagger
+ * /api/v1/collections/{id}:
+ *   delete:
+ *     summary: Delete collection
+ *     description: Deletes a collection and its cover. The albums are untouched.
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection deleted successfully
+ *       400:
+ *         description: Invalid collection ID
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Collection not found
+ *       500:
+ *         description: Server error
+ */
+collectionsRouter.delete("/:id", collectionIdValidations, handleValidationErrors, deleteCollection); // → DELETE /api/v1/collections/:id
+
+/**
+ * @swagger
+ * /api/v1/collections/{id}/order:
+ *   put:
+ *     summary: Reorder collection
+ *     description: Sets the order of the collection's albums. The list must contain every album of the collection exactly once; notes are kept.
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - albums
+ *             properties:
+ *               albums:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["507f1f77bcf86cd799439012", "507f1f77bcf86cd799439011"]
+ *     responses:
+ *       200:
+ *         description: Collection reordered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Collection reordered successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Validation error, smart collection, or the list adds, drops or repeats albums
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Collection not found
+ *       500:
+ *         description: Server error
+ */
+collectionsRouter.put(
+	"/:id/order",
+	reorderCollectionValidations,
+	handleValidationErrors,
+	reorderCollection,
+); // → PUT /api/v1/collections/:id/order
+
+/**
+ * @swagger
+ * /api/v1/collections/{id}/items:
+ *   post:
+ *     summary: Add album to collection
+ *     description: Adds one of the user's albums at `position` (0-based), or at the end.
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - album
+ *             properties:
+ *               album:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439011
+ *               note:
+ *                 type: string
+ *                 example: Side B first
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *     responses:
+ *       201:
+ *         description: Album added to collection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Album added to collection
+ *                 data:
+ *                   $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Validation error, smart collection, album not in the user's library, or already in the collection
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Collection not found
+ *       500:
+ *         description: Server error
+ */
+collectionsRouter.post(
+	"/:id/items",
+	addCollectionItemValidations,
+	handleValidationErrors,
+	addCollectionItem,
+); // → POST /api/v1/collections/:id/items
+
+/**
+ * @swagger
+ * /api/v1/collections/{id}/items/{albumId}:
+ *   put:
+ *     summary: Update album in collection
+ *     description: Updates the note of an album in the collection and/or moves it to `position` (0-based).
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: albumId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *     responses:
+ *       200:
+ *         description: Collection item updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Collection item updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Validation error or smart collection
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Collection not found, or album not in the collection
+ *       500:
+ *         description: Server error
+ */
+collectionsRouter.put(
+	"/:id/items/:albumId",
+	updateCollectionItemValidations,
+	handleValidationErrors,
+	updateCollectionItem,
+); // → PUT /api/v1/collections/:id/items/:albumId
+
+/**
+ * @swagger
+ * /api/v1/collections/{id}/items/{albumId}:
+ *   delete:
+ *     summary: Remove album from collection
+ *     tags:
+ *       - Collections
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: albumId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Album removed from collection
+ *       400:
+ *         description: Invalid ID or smart collection
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Collection not found, or album not in the collection
+ *       500:
+ *         description: Server error
+ */
+collectionsRouter.delete(
+	"/:id/items/:albumId",
+	removeCollectionItemValidations,
+	handleValidationErrors,
+	removeCollectionItem,
+); // → DELETE /api/v1/collections/:id/items/:albumId
+
+module.exports = collectionsRouter;
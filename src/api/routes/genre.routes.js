@@ -0,0 +1,485 @@
+const {
+	getMyGenres,
+	getGenreTree,
+	getGenreProposal,
+	applyGenreProposal,
+	getGenreById,
+	createGenre,
+	updateGenre,
+	deleteGenre,
+} = require("../controllers/genre.controller");
+const { isAuth } = require("../../middlewares/auth.middleware");
+const { handleValidationErrors } = require("../../middlewares/validation.middleware");
+const {
+	genreIdValidations,
+	createGenreValidations,
+	updateGenreValidations,
+} = require("../validations/genre.validations");
+
+const genresRouter = require("express").Router();
+
+genresRouter.use(isAuth([]));
+
+/**
+ * @swagger
+ * /api/v1/genres:
+ *   get:
+ *     summary: Get my genres
+ *     description: |
+ *       Returns the genres of the authenticated user's genre tree by name, each with its
+ *       parent, the number of albums tagged with its name or an alias (`albumCount`) and
+ *       the number including its subgenres (`totalAlbumCount`).
+ *     tags:
+ *       - Genres
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Genres retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Genres fetched successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Genre'
+ *                       - type: object
+ *                         properties:
+ *                           albumCount:
+ *                             type: integer
+ *                             example: 2
+ *                           totalAlbumCount:
+ *                             type: integer
+ *                             example: 9
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 12
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+genresRouter.get("/", getMyGenres); // → GET /api/v1/genres
+
+/**
+ * @swagger
+ * /api/v1/genres/tree:
+ *   get:
+ *     summary: Get my genre tree
+ *     description: |
+ *       Returns the same genres as GET /genres nested: the top-level genres, each with its
+ *       subgenres in `children`, sorted by name at every level.
+ *     tags:
+ *       - Genres
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Genre tree retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Genre tree fetched successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Genre'
+ *                       - type: object
+ *                         properties:
+ *                           albumCount:
+ *                             type: integer
+ *                           totalAlbumCount:
+ *                             type: integer
+ *                           children:
+ *                             type: array
+ *                             description: Subgenres, with the same shape
+ *                             items:
+ *                               type: object
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 12
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+genresRouter.get("/tree", getGenreTree); // → GET /api/v1/genres/tree
+
+/**
+ * @swagger
+ * /api/v1/genres/proposal:
+ *   get:
+ *     summary: Propose a genre tree
+ *     description: |
+ *       Proposes a genre tree from the genres of the user's albums, without saving it.
+ *       Spellings of the same genre ("Post-Rock", "post rock") become one genre with
+ *       aliases. A genre goes under the genre its name ends with ("Dub Techno" under
+ *       "Techno", `reason: name`) or, failing that, under the broader genre at least 80% of
+ *       its albums also carry ("IDM" under "Electronic", `reason: albums`). `existing`
+ *       marks the genres already in the user's tree.
+ *     tags:
+ *       - Genres
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Genre tree proposed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Genre tree proposed successfully
+ *                 data:
+ *                   type: array
+ *                   description: Top-level genres
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         description: Normalised name
+ *                         example: electronic
+ *                       name:
+ *                         type: string
+ *                         example: Electronic
+ *                       aliases:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: [electronic]
+ *                       albumCount:
+ *                         type: integer
+ *                         example: 14
+ *                       parent:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Key of the parent genre
+ *                       reason:
+ *                         type: string
+ *                         nullable: true
+ *                         enum: [name, albums]
+ *                       existing:
+ *                         type: boolean
+ *                       children:
+ *                         type: array
+ *                         description: Proposed subgenres, with the same shape
+ *                         items:
+ *                           type: object
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 23
+ *                     new:
+ *                       type: integer
+ *                       description: Proposed genres not in the user's tree yet
+ *                       example: 23
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+genresRouter.get("/proposal", getGenreProposal); // → GET /api/v1/genres/proposal
+
+/**
+ * @swagger
+ * /api/v1/genres/proposal:
+ *   post:
+ *     summary: Create the proposed genre tree
+ *     description: |
+ *       Creates the genres of the proposal (see GET /genres/proposal) that are not in the
+ *       user's tree yet, under their proposed parents. Existing genres are left as they
+ *       are, so it can be run again after tagging new albums.
+ *     tags:
+ *       - Genres
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Genre tree created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Genre tree created successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Genre'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     created:
+ *                       type: integer
+ *                       example: 20
+ *                     skipped:
+ *                       type: integer
+ *                       description: Proposed genres already in the tree
+ *                       example: 3
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+genresRouter.post("/proposal", applyGenreProposal); // → POST /api/v1/genres/proposal
+
+/**
+ * @swagger
+ * /api/v1/genres:
+ *   post:
+ *     summary: Create genre
+ *     description: |
+ *       Adds a genre to the user's tree, optionally under a parent genre. Albums are not
+ *       changed: their genres belong to the genre with that name or alias.
+ *     tags:
+ *       - Genres
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: IDM
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Intelligent Dance Music]
+ *               parent:
+ *                 type: string
+ *                 description: ID of the broader genre
+ *     responses:
+ *       201:
+ *         description: Genre created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Genre created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Genre'
+ *       400:
+ *         description: Validation error, or a name or alias used by another genre
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Parent genre not found
+ *       500:
+ *         description: Server error
+ */
+genresRouter.post("/", createGenreValidations, handleValidationErrors, createGenre); // → POST /api/v1/genres
+
+/**
+ * @swagger
+ * /api/v1/genres/{id}:
+ *   get:
+ *     summary: Get genre
+ *     description: |
+ *       Returns a genre with its ancestors (from the top-level genre down), its direct
+ *       subgenres and its album counts.
+ *     tags:
+ *       - Genres
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Genre retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Genre fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     genre:
+ *                       $ref: '#/components/schemas/Genre'
+ *                     ancestors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string }
+ *                           name: { type: string, example: Electronic }
+ *                     children:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string }
+ *                           name: { type: string, example: Dub Techno }
+ *                     albumCount:
+ *                       type: integer
+ *                       example: 3
+ *                     totalAlbumCount:
+ *                       type: integer
+ *                       example: 7
+ *       400:
+ *         description: Invalid genre ID
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Genre not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+genresRouter.get("/:id", genreIdValidations, handleValidationErrors, getGenreById); // → GET /api/v1/genres/:id
+
+/**
+ * @swagger
+ * /api/v1/genres/{id}:
+ *   put:
+ *     summary: Update genre
+ *     description: |
+ *       Updates the name, aliases or parent of a genre. A renamed genre keeps its old name
+ *       as an alias; album genres are not renamed. `parent: null` makes it a top-level
+ *       genre. A genre cannot be nested under itself or one of its subgenres.
+ *     tags:
+ *       - Genres
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Techno
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Genre updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Genre updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Genre'
+ *       400:
+ *         description: Validation error, name or alias used by another genre, or a parent that would create a cycle
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Genre or parent genre not found
+ *       500:
+ *         description: Server error
+ */
+genresRouter.put("/:id", updateGenreValidations, handleValidationErrors, updateGenre); // → PUT /api/v1/genres/:id
+
+/**
+ * @swagger
+ * /api/v1/genres/{id}:
+ *   delete:
+ *     summary: Delete genre
+ *     description: Deletes a genre from the tree. Its subgenres move up to its parent; albums keep their genres.
+ *     tags:
+ *       - Genres
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Genre deleted successfully
+ *       400:
+ *         description: Invalid genre ID
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Genre not found
+ *       500:
+ *         description: Server error
+ */
+genresRouter.delete("/:id", genreIdValidations, handleValidationErrors, deleteGenre); // → DELETE /api/v1/genres/:id
+
+module.exports = genresRouter;
@@ -0,0 +1,273 @@
+const {
+	getMyJourneys,
+	getJourneyById,
+	postJourney,
+	updateJourney,
+	deleteJourney,
+} = require("../controllers/journey.controller");
+const { isAuth } = require("../../middlewares/auth.middleware");
+const { handleValidationErrors } = require("../../middlewares/validation.middleware");
+const {
+	journeyIdValidations,
+	createJourneyValidations,
+	updateJourneyValidations,
+} = require("../validations/journey.validations");
+
+const journeysRouter = require("express").Router();
+
+journeysRouter.use(isAuth([]));
+
+/**
+ * @swagger
+ * /api/v1/journeys:
+ *   get:
+ *     summary: Get my journeys
+ *     description: Returns the authenticated user's journeys, most recently updated first, with their step albums populated.
+ *     tags:
+ *       - Journeys
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Journeys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Journeys fetched successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Journey'
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+journeysRouter.get("/", getMyJourneys); // → GET /api/v1/journeys
+
+/**
+ * @swagger
+ * /api/v1/journeys:
+ *   post:
+ *     summary: Create journey
+ *     description: |
+ *       Creates an ordered, titled sequence of the user's albums with a narrative note at each step.
+ *       With `strict: true`, every pair of consecutive steps must be linked by a connection
+ *       (any type, either direction).
+ *     tags:
+ *       - Journeys
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - steps
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: From Kraftwerk to Burial
+ *               description:
+ *                 type: string
+ *                 example: How German electronics ended up in South London
+ *               strict:
+ *                 type: boolean
+ *                 default: false
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - album
+ *                   properties:
+ *                     album:
+ *                       type: string
+ *                       example: 507f1f77bcf86cd799439011
+ *                     note:
+ *                       type: string
+ *                       example: Where the drum machines came from
+ *     responses:
+ *       201:
+ *         description: Journey created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Journey created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Journey'
+ *       400:
+ *         description: Validation error, album not in the collection, or (strict) unconnected steps
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+journeysRouter.post("/", createJourneyValidations, handleValidationErrors, postJourney); // → POST /api/v1/journeys
+
+/**
+ * @swagger
+ * /api/v1/journeys/{id}:
+ *   get:
+ *     summary: Get journey by ID
+ *     description: |
+ *       Returns a journey with its steps. Every step after the first carries the connection that
+ *       links it to the previous step (`forward` when it goes from the previous album to this one),
+ *       or null when the two albums are not connected.
+ *     tags:
+ *       - Journeys
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Journey retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Journey fetched successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Journey'
+ *       400:
+ *         description: Invalid journey ID
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Journey not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+journeysRouter.get("/:id", journeyIdValidations, handleValidationErrors, getJourneyById); // → GET /api/v1/journeys/:id
+
+/**
+ * @swagger
+ * /api/v1/journeys/{id}:
+ *   put:
+ *     summary: Update journey
+ *     description: Updates the title, description, strict flag or steps (the whole sequence is replaced). Steps are re-validated when steps or strict change.
+ *     tags:
+ *       - Journeys
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               strict:
+ *                 type: boolean
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     album:
+ *                       type: string
+ *                     note:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Journey updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Journey updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Journey'
+ *       400:
+ *         description: Validation error, album not in the collection, or (strict) unconnected steps
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Journey not found
+ *       500:
+ *         description: Server error
+ */
+journeysRouter.put("/:id", updateJourneyValidations, handleValidationErrors, updateJourney); // → PUT /api/v1/journeys/:id
+
+/**
+ * @swagger
+ * /api/v1/journeys/{id}:
+ *   delete:
+ *     summary: Delete journey
+ *     description: Deletes a journey. The albums and their connections are untouched.
+ *     tags:
+ *       - Journeys
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Journey deleted successfully
+ *       400:
+ *         description: Invalid journey ID
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Journey not found
+ *       500:
+ *         description: Server error
+ */
+journeysRouter.delete("/:id", journeyIdValidations, handleValidationErrors, deleteJourney); // → DELETE /api/v1/journeys/:id
+
+module.exports = journeysRouter;
@@ -0,0 +1,415 @@
+const {
+	getMyLabels,
+	getLabelMergeSuggestions,
+	getLabelById,
+	updateLabel,
+	mergeLabel,
+	deleteLabel,
+} = require("../controllers/label.controller");
+const { isAuth } = require("../../middlewares/auth.middleware");
+const { handleValidationErrors } = require("../../middlewares/validation.middleware");
+const {
+	labelIdValidations,
+	updateLabelValidations,
+	mergeLabelValidations,
+} = require("../validations/label.validations");
+
+const labelsRouter = require("express").Router();
+
+labelsRouter.use(isAuth([]));
+
+/**
+ * @swagger
+ * /api/v1/labels:
+ *   get:
+ *     summary: Get my labels
+ *     description: |
+ *       Returns the authenticated user's labels by name, each with its number of albums
+ *       (`albumCount`). Labels are created when an album first uses their name; names are
+ *       matched ignoring case, diacritics and punctuation, and through the label's aliases.
+ *     tags:
+ *       - Labels
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Labels retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Labels fetched successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Label'
+ *                       - type: object
+ *                         properties:
+ *                           albumCount:
+ *                             type: integer
+ *                             example: 4
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 1
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+labelsRouter.get("/", getMyLabels); // → GET /api/v1/labels
+
+/**
+ * @swagger
+ * /api/v1/labels/merge-suggestions:
+ *   get:
+ *     summary: Suggest labels to merge
+ *     description: |
+ *       Groups the user's labels whose names only differ by a company suffix (Records,
+ *       Recordings, Music, Ltd…), such as "Warp" and "Warp Records". Each group has a
+ *       `suggestedTarget` (the label with the most albums) to merge the others into with
+ *       POST /labels/{id}/merge. Nothing is merged by this endpoint.
+ *     tags:
+ *       - Labels
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Merge suggestions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Merge suggestions fetched successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       labels:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             _id: { type: string }
+ *                             name: { type: string, example: Warp Records }
+ *                             albumCount: { type: integer, example: 1 }
+ *                       suggestedTarget:
+ *                         type: string
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 1
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+labelsRouter.get("/merge-suggestions", getLabelMergeSuggestions); // → GET /api/v1/labels/merge-suggestions
+
+/**
+ * @swagger
+ * /api/v1/labels/{id}:
+ *   get:
+ *     summary: Get label page
+ *     description: |
+ *       Returns a label with its parent and sublabels, the user's albums on it ordered by
+ *       release date (undated last), and the most frequent dimensions, genres and artists
+ *       of those albums.
+ *     tags:
+ *       - Labels
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Label retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Label fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     label:
+ *                       $ref: '#/components/schemas/Label'
+ *                     sublabels:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id: { type: string }
+ *                           name: { type: string, example: Warp Films }
+ *                     albums:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                             example: Selected Ambient Works Volume II
+ *                           artists:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: [Aphex Twin]
+ *                           releaseDate:
+ *                             type: string
+ *                             format: date-time
+ *                           format:
+ *                             type: string
+ *                           coverArtUrl:
+ *                             type: string
+ *                           rating:
+ *                             type: number
+ *                           favourite:
+ *                             type: boolean
+ *                     stats:
+ *                       type: object
+ *                       description: Each list holds the most frequent values as { value, count }
+ *                       properties:
+ *                         albumCount:
+ *                           type: integer
+ *                           example: 4
+ *                         dimensions:
+ *                           type: object
+ *                           properties:
+ *                             emotional:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                             sonic:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                         genres:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               value: { type: string, example: IDM }
+ *                               count: { type: integer, example: 3 }
+ *                         artists:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               value: { type: string, example: Aphex Twin }
+ *                               count: { type: integer, example: 2 }
+ *       400:
+ *         description: Invalid label ID
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Label not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+labelsRouter.get("/:id", labelIdValidations, handleValidationErrors, getLabelById); // → GET /api/v1/labels/:id
+
+/**
+ * @swagger
+ * /api/v1/labels/{id}:
+ *   put:
+ *     summary: Update label
+ *     description: |
+ *       Updates the name, aliases, country, founding year, parent label or personal note of
+ *       a label. A new name is written to the label's albums, and the old one is kept as an
+ *       alias. Names and aliases already used by another label are rejected; merge the
+ *       labels instead. `parent: null` removes the parent.
+ *     tags:
+ *       - Labels
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Warp
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Warp Records]
+ *               country:
+ *                 type: string
+ *                 example: UK
+ *               foundedYear:
+ *                 type: integer
+ *                 example: 1989
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of the label this one is an imprint of
+ *               personalNote:
+ *                 type: object
+ *                 properties:
+ *                   content:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Label updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Label updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Label'
+ *       400:
+ *         description: Validation error, name or alias used by another label, or a parent that would create a cycle
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Label or parent label not found
+ *       500:
+ *         description: Server error
+ */
+labelsRouter.put("/:id", updateLabelValidations, handleValidationErrors, updateLabel); // → PUT /api/v1/labels/:id
+
+/**
+ * @swagger
+ * /api/v1/labels/{id}/merge:
+ *   post:
+ *     summary: Merge labels
+ *     description: |
+ *       Merges another label (`sourceId`) into this one: its albums and sublabels move
+ *       here, its name and aliases become aliases, empty fields are filled from it and
+ *       notes are appended. The source label is deleted.
+ *     tags:
+ *       - Labels
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sourceId
+ *             properties:
+ *               sourceId:
+ *                 type: string
+ *                 example: 64b7f9e2c1234567890abcde
+ *     responses:
+ *       200:
+ *         description: Labels merged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Labels merged successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Label'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     albumsMoved:
+ *                       type: integer
+ *                       example: 2
+ *       400:
+ *         description: Validation error, or a label merged into itself
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Label not found
+ *       500:
+ *         description: Server error
+ */
+labelsRouter.post("/:id/merge", mergeLabelValidations, handleValidationErrors, mergeLabel); // → POST /api/v1/labels/:id/merge
+
+/**
+ * @swagger
+ * /api/v1/labels/{id}:
+ *   delete:
+ *     summary: Delete label
+ *     description: Deletes a label without albums; its sublabels are left without a parent. Change the labels of its albums or merge it first.
+ *     tags:
+ *       - Labels
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Label deleted successfully
+ *       400:
+ *         description: Invalid label ID, or the label still has albums
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Label not found
+ *       500:
+ *         description: Server error
+ */
+labelsRouter.delete("/:id", labelIdValidations, handleValidationErrors, deleteLabel); // → DELETE /api/v1/labels/:id
+
+module.exports = labelsRouter;
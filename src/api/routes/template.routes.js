@@ -0,0 +1,259 @@
+const {
+	getMyTemplates,
+	getTemplateById,
+	postTemplate,
+	updateTemplate,
+	deleteTemplate,
+} = require("../controllers/template.controller");
+const { isAuth } = require("../../middlewares/auth.middleware");
+const { handleValidationErrors } = require("../../middlewares/validation.middleware");
+const {
+	templateIdValidations,
+	createTemplateValidations,
+	updateTemplateValidations,
+} = require("../validations/template.validations");
+
+const templatesRouter = require("express").Router();
+
+templatesRouter.use(isAuth([]));
+
+/**
+ * @swagger
+ * /api/v1/templates:
+ *   get:
+ *     summary: Get my note templates
+ *     description: Returns the authenticated user's note templates by name, with the available placeholders in `meta.placeholders`.
+ *     tags:
+ *       - Templates
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Templates fetched successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NoteTemplate'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       example: 1
+ *                     placeholders:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [title, artists, releaseYear, releaseDate, format, genres, labels, scenes, today]
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+templatesRouter.get("/", getMyTemplates); // → GET /api/v1/templates
+
+/**
+ * @swagger
+ * /api/v1/templates:
+ *   post:
+ *     summary: Create note template
+ *     description: |
+ *       Creates a Markdown note template. Placeholders are written `{{name}}` and filled from
+ *       the album when it is created with `templateId`: title, artists, releaseYear,
+ *       releaseDate, format, genres, labels, scenes and today (YYYY-MM-DD, UTC).
+ *       Unknown placeholders are rejected.
+ *     tags:
+ *       - Templates
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - content
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Full review
+ *               description:
+ *                 type: string
+ *                 example: First impressions, standout tracks, context, comparisons
+ *               content:
+ *                 type: string
+ *                 example: "# {{title}} — {{artists}} ({{releaseYear}})\n\n## First impressions\n\n## Standout tracks\n\n## Context\n\n## Comparisons\n\n_Written {{today}}_"
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Template created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/NoteTemplate'
+ *       400:
+ *         description: Validation error, unknown placeholder or name already taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No token or invalid token
+ *       500:
+ *         description: Server error
+ */
+templatesRouter.post("/", createTemplateValidations, handleValidationErrors, postTemplate); // → POST /api/v1/templates
+
+/**
+ * @swagger
+ * /api/v1/templates/{id}:
+ *   get:
+ *     summary: Get note template by ID
+ *     tags:
+ *       - Templates
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Template fetched successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/NoteTemplate'
+ *       400:
+ *         description: Invalid template ID
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+templatesRouter.get("/:id", templateIdValidations, handleValidationErrors, getTemplateById); // → GET /api/v1/templates/:id
+
+/**
+ * @swagger
+ * /api/v1/templates/{id}:
+ *   put:
+ *     summary: Update note template
+ *     description: Updates the name, description or content of a template. Notes already created from it are untouched.
+ *     tags:
+ *       - Templates
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Template updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/NoteTemplate'
+ *       400:
+ *         description: Validation error, unknown placeholder or name already taken
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+templatesRouter.put("/:id", updateTemplateValidations, handleValidationErrors, updateTemplate); // → PUT /api/v1/templates/:id
+
+/**
+ * @swagger
+ * /api/v1/templates/{id}:
+ *   delete:
+ *     summary: Delete note template
+ *     description: Deletes a template. Notes already created from it are untouched.
+ *     tags:
+ *       - Templates
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       400:
+ *         description: Invalid template ID
+ *       401:
+ *         description: No token or invalid token
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+templatesRouter.delete("/:id", templateIdValidations, handleValidationErrors, deleteTemplate); // → DELETE /api/v1/templates/:id
+
+module.exports = templatesRouter;
@@ -7,6 +7,7 @@ const {
 	addFavorite,
 	removeFavorite,
 } = require("../controllers/user.controller");
+const { getMyStats, getYearReview } = require("../controllers/stats.controller");
 const { uploadUserImage } = require("../../middlewares/upload/user.upload");
 const { isAuth } = require("../../middlewares/auth.middleware");
 const {
@@ -15,6 +16,8 @@ const {
 const {
 	updateProfileValidations,
 	changePasswordValidations,
+	statsValidations,
+	reviewValidations,
 } = require("../validations/user.validations");
 
 const usersRouter = require("express").Router();
@@ -270,6 +273,228 @@ usersRouter.delete("/me", deleteMyAccount); // → DELETE /api/v1/users/me
  */
 usersRouter.get("/me/favorites", getFavorites); // → GET /api/v1/users/me/favorites
 
+/**
+ * @swagger
+ * /api/v1/users/me/stats:
+ *   get:
+ *     summary: Get my listening statistics
+ *     description: |
+ *       Statistics and trends over the authenticated user's albums, bucketed by month or year (UTC):
+ *       albums added, genre/scene/emotional/sonic distributions of the albums added in each period,
+ *       average rating by decade and format, listening frequency counts (`unlogged` for albums
+ *       without listening sessions), listening sessions per period and note-writing activity
+ *       (notes by their last edit, with word counts). Periods without data are omitted.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [month, year]
+ *           default: month
+ *         description: Time bucket of the distributions and activity series
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Values kept per period in each distribution, most frequent first
+ *     responses:
+ *       200:
+ *         description: Stats fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Stats fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     interval:
+ *                       type: string
+ *                       example: month
+ *                     total:
+ *                       type: integer
+ *                       example: 42
+ *                     added:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period: { type: string, example: "2024-03" }
+ *                           count: { type: integer, example: 5 }
+ *                     distributions:
+ *                       type: object
+ *                       description: genres, scenes, emotional and sonic, each a list of { period, values [{ value, count }] }
+ *                       example:
+ *                         genres: [{ period: "2024-03", values: [{ value: Shoegaze, count: 3 }] }]
+ *                     ratings:
+ *                       type: object
+ *                       properties:
+ *                         byDecade:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               value: { type: integer, example: 1990 }
+ *                               average: { type: number, example: 8.25 }
+ *                               count: { type: integer, example: 4 }
+ *                         byFormat:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               value: { type: string, example: LP }
+ *                               average: { type: number, example: 7.9 }
+ *                               count: { type: integer, example: 30 }
+ *                     listening:
+ *                       type: object
+ *                       properties:
+ *                         frequency:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               value: { type: string, example: regular }
+ *                               count: { type: integer, example: 7 }
+ *                         listens:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               period: { type: string, example: "2024-03" }
+ *                               count: { type: integer, example: 12 }
+ *                     notes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period: { type: string, example: "2024-03" }
+ *                           count: { type: integer, example: 2 }
+ *                           words: { type: integer, example: 340 }
+ *       400:
+ *         description: Invalid interval or limit
+ *       401:
+ *         description: No token or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+usersRouter.get(
+	"/me/stats",
+	statsValidations,
+	handleValidationErrors,
+	getMyStats,
+); // → GET /api/v1/users/me/stats
+
+/**
+ * @swagger
+ * /api/v1/users/me/review/{year}:
+ *   get:
+ *     summary: Get my year in review
+ *     description: |
+ *       Annual summary of the authenticated user's library for a calendar year (UTC): albums added
+ *       (per month, and listed with the same fields as the CSV export), average and top ratings,
+ *       favourites added, listening sessions and first listens, most played albums, connections
+ *       created and the most frequent emotional/sonic dimensions and genres of the albums added.
+ *       With `format=html` the report is returned as a standalone HTML page that can be saved and shared.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: year
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1900
+ *         description: Calendar year, up to the current one
+ *         example: 2024
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Year review fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Year review fetched successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     year:
+ *                       type: integer
+ *                       example: 2024
+ *                     albums:
+ *                       type: object
+ *                       description: added (count), byMonth [{ month, count }] and list (export fields plus id and addedAt)
+ *                     ratings:
+ *                       type: object
+ *                       description: average, rated (count) and top [{ id, title, artists, rating }]
+ *                     favourites:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     listening:
+ *                       type: object
+ *                       description: sessions, albums, firstListens, byMonth and mostPlayed [{ id, title, artists, listens }]
+ *                     connections:
+ *                       type: object
+ *                       description: created (count), byType [{ type, count }] and list [{ from, to, type, note, createdAt }]
+ *                     dimensions:
+ *                       type: object
+ *                       description: emotional and sonic, each [{ value, count }]
+ *                     genres:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid year or format
+ *       401:
+ *         description: No token or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ */
+usersRouter.get(
+	"/me/review/:year",
+	reviewValidations,
+	handleValidationErrors,
+	getYearReview,
+); // → GET /api/v1/users/me/review/:year
+
 /**
  * @swagger
  * /api/v1/users/me/favorites/{albumId}:
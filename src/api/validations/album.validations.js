@@ -1,4 +1,96 @@
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
+const { SORT_FIELDS, splitList } = require("../../utils/albumQuery");
+const { GRAPH_FORMATS } = require("../../utils/graphFormats");
+const { CONNECTION_TYPE_NAMES } = require("../../utils/connectionTypes");
+const { parseAlbumQuery } = require("../../utils/albumQueryLanguage");
+const { parseDuration } = require("../../utils/tracklist");
+const { CREDIT_ROLES, ARTIST_ROLE } = require("../../utils/credits");
+
+/**
+ * A repeated query parameter (?sort=title&sort=rating) arrives as an array, whose items
+ * the standard validators check one by one → 400 for parameters that take one value
+ */
+const singleValue = (chain) =>
+	chain
+		.not()
+		.isArray()
+		.withMessage((_value, { path }) => `${path} must be a single value`)
+		.bail();
+
+/**
+ * Listening sessions and the fields derived from them are managed through
+ * /albums/:id/listens, so they cannot be set when creating or updating an album
+ */
+const derivedListeningFields = [
+	"listens",
+	"listeningContext.firstListen",
+	"listeningContext.lastListen",
+	"listeningContext.frequency",
+].map((field) =>
+	body(field)
+		.not()
+		.exists()
+		.withMessage(
+			`${field} cannot be set directly. Log listening sessions with POST /albums/:id/listens`,
+		),
+);
+
+/**
+ * The tracklist and its totals are managed through /albums/:id/tracks
+ */
+const derivedTracklistFields = ["tracks", "trackCount", "totalDuration"].map((field) =>
+	body(field)
+		.not()
+		.exists()
+		.withMessage(`${field} cannot be set directly. Edit the tracklist with /albums/:id/tracks`),
+);
+
+/**
+ * Validations for the credits of an album (create and update)
+ */
+const creditRules = [
+	body("credits").optional().isArray().withMessage("Credits must be an array"),
+
+	body("credits.*.person")
+		.isString()
+		.withMessage("Credit person is required")
+		.bail()
+		.trim()
+		.notEmpty()
+		.withMessage("Credit person is required")
+		.isLength({ max: 200 })
+		.withMessage("Credit person cannot exceed 200 characters"),
+
+	body("credits.*.role")
+		.isIn(CREDIT_ROLES)
+		.withMessage(`Invalid credit role. Must be one of: ${CREDIT_ROLES.join(", ")}`),
+
+	body("credits.*.tracks")
+		.optional()
+		.isArray()
+		.withMessage("Credit tracks must be an array of track labels"),
+
+	body("credits.*.tracks.*")
+		.isString()
+		.withMessage("Credit track must be a track label such as 3 or A3")
+		.trim()
+		.notEmpty()
+		.withMessage("Credit track cannot be empty"),
+];
+
+/**
+ * artistIds and labelIds follow the artist and label names (see utils/nameLinks)
+ */
+const derivedArtistFields = [
+	body("artistIds")
+		.not()
+		.exists()
+		.withMessage("artistIds cannot be set directly. Send the artist names in artists"),
+	body("labelIds")
+		.not()
+		.exists()
+		.withMessage("labelIds cannot be set directly. Send the label names in labels"),
+];
 
 /**
  * Validations for creating a new album
@@ -152,6 +244,18 @@ const createAlbumValidations = [
 		.isString()
 		.withMessage("Personal note content must be a string"),
 
+	body("templateId")
+		.optional()
+		.isMongoId()
+		.withMessage("templateId must be a valid template ID")
+		.bail()
+		.custom((_value, { req }) => {
+			if (req.body.personalNote?.content) {
+				throw new Error("Send either templateId or personalNote.content, not both");
+			}
+			return true;
+		}),
+
 	// Connections validations
 	body("connections").optional().isArray().withMessage("Connections must be an array"),
 
@@ -162,37 +266,26 @@ const createAlbumValidations = [
 
 	body("connections.*.type")
 		.optional()
-		.isIn([
-			"influences",
-			"similar-to",
-			"contrasts-with",
-			"evokes",
-			"progression",
-			"thematic",
-			"discovered-through",
-			"samples",
-		])
-		.withMessage(
-			"Connection type must be one of: influences, similar-to, contrasts-with, evokes, progression, thematic, discovered-through, samples",
-		),
+		.isIn(CONNECTION_TYPE_NAMES)
+		.withMessage(`Connection type must be one of: ${CONNECTION_TYPE_NAMES.join(", ")}`),
 
 	body("connections.*.note").optional().isString().withMessage("Connection note must be a string"),
 
-	// Listening Context validations
-	body("listeningContext.firstListen")
+	body("connections.*.strength")
 		.optional()
-		.isISO8601()
-		.withMessage("First listen date must be a valid date"),
+		.isInt({ min: 1, max: 5 })
+		.withMessage("Connection strength must be an integer between 1 and 5"),
 
-	body("listeningContext.lastListen")
+	body("connections.*.discoveredOn")
 		.optional()
 		.isISO8601()
-		.withMessage("Last listen date must be a valid date"),
+		.withMessage("Connection discovery date must be a valid date"),
 
-	body("listeningContext.frequency")
-		.optional()
-		.isIn(["once", "occasional", "regular", "obsessive"])
-		.withMessage("Frequency must be one of: once, occasional, regular, obsessive"),
+	// Listening Context validations
+	...derivedListeningFields,
+	...derivedTracklistFields,
+	...derivedArtistFields,
+	...creditRules,
 
 	body("listeningContext.context")
 		.optional()
@@ -370,37 +463,26 @@ const updateAlbumValidations = [
 
 	body("connections.*.type")
 		.optional()
-		.isIn([
-			"influences",
-			"similar-to",
-			"contrasts-with",
-			"evokes",
-			"progression",
-			"thematic",
-			"discovered-through",
-			"samples",
-		])
-		.withMessage(
-			"Connection type must be one of: influences, similar-to, contrasts-with, evokes, progression, thematic, discovered-through, samples",
-		),
+		.isIn(CONNECTION_TYPE_NAMES)
+		.withMessage(`Connection type must be one of: ${CONNECTION_TYPE_NAMES.join(", ")}`),
 
 	body("connections.*.note").optional().isString().withMessage("Connection note must be a string"),
 
-	// Listening Context validations
-	body("listeningContext.firstListen")
+	body("connections.*.strength")
 		.optional()
-		.isISO8601()
-		.withMessage("First listen date must be a valid date"),
+		.isInt({ min: 1, max: 5 })
+		.withMessage("Connection strength must be an integer between 1 and 5"),
 
-	body("listeningContext.lastListen")
+	body("connections.*.discoveredOn")
 		.optional()
 		.isISO8601()
-		.withMessage("Last listen date must be a valid date"),
+		.withMessage("Connection discovery date must be a valid date"),
 
-	body("listeningContext.frequency")
-		.optional()
-		.isIn(["once", "occasional", "regular", "obsessive"])
-		.withMessage("Frequency must be one of: once, occasional, regular, obsessive"),
+	// Listening Context validations
+	...derivedListeningFields,
+	...derivedTracklistFields,
+	...derivedArtistFields,
+	...creditRules,
 
 	body("listeningContext.context")
 		.optional()
@@ -429,21 +511,19 @@ const addConnectionValidations = [
 		.trim()
 		.notEmpty()
 		.withMessage("Connection type is required")
-		.isIn([
-			"influences",
-			"similar-to",
-			"contrasts-with",
-			"evokes",
-			"progression",
-			"thematic",
-			"discovered-through",
-			"samples",
-		])
-		.withMessage(
-			"Invalid connection type. Must be one of: influences, similar-to, contrasts-with, evokes, progression, thematic, discovered-through, samples",
-		),
+		.isIn(CONNECTION_TYPE_NAMES)
+		.withMessage(`Invalid connection type. Must be one of: ${CONNECTION_TYPE_NAMES.join(", ")}`),
 
 	body("note").optional().trim().isString().withMessage("Note must be a string"),
+	body("strength")
+		.optional({ values: "null" })
+		.isInt({ min: 1, max: 5 })
+		.withMessage("Strength must be an integer between 1 and 5"),
+
+	body("discoveredOn")
+		.optional({ values: "null" })
+		.isISO8601()
+		.withMessage("Discovery date must be a valid date"),
 ];
 
 /**
@@ -453,21 +533,530 @@ const updateConnectionValidations = [
 	body("type")
 		.optional()
 		.trim()
-		.isIn([
-			"influences",
-			"similar-to",
-			"contrasts-with",
-			"evokes",
-			"progression",
-			"thematic",
-			"discovered-through",
-			"samples",
-		])
-		.withMessage(
-			"Invalid connection type. Must be one of: influences, similar-to, contrasts-with, evokes, progression, thematic, discovered-through, samples",
-		),
+		.isIn(CONNECTION_TYPE_NAMES)
+		.withMessage(`Invalid connection type. Must be one of: ${CONNECTION_TYPE_NAMES.join(", ")}`),
 
 	body("note").optional().trim().isString().withMessage("Note must be a string"),
+	body("strength")
+		.optional({ values: "null" })
+		.isInt({ min: 1, max: 5 })
+		.withMessage("Strength must be an integer between 1 and 5"),
+
+	body("discoveredOn")
+		.optional({ values: "null" })
+		.isISO8601()
+		.withMessage("Discovery date must be a valid date"),
+];
+
+const MEDIUMS = ["vinyl", "cd", "cassette", "digital", "streaming", "radio", "live", "other"];
+
+const EMOTIONS = [
+	"melancholic",
+	"euphoric",
+	"introspective",
+	"energetic",
+	"nostalgic",
+	"anxious",
+	"peaceful",
+	"rebellious",
+	"angry",
+	"joyful",
+	"contemplative",
+	"dreamy",
+];
+
+/**
+ * Validations for the fields of a listening session (all optional)
+ */
+const listenRules = () => [
+	body("listenedAt")
+		.optional()
+		.isISO8601()
+		.withMessage("Listen date must be a valid date")
+		.bail()
+		.custom((value) => new Date(value) <= new Date())
+		.withMessage("Listen date cannot be in the future"),
+
+	body("setting")
+		.optional()
+		.isString()
+		.withMessage("Setting must be a string")
+		.trim()
+		.isLength({ max: 100 })
+		.withMessage("Setting cannot exceed 100 characters"),
+
+	body("medium")
+		.optional({ values: "null" })
+		.isIn(MEDIUMS)
+		.withMessage(`Medium must be one of: ${MEDIUMS.join(", ")}`),
+
+	body(["moodBefore", "moodAfter"])
+		.optional({ values: "null" })
+		.isIn(EMOTIONS)
+		.withMessage(`Mood must be one of: ${EMOTIONS.join(", ")}`),
+
+	body("note")
+		.optional()
+		.isString()
+		.withMessage("Note must be a string")
+		.trim()
+		.isLength({ max: 500 })
+		.withMessage("Note cannot exceed 500 characters"),
+];
+
+/**
+ * Validations for logging a listening session
+ */
+const addListenValidations = listenRules();
+
+/**
+ * Validations for editing a listening session
+ */
+const updateListenValidations = [
+	param("listenId").isMongoId().withMessage("Invalid listen ID"),
+	...listenRules(),
+];
+
+/**
+ * Validations for deleting a listening session
+ */
+const deleteListenValidations = [param("listenId").isMongoId().withMessage("Invalid listen ID")];
+
+/**
+ * Validations for the fields of a track. prefix is the path of the track in the body
+ * ("" for a single track, "tracks.*" for a whole tracklist); the title is required
+ * unless the track is being edited.
+ */
+const trackRules = (prefix = "", { partial = false } = {}) => {
+	const field = (name) => (prefix ? `${prefix}.${name}` : name);
+	const title = body(field("title"));
+
+	return [
+		(partial ? title.optional() : title)
+			.isString()
+			.withMessage("Track title is required")
+			.bail()
+			.trim()
+			.notEmpty()
+			.withMessage("Track title is required")
+			.isLength({ max: 200 })
+			.withMessage("Track title cannot exceed 200 characters"),
+
+		body(field("disc"))
+			.optional({ values: "null" })
+			.isString()
+			.withMessage("Disc must be a string")
+			.trim()
+			.isLength({ max: 10 })
+			.withMessage("Disc cannot exceed 10 characters"),
+
+		body(field("position"))
+			.optional()
+			.isInt({ min: 1 })
+			.withMessage("Track position must be a positive integer")
+			.toInt(),
+
+		body(field("duration"))
+			.optional({ values: "null" })
+			.custom((value) => parseDuration(value) !== null)
+			.withMessage('Duration must be a number of seconds or "m:ss"')
+			.customSanitizer(parseDuration),
+
+		body(field("featuredArtists"))
+			.optional()
+			.isArray()
+			.withMessage("Featured artists must be an array"),
+
+		body(field("featuredArtists.*"))
+			.isString()
+			.withMessage("Featured artist must be a string")
+			.trim()
+			.notEmpty()
+			.withMessage("Featured artist cannot be empty"),
+
+		body(field("note"))
+			.optional({ values: "null" })
+			.isString()
+			.withMessage("Track note must be a string")
+			.trim()
+			.isLength({ max: 1000 })
+			.withMessage("Track note cannot exceed 1000 characters"),
+
+		body(field("standout"))
+			.optional()
+			.isBoolean()
+			.withMessage("Standout must be true or false")
+			.toBoolean(),
+	];
+};
+
+/**
+ * Validations for adding a track
+ */
+const addTrackValidations = trackRules();
+
+/**
+ * Validations for replacing the whole tracklist
+ */
+const replaceTracksValidations = [
+	body("tracks").isArray().withMessage("Tracks must be an array"),
+	...trackRules("tracks.*"),
+];
+
+/**
+ * Validations for editing a track
+ */
+const updateTrackValidations = [
+	param("trackId").isMongoId().withMessage("Invalid track ID"),
+	...trackRules("", { partial: true }),
+];
+
+/**
+ * Validations for deleting a track
+ */
+const deleteTrackValidations = [param("trackId").isMongoId().withMessage("Invalid track ID")];
+
+/**
+ * Validations for fetching a single album
+ */
+const getAlbumValidations = [
+	query("render").optional().isIn(["html"]).withMessage("render must be html"),
+];
+
+/**
+ * Validations for the routes of a single note revision
+ */
+const noteRevisionValidations = [
+	param("revisionId").isMongoId().withMessage("Invalid revision ID"),
+];
+
+/**
+ * Validations for the diff between two note revisions
+ */
+const noteDiffValidations = [
+	query("from")
+		.notEmpty()
+		.withMessage("from is required")
+		.bail()
+		.isMongoId()
+		.withMessage("from must be a revision ID"),
+
+	query("to").optional().isMongoId().withMessage("to must be a revision ID"),
+];
+
+/**
+ * Checks that every comma-separated item of a query value is one of the allowed values
+ */
+const allIn = (allowed) => (value) => splitList(value).every((item) => allowed.includes(item));
+
+/**
+ * Builds the validations for the album filters, read from the query string or from an
+ * object in the body (e.g. a smart collection's saved filter).
+ *
+ * @param {string} [bodyField] - Body field holding the filters; the query string when omitted
+ */
+const albumFilterRules = (bodyField) => {
+	const field = bodyField
+		? (names) => body([names].flat().map((name) => `${bodyField}.${name}`))
+		: query;
+	const filtersOf = (req) => (bodyField ? req.body[bodyField] : req.query) ?? {};
+
+	return [
+		field(["genre", "label", "scene", "movement", "tag"])
+			.optional()
+			.custom((value) => splitList(value).length > 0)
+			.withMessage("Filter must contain at least one non-empty value"),
+
+		field("format")
+			.optional()
+			.custom(
+				allIn([
+					"LP",
+					"EP",
+					"Reissue",
+					"Live",
+					"Compilation",
+					"Box Set",
+					"Holiday",
+					"Instrumental",
+					"Remix",
+					"Soundtrack",
+					"Mixtape",
+				]),
+			)
+			.withMessage(
+				"Invalid format. Must be one of: LP, EP, Reissue, Live, Compilation, Box Set, Holiday, Instrumental, Remix, Soundtrack, Mixtape",
+			),
+
+		field("emotional")
+			.optional()
+			.custom(
+				allIn([
+					"melancholic",
+					"euphoric",
+					"introspective",
+					"energetic",
+					"nostalgic",
+					"anxious",
+					"peaceful",
+					"rebellious",
+					"angry",
+					"joyful",
+					"contemplative",
+					"dreamy",
+				]),
+			)
+			.withMessage(
+				"Invalid emotional dimension. Must be one of: melancholic, euphoric, introspective, energetic, nostalgic, anxious, peaceful, rebellious, angry, joyful, contemplative, dreamy",
+			),
+
+		field("sonic")
+			.optional()
+			.custom(
+				allIn([
+					"lo-fi",
+					"polished",
+					"experimental",
+					"minimalist",
+					"layered",
+					"raw",
+					"atmospheric",
+					"abrasive",
+					"dense",
+					"spacious",
+					"organic",
+					"synthetic",
+				]),
+			)
+			.withMessage(
+				"Invalid sonic dimension. Must be one of: lo-fi, polished, experimental, minimalist, layered, raw, atmospheric, abrasive, dense, spacious, organic, synthetic",
+			),
+
+		field("frequency")
+			.optional()
+			.custom(allIn(["once", "occasional", "regular", "obsessive"]))
+			.withMessage("Frequency must be one of: once, occasional, regular, obsessive"),
+
+		singleValue(field(["yearFrom", "yearTo"]).optional())
+			.isInt({ min: 1000, max: 9999 })
+			.withMessage("Year must be a four-digit integer"),
+
+		field("yearTo")
+			.optional()
+			.custom(
+				(value, { req }) =>
+					filtersOf(req).yearFrom === undefined || Number(value) >= Number(filtersOf(req).yearFrom),
+			)
+			.withMessage("yearTo must be greater than or equal to yearFrom"),
+
+		singleValue(field(["ratingMin", "ratingMax"]).optional())
+			.isFloat({ min: 0, max: 10 })
+			.withMessage("Rating must be a number between 0 and 10"),
+
+		field("ratingMax")
+			.optional()
+			.custom(
+				(value, { req }) =>
+					filtersOf(req).ratingMin === undefined || Number(value) >= Number(filtersOf(req).ratingMin),
+			)
+			.withMessage("ratingMax must be greater than or equal to ratingMin"),
+
+		singleValue(field("favourite").optional())
+			.isBoolean()
+			.withMessage("Favourite must be true or false"),
+
+		// Parse errors name the position and text of the bad term
+		singleValue(field("query").optional())
+			.isString()
+			.withMessage("Query must be a string")
+			.bail()
+			.isLength({ max: 500 })
+			.withMessage("Query must be at most 500 characters")
+			.bail()
+			.custom((value) => {
+				parseAlbumQuery(value);
+				return true;
+			}),
+	];
+};
+
+/**
+ * Validations for the album filter query parameters
+ * Shared by every endpoint that narrows the user's library with the same filters
+ */
+const albumFilterValidations = albumFilterRules();
+
+/**
+ * Validations for listing albums
+ * Filters plus sorting and cursor pagination
+ */
+const listAlbumsValidations = [
+	...albumFilterValidations,
+
+	singleValue(query("sort").optional())
+		.isIn(Object.keys(SORT_FIELDS))
+		.withMessage(`Sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")}`),
+
+	singleValue(query("order").optional())
+		.isIn(["asc", "desc"])
+		.withMessage("Order must be asc or desc"),
+
+	singleValue(query("limit").optional())
+		.isInt({ min: 1, max: 100 })
+		.withMessage("Limit must be an integer between 1 and 100"),
+
+	singleValue(query("cursor").optional())
+		.isString()
+		.notEmpty()
+		.withMessage("Cursor must be a non-empty string"),
+];
+
+/**
+ * Validations for full-text search
+ * A search string plus the shared filters and page-based pagination
+ */
+const searchAlbumsValidations = [
+	query("q")
+		.exists()
+		.withMessage("Search query is required")
+		.bail()
+		.isString()
+		.withMessage("Search query must be a single value")
+		.trim()
+		.notEmpty()
+		.withMessage("Search query is required")
+		.isLength({ max: 200 })
+		.withMessage("Search query must be at most 200 characters"),
+
+	...albumFilterValidations,
+
+	singleValue(query("limit").optional())
+		.isInt({ min: 1, max: 100 })
+		.withMessage("Limit must be an integer between 1 and 100"),
+
+	singleValue(query("page").optional())
+		.isInt({ min: 1 })
+		.withMessage("Page must be a positive integer"),
+];
+
+/**
+ * Validations for listing the albums a person worked on
+ */
+const creditsQueryValidations = [
+	query("person")
+		.exists()
+		.withMessage("Person is required")
+		.bail()
+		.isString()
+		.withMessage("Person must be a single value")
+		.trim()
+		.notEmpty()
+		.withMessage("Person is required")
+		.isLength({ max: 200 })
+		.withMessage("Person must be at most 200 characters"),
+
+	query("role")
+		.optional()
+		.isString()
+		.withMessage("Role must be a single value")
+		.bail()
+		.isIn([ARTIST_ROLE, ...CREDIT_ROLES])
+		.withMessage(`Invalid role. Must be one of: ${[ARTIST_ROLE, ...CREDIT_ROLES].join(", ")}`),
+];
+
+/**
+ * Validations for facet counts
+ * The shared filters plus the number of values returned per facet
+ */
+const facetsValidations = [
+	...albumFilterValidations,
+
+	singleValue(query("limit").optional())
+		.isInt({ min: 1, max: 500 })
+		.withMessage("Limit must be an integer between 1 and 500"),
+];
+
+/**
+ * Validation for the connection types a graph query may follow
+ */
+const connectionTypesFilter = query("types")
+	.optional()
+	.custom(allIn(CONNECTION_TYPE_NAMES))
+	.withMessage(`Invalid connection type. Must be one of: ${CONNECTION_TYPE_NAMES.join(", ")}`);
+
+/**
+ * Validation for the weakest connection a graph query may follow
+ */
+const minStrengthFilter = query("minStrength")
+	.optional()
+	.isInt({ min: 1, max: 5 })
+	.withMessage("Minimum strength must be an integer between 1 and 5");
+
+/**
+ * Validations for the N-hop neighbourhood of an album
+ */
+const neighbourhoodValidations = [
+	query("depth")
+		.optional()
+		.isInt({ min: 1, max: 5 })
+		.withMessage("Depth must be an integer between 1 and 5"),
+
+	query("direction")
+		.optional()
+		.isIn(["out", "in", "both"])
+		.withMessage("Direction must be one of: out, in, both"),
+
+	connectionTypesFilter,
+	minStrengthFilter,
+];
+
+/**
+ * Validations for the shortest path between two albums
+ */
+const shortestPathValidations = [
+	query("from")
+		.notEmpty()
+		.withMessage("Source album ID is required")
+		.isMongoId()
+		.withMessage("Invalid source album ID"),
+
+	query("to")
+		.notEmpty()
+		.withMessage("Target album ID is required")
+		.isMongoId()
+		.withMessage("Invalid target album ID"),
+
+	query("directed").optional().isBoolean().withMessage("Directed must be true or false"),
+
+	connectionTypesFilter,
+	minStrengthFilter,
+];
+
+/**
+ * Validations for graph centrality and community analytics
+ */
+const graphAnalyticsValidations = [
+	query("sort")
+		.optional()
+		.isIn(["pagerank", "betweenness", "degree"])
+		.withMessage("Sort must be one of: pagerank, betweenness, degree"),
+
+	query("limit")
+		.optional()
+		.isInt({ min: 1, max: 100 })
+		.withMessage("Limit must be an integer between 1 and 100"),
+
+	connectionTypesFilter,
+	minStrengthFilter,
+];
+
+/**
+ * Validations for the album graph export
+ */
+const graphValidations = [
+	singleValue(query("format").optional())
+		.isIn(Object.keys(GRAPH_FORMATS))
+		.withMessage(`Format must be one of: ${Object.keys(GRAPH_FORMATS).join(", ")}`),
 ];
 
 module.exports = {
@@ -475,4 +1064,24 @@ module.exports = {
 	updateAlbumValidations,
 	addConnectionValidations,
 	updateConnectionValidations,
+	getAlbumValidations,
+	addListenValidations,
+	updateListenValidations,
+	deleteListenValidations,
+	addTrackValidations,
+	replaceTracksValidations,
+	updateTrackValidations,
+	deleteTrackValidations,
+	noteRevisionValidations,
+	noteDiffValidations,
+	albumFilterRules,
+	albumFilterValidations,
+	listAlbumsValidations,
+	searchAlbumsValidations,
+	creditsQueryValidations,
+	facetsValidations,
+	neighbourhoodValidations,
+	shortestPathValidations,
+	graphAnalyticsValidations,
+	graphValidations,
 };
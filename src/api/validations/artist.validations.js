@@ -0,0 +1,70 @@
+const { body, param } = require("express-validator");
+
+/**
+ * Validation for the artist ID route parameter
+ */
+const artistIdValidations = [param("id").isMongoId().withMessage("Invalid artist ID")];
+
+/**
+ * Validations for updating an artist
+ * All fields are optional, but when provided, must be valid
+ */
+const updateArtistValidations = [
+	...artistIdValidations,
+
+	body("name")
+		.optional()
+		.isString()
+		.withMessage("Name must be a string")
+		.trim()
+		.notEmpty()
+		.withMessage("Name cannot be empty")
+		.isLength({ max: 200 })
+		.withMessage("Name must be at most 200 characters"),
+
+	body("aliases").optional().isArray().withMessage("Aliases must be an array"),
+
+	body("aliases.*")
+		.isString()
+		.withMessage("Each alias must be a string")
+		.trim()
+		.notEmpty()
+		.withMessage("Aliases cannot be empty"),
+
+	body("country").optional().isString().withMessage("Country must be a string").trim(),
+
+	body(["activeYears.from", "activeYears.to"])
+		.optional({ values: "null" })
+		.isInt({ min: 1000, max: 9999 })
+		.withMessage("Active years must be four-digit years")
+		.toInt(),
+
+	body("activeYears.to").custom((to, { req }) => {
+		const from = req.body.activeYears?.from;
+		if (to != null && from != null && Number(to) < Number(from)) {
+			throw new Error("activeYears.to cannot be before activeYears.from");
+		}
+		return true;
+	}),
+
+	body("personalNote.content")
+		.optional()
+		.isString()
+		.withMessage("Personal note content must be a string"),
+];
+
+/**
+ * Validations for merging an artist into another
+ */
+const mergeArtistValidations = [
+	...artistIdValidations,
+
+	body("sourceId")
+		.exists()
+		.withMessage("sourceId is required")
+		.bail()
+		.isMongoId()
+		.withMessage("sourceId must be a valid artist ID"),
+];
+
+module.exports = { artistIdValidations, updateArtistValidations, mergeArtistValidations };
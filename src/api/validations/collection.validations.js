@@ -0,0 +1,168 @@
+const { body, param, query } = require("express-validator");
+const { albumFilterRules } = require("./album.validations");
+const { FILTER_PARAMS, SORT_FIELDS, normalizeAlbumFilter } = require("../../utils/albumQuery");
+
+/**
+ * Validation for the collection ID route parameter
+ */
+const collectionIdValidations = [param("id").isMongoId().withMessage("Invalid collection ID")];
+
+/**
+ * Validations for the filter of a smart collection
+ * Same filters as the album list, given as an object instead of query parameters
+ */
+const smartFilterValidations = [
+	body("filter")
+		.optional()
+		.isObject()
+		.withMessage("Filter must be an object")
+		.bail()
+		.custom((value) => Object.keys(value).every((key) => FILTER_PARAMS.includes(key)))
+		.withMessage(`Filter keys must be among: ${FILTER_PARAMS.join(", ")}`)
+		.bail()
+		.custom((value) => Object.keys(normalizeAlbumFilter(value)).length > 0)
+		.withMessage("Filter must contain at least one criterion"),
+
+	...albumFilterRules("filter"),
+];
+
+/**
+ * Validations for reading a collection
+ * Sorting and cursor pagination apply to the albums of smart collections
+ */
+const getCollectionValidations = [
+	...collectionIdValidations,
+
+	query("sort")
+		.optional()
+		.isIn(Object.keys(SORT_FIELDS))
+		.withMessage(`Sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")}`),
+
+	query("order").optional().isIn(["asc", "desc"]).withMessage("Order must be asc or desc"),
+
+	query("limit")
+		.optional()
+		.isInt({ min: 1, max: 100 })
+		.withMessage("Limit must be an integer between 1 and 100"),
+
+	query("cursor").optional().isString().notEmpty().withMessage("Cursor must be a non-empty string"),
+];
+
+/**
+ * Validations for creating a collection
+ * A collection holds either items or, when smart, a filter
+ */
+const createCollectionValidations = [
+	body("name")
+		.trim()
+		.notEmpty()
+		.withMessage("Name is required")
+		.isLength({ max: 100 })
+		.withMessage("Name must be at most 100 characters"),
+
+	body("description").optional().trim().isString().withMessage("Description must be a string"),
+
+	body("items").optional().isArray().withMessage("Items must be an array"),
+
+	body("items.*.album")
+		.notEmpty()
+		.withMessage("Item album is required")
+		.isMongoId()
+		.withMessage("Item album must be a valid MongoDB ID"),
+
+	body("items.*.note").optional().isString().withMessage("Item note must be a string"),
+
+	body("filter")
+		.optional()
+		.custom((_value, { req }) => req.body.items === undefined)
+		.withMessage("A collection has either items or a filter, not both"),
+
+	...smartFilterValidations,
+];
+
+/**
+ * Validations for updating a collection
+ * All fields are optional, but when provided, must be valid
+ */
+const updateCollectionValidations = [
+	...collectionIdValidations,
+
+	body("name")
+		.optional()
+		.trim()
+		.notEmpty()
+		.withMessage("Name cannot be empty")
+		.isLength({ max: 100 })
+		.withMessage("Name must be at most 100 characters"),
+
+	body("description").optional().trim().isString().withMessage("Description must be a string"),
+
+	...smartFilterValidations,
+];
+
+const positionValidation = body("position")
+	.optional()
+	.isInt({ min: 0 })
+	.withMessage("Position must be a non-negative integer")
+	.toInt();
+
+/**
+ * Validations for adding an album to a collection
+ */
+const addCollectionItemValidations = [
+	...collectionIdValidations,
+
+	body("album")
+		.notEmpty()
+		.withMessage("Album is required")
+		.isMongoId()
+		.withMessage("Album must be a valid MongoDB ID"),
+
+	body("note").optional().isString().withMessage("Note must be a string"),
+
+	positionValidation,
+];
+
+/**
+ * Validations for updating an album of a collection
+ */
+const updateCollectionItemValidations = [
+	...collectionIdValidations,
+
+	param("albumId").isMongoId().withMessage("Invalid album ID"),
+
+	body("note").optional().isString().withMessage("Note must be a string"),
+
+	positionValidation,
+];
+
+/**
+ * Validations for removing an album from a collection
+ */
+const removeCollectionItemValidations = [
+	...collectionIdValidations,
+
+	param("albumId").isMongoId().withMessage("Invalid album ID"),
+];
+
+/**
+ * Validations for reordering a collection
+ */
+const reorderCollectionValidations = [
+	...collectionIdValidations,
+
+	body("albums").isArray().withMessage("Albums must be an array of album IDs"),
+
+	body("albums.*").isMongoId().withMessage("Each album must be a valid MongoDB ID"),
+];
+
+module.exports = {
+	collectionIdValidations,
+	getCollectionValidations,
+	createCollectionValidations,
+	updateCollectionValidations,
+	addCollectionItemValidations,
+	updateCollectionItemValidations,
+	removeCollectionItemValidations,
+	reorderCollectionValidations,
+};
@@ -0,0 +1,65 @@
+const { body, param } = require("express-validator");
+
+/**
+ * Validation for the genre ID route parameter
+ */
+const genreIdValidations = [param("id").isMongoId().withMessage("Invalid genre ID")];
+
+const aliasRules = [
+	body("aliases").optional().isArray().withMessage("Aliases must be an array"),
+
+	body("aliases.*")
+		.isString()
+		.withMessage("Each alias must be a string")
+		.trim()
+		.notEmpty()
+		.withMessage("Aliases cannot be empty"),
+];
+
+/**
+ * Validations for creating a genre
+ */
+const createGenreValidations = [
+	body("name")
+		.exists()
+		.withMessage("Name is required")
+		.bail()
+		.isString()
+		.withMessage("Name must be a string")
+		.trim()
+		.notEmpty()
+		.withMessage("Name cannot be empty")
+		.isLength({ max: 100 })
+		.withMessage("Name must be at most 100 characters"),
+
+	...aliasRules,
+
+	body("parent").optional().isMongoId().withMessage("parent must be a valid genre ID"),
+];
+
+/**
+ * Validations for updating a genre
+ * All fields are optional, but when provided, must be valid
+ */
+const updateGenreValidations = [
+	...genreIdValidations,
+
+	body("name")
+		.optional()
+		.isString()
+		.withMessage("Name must be a string")
+		.trim()
+		.notEmpty()
+		.withMessage("Name cannot be empty")
+		.isLength({ max: 100 })
+		.withMessage("Name must be at most 100 characters"),
+
+	...aliasRules,
+
+	body("parent")
+		.optional({ values: "null" })
+		.isMongoId()
+		.withMessage("parent must be a valid genre ID"),
+];
+
+module.exports = { genreIdValidations, createGenreValidations, updateGenreValidations };
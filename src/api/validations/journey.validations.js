@@ -0,0 +1,54 @@
+const { body, param } = require("express-validator");
+
+/**
+ * Validation for the journey ID route parameter
+ */
+const journeyIdValidations = [param("id").isMongoId().withMessage("Invalid journey ID")];
+
+/**
+ * Validations shared by journey creation and update
+ */
+const journeyStepValidations = [
+	body("steps.*.album")
+		.notEmpty()
+		.withMessage("Step album is required")
+		.isMongoId()
+		.withMessage("Step album must be a valid MongoDB ID"),
+
+	body("steps.*.note").optional().isString().withMessage("Step note must be a string"),
+
+	body("description").optional().trim().isString().withMessage("Description must be a string"),
+
+	body("strict").optional().isBoolean().withMessage("Strict must be true or false").toBoolean(),
+];
+
+/**
+ * Validations for creating a journey
+ */
+const createJourneyValidations = [
+	body("title").trim().notEmpty().withMessage("Title is required"),
+
+	body("steps").isArray({ min: 1 }).withMessage("Steps must be a non-empty array"),
+
+	...journeyStepValidations,
+];
+
+/**
+ * Validations for updating a journey
+ * All fields are optional, but when provided, must be valid
+ */
+const updateJourneyValidations = [
+	...journeyIdValidations,
+
+	body("title").optional().trim().notEmpty().withMessage("Title cannot be empty"),
+
+	body("steps").optional().isArray({ min: 1 }).withMessage("Steps must be a non-empty array"),
+
+	...journeyStepValidations,
+];
+
+module.exports = {
+	journeyIdValidations,
+	createJourneyValidations,
+	updateJourneyValidations,
+};
@@ -0,0 +1,67 @@
+const { body, param } = require("express-validator");
+
+/**
+ * Validation for the label ID route parameter
+ */
+const labelIdValidations = [param("id").isMongoId().withMessage("Invalid label ID")];
+
+/**
+ * Validations for updating a label
+ * All fields are optional, but when provided, must be valid
+ */
+const updateLabelValidations = [
+	...labelIdValidations,
+
+	body("name")
+		.optional()
+		.isString()
+		.withMessage("Name must be a string")
+		.trim()
+		.notEmpty()
+		.withMessage("Name cannot be empty")
+		.isLength({ max: 200 })
+		.withMessage("Name must be at most 200 characters"),
+
+	body("aliases").optional().isArray().withMessage("Aliases must be an array"),
+
+	body("aliases.*")
+		.isString()
+		.withMessage("Each alias must be a string")
+		.trim()
+		.notEmpty()
+		.withMessage("Aliases cannot be empty"),
+
+	body("country").optional().isString().withMessage("Country must be a string").trim(),
+
+	body("foundedYear")
+		.optional({ values: "null" })
+		.isInt({ min: 1000, max: new Date().getUTCFullYear() })
+		.withMessage("Founding year must be a four-digit year, not in the future")
+		.toInt(),
+
+	body("parent")
+		.optional({ values: "null" })
+		.isMongoId()
+		.withMessage("parent must be a valid label ID"),
+
+	body("personalNote.content")
+		.optional()
+		.isString()
+		.withMessage("Personal note content must be a string"),
+];
+
+/**
+ * Validations for merging a label into another
+ */
+const mergeLabelValidations = [
+	...labelIdValidations,
+
+	body("sourceId")
+		.exists()
+		.withMessage("sourceId is required")
+		.bail()
+		.isMongoId()
+		.withMessage("sourceId must be a valid label ID"),
+];
+
+module.exports = { labelIdValidations, updateLabelValidations, mergeLabelValidations };
@@ -0,0 +1,74 @@
+const { body, param } = require("express-validator");
+const { PLACEHOLDER_NAMES, unknownPlaceholders } = require("../../utils/noteTemplates");
+
+/**
+ * Validation for the template ID route parameter
+ */
+const templateIdValidations = [param("id").isMongoId().withMessage("Invalid template ID")];
+
+/**
+ * Rejects placeholders that cannot be filled, so typos such as {{artist}} are caught
+ * when the template is saved rather than left in notes
+ */
+const templateContentRule = () =>
+	body("content")
+		.exists()
+		.withMessage("Content is required")
+		.bail()
+		.isString()
+		.withMessage("Content must be a string")
+		.bail()
+		.trim()
+		.notEmpty()
+		.withMessage("Content is required")
+		.custom((content) => {
+			const unknown = unknownPlaceholders(content);
+			if (unknown.length) {
+				throw new Error(
+					`Unknown placeholders: ${unknown.map((name) => `{{${name}}}`).join(", ")}. Available: ${PLACEHOLDER_NAMES.join(", ")}`,
+				);
+			}
+			return true;
+		});
+
+/**
+ * Validations for creating a note template
+ */
+const createTemplateValidations = [
+	body("name")
+		.trim()
+		.notEmpty()
+		.withMessage("Name is required")
+		.isLength({ max: 100 })
+		.withMessage("Name must be at most 100 characters"),
+
+	body("description").optional().trim().isString().withMessage("Description must be a string"),
+
+	templateContentRule(),
+];
+
+/**
+ * Validations for updating a note template
+ * All fields are optional, but when provided, must be valid
+ */
+const updateTemplateValidations = [
+	...templateIdValidations,
+
+	body("name")
+		.optional()
+		.trim()
+		.notEmpty()
+		.withMessage("Name cannot be empty")
+		.isLength({ max: 100 })
+		.withMessage("Name must be at most 100 characters"),
+
+	body("description").optional().trim().isString().withMessage("Description must be a string"),
+
+	templateContentRule().optional(),
+];
+
+module.exports = {
+	templateIdValidations,
+	createTemplateValidations,
+	updateTemplateValidations,
+};
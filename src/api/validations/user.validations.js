@@ -1,4 +1,4 @@
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
 
 /**
  * Validations for updating user profile
@@ -48,7 +48,47 @@ const changePasswordValidations = [
 		.withMessage("Passwords do not match"),
 ];
 
+/**
+ * Validations for the listening statistics query
+ */
+const statsValidations = [
+	query("interval")
+		.optional()
+		.isString()
+		.withMessage("Interval must be a single value")
+		.bail()
+		.isIn(["month", "year"])
+		.withMessage("Interval must be one of: month, year"),
+
+	query("limit")
+		.optional()
+		.isString()
+		.withMessage("Limit must be a single value")
+		.bail()
+		.isInt({ min: 1, max: 50 })
+		.withMessage("Limit must be an integer between 1 and 50"),
+];
+
+/**
+ * Validations for the year in review
+ */
+const reviewValidations = [
+	param("year")
+		.isInt({ min: 1900 })
+		.withMessage("Year must be a whole number from 1900")
+		.bail()
+		.custom((value) => Number(value) <= new Date().getUTCFullYear())
+		.withMessage("Year cannot be in the future"),
+
+	query("format")
+		.optional()
+		.isIn(["json", "html"])
+		.withMessage("Format must be one of: json, html"),
+];
+
 module.exports = {
 	updateProfileValidations,
 	changePasswordValidations,
+	statsValidations,
+	reviewValidations,
 };
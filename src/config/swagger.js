@@ -82,6 +82,14 @@ const options = {
 							},
 							example: ["Radiohead"],
 						},
+						artistIds: {
+							type: "array",
+							items: {
+								type: "string",
+							},
+							description:
+								"The Artist of each name in artists, same order. Set from the names when the album is saved",
+						},
 						format: {
 							type: "string",
 							enum: [
@@ -111,6 +119,14 @@ const options = {
 							},
 							example: ["Parlophone", "Capitol Records"],
 						},
+						labelIds: {
+							type: "array",
+							items: {
+								type: "string",
+							},
+							description:
+								"The Label of each name in labels, same order. Set from the names when the album is saved",
+						},
 						genres: {
 							type: "array",
 							items: {
@@ -132,6 +148,7 @@ const options = {
 							properties: {
 								content: {
 									type: "string",
+									description: "Markdown",
 									example: "A masterpiece of the 90s",
 								},
 								lastEdited: {
@@ -142,6 +159,37 @@ const options = {
 									type: "number",
 									example: 6,
 								},
+								readingTime: {
+									type: "number",
+									description: "Estimated reading time in minutes (200 words per minute)",
+									example: 1,
+								},
+								html: {
+									type: "string",
+									description: "Sanitised HTML of the note (only with render=html)",
+									example: "<p>A masterpiece of the 90s</p>",
+								},
+								outline: {
+									type: "array",
+									description: "Headings of the note (only with render=html)",
+									items: {
+										type: "object",
+										properties: {
+											level: {
+												type: "number",
+												example: 2,
+											},
+											text: {
+												type: "string",
+												example: "Standout tracks",
+											},
+											id: {
+												type: "string",
+												example: "standout-tracks",
+											},
+										},
+									},
+								},
 							},
 						},
 						dimensions: {
@@ -211,25 +259,85 @@ const options = {
 										type: "string",
 										enum: [
 											"influences",
+											"influenced-by",
 											"similar-to",
 											"contrasts-with",
 											"evokes",
+											"evoked-by",
 											"progression",
+											"progressed-from",
 											"thematic",
 											"discovered-through",
+											"led-to",
 											"samples",
+											"sampled-by",
 										],
+										description:
+											"similar-to, contrasts-with and thematic are symmetric; every other type has an inverse (influences ⇔ influenced-by) stored on the other album",
 										example: "influences",
 									},
 									note: {
 										type: "string",
 										example: "Similar production style",
 									},
+									origin: {
+										type: "string",
+										enum: ["manual", "note"],
+										description:
+											"note = created from a [[wikilink]] in the personal note and kept in sync with it",
+										example: "manual",
+									},
+									mirror: {
+										type: "boolean",
+										description:
+											"true when this is the other end of a connection created from the target album",
+										example: false,
+									},
+									strength: {
+										type: "integer",
+										minimum: 1,
+										maximum: 5,
+										description: "How strong the link is, 1 (faint) – 5 (defining); used as edge weight",
+										example: 4,
+									},
+									discoveredOn: {
+										type: "string",
+										format: "date",
+										example: "2024-03-02",
+									},
+									createdAt: {
+										type: "string",
+										format: "date-time",
+									},
 								},
 							},
 						},
+						credits: {
+							type: "array",
+							items: { $ref: "#/components/schemas/Credit" },
+						},
+						tracks: {
+							type: "array",
+							items: { $ref: "#/components/schemas/Track" },
+						},
+						trackCount: {
+							type: "integer",
+							description: "Derived from tracks",
+							example: 11,
+						},
+						totalDuration: {
+							type: "integer",
+							description: "Seconds, derived from the track durations",
+							example: 2897,
+						},
+						listens: {
+							type: "array",
+							items: { $ref: "#/components/schemas/Listen" },
+						},
 						listeningContext: {
 							type: "object",
+							description:
+								"firstListen, lastListen and frequency are derived from listens; only context is editable",
 							properties: {
 								firstListen: {
 									type: "string",
@@ -264,6 +372,573 @@ const options = {
 						},
 					},
 				},
+				Credit: {
+					type: "object",
+					required: ["person", "role"],
+					properties: {
+						person: {
+							type: "string",
+							example: "Nigel Godrich",
+						},
+						role: {
+							type: "string",
+							enum: ["producer", "engineer", "featured", "composer", "mixing", "artwork"],
+							example: "producer",
+						},
+						tracks: {
+							type: "array",
+							items: {
+								type: "string",
+							},
+							description:
+								'Labels of the tracks the credit covers ("3", "A3", "2-3"); empty for the whole album',
+							example: [],
+						},
+					},
+				},
+				Track: {
+					type: "object",
+					properties: {
+						_id: {
+							type: "string",
+							example: "507f1f77bcf86cd799439088",
+						},
+						disc: {
+							type: "string",
+							description: "Disc number or vinyl side; empty on single-disc albums",
+							example: "A",
+						},
+						position: {
+							type: "integer",
+							minimum: 1,
+							description: "Position on the disc or side",
+							example: 1,
+						},
+						title: {
+							type: "string",
+							example: "Only Shallow",
+						},
+						duration: {
+							type: "integer",
+							description: "Seconds",
+							example: 257,
+						},
+						featuredArtists: {
+							type: "array",
+							items: { type: "string" },
+							example: [],
+						},
+						note: {
+							type: "string",
+							maxLength: 1000,
+							example: "That guitar sound at 0:01",
+						},
+						standout: {
+							type: "boolean",
+							example: true,
+						},
+					},
+				},
+				TrackInput: {
+					type: "object",
+					required: ["title"],
+					properties: {
+						disc: {
+							type: "string",
+							maxLength: 10,
+							example: "A",
+						},
+						position: {
+							type: "integer",
+							minimum: 1,
+							description: "Defaults to after the last track of the disc",
+							example: 1,
+						},
+						title: {
+							type: "string",
+							maxLength: 200,
+							description: "Required when adding a track",
+							example: "Only Shallow",
+						},
+						duration: {
+							oneOf: [{ type: "integer" }, { type: "string" }],
+							description: 'Seconds, or "m:ss" / "h:mm:ss"',
+							example: "4:17",
+						},
+						featuredArtists: {
+							type: "array",
+							items: { type: "string" },
+						},
+						note: {
+							type: "string",
+							maxLength: 1000,
+							example: "That guitar sound at 0:01",
+						},
+						standout: {
+							type: "boolean",
+							example: true,
+						},
+					},
+				},
+				Listen: {
+					type: "object",
+					properties: {
+						_id: {
+							type: "string",
+							example: "507f1f77bcf86cd799439077",
+						},
+						listenedAt: {
+							type: "string",
+							format: "date-time",
+							example: "2024-03-02T22:30:00.000Z",
+						},
+						setting: {
+							type: "string",
+							example: "Night bus home",
+						},
+						medium: {
+							type: "string",
+							enum: ["vinyl", "cd", "cassette", "digital", "streaming", "radio", "live", "other"],
+							example: "vinyl",
+						},
+						moodBefore: {
+							type: "string",
+							enum: [
+								"melancholic",
+								"euphoric",
+								"introspective",
+								"energetic",
+								"nostalgic",
+								"anxious",
+								"peaceful",
+								"rebellious",
+								"angry",
+								"joyful",
+								"contemplative",
+								"dreamy",
+							],
+							example: "anxious",
+						},
+						moodAfter: {
+							type: "string",
+							enum: [
+								"melancholic",
+								"euphoric",
+								"introspective",
+								"energetic",
+								"nostalgic",
+								"anxious",
+								"peaceful",
+								"rebellious",
+								"angry",
+								"joyful",
+								"contemplative",
+								"dreamy",
+							],
+							example: "peaceful",
+						},
+						note: {
+							type: "string",
+							example: "Side B finally clicked",
+						},
+					},
+				},
+				NoteRevisionSummary: {
+					type: "object",
+					properties: {
+						_id: {
+							type: "string",
+							example: "507f1f77bcf86cd799439055",
+						},
+						wordCount: {
+							type: "integer",
+							example: 120,
+						},
+						restoredFrom: {
+							type: "string",
+							nullable: true,
+							description: "Revision this one restored, if it was created by a restore",
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				NoteRevision: {
+					type: "object",
+					properties: {
+						_id: {
+							type: "string",
+							example: "507f1f77bcf86cd799439055",
+						},
+						album: {
+							type: "string",
+							example: "507f1f77bcf86cd799439011",
+						},
+						content: {
+							type: "string",
+							example: "First impressions: a wall of guitars.",
+						},
+						wordCount: {
+							type: "integer",
+							example: 6,
+						},
+						restoredFrom: {
+							type: "string",
+							nullable: true,
+						},
+						addedBy: {
+							type: "string",
+							example: "507f1f77bcf86cd799439011",
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				Journey: {
+					type: "object",
+					properties: {
+						_id: {
+							type: "string",
+							example: "507f1f77bcf86cd799439021",
+						},
+						title: {
+							type: "string",
+							example: "From Kraftwerk to Burial",
+						},
+						description: {
+							type: "string",
+							example: "How German electronics ended up in South London",
+						},
+						strict: {
+							type: "boolean",
+							description: "true when every pair of consecutive steps must be connected",
+							example: false,
+						},
+						steps: {
+							type: "array",
+							items: {
+								type: "object",
+								properties: {
+									album: {
+										type: "object",
+										description: "Album summary (title, artists, releaseDate, coverArtUrl)",
+									},
+									note: {
+										type: "string",
+										example: "Where the drum machines came from",
+									},
+									connection: {
+										type: "object",
+										nullable: true,
+										description:
+											"Connection linking the previous step to this one (single journey only); null for the first step or when not connected",
+										properties: {
+											id: { type: "string" },
+											type: { type: "string", example: "influences" },
+											note: { type: "string" },
+											strength: { type: "integer", nullable: true },
+											direction: { type: "string", enum: ["forward", "backward"] },
+										},
+									},
+								},
+							},
+						},
+						addedBy: {
+							type: "string",
+							example: "507f1f77bcf86cd799439013",
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+						updatedAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				Collection: {
+					type: "object",
+					properties: {
+						_id: {
+							type: "string",
+							example: "507f1f77bcf86cd799439031",
+						},
+						name: {
+							type: "string",
+							example: "Sunday mornings",
+						},
+						description: {
+							type: "string",
+							example: "Slow records for slow days",
+						},
+						coverUrl: {
+							type: "string",
+							example: "https://res.cloudinary.com/demo/image/upload/v1/Craterra/collections/abc123.jpg",
+						},
+						filter: {
+							$ref: "#/components/schemas/AlbumFilter",
+						},
+						albumCount: {
+							type: "integer",
+							description: "Number of albums; for smart collections, the albums matching the filter now",
+							example: 12,
+						},
+						items: {
+							type: "array",
+							description:
+								"Albums in collection order; for smart collections, the current page of matching albums",
+							items: {
+								type: "object",
+								properties: {
+									album: {
+										type: "object",
+										description: "Album summary (title, artists, releaseDate, coverArtUrl)",
+									},
+									note: {
+										type: "string",
+										example: "Side B first",
+									},
+									addedAt: {
+										type: "string",
+										format: "date-time",
+									},
+								},
+							},
+						},
+						addedBy: {
+							type: "string",
+							example: "507f1f77bcf86cd799439013",
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+						updatedAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				Artist: {
+					type: "object",
+					properties: {
+						_id: {
+							type: "string",
+							example: "507f1f77bcf86cd799439051",
+						},
+						name: {
+							type: "string",
+							example: "Björk",
+						},
+						aliases: {
+							type: "array",
+							items: {
+								type: "string",
+							},
+							description: "Other spellings; albums typed with any of them link to this artist",
+							example: ["Bjork"],
+						},
+						country: {
+							type: "string",
+							example: "Iceland",
+						},
+						activeYears: {
+							type: "object",
+							properties: {
+								from: {
+									type: "integer",
+									example: 1977,
+								},
+								to: {
+									type: "integer",
+								},
+							},
+						},
+						personalNote: {
+							type: "object",
+							properties: {
+								content: {
+									type: "string",
+								},
+								lastEdited: {
+									type: "string",
+									format: "date-time",
+								},
+							},
+						},
+						addedBy: {
+							type: "string",
+							example: "507f1f77bcf86cd799439013",
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+						updatedAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				Genre: {
+					type: "object",
+					properties: {
+						_id: {
+							type: "string",
+							example: "507f1f77bcf86cd799439071",
+						},
+						name: {
+							type: "string",
+							example: "IDM",
+						},
+						aliases: {
+							type: "array",
+							items: {
+								type: "string",
+							},
+							description: "Other spellings; album genres typed with any of them belong to this genre",
+							example: ["Intelligent Dance Music"],
+						},
+						parent: {
+							type: "string",
+							description: "Broader genre this one belongs to; genre filters on it include this one",
+						},
+						addedBy: {
+							type: "string",
+							example: "507f1f77bcf86cd799439013",
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+						updatedAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				Label: {
+					type: "object",
+					properties: {
+						_id: {
+							type: "string",
+							example: "507f1f77bcf86cd799439061",
+						},
+						name: {
+							type: "string",
+							example: "Warp",
+						},
+						aliases: {
+							type: "array",
+							items: {
+								type: "string",
+							},
+							description: "Other spellings; albums typed with any of them link to this label",
+							example: ["Warp Records"],
+						},
+						country: {
+							type: "string",
+							example: "UK",
+						},
+						foundedYear: {
+							type: "integer",
+							example: 1989,
+						},
+						parent: {
+							type: "string",
+							description: "Label this one is an imprint or sublabel of (populated on label pages)",
+						},
+						personalNote: {
+							type: "object",
+							properties: {
+								content: {
+									type: "string",
+								},
+								lastEdited: {
+									type: "string",
+									format: "date-time",
+								},
+							},
+						},
+						addedBy: {
+							type: "string",
+							example: "507f1f77bcf86cd799439013",
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+						updatedAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				NoteTemplate: {
+					type: "object",
+					properties: {
+						_id: {
+							type: "string",
+							example: "507f1f77bcf86cd799439041",
+						},
+						name: {
+							type: "string",
+							example: "Full review",
+						},
+						description: {
+							type: "string",
+							example: "First impressions, standout tracks, context, comparisons",
+						},
+						content: {
+							type: "string",
+							description: "Markdown with {{placeholders}}",
+							example: "# {{title}} — {{artists}} ({{releaseYear}})\n\n## First impressions",
+						},
+						addedBy: {
+							type: "string",
+							example: "507f1f77bcf86cd799439013",
+						},
+						createdAt: {
+							type: "string",
+							format: "date-time",
+						},
+						updatedAt: {
+							type: "string",
+							format: "date-time",
+						},
+					},
+				},
+				AlbumFilter: {
+					type: "object",
+					description:
+						"Saved album list filters (same names as the GET /api/v1/albums query parameters). Present only on smart collections.",
+					properties: {
+						genre: { type: "array", items: { type: "string" }, example: ["shoegaze"] },
+						label: { type: "array", items: { type: "string" } },
+						scene: { type: "array", items: { type: "string" } },
+						movement: { type: "array", items: { type: "string" } },
+						tag: { type: "array", items: { type: "string" } },
+						format: { type: "array", items: { type: "string" } },
+						emotional: { type: "array", items: { type: "string" }, example: ["dreamy"] },
+						sonic: { type: "array", items: { type: "string" } },
+						frequency: { type: "array", items: { type: "string" } },
+						yearFrom: { type: "integer", example: 1988 },
+						yearTo: { type: "integer", example: 1995 },
+						ratingMin: { type: "number" },
+						ratingMax: { type: "number" },
+						favourite: { type: "boolean" },
+						query: {
+							type: "string",
+							description: "Query language expression",
+							example: "year:1988..1995 -tag:overrated",
+						},
+					},
+				},
 				Error: {
 					type: "object",
 					properties: {
@@ -277,6 +952,42 @@ const options = {
 						},
 					},
 				},
+				PageMeta: {
+					type: "object",
+					properties: {
+						total: {
+							type: "number",
+							example: 1284,
+						},
+						count: {
+							type: "number",
+							example: 20,
+						},
+						limit: {
+							type: "number",
+							example: 20,
+						},
+						sort: {
+							type: "string",
+							example: "createdAt",
+						},
+						order: {
+							type: "string",
+							enum: ["asc", "desc"],
+							example: "desc",
+						},
+						nextCursor: {
+							type: "string",
+							nullable: true,
+							example: "eyJ2IjoiMjAyNC0wMS0wMVQwMDowMDowMC4wMDBaIiwiZCI6dHJ1ZX0",
+						},
+						prevCursor: {
+							type: "string",
+							nullable: true,
+							example: null,
+						},
+					},
+				},
 				Success: {
 					type: "object",
 					properties: {
@@ -300,6 +1011,12 @@ const options = {
 	apis: [
 		"./src/api/routes/auth.routes.js",
 		"./src/api/routes/album.routes.js",
+		"./src/api/routes/journey.routes.js",
+		"./src/api/routes/collection.routes.js",
+		"./src/api/routes/template.routes.js",
+		"./src/api/routes/artist.routes.js",
+		"./src/api/routes/label.routes.js",
+		"./src/api/routes/genre.routes.js",
 		"./src/api/routes/user.routes.js",
 		"./src/api/routes/admin.routes.js",
 	],
@@ -0,0 +1,51 @@
+const multer = require("multer");
+const { cloudinary } = require("../../config/cloudinary");
+const { CloudinaryStorage } = require("multer-storage-cloudinary");
+
+/**
+ * Multer middleware for uploading collection covers to Cloudinary
+ *
+ * Configured to handle single file uploads (cover image) for collections.
+ * Uses CloudinaryStorage to directly upload files to Cloudinary without saving to disk.
+ *
+ * Configuration:
+ * - folder: "Craterra/collections" - Organizes collection covers in Cloudinary
+ * - allowedFormats: jpg, png, jpeg, gif, webp - Typical image formats
+ *
+ * Usage:
+ * Use in routes where users upload collection covers:
+ * - POST /api/v1/collections (optional cover)
+ * - PUT /api/v1/collections/:id (update cover)
+ *
+ * Test Mode:
+ * When NODE_ENV === "test", uses multer.memoryStorage() instead of CloudinaryStorage so
+ * that no real Cloudinary calls are made during testing.
+ *
+ * Life Cycle Management:
+ * - On validation error: handleValidationErrors deletes image
+ * - On update with new image: updateCollection deletes old image and keeps new one
+ * - On collection deletion: deleteCollection removes image from Cloudinary
+ *
+ * @example
+ * // In controller
+ * if (req.file) {
+ *   collection.coverUrl = req.file.path;      // Save Cloudinary URL
+ *   collection.coverId = req.file.filename;   // Save public ID for deletion
+ * }
+ */
+let uploadCollectionCover;
+
+if (process.env.NODE_ENV === "test") {
+	uploadCollectionCover = multer({ storage: multer.memoryStorage() });
+} else {
+	const storage = new CloudinaryStorage({
+		cloudinary,
+		params: {
+			folder: "Craterra/collections",
+			allowedFormats: ["jpg", "png", "jpeg", "gif", "webp"],
+		},
+	});
+	uploadCollectionCover = multer({ storage });
+}
+
+module.exports = { uploadCollectionCover };
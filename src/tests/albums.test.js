@@ -1,5 +1,6 @@
 const request = require("supertest");
 const app = require("../../app");
+const Album = require("../api/models/album.model");
 const { createUser, albumFactory, createAlbum } = require("./helpers");
 
 describe("Albums — GET /", () => {
@@ -14,6 +15,371 @@ describe("Albums — GET /", () => {
 		expect(res.status).toBe(200);
 		expect(res.body.data).toEqual([]);
 	});
+
+	it("filters by genre, year range and emotional dimension → 200", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, {
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+			releaseDate: "1991-11-04",
+			genres: ["Shoegaze"],
+			dimensions: { emotional: ["dreamy"] },
+		});
+		await createAlbum(token, {
+			title: "Souvlaki",
+			artists: ["Slowdive"],
+			releaseDate: "1993-05-17",
+			genres: ["Shoegaze"],
+		});
+		await createAlbum(token, { title: "Kid A", artists: ["Radiohead"], releaseDate: "2000-10-02" });
+
+		const res = await request(app)
+			.get("/api/v1/albums?genre=shoegaze&yearFrom=1988&yearTo=1995&emotional=dreamy")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toHaveLength(1);
+		expect(res.body.data[0].title).toBe("Loveless");
+		expect(res.body.meta.total).toBe(1);
+	});
+
+	it("sorts and pages through albums with cursors → 200", async () => {
+		const { token } = await createUser();
+		for (const [title, rating] of [
+			["Album A", 5],
+			["Album B", 9],
+			["Album C", 7],
+		]) {
+			await createAlbum(token, { title, artists: [title], rating });
+		}
+
+		const first = await request(app)
+			.get("/api/v1/albums?sort=rating&order=desc&limit=2")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(first.status).toBe(200);
+		expect(first.body.data.map((a) => a.title)).toEqual(["Album B", "Album C"]);
+		expect(first.body.meta.total).toBe(3);
+		expect(first.body.meta.prevCursor).toBeNull();
+		expect(first.body.meta.nextCursor).toEqual(expect.any(String));
+
+		const second = await request(app)
+			.get(`/api/v1/albums?sort=rating&order=desc&limit=2&cursor=${first.body.meta.nextCursor}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(second.body.data.map((a) => a.title)).toEqual(["Album A"]);
+		expect(second.body.meta.nextCursor).toBeNull();
+
+		const back = await request(app)
+			.get(`/api/v1/albums?sort=rating&order=desc&limit=2&cursor=${second.body.meta.prevCursor}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(back.body.data.map((a) => a.title)).toEqual(["Album B", "Album C"]);
+	});
+
+	it("rejects invalid filter values → 400", async () => {
+		const { token } = await createUser();
+		const res = await request(app)
+			.get("/api/v1/albums?format=Cassette&sort=genres")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+
+	it("rejects a malformed cursor → 400", async () => {
+		const { token } = await createUser();
+		const res = await request(app)
+			.get("/api/v1/albums?cursor=not-a-cursor")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+
+	it("rejects repeated single-value parameters → 400", async () => {
+		const { token } = await createUser();
+
+		for (const query of [
+			"ratingMin=3&ratingMin=5",
+			"yearFrom=1990&yearFrom=1995",
+			"sort=title&sort=title",
+			"favourite=true&favourite=true",
+			"limit=5&limit=5",
+		]) {
+			const res = await request(app)
+				.get(`/api/v1/albums?${query}`)
+				.set("Authorization", `Bearer ${token}`);
+			expect(res.status).toBe(400);
+		}
+	});
+
+	it("rejects a cursor with an invalid ID or value → 400", async () => {
+		const { token } = await createUser();
+		const cursor = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+		const id = "65f1c0ffee0000000000beef";
+
+		for (const query of [
+			`cursor=${cursor({ v: null, id: "not-an-id", dir: "next" })}`,
+			`cursor=${cursor({ v: "someday", d: true, id, dir: "next" })}`,
+			`sort=releaseDate&cursor=${cursor({ v: "Loveless", id, dir: "next" })}`,
+		]) {
+			const res = await request(app)
+				.get(`/api/v1/albums?${query}`)
+				.set("Authorization", `Bearer ${token}`);
+			expect(res.status).toBe(400);
+		}
+	});
+});
+
+describe("Albums — GET /?query=", () => {
+	const list = (token, query) =>
+		request(app)
+			.get("/api/v1/albums")
+			.query({ query, sort: "title", order: "asc" })
+			.set("Authorization", `Bearer ${token}`);
+
+	const createLibrary = async (token) => {
+		await createAlbum(token, {
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+			releaseDate: "1991-11-04",
+			genres: ["Shoegaze"],
+			dimensions: { emotional: ["dreamy"], sonic: ["layered"] },
+			rating: 9,
+		});
+		await createAlbum(token, {
+			title: "Souvlaki",
+			artists: ["Slowdive"],
+			releaseDate: "1993-05-17",
+			genres: ["Shoegaze"],
+			dimensions: { emotional: ["dreamy"], sonic: ["layered"] },
+			tags: ["overrated"],
+			rating: 8,
+		});
+		const nowhere = await createAlbum(token, {
+			title: "Nowhere",
+			artists: ["Ride"],
+			releaseDate: "1990-10-15",
+			genres: ["Shoegaze"],
+			scenes: ["Oxford"],
+			rating: 7,
+		});
+		// frequency is derived from listening sessions, so it is set directly here
+		await Album.updateOne({ _id: nowhere._id }, { "listeningContext.frequency": "regular" });
+	};
+
+	it("filters with field terms, ranges, comparisons and negation → 200", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await list(
+			token,
+			'genre:shoegaze year:1990..1995 mood:dreamy sonic:layered rating:>=8 -tag:overrated artist:"My Bloody Valentine"',
+		);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((a) => a.title)).toEqual(["Loveless"]);
+	});
+
+	it("matches any of comma-separated values, nested fields and free text", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const anyOf = await list(token, "artist:slowdive,ride");
+		expect(anyOf.body.data.map((a) => a.title)).toEqual(["Nowhere", "Souvlaki"]);
+
+		const nested = await list(token, "frequency:regular scene:oxford");
+		expect(nested.body.data.map((a) => a.title)).toEqual(["Nowhere"]);
+
+		const freeText = await list(token, "valentine");
+		expect(freeText.body.data.map((a) => a.title)).toEqual(["Loveless"]);
+	});
+
+	it("combines with the other filters", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await request(app)
+			.get("/api/v1/albums")
+			.query({ query: "rating:<9", yearFrom: 1991 })
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.body.data.map((a) => a.title)).toEqual(["Souvlaki"]);
+	});
+
+	it("points at the bad term → 400", async () => {
+		const { token } = await createUser();
+
+		const unknown = await list(token, "genre:shoegaze moood:dreamy");
+		expect(unknown.status).toBe(400);
+		expect(unknown.body.message).toContain("position 16 (moood:dreamy)");
+
+		const badValue = await list(token, "mood:happy");
+		expect(badValue.status).toBe(400);
+		expect(badValue.body.message).toContain('invalid mood "happy"');
+
+		const badRange = await list(token, "year:1995..1990");
+		expect(badRange.status).toBe(400);
+
+		const unterminated = await list(token, 'artist:"My Bloody');
+		expect(unterminated.status).toBe(400);
+		expect(unterminated.body.message).toContain("position 8: unterminated quote");
+	});
+
+	it("also narrows facets", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await request(app)
+			.get("/api/v1/albums/facets")
+			.query({ query: "-tag:overrated" })
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.facets.genres).toEqual([{ value: "Shoegaze", count: 2 }]);
+	});
+});
+
+describe("Albums — GET /search", () => {
+	// $text queries fail until the text index exists
+	beforeAll(async () => {
+		await Album.init();
+	});
+
+	it("returns 401 without token", async () => {
+		const res = await request(app).get("/api/v1/albums/search?q=night");
+		expect(res.status).toBe(401);
+	});
+
+	it("rejects a missing query → 400", async () => {
+		const { token } = await createUser();
+		const res = await request(app)
+			.get("/api/v1/albums/search")
+			.set("Authorization", `Bearer ${token}`);
+		expect(res.status).toBe(400);
+	});
+
+	it("rejects a repeated query → 400", async () => {
+		const { token } = await createUser();
+		const res = await request(app)
+			.get("/api/v1/albums/search?q=night&q=drive")
+			.set("Authorization", `Bearer ${token}`);
+		expect(res.status).toBe(400);
+	});
+
+	it("finds albums by personal note with a highlighted snippet → 200", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, {
+			title: "Nightcall",
+			artists: ["Kavinsky"],
+			personalNote: { content: "The soundtrack to every night drive along the coast." },
+		});
+		await createAlbum(token, { title: "Kid A", artists: ["Radiohead"] });
+
+		const res = await request(app)
+			.get("/api/v1/albums/search?q=drives")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toHaveLength(1);
+		expect(res.body.data[0].title).toBe("Nightcall");
+		expect(res.body.data[0].score).toEqual(expect.any(Number));
+		expect(res.body.data[0].snippet).toContain("<mark>drive</mark>");
+		expect(res.body.meta.total).toBe(1);
+	});
+
+	it("ranks title matches above note matches", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, {
+			title: "Album A",
+			artists: ["Artist A"],
+			personalNote: { content: "Reminds me of a blue summer." },
+		});
+		await createAlbum(token, { title: "Blue", artists: ["Joni Mitchell"] });
+
+		const res = await request(app)
+			.get("/api/v1/albums/search?q=blue")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((a) => a.title)).toEqual(["Blue", "Album A"]);
+	});
+
+	it("never returns other users' albums", async () => {
+		const { token: token1 } = await createUser();
+		const { token: token2 } = await createUser();
+		await createAlbum(token1, { title: "Blue", artists: ["Joni Mitchell"] });
+
+		const res = await request(app)
+			.get("/api/v1/albums/search?q=blue")
+			.set("Authorization", `Bearer ${token2}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toEqual([]);
+	});
+});
+
+describe("Albums — GET /facets", () => {
+	it("returns 401 without token", async () => {
+		const res = await request(app).get("/api/v1/albums/facets");
+		expect(res.status).toBe(401);
+	});
+
+	it("counts values per facet → 200", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, {
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+			releaseDate: "1991-11-04",
+			genres: ["Shoegaze", "Noise Pop"],
+			dimensions: { emotional: ["dreamy"] },
+		});
+		await createAlbum(token, {
+			title: "Souvlaki",
+			artists: ["Slowdive"],
+			format: "EP",
+			releaseDate: "1993-05-17",
+			genres: ["Shoegaze"],
+		});
+		await createAlbum(token, { title: "Kid A", artists: ["Radiohead"], releaseDate: "2000-10-02" });
+
+		const res = await request(app)
+			.get("/api/v1/albums/facets")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.total).toBe(3);
+		expect(res.body.data.facets.genres).toEqual([
+			{ value: "Shoegaze", count: 2 },
+			{ value: "Noise Pop", count: 1 },
+		]);
+		expect(res.body.data.facets.formats).toEqual([
+			{ value: "LP", count: 2 },
+			{ value: "EP", count: 1 },
+		]);
+		expect(res.body.data.facets.decades).toEqual([
+			{ value: 1990, count: 2 },
+			{ value: 2000, count: 1 },
+		]);
+		expect(res.body.data.facets.emotional).toEqual([{ value: "dreamy", count: 1 }]);
+	});
+
+	it("narrows counts with list filters → 200", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, {
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+			genres: ["Shoegaze"],
+		});
+		await createAlbum(token, { title: "Kid A", artists: ["Radiohead"], genres: ["Electronic"] });
+
+		const res = await request(app)
+			.get("/api/v1/albums/facets?genre=shoegaze")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.total).toBe(1);
+		expect(res.body.data.facets.genres).toEqual([{ value: "Shoegaze", count: 1 }]);
+	});
 });
 
 describe("Albums — POST /", () => {
@@ -528,3 +894,309 @@ describe("Albums — Connections", () => {
 		expect(res.status).toBe(403);
 	});
 });
+
+describe("Albums — Connection ends", () => {
+	const connect = (token, source, target, type) =>
+		request(app)
+			.post(`/api/v1/albums/${source._id}/connections`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ targetAlbumId: target._id, type, note: "Same producer" });
+
+	const getAlbum = async (token, album) => {
+		const res = await request(app)
+			.get(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`);
+		return res.body.data;
+	};
+
+	it("adds the inverse connection to the target album", async () => {
+		const { token } = await createUser();
+		const albumA = await createAlbum(token, { title: "Album A", artists: ["Artist A"] });
+		const albumB = await createAlbum(token, { title: "Album B", artists: ["Artist B"] });
+
+		await connect(token, albumA, albumB, "influences");
+
+		const target = await getAlbum(token, albumB);
+		expect(target.connections).toHaveLength(1);
+		expect(target.connections[0].album._id).toBe(albumA._id);
+		expect(target.connections[0].type).toBe("influenced-by");
+		expect(target.connections[0].note).toBe("Same producer");
+		expect(target.connections[0].mirror).toBe(true);
+	});
+
+	it("treats a symmetric connection from the other end as a duplicate → 400", async () => {
+		const { token } = await createUser();
+		const albumA = await createAlbum(token, { title: "Album A", artists: ["Artist A"] });
+		const albumB = await createAlbum(token, { title: "Album B", artists: ["Artist B"] });
+
+		await connect(token, albumA, albumB, "similar-to");
+		const res = await connect(token, albumB, albumA, "similar-to");
+
+		expect(res.status).toBe(400);
+		const target = await getAlbum(token, albumB);
+		expect(target.connections.map((c) => c.type)).toEqual(["similar-to"]);
+	});
+
+	it("copies strength and discovery date to the other end", async () => {
+		const { token } = await createUser();
+		const albumA = await createAlbum(token, { title: "Album A", artists: ["Artist A"] });
+		const albumB = await createAlbum(token, { title: "Album B", artists: ["Artist B"] });
+
+		await request(app)
+			.post(`/api/v1/albums/${albumA._id}/connections`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ targetAlbumId: albumB._id, type: "samples", strength: 4, discoveredOn: "2024-03-02" });
+
+		const [mirror] = (await getAlbum(token, albumB)).connections;
+		expect(mirror.strength).toBe(4);
+		expect(mirror.discoveredOn).toMatch(/^2024-03-02/);
+		expect(mirror).toHaveProperty("createdAt");
+	});
+
+	it("updates the other end when the type or note changes", async () => {
+		const { token } = await createUser();
+		const albumA = await createAlbum(token, { title: "Album A", artists: ["Artist A"] });
+		const albumB = await createAlbum(token, { title: "Album B", artists: ["Artist B"] });
+		const connRes = await connect(token, albumA, albumB, "influences");
+		const connectionId = connRes.body.data.connections[0]._id;
+
+		await request(app)
+			.put(`/api/v1/albums/${albumA._id}/connections/${connectionId}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ type: "samples", note: "Drum break" });
+
+		const target = await getAlbum(token, albumB);
+		expect(target.connections).toHaveLength(1);
+		expect(target.connections[0].type).toBe("sampled-by");
+		expect(target.connections[0].note).toBe("Drum break");
+	});
+
+	it("removes the other end when a connection is deleted, from either end", async () => {
+		const { token } = await createUser();
+		const albumA = await createAlbum(token, { title: "Album A", artists: ["Artist A"] });
+		const albumB = await createAlbum(token, { title: "Album B", artists: ["Artist B"] });
+		await connect(token, albumA, albumB, "influences");
+
+		const mirror = (await getAlbum(token, albumB)).connections[0];
+		const res = await request(app)
+			.delete(`/api/v1/albums/${albumB._id}/connections/${mirror._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect((await getAlbum(token, albumA)).connections).toHaveLength(0);
+	});
+
+	it("mirrors note connections and removes them with the link", async () => {
+		const { token } = await createUser();
+		const loveless = await createAlbum(token, {
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+		});
+		const album = await createAlbum(token, {
+			title: "Souvlaki",
+			artists: ["Slowdive"],
+			personalNote: { content: "Found via [[Loveless]]." },
+		});
+
+		const mirrored = await getAlbum(token, loveless);
+		expect(mirrored.connections.map((c) => [c.type, c.origin])).toEqual([["led-to", "note"]]);
+
+		await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ personalNote: { content: "No links anymore." } });
+
+		expect((await getAlbum(token, loveless)).connections).toHaveLength(0);
+	});
+
+	it("keeps both ends of an edited mirror, with exactly one mirror", async () => {
+		const { token } = await createUser();
+		const loveless = await createAlbum(token, {
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+		});
+		const album = await createAlbum(token, {
+			title: "Souvlaki",
+			artists: ["Slowdive"],
+			personalNote: { content: "Found via [[Loveless]]." },
+		});
+		const [mirror] = (await getAlbum(token, loveless)).connections;
+
+		await request(app)
+			.put(`/api/v1/albums/${loveless._id}/connections/${mirror._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ strength: 5 });
+		await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ personalNote: { content: "Found via [[Loveless]], again." } });
+
+		const [edited] = (await getAlbum(token, loveless)).connections;
+		const [source] = (await getAlbum(token, album)).connections;
+		expect(edited).toMatchObject({ type: "led-to", mirror: false, origin: "manual", strength: 5 });
+		expect(source).toMatchObject({ type: "discovered-through", mirror: true, strength: 5 });
+	});
+
+	it("reports each relation once in the graph", async () => {
+		const { token } = await createUser();
+		const albumA = await createAlbum(token, { title: "Album A", artists: ["Artist A"] });
+		const albumB = await createAlbum(token, { title: "Album B", artists: ["Artist B"] });
+		const albumC = await createAlbum(token, { title: "Album C", artists: ["Artist C"] });
+		await connect(token, albumA, albumB, "similar-to");
+		await connect(token, albumC, albumA, "influenced-by");
+
+		const res = await request(app)
+			.get("/api/v1/albums/graph/all")
+			.set("Authorization", `Bearer ${token}`);
+
+		const edges = res.body.data.edges.map((e) => [e.source, e.target, e.type]);
+		expect(edges).toHaveLength(2);
+		expect(edges).toContainEqual([albumA._id, albumB._id, "similar-to"]);
+		expect(edges).toContainEqual([albumA._id, albumC._id, "influences"]);
+	});
+});
+
+describe("Albums — Note wikilinks", () => {
+	it("creates connections from [[wikilinks]] in the note → 201", async () => {
+		const { token } = await createUser();
+		const loveless = await createAlbum(token, {
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+		});
+		const isntAnything = await createAlbum(token, {
+			title: "Isn't Anything",
+			artists: ["My Bloody Valentine"],
+		});
+
+		const res = await request(app)
+			.post("/api/v1/albums")
+			.set("Authorization", `Bearer ${token}`)
+			.send(
+				albumFactory({
+					title: "Souvlaki",
+					artists: ["Slowdive"],
+					personalNote: {
+						content: "Found via [[loveless]], and [[Isn't Anything|influences]] it. See [[Unknown]].",
+					},
+				}),
+			);
+
+		expect(res.status).toBe(201);
+		const connections = res.body.data.connections.map((c) => [c.album, c.type, c.origin]);
+		expect(connections).toEqual([
+			[loveless._id, "discovered-through", "note"],
+			[isntAnything._id, "influences", "note"],
+		]);
+		expect(res.body.meta.unresolvedLinks).toEqual([
+			expect.objectContaining({ link: "[[Unknown]]", title: "Unknown" }),
+		]);
+	});
+
+	it("removes note connections when the link is removed from the note → 200", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, { title: "Loveless", artists: ["My Bloody Valentine"] });
+		const album = await createAlbum(token, {
+			title: "Souvlaki",
+			artists: ["Slowdive"],
+			personalNote: { content: "Found via [[Loveless]]." },
+		});
+		expect(album.connections).toHaveLength(1);
+
+		const res = await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ personalNote: { content: "Rewritten without links." } });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.connections).toHaveLength(0);
+		expect(res.body.data.personalNote.wordCount).toBe(3);
+		expect(res.body.meta.unresolvedLinks).toEqual([]);
+	});
+
+	it("keeps manual connections when the note changes → 200", async () => {
+		const { token } = await createUser();
+		const loveless = await createAlbum(token, {
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+		});
+		const album = await createAlbum(token, { title: "Souvlaki", artists: ["Slowdive"] });
+
+		await request(app)
+			.post(`/api/v1/albums/${album._id}/connections`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ targetAlbumId: loveless._id, type: "similar-to" });
+
+		const res = await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ personalNote: { content: "No links here." } });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.connections).toHaveLength(1);
+		expect(res.body.data.connections[0].origin).toBe("manual");
+	});
+
+	it("reports unknown connection types as unresolved", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, { title: "Loveless", artists: ["My Bloody Valentine"] });
+
+		const res = await request(app)
+			.post("/api/v1/albums")
+			.set("Authorization", `Bearer ${token}`)
+			.send(
+				albumFactory({
+					title: "Souvlaki",
+					artists: ["Slowdive"],
+					personalNote: { content: "[[Loveless|loves]]" },
+				}),
+			);
+
+		expect(res.status).toBe(201);
+		expect(res.body.data.connections).toHaveLength(0);
+		expect(res.body.meta.unresolvedLinks[0].reason).toMatch(/Unknown connection type/);
+	});
+});
+
+describe("Albums — GET /:id/backlinks", () => {
+	it("returns 401 without token", async () => {
+		const res = await request(app).get("/api/v1/albums/000000000000000000000000/backlinks");
+		expect(res.status).toBe(401);
+	});
+
+	it("groups incoming connections by type → 200", async () => {
+		const { token } = await createUser();
+		const target = await createAlbum(token, { title: "Kraftwerk", artists: ["Kraftwerk"] });
+		const albumA = await createAlbum(token, { title: "Album A", artists: ["Artist A"] });
+		const albumB = await createAlbum(token, { title: "Album B", artists: ["Artist B"] });
+
+		await request(app)
+			.post(`/api/v1/albums/${albumA._id}/connections`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ targetAlbumId: target._id, type: "discovered-through", note: "Liner notes" });
+		await request(app)
+			.post(`/api/v1/albums/${albumB._id}/connections`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ targetAlbumId: target._id, type: "samples" });
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${target._id}/backlinks`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.total).toBe(2);
+		expect(res.body.data.backlinks["discovered-through"]).toHaveLength(1);
+		expect(res.body.data.backlinks["discovered-through"][0].album.title).toBe("Album A");
+		expect(res.body.data.backlinks["discovered-through"][0].note).toBe("Liner notes");
+		expect(res.body.data.backlinks.samples[0].album.title).toBe("Album B");
+	});
+
+	it("returns 403 for non-owner", async () => {
+		const { token: token1 } = await createUser();
+		const { token: token2 } = await createUser();
+		const album = await createAlbum(token1);
+		const res = await request(app)
+			.get(`/api/v1/albums/${album._id}/backlinks`)
+			.set("Authorization", `Bearer ${token2}`);
+		expect(res.status).toBe(403);
+	});
+});
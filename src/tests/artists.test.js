@@ -0,0 +1,359 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../app");
+const Album = require("../api/models/album.model");
+const Artist = require("../api/models/artist.model");
+const { createUser, createAlbum } = require("./helpers");
+const { normalizeArtistName, pickCanonicalName } = require("../utils/artistNames");
+const { linkArtists } = require("../utils/artistLinks");
+const { linkExistingNames } = require("../utils/migrations/linkNames");
+
+const listArtists = (token) =>
+	request(app).get("/api/v1/artists").set("Authorization", `Bearer ${token}`);
+
+const getArtist = (token, id) =>
+	request(app).get(`/api/v1/artists/${id}`).set("Authorization", `Bearer ${token}`);
+
+const updateArtist = (token, id, body) =>
+	request(app).put(`/api/v1/artists/${id}`).set("Authorization", `Bearer ${token}`).send(body);
+
+const findArtistByName = async (token, name) =>
+	(await listArtists(token)).body.data.find((artist) => artist.name === name);
+
+describe("Artists — name matching", () => {
+	it("normalises diacritics, case, punctuation and a leading The", () => {
+		expect(normalizeArtistName("Björk")).toBe("bjork");
+		expect(normalizeArtistName("  The Beatles ")).toBe("beatles");
+		expect(normalizeArtistName("Simon & Garfunkel")).toBe("simon and garfunkel");
+		expect(normalizeArtistName("The The")).toBe("the");
+		expect(normalizeArtistName("!!!")).toBe("!!!");
+	});
+
+	it("keeps the most used variant, then the one with diacritics", () => {
+		expect(pickCanonicalName(["Bjork", "Björk"])).toBe("Björk");
+		expect(pickCanonicalName(["Bjork", "Bjork", "Björk"])).toBe("Bjork");
+	});
+});
+
+describe("Artists — album links", () => {
+	it("creates an artist the first time an album uses its name", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { artists: ["Björk"] });
+
+		const res = await listArtists(token);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toHaveLength(1);
+		expect(res.body.data[0]).toMatchObject({ name: "Björk", albumCount: 1 });
+		expect(album.artistIds).toEqual([res.body.data[0]._id]);
+	});
+
+	it("links name variants to the existing artist and uses its name", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, { title: "Homogenic", artists: ["Björk"] });
+
+		const album = await createAlbum(token, { title: "Vespertine", artists: ["bjork"] });
+
+		expect(album.artists).toEqual(["Björk"]);
+		expect((await listArtists(token)).body.data[0].albumCount).toBe(2);
+	});
+
+	it("detects duplicates across name variants → 400", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, { title: "Homogenic", artists: ["Björk"] });
+
+		const res = await request(app)
+			.post("/api/v1/albums")
+			.set("Authorization", `Bearer ${token}`)
+			.send({ title: "Homogenic", artists: ["Bjork"] });
+
+		expect(res.status).toBe(400);
+	});
+
+	it("creates no artists for an album that is rejected", async () => {
+		const { token } = await createUser();
+
+		const res = await request(app)
+			.post("/api/v1/albums")
+			.set("Authorization", `Bearer ${token}`)
+			.send({ title: "Debut", artists: ["Björk"], templateId: "65f1c0ffee0000000000beef" });
+
+		expect(res.status).toBe(400);
+		expect((await listArtists(token)).body.data).toEqual([]);
+	});
+
+	it("re-links an album when its artists change", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { artists: ["Radiohead"] });
+
+		const res = await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ artists: ["Thom Yorke"] });
+
+		const thom = await findArtistByName(token, "Thom Yorke");
+		expect(res.body.data.artistIds).toEqual([thom._id]);
+	});
+
+	it("rejects setting artistIds directly → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ artistIds: [album._id] });
+
+		expect(res.status).toBe(400);
+	});
+
+	it("keeps each user's artists separate", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		await createAlbum(token, { artists: ["Björk"] });
+
+		expect((await listArtists(otherToken)).body.data).toEqual([]);
+	});
+});
+
+describe("Artists — GET /artists/:id", () => {
+	it("aggregates the artist's albums, ratings, dimensions and connections → 200", async () => {
+		const { token } = await createUser();
+		const homogenic = await createAlbum(token, {
+			title: "Homogenic",
+			artists: ["Björk"],
+			releaseDate: "1997-09-22",
+			rating: 9,
+			genres: ["Art Pop"],
+			dimensions: { emotional: ["intense"] },
+		});
+		await createAlbum(token, {
+			title: "Debut",
+			artists: ["Björk"],
+			releaseDate: "1993-07-05",
+			rating: 8,
+			genres: ["Art Pop"],
+		});
+		const mezzanine = await createAlbum(token, { title: "Mezzanine", artists: ["Massive Attack"] });
+		await request(app)
+			.post(`/api/v1/albums/${homogenic._id}/connections`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ targetAlbumId: mezzanine._id, type: "influenced-by" });
+
+		const res = await getArtist(token, homogenic.artistIds[0]);
+
+		expect(res.status).toBe(200);
+		const page = res.body.data;
+		expect(page.artist.name).toBe("Björk");
+		expect(page.albums.map((album) => album.title)).toEqual(["Debut", "Homogenic"]);
+		expect(page.stats).toMatchObject({ albumCount: 2, averageRating: 8.5, rated: 2 });
+		expect(page.stats.dimensions.emotional).toEqual([{ value: "intense", count: 1 }]);
+		expect(page.stats.genres).toEqual([{ value: "Art Pop", count: 2 }]);
+		expect(page.connections).toHaveLength(1);
+		expect(page.connections[0]).toMatchObject({
+			source: { title: "Mezzanine" },
+			target: { title: "Homogenic" },
+			type: "influences",
+		});
+		expect(page.relatedArtists).toEqual([
+			{
+				_id: mezzanine.artistIds[0],
+				name: "Massive Attack",
+				connections: 1,
+				types: ["influences"],
+			},
+		]);
+	});
+
+	it("returns 404 for another user's artist", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await getArtist(otherToken, album.artistIds[0]);
+
+		expect(res.status).toBe(404);
+		expect(res.body.message).toBe("Artist not found");
+	});
+});
+
+describe("Artists — PUT /artists/:id", () => {
+	it("updates the artist and renames it on its albums → 200", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { artists: ["Bjork"] });
+
+		const res = await updateArtist(token, album.artistIds[0], {
+			name: "Björk",
+			country: "Iceland",
+			activeYears: { from: 1977 },
+			personalNote: { content: "Start with Homogenic" },
+		});
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toMatchObject({
+			name: "Björk",
+			aliases: ["Bjork"],
+			country: "Iceland",
+			activeYears: { from: 1977 },
+		});
+		expect(res.body.data.personalNote.lastEdited).toBeDefined();
+
+		const updated = await request(app)
+			.get(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`);
+		expect(updated.body.data.artists).toEqual(["Björk"]);
+	});
+
+	it("links albums typed with an alias", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { title: "Post", artists: ["Björk"] });
+		await updateArtist(token, album.artistIds[0], { aliases: ["Bjork Gudmundsdottir"] });
+
+		const other = await createAlbum(token, {
+			title: "Björk",
+			artists: ["Bjork Gudmundsdottir"],
+		});
+
+		expect(other.artists).toEqual(["Björk"]);
+		expect(other.artistIds).toEqual(album.artistIds);
+	});
+
+	it("rejects a name used by another artist → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { artists: ["Radiohead"] });
+		await createAlbum(token, { title: "Homogenic", artists: ["Björk"] });
+
+		const res = await updateArtist(token, album.artistIds[0], { aliases: ["Bjork"] });
+
+		expect(res.status).toBe(400);
+		expect(res.body.message).toContain('"Björk" already uses this name or alias');
+	});
+
+	it("rejects active years ending before they start → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await updateArtist(token, album.artistIds[0], {
+			activeYears: { from: 1990, to: 1985 },
+		});
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Artists — POST /artists/:id/merge", () => {
+	it("moves the source's albums and keeps its name as an alias → 200", async () => {
+		const { token } = await createUser();
+		const homogenic = await createAlbum(token, { title: "Homogenic", artists: ["Björk"] });
+		const duet = await createAlbum(token, {
+			title: "Duet",
+			artists: ["Gudmundsdottir", "Björk"],
+		});
+		const source = await findArtistByName(token, "Gudmundsdottir");
+		await updateArtist(token, source._id, { country: "Iceland" });
+
+		const res = await request(app)
+			.post(`/api/v1/artists/${homogenic.artistIds[0]}/merge`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ sourceId: source._id });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toMatchObject({ aliases: ["Gudmundsdottir"], country: "Iceland" });
+		expect(res.body.meta.albumsMoved).toBe(1);
+		expect(await Artist.findById(source._id)).toBeNull();
+
+		const merged = await request(app)
+			.get(`/api/v1/albums/${duet._id}`)
+			.set("Authorization", `Bearer ${token}`);
+		expect(merged.body.data.artists).toEqual(["Björk"]);
+		expect(merged.body.data.artistIds).toEqual(homogenic.artistIds);
+	});
+
+	it("rejects merging an artist into itself → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app)
+			.post(`/api/v1/artists/${album.artistIds[0]}/merge`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ sourceId: album.artistIds[0] });
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Artists — DELETE /artists/:id", () => {
+	it("refuses to delete an artist with albums → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app)
+			.delete(`/api/v1/artists/${album.artistIds[0]}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+
+	it("deletes an artist without albums → 200", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { artists: ["Radiohead"] });
+		await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ artists: ["Thom Yorke"] });
+
+		const res = await request(app)
+			.delete(`/api/v1/artists/${album.artistIds[0]}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect((await listArtists(token)).body.data.map((artist) => artist.name)).toEqual(["Thom Yorke"]);
+	});
+});
+
+describe("Artists — linking existing albums", () => {
+	const migrate = () =>
+		linkExistingNames({ Model: Artist, names: "artists", ids: "artistIds", link: linkArtists });
+
+	// Albums saved before artists existed: free-text names, no artistIds
+	const insertUnlinked = (userId, albums) =>
+		Album.collection.insertMany(
+			albums.map(([title, artist]) => ({
+				title,
+				artists: [artist],
+				addedBy: new mongoose.Types.ObjectId(userId),
+				updatedAt: new Date("2020-01-01"),
+			})),
+		);
+
+	it("creates one artist per name variant group and links every album, once", async () => {
+		const { user, token } = await createUser();
+		await insertUnlinked(user._id, [
+			["Debut", "Bjork"],
+			["Post", "Bjork"],
+			["Homogenic", "Björk"],
+			["Kid A", "Radiohead"],
+		]);
+
+		expect(await migrate()).toEqual({ users: 1, created: 2, linked: 4 });
+		expect(await migrate()).toEqual({ users: 1, created: 0, linked: 0 });
+
+		const artists = (await listArtists(token)).body.data;
+		expect(artists).toHaveLength(2);
+		// The most used spelling wins; the other is kept as an alias
+		expect(artists.find((artist) => artist.name === "Bjork")).toMatchObject({
+			aliases: ["Björk"],
+			albumCount: 3,
+		});
+
+		const albums = await Album.collection
+			.find({ title: { $in: ["Debut", "Post", "Homogenic"] } })
+			.toArray();
+		for (const album of albums) {
+			expect(album.artists).toEqual(["Bjork"]);
+			expect(album.artistIds).toHaveLength(1);
+			// Linked without touching updatedAt
+			expect(album.updatedAt).toEqual(new Date("2020-01-01"));
+		}
+	});
+});
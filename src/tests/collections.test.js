@@ -0,0 +1,388 @@
+const request = require("supertest");
+const app = require("../../app");
+const { createUser, createAlbum } = require("./helpers");
+
+const postCollection = (token, body) =>
+	request(app).post("/api/v1/collections").set("Authorization", `Bearer ${token}`).send(body);
+
+const titles = (collection) => collection.items.map((item) => item.album.title);
+
+/**
+ * Creates a collection holding albums A, B and C, in that order.
+ */
+const createCrate = async (token) => {
+	const albumA = await createAlbum(token, { title: "Album A", artists: ["Artist A"] });
+	const albumB = await createAlbum(token, { title: "Album B", artists: ["Artist B"] });
+	const albumC = await createAlbum(token, { title: "Album C", artists: ["Artist C"] });
+
+	const res = await postCollection(token, {
+		name: "Crate",
+		items: [{ album: albumA._id, note: "Opener" }, { album: albumB._id }, { album: albumC._id }],
+	});
+
+	return { collection: res.body.data, albumA, albumB, albumC };
+};
+
+describe("Collections — POST /collections", () => {
+	it("returns 401 without token", async () => {
+		const res = await request(app).post("/api/v1/collections").send({ name: "Crate" });
+		expect(res.status).toBe(401);
+	});
+
+	it("creates a collection with ordered items → 201", async () => {
+		const { token } = await createUser();
+		const { collection } = await createCrate(token);
+
+		expect(collection.name).toBe("Crate");
+		expect(titles(collection)).toEqual(["Album A", "Album B", "Album C"]);
+		expect(collection.items[0].note).toBe("Opener");
+	});
+
+	it("creates an empty collection from form data → 201", async () => {
+		const { token } = await createUser();
+
+		const res = await request(app)
+			.post("/api/v1/collections")
+			.set("Authorization", `Bearer ${token}`)
+			.field("name", "Empty crate")
+			.field("description", "Nothing yet");
+
+		expect(res.status).toBe(201);
+		expect(res.body.data.items).toEqual([]);
+		expect(res.body.data.description).toBe("Nothing yet");
+	});
+
+	it("requires a name → 400", async () => {
+		const { token } = await createUser();
+
+		const res = await postCollection(token, { description: "No name" });
+
+		expect(res.status).toBe(400);
+	});
+
+	it("rejects another user's album → 400", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const otherAlbum = await createAlbum(otherToken);
+
+		const res = await postCollection(token, { name: "Crate", items: [{ album: otherAlbum._id }] });
+
+		expect(res.status).toBe(400);
+	});
+
+	it("rejects the same album twice → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await postCollection(token, {
+			name: "Crate",
+			items: [{ album: album._id }, { album: album._id }],
+		});
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Collections — GET, PUT and DELETE /collections/:id", () => {
+	it("lists only the user's collections", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		await postCollection(token, { name: "Mine" });
+		await postCollection(otherToken, { name: "Theirs" });
+
+		const res = await request(app).get("/api/v1/collections").set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((c) => c.name)).toEqual(["Mine"]);
+	});
+
+	it("returns 404 for another user's collection", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const created = await postCollection(token, { name: "Mine" });
+
+		const res = await request(app)
+			.get(`/api/v1/collections/${created.body.data._id}`)
+			.set("Authorization", `Bearer ${otherToken}`);
+
+		expect(res.status).toBe(404);
+	});
+
+	it("updates the name and description → 200", async () => {
+		const { token } = await createUser();
+		const created = await postCollection(token, { name: "Old" });
+
+		const res = await request(app)
+			.put(`/api/v1/collections/${created.body.data._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ name: "New", description: "Renamed" });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toMatchObject({ name: "New", description: "Renamed" });
+	});
+
+	it("deletes the collection → 200, then 404", async () => {
+		const { token } = await createUser();
+		const created = await postCollection(token, { name: "Crate" });
+		const url = `/api/v1/collections/${created.body.data._id}`;
+
+		const res = await request(app).delete(url).set("Authorization", `Bearer ${token}`);
+		expect(res.status).toBe(200);
+
+		const again = await request(app).get(url).set("Authorization", `Bearer ${token}`);
+		expect(again.status).toBe(404);
+	});
+});
+
+describe("Collections — items and order", () => {
+	it("adds an album at a position → 201", async () => {
+		const { token } = await createUser();
+		const { collection } = await createCrate(token);
+		const albumD = await createAlbum(token, { title: "Album D", artists: ["Artist D"] });
+
+		const res = await request(app)
+			.post(`/api/v1/collections/${collection._id}/items`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ album: albumD._id, note: "Closer", position: 1 });
+
+		expect(res.status).toBe(201);
+		expect(titles(res.body.data)).toEqual(["Album A", "Album D", "Album B", "Album C"]);
+		expect(res.body.data.items[1].note).toBe("Closer");
+	});
+
+	it("rejects an album already in the collection → 400", async () => {
+		const { token } = await createUser();
+		const { collection, albumA } = await createCrate(token);
+
+		const res = await request(app)
+			.post(`/api/v1/collections/${collection._id}/items`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ album: albumA._id });
+
+		expect(res.status).toBe(400);
+	});
+
+	it("updates an item's note and moves it → 200", async () => {
+		const { token } = await createUser();
+		const { collection, albumA } = await createCrate(token);
+
+		const res = await request(app)
+			.put(`/api/v1/collections/${collection._id}/items/${albumA._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ note: "Now last", position: 2 });
+
+		expect(res.status).toBe(200);
+		expect(titles(res.body.data)).toEqual(["Album B", "Album C", "Album A"]);
+		expect(res.body.data.items[2].note).toBe("Now last");
+	});
+
+	it("removes an album → 200, then 404 for the same album", async () => {
+		const { token } = await createUser();
+		const { collection, albumB } = await createCrate(token);
+		const url = `/api/v1/collections/${collection._id}/items/${albumB._id}`;
+
+		const res = await request(app).delete(url).set("Authorization", `Bearer ${token}`);
+		expect(res.status).toBe(200);
+		expect(titles(res.body.data)).toEqual(["Album A", "Album C"]);
+
+		const again = await request(app).delete(url).set("Authorization", `Bearer ${token}`);
+		expect(again.status).toBe(404);
+	});
+
+	it("reorders the items and keeps their notes → 200", async () => {
+		const { token } = await createUser();
+		const { collection, albumA, albumB, albumC } = await createCrate(token);
+
+		const res = await request(app)
+			.put(`/api/v1/collections/${collection._id}/order`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ albums: [albumC._id, albumA._id, albumB._id] });
+
+		expect(res.status).toBe(200);
+		expect(titles(res.body.data)).toEqual(["Album C", "Album A", "Album B"]);
+		expect(res.body.data.items[1].note).toBe("Opener");
+	});
+
+	it("rejects an order that drops an album → 400", async () => {
+		const { token } = await createUser();
+		const { collection, albumA, albumB } = await createCrate(token);
+
+		const res = await request(app)
+			.put(`/api/v1/collections/${collection._id}/order`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ albums: [albumB._id, albumA._id] });
+
+		expect(res.status).toBe(400);
+	});
+
+	it("removes a deleted album from every collection", async () => {
+		const { token } = await createUser();
+		const { collection, albumB } = await createCrate(token);
+
+		await request(app).delete(`/api/v1/albums/${albumB._id}`).set("Authorization", `Bearer ${token}`);
+
+		const res = await request(app)
+			.get(`/api/v1/collections/${collection._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(titles(res.body.data)).toEqual(["Album A", "Album C"]);
+	});
+});
+
+describe("Collections — smart collections", () => {
+	const shoegazeFilter = { genre: ["Shoegaze"], yearFrom: 1988, yearTo: 1995, emotional: "dreamy" };
+
+	/**
+	 * Creates two albums matching shoegazeFilter and two that miss it by genre and by year.
+	 */
+	const createLibrary = async (token) => {
+		const dreamy = { genres: ["shoegaze"], dimensions: { emotional: ["dreamy"] } };
+		await createAlbum(token, {
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+			releaseDate: "1991-11-04",
+			...dreamy,
+		});
+		await createAlbum(token, {
+			title: "Souvlaki",
+			artists: ["Slowdive"],
+			releaseDate: "1993-05-17",
+			...dreamy,
+		});
+		await createAlbum(token, {
+			title: "Heaven or Las Vegas",
+			artists: ["Cocteau Twins"],
+			releaseDate: "1990-09-17",
+			genres: ["dream pop"],
+			dimensions: { emotional: ["dreamy"] },
+		});
+		await createAlbum(token, {
+			title: "Slowdive",
+			artists: ["Slowdive"],
+			releaseDate: "2017-05-05",
+			...dreamy,
+		});
+	};
+
+	it("stores the filter and returns the matching albums with a count → 201", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await postCollection(token, { name: "Shoegaze golden age", filter: shoegazeFilter });
+
+		expect(res.status).toBe(201);
+		expect(res.body.data.filter).toEqual({ ...shoegazeFilter, emotional: ["dreamy"] });
+		expect(res.body.data.albumCount).toBe(2);
+		expect(titles(res.body.data).sort()).toEqual(["Loveless", "Souvlaki"]);
+	});
+
+	it("reflects the current library on read", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+		const created = await postCollection(token, { name: "Shoegaze", filter: shoegazeFilter });
+
+		await createAlbum(token, {
+			title: "Nowhere",
+			artists: ["Ride"],
+			releaseDate: "1990-10-15",
+			genres: ["Shoegaze"],
+			dimensions: { emotional: ["dreamy"] },
+		});
+
+		const res = await request(app)
+			.get(`/api/v1/collections/${created.body.data._id}?sort=releaseDate&order=asc&limit=2`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.albumCount).toBe(3);
+		expect(titles(res.body.data)).toEqual(["Nowhere", "Loveless"]);
+		expect(res.body.meta).toMatchObject({ total: 3, count: 2, sort: "releaseDate" });
+		expect(res.body.meta.nextCursor).toBeTruthy();
+
+		const list = await request(app)
+			.get("/api/v1/collections")
+			.set("Authorization", `Bearer ${token}`);
+		expect(list.body.data[0].albumCount).toBe(3);
+	});
+
+	it("validates the filter like the album list → 400", async () => {
+		const { token } = await createUser();
+
+		const invalid = await postCollection(token, {
+			name: "Broken",
+			filter: { yearFrom: 1995, yearTo: 1988, emotional: "sleepy" },
+		});
+		expect(invalid.status).toBe(400);
+
+		const unknown = await postCollection(token, { name: "Broken", filter: { artist: "Ride" } });
+		expect(unknown.status).toBe(400);
+
+		const empty = await postCollection(token, { name: "Broken", filter: {} });
+		expect(empty.status).toBe(400);
+
+		const badQuery = await postCollection(token, { name: "Broken", filter: { query: "moood:x" } });
+		expect(badQuery.status).toBe(400);
+
+		const range = await postCollection(token, { name: "Broken", filter: { ratingMin: [3, 5] } });
+		expect(range.status).toBe(400);
+	});
+
+	it("accepts a query language expression as filter", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await postCollection(token, {
+			name: "Not Slowdive",
+			filter: { query: "genre:shoegaze -artist:slowdive", yearTo: 1995 },
+		});
+
+		expect(res.status).toBe(201);
+		expect(titles(res.body.data)).toEqual(["Loveless"]);
+	});
+
+	it("rejects items together with a filter → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await postCollection(token, {
+			name: "Both",
+			items: [{ album: album._id }],
+			filter: { genre: ["shoegaze"] },
+		});
+
+		expect(res.status).toBe(400);
+	});
+
+	it("updates the filter of a smart collection, but not of a manual one", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+		const smart = await postCollection(token, { name: "Shoegaze", filter: shoegazeFilter });
+		const manual = await postCollection(token, { name: "Manual" });
+
+		const res = await request(app)
+			.put(`/api/v1/collections/${smart.body.data._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ filter: { emotional: ["dreamy"], yearTo: 1995 } });
+		expect(res.status).toBe(200);
+		expect(res.body.data.albumCount).toBe(3);
+
+		const rejected = await request(app)
+			.put(`/api/v1/collections/${manual.body.data._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ filter: { genre: ["shoegaze"] } });
+		expect(rejected.status).toBe(400);
+	});
+
+	it("rejects item changes on a smart collection → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		const smart = await postCollection(token, { name: "Shoegaze", filter: shoegazeFilter });
+
+		const res = await request(app)
+			.post(`/api/v1/collections/${smart.body.data._id}/items`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ album: album._id });
+
+		expect(res.status).toBe(400);
+	});
+});
@@ -0,0 +1,169 @@
+const request = require("supertest");
+const app = require("../../app");
+const { createUser, createAlbum } = require("./helpers");
+
+const getCredits = (token, query) =>
+	request(app).get("/api/v1/albums/credits").query(query).set("Authorization", `Bearer ${token}`);
+
+/**
+ * Three albums Steve Albini worked on (engineer, producer with a mixing credit on two
+ * tracks, featured on a track) and one he did not.
+ */
+const createLibrary = async (token) => {
+	await createAlbum(token, {
+		title: "In Utero",
+		artists: ["Nirvana"],
+		releaseDate: "1993-09-21",
+		credits: [
+			{ person: "Steve Albini", role: "producer" },
+			{ person: "steve albini", role: "mixing", tracks: ["3", "4"] },
+		],
+	});
+	await createAlbum(token, {
+		title: "Surfer Rosa",
+		artists: ["Pixies"],
+		releaseDate: "1988-03-21",
+		credits: [{ person: "Steve Albini", role: "engineer" }],
+	});
+	const shellac = await createAlbum(token, {
+		title: "At Action Park",
+		artists: ["Shellac"],
+		releaseDate: "1994-10-24",
+	});
+	await request(app)
+		.post(`/api/v1/albums/${shellac._id}/tracks`)
+		.set("Authorization", `Bearer ${token}`)
+		.send({ title: "My Black Ass", featuredArtists: ["Steve Albini"] });
+	await createAlbum(token, {
+		title: "Nevermind",
+		artists: ["Nirvana"],
+		credits: [{ person: "Butch Vig", role: "producer" }],
+	});
+};
+
+describe("Albums — credits", () => {
+	it("stores credits with their role and track scope → 201", async () => {
+		const { token } = await createUser();
+
+		const album = await createAlbum(token, {
+			credits: [{ person: "Nigel Godrich", role: "producer", tracks: ["A1"] }],
+		});
+
+		expect(album.credits).toHaveLength(1);
+		expect(album.credits[0]).toMatchObject({
+			person: "Nigel Godrich",
+			role: "producer",
+			tracks: ["A1"],
+		});
+	});
+
+	it("replaces the credits on update", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, {
+			credits: [{ person: "Nigel Godrich", role: "producer" }],
+		});
+
+		const res = await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ credits: [{ person: "Stanley Donwood", role: "artwork" }] });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.credits.map((credit) => credit.person)).toEqual(["Stanley Donwood"]);
+	});
+
+	it("rejects an unknown role or a credit without person → 400", async () => {
+		const { token } = await createUser();
+
+		const res = await request(app)
+			.post("/api/v1/albums")
+			.set("Authorization", `Bearer ${token}`)
+			.send({
+				title: "OK Computer",
+				artists: ["Radiohead"],
+				credits: [{ person: "Nigel Godrich", role: "dj" }, { role: "producer" }],
+			});
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Albums — GET /albums/credits", () => {
+	it("lists every album a person worked on, by release date → 200", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await getCredits(token, { person: "Steve Albini" });
+
+		expect(res.status).toBe(200);
+		expect(res.body.meta.count).toBe(3);
+		expect(res.body.data.albums.map((album) => album.title)).toEqual([
+			"Surfer Rosa",
+			"In Utero",
+			"At Action Park",
+		]);
+		expect(res.body.data.albums[1].credits).toEqual([
+			{ role: "producer", tracks: [] },
+			{ role: "mixing", tracks: ["3", "4"] },
+		]);
+		expect(res.body.data.albums[2].credits).toEqual([{ role: "featured", tracks: ["1"] }]);
+		expect(res.body.data.roles).toEqual([
+			{ role: "engineer", count: 1 },
+			{ role: "featured", count: 1 },
+			{ role: "mixing", count: 1 },
+			{ role: "producer", count: 1 },
+		]);
+	});
+
+	it("filters by role", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await getCredits(token, { person: "steve albini", role: "producer" });
+
+		expect(res.body.data.albums.map((album) => album.title)).toEqual(["In Utero"]);
+	});
+
+	it("includes the albums of the artist with that name or alias", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { title: "Homogenic", artists: ["Björk"] });
+		await request(app)
+			.put(`/api/v1/artists/${album.artistIds[0]}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ aliases: ["Bjork Gudmundsdottir"] });
+		await createAlbum(token, {
+			title: "Post",
+			artists: ["Tricky"],
+			credits: [{ person: "Björk", role: "featured", tracks: ["2"] }],
+		});
+
+		const res = await getCredits(token, { person: "Bjork Gudmundsdottir" });
+
+		expect(res.body.data.person).toBe("Björk");
+		expect(res.body.data.albums.map((entry) => [entry.title, entry.credits[0].role])).toEqual([
+			["Homogenic", "artist"],
+			["Post", "featured"],
+		]);
+	});
+
+	it("only searches the user's own albums", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		await createLibrary(token);
+
+		const res = await getCredits(otherToken, { person: "Steve Albini" });
+
+		expect(res.body.data.albums).toEqual([]);
+	});
+
+	it("requires a person and a valid role → 400", async () => {
+		const { token } = await createUser();
+
+		expect((await getCredits(token, {})).status).toBe(400);
+		expect((await getCredits(token, { person: "Steve Albini", role: "dj" })).status).toBe(400);
+		expect((await getCredits(token, "person=Steve+Albini&person=Butch+Vig")).status).toBe(400);
+		expect((await getCredits(token, "person=Steve+Albini&role=producer&role=producer")).status).toBe(
+			400,
+		);
+	});
+});
@@ -26,6 +26,8 @@ const HEADERS = [
 	"Listening Frequency",
 	"Listening Context",
 	"Personal Note",
+	"Tracks",
+	"Duration",
 ];
 
 // The controller prefixes a BOM so Excel/Sheets detect UTF-8; strip it before parsing.
@@ -103,6 +105,8 @@ describe("Export — GET /albums/export", () => {
 			"regular",
 			"Late night",
 			"A turning point.",
+			"",
+			"",
 		]);
 	});
 
@@ -196,6 +200,30 @@ describe("Export — GET /albums/export", () => {
 			"",
 			"",
 			"",
+			"",
+			"",
 		]);
 	});
+
+	it("exports the track count and total duration of the tracklist → 200", async () => {
+		const { user, token } = await createUser();
+		await Album.create({
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+			tracks: [
+				{ position: 1, title: "Only Shallow", duration: 257 },
+				{ position: 2, title: "Loomer", duration: 158 },
+				{ position: 3, title: "Touched" },
+			],
+			addedBy: user._id,
+		});
+
+		const res = await request(app)
+			.get("/api/v1/albums/export")
+			.set("Authorization", `Bearer ${token}`);
+
+		const [headers, row] = parseCSV(res.text);
+		expect(row[headers.indexOf("Tracks")]).toBe("3");
+		expect(row[headers.indexOf("Duration")]).toBe("6:55");
+	});
 });
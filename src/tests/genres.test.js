@@ -0,0 +1,214 @@
+const request = require("supertest");
+const app = require("../../app");
+const { createUser, createAlbum } = require("./helpers");
+const { normalizeGenreName } = require("../utils/genreNames");
+const { proposeGenreTree } = require("../utils/genreTaxonomy");
+
+const createGenre = (token, body) =>
+	request(app).post("/api/v1/genres").set("Authorization", `Bearer ${token}`).send(body);
+
+const updateGenre = (token, id, body) =>
+	request(app).put(`/api/v1/genres/${id}`).set("Authorization", `Bearer ${token}`).send(body);
+
+const listAlbums = (token, query) =>
+	request(app).get("/api/v1/albums").query(query).set("Authorization", `Bearer ${token}`);
+
+// Electronic → Techno → Dub Techno, and Electronic → IDM
+const createTree = async (token) => {
+	const electronic = (await createGenre(token, { name: "Electronic" })).body.data;
+	const techno = (await createGenre(token, { name: "Techno", parent: electronic._id })).body.data;
+	const dubTechno = (await createGenre(token, { name: "Dub Techno", parent: techno._id })).body.data;
+	const idm = (
+		await createGenre(token, {
+			name: "IDM",
+			aliases: ["Intelligent Dance Music"],
+			parent: electronic._id,
+		})
+	).body.data;
+
+	return { electronic, techno, dubTechno, idm };
+};
+
+describe("Genres — proposals", () => {
+	it("reads hyphens and slashes as spaces", () => {
+		expect(normalizeGenreName("Post-Rock")).toBe("post rock");
+		expect(normalizeGenreName("Drum & Bass")).toBe("drum and bass");
+	});
+
+	it("groups spellings, then nests by name and by shared albums", () => {
+		const proposal = proposeGenreTree([
+			{ genres: ["Electronic", "IDM"] },
+			{ genres: ["Electronic", "Techno", "Dub Techno"] },
+			{ genres: ["electronic", "Techno"] },
+			{ genres: ["Post-Rock", "Rock"] },
+			{ genres: ["Post Rock"] },
+		]);
+
+		const summary = Object.fromEntries(
+			proposal.map((genre) => [genre.name, [genre.parent, genre.reason]]),
+		);
+		expect(summary).toEqual({
+			"Dub Techno": ["techno", "name"],
+			Electronic: [null, null],
+			IDM: ["electronic", "albums"],
+			"Post-Rock": ["rock", "name"],
+			Rock: [null, null],
+			Techno: ["electronic", "albums"],
+		});
+		expect(proposal.find((genre) => genre.name === "Post-Rock").aliases).toEqual(["Post Rock"]);
+	});
+});
+
+describe("Genres — CRUD", () => {
+	it("creates genres and returns them as a tree with album counts → 200", async () => {
+		const { token } = await createUser();
+		await createTree(token);
+		await createAlbum(token, {
+			title: "Selected Ambient Works",
+			genres: ["Intelligent Dance Music"],
+		});
+		await createAlbum(token, { title: "Rhythm & Sound", genres: ["Dub Techno"] });
+
+		const res = await request(app).get("/api/v1/genres/tree").set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		const [electronic] = res.body.data;
+		expect(electronic).toMatchObject({ name: "Electronic", albumCount: 0, totalAlbumCount: 2 });
+		expect(electronic.children.map((genre) => [genre.name, genre.totalAlbumCount])).toEqual([
+			["IDM", 1],
+			["Techno", 1],
+		]);
+		expect(electronic.children[1].children[0].name).toBe("Dub Techno");
+	});
+
+	it("returns a genre with its ancestors and children → 200", async () => {
+		const { token } = await createUser();
+		const { techno } = await createTree(token);
+
+		const res = await request(app)
+			.get(`/api/v1/genres/${techno._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.ancestors.map((genre) => genre.name)).toEqual(["Electronic"]);
+		expect(res.body.data.children.map((genre) => genre.name)).toEqual(["Dub Techno"]);
+	});
+
+	it("rejects a name used by another genre → 400", async () => {
+		const { token } = await createUser();
+		await createTree(token);
+
+		const res = await createGenre(token, { name: "dub-techno" });
+
+		expect(res.status).toBe(400);
+	});
+
+	it("rejects nesting a genre under its own subgenre → 400", async () => {
+		const { token } = await createUser();
+		const { electronic, dubTechno } = await createTree(token);
+
+		const res = await updateGenre(token, electronic._id, { parent: dubTechno._id });
+
+		expect(res.status).toBe(400);
+	});
+
+	it("keeps the old name as an alias on rename", async () => {
+		const { token } = await createUser();
+		const { idm } = await createTree(token);
+
+		const res = await updateGenre(token, idm._id, { name: "Braindance" });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.aliases).toEqual(["Intelligent Dance Music", "IDM"]);
+	});
+
+	it("moves the subgenres of a deleted genre up to its parent", async () => {
+		const { token } = await createUser();
+		const { electronic, techno } = await createTree(token);
+
+		const res = await request(app)
+			.delete(`/api/v1/genres/${techno._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		const page = await request(app)
+			.get(`/api/v1/genres/${electronic._id}`)
+			.set("Authorization", `Bearer ${token}`);
+		expect(page.body.data.children.map((genre) => genre.name)).toEqual(["Dub Techno", "IDM"]);
+	});
+
+	it("returns 404 for another user's genre", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const { electronic } = await createTree(token);
+
+		const res = await request(app)
+			.get(`/api/v1/genres/${electronic._id}`)
+			.set("Authorization", `Bearer ${otherToken}`);
+
+		expect(res.status).toBe(404);
+		expect(res.body.message).toBe("Genre not found");
+	});
+});
+
+describe("Genres — filters", () => {
+	it("expands a genre filter to its subgenres and their aliases", async () => {
+		const { token } = await createUser();
+		await createTree(token);
+		await createAlbum(token, {
+			title: "Selected Ambient Works",
+			genres: ["Intelligent Dance Music"],
+		});
+		await createAlbum(token, { title: "Rhythm & Sound", genres: ["Dub Techno"] });
+		await createAlbum(token, { title: "Loveless", genres: ["Shoegaze"] });
+
+		const byParam = await listAlbums(token, { genre: "electronic", sort: "title", order: "asc" });
+		const byQuery = await listAlbums(token, { query: "genre:Techno" });
+
+		expect(byParam.body.data.map((album) => album.title)).toEqual([
+			"Rhythm & Sound",
+			"Selected Ambient Works",
+		]);
+		expect(byQuery.body.data.map((album) => album.title)).toEqual(["Rhythm & Sound"]);
+	});
+
+	it("only uses the user's own tree", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		await createTree(token);
+		await createAlbum(otherToken, { genres: ["IDM"] });
+
+		const res = await listAlbums(otherToken, { genre: "Electronic" });
+
+		expect(res.body.data).toEqual([]);
+	});
+});
+
+describe("Genres — /genres/proposal", () => {
+	it("previews, then creates the proposed tree once", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, { title: "Drukqs", genres: ["Electronic", "IDM"] });
+		await createAlbum(token, { title: "Tri Repetae", genres: ["Electronic", "IDM"] });
+		await createAlbum(token, { title: "Loveless", genres: ["Electronic", "Shoegaze"] });
+
+		const preview = await request(app)
+			.get("/api/v1/genres/proposal")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(preview.status).toBe(200);
+		expect(preview.body.meta).toEqual({ count: 3, new: 3 });
+		expect(preview.body.data.map((genre) => genre.name)).toEqual(["Electronic"]);
+		expect(preview.body.data[0].children.map((genre) => genre.name)).toEqual(["IDM", "Shoegaze"]);
+
+		const applied = await request(app)
+			.post("/api/v1/genres/proposal")
+			.set("Authorization", `Bearer ${token}`);
+		expect(applied.status).toBe(201);
+		expect(applied.body.meta).toEqual({ created: 3, skipped: 0 });
+
+		const again = await request(app)
+			.post("/api/v1/genres/proposal")
+			.set("Authorization", `Bearer ${token}`);
+		expect(again.body.meta).toEqual({ created: 0, skipped: 3 });
+	});
+});
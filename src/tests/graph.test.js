@@ -0,0 +1,356 @@
+const request = require("supertest");
+const app = require("../../app");
+const { createUser, createAlbum } = require("./helpers");
+
+const connect = (token, source, target, type = "influences", note = "") =>
+	request(app)
+		.post(`/api/v1/albums/${source._id}/connections`)
+		.set("Authorization", `Bearer ${token}`)
+		.send({ targetAlbumId: target._id, type, note });
+
+/**
+ * Builds the chain A → B → C ← D plus an isolated album E.
+ */
+const createChain = async (token) => {
+	const albumA = await createAlbum(token, { title: "Album A", artists: ["Artist A"] });
+	const albumB = await createAlbum(token, { title: "Album B", artists: ["Artist B"] });
+	const albumC = await createAlbum(token, { title: "Album C", artists: ["Artist C"] });
+	const albumD = await createAlbum(token, { title: "Album D", artists: ["Artist D"] });
+	const albumE = await createAlbum(token, { title: "Album E", artists: ["Artist E"] });
+
+	await connect(token, albumA, albumB, "influences", "Same producer");
+	await connect(token, albumB, albumC, "samples");
+	await connect(token, albumD, albumC, "similar-to");
+
+	return { albumA, albumB, albumC, albumD, albumE };
+};
+
+describe("Graph — GET /albums/:id/neighbourhood", () => {
+	it("returns 401 without token", async () => {
+		const res = await request(app).get("/api/v1/albums/000000000000000000000000/neighbourhood");
+		expect(res.status).toBe(401);
+	});
+
+	it("returns albums within N hops with their distance → 200", async () => {
+		const { token } = await createUser();
+		const { albumA, albumB, albumC } = await createChain(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${albumA._id}/neighbourhood?depth=2`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		const distances = Object.fromEntries(res.body.data.nodes.map((n) => [n.label, n.distance]));
+		expect(distances).toEqual({ "Album A": 0, "Album B": 1, "Album C": 2 });
+		expect(res.body.data.edges).toHaveLength(2);
+		expect(res.body.data.edges[0]).toMatchObject({
+			source: albumA._id,
+			target: albumB._id,
+		});
+		expect(res.body.data.nodes.map((n) => n.id)).toContain(albumC._id);
+	});
+
+	it("only follows the requested connection types", async () => {
+		const { token } = await createUser();
+		const { albumA } = await createChain(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${albumA._id}/neighbourhood?depth=3&types=influences`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.nodes.map((n) => n.label)).toEqual(["Album A", "Album B"]);
+	});
+
+	it("rejects an invalid depth → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${album._id}/neighbourhood?depth=10`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Graph — GET /albums/graph/path", () => {
+	it("finds the shortest path with types, notes and directions → 200", async () => {
+		const { token } = await createUser();
+		const { albumA, albumD } = await createChain(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/graph/path?from=${albumA._id}&to=${albumD._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.found).toBe(true);
+		expect(res.body.data.length).toBe(3);
+		expect(res.body.data.nodes.map((n) => n.label)).toEqual([
+			"Album A",
+			"Album B",
+			"Album C",
+			"Album D",
+		]);
+		expect(res.body.data.steps.map((s) => [s.type, s.direction])).toEqual([
+			["influences", "forward"],
+			["samples", "forward"],
+			["similar-to", "backward"],
+		]);
+		expect(res.body.data.steps[0].note).toBe("Same producer");
+	});
+
+	it("reports found: false when only reachable against connection direction", async () => {
+		const { token } = await createUser();
+		const { albumA, albumD } = await createChain(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/graph/path?from=${albumA._id}&to=${albumD._id}&directed=true`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.found).toBe(false);
+	});
+
+	it("returns 404 for albums outside the user's collection", async () => {
+		const { token: token1 } = await createUser();
+		const { token: token2 } = await createUser();
+		const { albumA, albumB } = await createChain(token1);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/graph/path?from=${albumA._id}&to=${albumB._id}`)
+			.set("Authorization", `Bearer ${token2}`);
+
+		expect(res.status).toBe(404);
+	});
+
+	it("rejects missing album IDs → 400", async () => {
+		const { token } = await createUser();
+		const res = await request(app)
+			.get("/api/v1/albums/graph/path")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Graph — connection strength", () => {
+	const connectWithStrength = (token, source, target, strength) =>
+		request(app)
+			.post(`/api/v1/albums/${source._id}/connections`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ targetAlbumId: target._id, type: "influences", strength });
+
+	/**
+	 * X → Y is faint (1); X → Z → Y is strong (5, 5).
+	 */
+	const createTriangle = async (token) => {
+		const albumX = await createAlbum(token, { title: "Album X", artists: ["Artist X"] });
+		const albumY = await createAlbum(token, { title: "Album Y", artists: ["Artist Y"] });
+		const albumZ = await createAlbum(token, { title: "Album Z", artists: ["Artist Z"] });
+
+		await connectWithStrength(token, albumX, albumY, 1);
+		await connectWithStrength(token, albumX, albumZ, 5);
+		await connectWithStrength(token, albumZ, albumY, 5);
+
+		return { albumX, albumY, albumZ };
+	};
+
+	it("prefers a chain of strong connections over a faint direct one", async () => {
+		const { token } = await createUser();
+		const { albumX, albumY } = await createTriangle(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/graph/path?from=${albumX._id}&to=${albumY._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.nodes.map((n) => n.label)).toEqual(["Album X", "Album Z", "Album Y"]);
+		expect(res.body.data.steps.map((s) => s.strength)).toEqual([5, 5]);
+		expect(res.body.data.cost).toBeCloseTo(0.4);
+	});
+
+	it("ignores connections weaker than minStrength", async () => {
+		const { token } = await createUser();
+		const { albumX } = await createTriangle(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${albumX._id}/neighbourhood?depth=1&direction=out&minStrength=4`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.nodes.map((n) => n.label).sort()).toEqual(["Album X", "Album Z"]);
+		expect(res.body.data.edges).toHaveLength(1);
+		expect(res.body.data.edges[0].weight).toBe(5);
+	});
+
+	it("exposes strength as edge weight in the graph", async () => {
+		const { token } = await createUser();
+		await createTriangle(token);
+		const albumW = await createAlbum(token, { title: "Album W", artists: ["Artist W"] });
+		const albumV = await createAlbum(token, { title: "Album V", artists: ["Artist V"] });
+		await connect(token, albumW, albumV);
+
+		const res = await request(app)
+			.get("/api/v1/albums/graph/all")
+			.set("Authorization", `Bearer ${token}`);
+
+		const weights = res.body.data.edges.map((e) => [e.strength, e.weight]);
+		expect(weights).toHaveLength(4);
+		expect(weights).toContainEqual([1, 1]);
+		expect(weights).toContainEqual([null, 3]);
+		expect(res.body.data.edges[0]).toHaveProperty("createdAt");
+	});
+
+	it("rejects a strength outside 1–5 → 400", async () => {
+		const { token } = await createUser();
+		const albumX = await createAlbum(token, { title: "Album X", artists: ["Artist X"] });
+		const albumY = await createAlbum(token, { title: "Album Y", artists: ["Artist Y"] });
+
+		const res = await connectWithStrength(token, albumX, albumY, 9);
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Graph — GET /albums/graph/components", () => {
+	it("lists connected components and isolated albums → 200", async () => {
+		const { token } = await createUser();
+		await createChain(token);
+
+		const res = await request(app)
+			.get("/api/v1/albums/graph/components")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.components).toHaveLength(1);
+		expect(res.body.data.components[0].size).toBe(4);
+		expect(res.body.data.components[0].edgeCount).toBe(3);
+		expect(res.body.data.isolated.map((n) => n.label)).toEqual(["Album E"]);
+	});
+});
+
+describe("Graph — GET /albums/graph/all?format=", () => {
+	const exportGraph = (token, format) =>
+		request(app)
+			.get(`/api/v1/albums/graph/all?format=${format}`)
+			.set("Authorization", `Bearer ${token}`);
+
+	it("exports GraphML with node and edge attributes → 200", async () => {
+		const { token } = await createUser();
+		await createChain(token);
+
+		const res = await exportGraph(token, "graphml");
+
+		expect(res.status).toBe(200);
+		expect(res.headers["content-type"]).toMatch(/application\/graphml\+xml/);
+		expect(res.headers["content-disposition"]).toMatch(/craterra-graph-.*\.graphml/);
+		expect(res.text).toContain("<graphml");
+		expect(res.text).toContain('<data key="label">Album A</data>');
+		expect(res.text).toContain('<data key="edge_note">Same producer</data>');
+	});
+
+	it("exports GEXF → 200", async () => {
+		const { token } = await createUser();
+		await createChain(token);
+
+		const res = await exportGraph(token, "gexf");
+
+		expect(res.status).toBe(200);
+		expect(res.headers["content-type"]).toMatch(/application\/gexf\+xml/);
+		expect(res.text).toContain('<gexf xmlns="http://gexf.net/1.3" version="1.3">');
+		expect(res.text.match(/<edge /g)).toHaveLength(3);
+	});
+
+	it("exports DOT → 200", async () => {
+		const { token } = await createUser();
+		const { albumA, albumB } = await createChain(token);
+
+		const res = await exportGraph(token, "dot");
+
+		expect(res.status).toBe(200);
+		expect(res.headers["content-type"]).toMatch(/text\/vnd\.graphviz/);
+		expect(res.text).toMatch(/^digraph craterra \{/);
+		expect(res.text).toContain(`"${albumA._id}" -> "${albumB._id}"`);
+	});
+
+	it("exports Cytoscape elements JSON → 200", async () => {
+		const { token } = await createUser();
+		await createChain(token);
+
+		const res = await exportGraph(token, "cytoscape");
+		const { elements } = JSON.parse(res.text);
+
+		expect(res.status).toBe(200);
+		expect(elements.nodes).toHaveLength(5);
+		expect(elements.edges).toHaveLength(3);
+		expect(elements.edges[0].data).toHaveProperty("type");
+	});
+
+	it("returns 400 for an unknown format", async () => {
+		const { token } = await createUser();
+
+		const res = await exportGraph(token, "pdf");
+
+		expect(res.status).toBe(400);
+	});
+
+	it("returns 400 for a repeated format", async () => {
+		const { token } = await createUser();
+
+		const res = await exportGraph(token, "dot&format=dot");
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Graph — GET /albums/graph/analytics", () => {
+	it("ranks albums by centrality and groups them into communities → 200", async () => {
+		const { token } = await createUser();
+		const { albumC } = await createChain(token);
+
+		const res = await request(app)
+			.get("/api/v1/albums/graph/analytics?sort=degree")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.albumCount).toBe(5);
+		expect(res.body.data.connectionCount).toBe(3);
+
+		const [top] = res.body.data.albums;
+		expect(top.id).toBe(albumC._id);
+		expect(top.degree).toEqual({ in: 2, out: 0, total: 2, weighted: 6 });
+		expect(top.pagerank).toBeGreaterThan(0);
+
+		const albumB = res.body.data.albums.find((album) => album.label === "Album B");
+		expect(albumB.betweenness).toBeGreaterThan(0);
+
+		const isolated = res.body.data.albums.find((album) => album.label === "Album E");
+		expect(isolated.community).toBeNull();
+
+		expect(res.body.data.communities.length).toBeGreaterThan(0);
+		expect(res.body.data.communities[0]).toHaveProperty("dominantGenres");
+	});
+
+	it("limits the ranked albums", async () => {
+		const { token } = await createUser();
+		await createChain(token);
+
+		const res = await request(app)
+			.get("/api/v1/albums/graph/analytics?limit=2")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.albums).toHaveLength(2);
+	});
+
+	it("returns 400 for an unknown sort", async () => {
+		const { token } = await createUser();
+
+		const res = await request(app)
+			.get("/api/v1/albums/graph/analytics?sort=fame")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+});
@@ -1,6 +1,8 @@
 const request = require("supertest");
 const app = require("../../app");
 const Album = require("../api/models/album.model");
+const Artist = require("../api/models/artist.model");
+const Label = require("../api/models/label.model");
 const { createUser, createAlbum } = require("./helpers");
 
 const HEADERS =
@@ -204,6 +206,30 @@ describe("Import — POST /albums/import", () => {
 		expect(kidA.tags).toEqual([]);
 	});
 
+	it("reads the Tracks and Duration columns of a Craterra export → 201", async () => {
+		const { user, token } = await createUser();
+		const csv = [
+			"Name,Artist,Tracks,Duration",
+			"Loveless,My Bloody Valentine,11,48:36",
+			"Kid A,Radiohead,,",
+		].join("\n");
+
+		const res = await attachCSV(
+			request(app).post("/api/v1/albums/import").set("Authorization", `Bearer ${token}`),
+			csv,
+		);
+
+		expect(res.status).toBe(201);
+
+		const loveless = await Album.findOne({ addedBy: user._id, title: "Loveless" });
+		expect(loveless.trackCount).toBe(11);
+		expect(loveless.totalDuration).toBe(2916);
+
+		const kidA = await Album.findOne({ addedBy: user._id, title: "Kid A" });
+		expect(kidA.trackCount).toBeUndefined();
+		expect(kidA.totalDuration).toBeUndefined();
+	});
+
 	it("rejects a non-CSV file extension → 400", async () => {
 		const { token } = await createUser();
 
@@ -219,6 +245,21 @@ describe("Import — POST /albums/import", () => {
 		expect(res.body.message).toBe("Only CSV files are allowed");
 	});
 
+	it("creates no artists or labels for a row the album model rejects → 201", async () => {
+		const { user, token } = await createUser();
+
+		const res = await attachCSV(
+			request(app).post("/api/v1/albums/import").set("Authorization", `Bearer ${token}`),
+			buildCSV("Kid A,Radiohead,10/02/2000,LP,Parlophone,Electronic,Oxford,1990s,UK,,11,Yes"),
+		);
+
+		expect(res.status).toBe(201);
+		expect(res.body.data.imported).toEqual([]);
+		expect(res.body.data.errors).toHaveLength(1);
+		expect(await Artist.countDocuments({ addedBy: user._id })).toBe(0);
+		expect(await Label.countDocuments({ addedBy: user._id })).toBe(0);
+	});
+
 	it("rejects a CSV larger than the 5MB limit → 400", async () => {
 		const { token } = await createUser();
 
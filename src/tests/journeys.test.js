@@ -0,0 +1,248 @@
+const request = require("supertest");
+const app = require("../../app");
+const { createUser, createAlbum } = require("./helpers");
+
+const connect = (token, source, target, type = "influences", note = "") =>
+	request(app)
+		.post(`/api/v1/albums/${source._id}/connections`)
+		.set("Authorization", `Bearer ${token}`)
+		.send({ targetAlbumId: target._id, type, note });
+
+const postJourney = (token, body) =>
+	request(app).post("/api/v1/journeys").set("Authorization", `Bearer ${token}`).send(body);
+
+/**
+ * Builds A → B (influences) and C → B (samples), plus an unconnected album D.
+ */
+const createAlbums = async (token) => {
+	const albumA = await createAlbum(token, { title: "Album A", artists: ["Artist A"] });
+	const albumB = await createAlbum(token, { title: "Album B", artists: ["Artist B"] });
+	const albumC = await createAlbum(token, { title: "Album C", artists: ["Artist C"] });
+	const albumD = await createAlbum(token, { title: "Album D", artists: ["Artist D"] });
+
+	await connect(token, albumA, albumB, "influences", "Same producer");
+	await connect(token, albumC, albumB, "samples");
+
+	return { albumA, albumB, albumC, albumD };
+};
+
+describe("Journeys — POST /journeys", () => {
+	it("returns 401 without token", async () => {
+		const res = await request(app).post("/api/v1/journeys").send({ title: "Trip" });
+		expect(res.status).toBe(401);
+	});
+
+	it("creates a journey with the connection behind each step → 201", async () => {
+		const { token } = await createUser();
+		const { albumA, albumB, albumC } = await createAlbums(token);
+
+		const res = await postJourney(token, {
+			title: "Trip",
+			strict: true,
+			steps: [
+				{ album: albumA._id, note: "Start here" },
+				{ album: albumB._id, note: "Then this" },
+				{ album: albumC._id },
+			],
+		});
+
+		expect(res.status).toBe(201);
+		expect(res.body.data.title).toBe("Trip");
+		expect(res.body.data.strict).toBe(true);
+
+		const [first, second, third] = res.body.data.steps;
+		expect(first.album.title).toBe("Album A");
+		expect(first.note).toBe("Start here");
+		expect(first.connection).toBeNull();
+		expect(second.connection).toMatchObject({
+			type: "influences",
+			note: "Same producer",
+			direction: "forward",
+		});
+		expect(third.connection).toMatchObject({ type: "samples", direction: "backward" });
+	});
+
+	it("accepts unconnected steps when not strict", async () => {
+		const { token } = await createUser();
+		const { albumA, albumD } = await createAlbums(token);
+
+		const res = await postJourney(token, {
+			title: "Loose",
+			steps: [{ album: albumA._id }, { album: albumD._id }],
+		});
+
+		expect(res.status).toBe(201);
+		expect(res.body.data.steps[1].connection).toBeNull();
+	});
+
+	it("rejects unconnected steps when strict → 400", async () => {
+		const { token } = await createUser();
+		const { albumA, albumB, albumD } = await createAlbums(token);
+
+		const res = await postJourney(token, {
+			title: "Strict",
+			strict: true,
+			steps: [{ album: albumA._id }, { album: albumB._id }, { album: albumD._id }],
+		});
+
+		expect(res.status).toBe(400);
+		expect(res.body.message).toBe("Steps are not connected: 2 → 3");
+	});
+
+	it("rejects albums from another user's collection → 400", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const album = await createAlbum(token);
+		const otherAlbum = await createAlbum(otherToken);
+
+		const res = await postJourney(token, {
+			title: "Trip",
+			steps: [{ album: album._id }, { album: otherAlbum._id }],
+		});
+
+		expect(res.status).toBe(400);
+		expect(res.body.message).toContain(otherAlbum._id);
+	});
+
+	it("requires a title and at least one step → 400", async () => {
+		const { token } = await createUser();
+
+		const res = await postJourney(token, { steps: [] });
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Journeys — GET /journeys", () => {
+	it("lists only the user's journeys", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const album = await createAlbum(token);
+		const otherAlbum = await createAlbum(otherToken);
+
+		await postJourney(token, { title: "Mine", steps: [{ album: album._id }] });
+		await postJourney(otherToken, { title: "Theirs", steps: [{ album: otherAlbum._id }] });
+
+		const res = await request(app).get("/api/v1/journeys").set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((j) => j.title)).toEqual(["Mine"]);
+		expect(res.body.data[0].steps[0].album.title).toBe(album.title);
+	});
+
+	it("returns a journey by id → 200, another user's → 404", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const album = await createAlbum(token);
+		const created = await postJourney(token, { title: "Mine", steps: [{ album: album._id }] });
+
+		const res = await request(app)
+			.get(`/api/v1/journeys/${created.body.data._id}`)
+			.set("Authorization", `Bearer ${token}`);
+		expect(res.status).toBe(200);
+		expect(res.body.data.title).toBe("Mine");
+
+		const other = await request(app)
+			.get(`/api/v1/journeys/${created.body.data._id}`)
+			.set("Authorization", `Bearer ${otherToken}`);
+		expect(other.status).toBe(404);
+	});
+
+	it("rejects an invalid id → 400", async () => {
+		const { token } = await createUser();
+
+		const res = await request(app)
+			.get("/api/v1/journeys/not-an-id")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Journeys — PUT /journeys/:id", () => {
+	it("re-validates the steps when switching to strict → 400", async () => {
+		const { token } = await createUser();
+		const { albumA, albumD } = await createAlbums(token);
+		const created = await postJourney(token, {
+			title: "Loose",
+			steps: [{ album: albumA._id }, { album: albumD._id }],
+		});
+
+		const res = await request(app)
+			.put(`/api/v1/journeys/${created.body.data._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ strict: true });
+
+		expect(res.status).toBe(400);
+	});
+
+	it("replaces the steps and updates the title → 200", async () => {
+		const { token } = await createUser();
+		const { albumA, albumB, albumD } = await createAlbums(token);
+		const created = await postJourney(token, {
+			title: "Loose",
+			steps: [{ album: albumA._id }, { album: albumD._id }],
+		});
+
+		const res = await request(app)
+			.put(`/api/v1/journeys/${created.body.data._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ title: "Tight", strict: true, steps: [{ album: albumA._id }, { album: albumB._id }] });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.title).toBe("Tight");
+		expect(res.body.data.steps.map((s) => s.album.title)).toEqual(["Album A", "Album B"]);
+	});
+});
+
+describe("Journeys — DELETE /journeys/:id", () => {
+	it("deletes the journey → 200, then 404", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		const created = await postJourney(token, { title: "Trip", steps: [{ album: album._id }] });
+		const url = `/api/v1/journeys/${created.body.data._id}`;
+
+		const res = await request(app).delete(url).set("Authorization", `Bearer ${token}`);
+		expect(res.status).toBe(200);
+
+		const again = await request(app).get(url).set("Authorization", `Bearer ${token}`);
+		expect(again.status).toBe(404);
+	});
+});
+
+describe("Journeys — album graph and album deletion", () => {
+	it("includes journeys as paths in the album graph", async () => {
+		const { token } = await createUser();
+		const { albumA, albumB, albumD } = await createAlbums(token);
+		await postJourney(token, {
+			title: "Trip",
+			steps: [{ album: albumA._id }, { album: albumB._id }, { album: albumD._id }],
+		});
+
+		const res = await request(app)
+			.get("/api/v1/albums/graph/all")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.journeys).toHaveLength(1);
+		expect(res.body.data.journeys[0].path).toEqual([albumA._id, albumB._id, albumD._id]);
+		expect(res.body.data.journeys[0].edges.map((e) => e.connected)).toEqual([true, false]);
+	});
+
+	it("removes the steps of a deleted album", async () => {
+		const { token } = await createUser();
+		const { albumA, albumB } = await createAlbums(token);
+		const created = await postJourney(token, {
+			title: "Trip",
+			steps: [{ album: albumA._id }, { album: albumB._id }],
+		});
+
+		await request(app).delete(`/api/v1/albums/${albumB._id}`).set("Authorization", `Bearer ${token}`);
+
+		const res = await request(app)
+			.get(`/api/v1/journeys/${created.body.data._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.body.data.steps.map((s) => s.album.title)).toEqual(["Album A"]);
+	});
+});
@@ -0,0 +1,282 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../app");
+const Album = require("../api/models/album.model");
+const Label = require("../api/models/label.model");
+const { createUser, createAlbum } = require("./helpers");
+const { labelCore } = require("../utils/labelNames");
+const { linkLabels } = require("../utils/labelLinks");
+const { linkExistingNames } = require("../utils/migrations/linkNames");
+
+const listLabels = (token) =>
+	request(app).get("/api/v1/labels").set("Authorization", `Bearer ${token}`);
+
+const getLabel = (token, id) =>
+	request(app).get(`/api/v1/labels/${id}`).set("Authorization", `Bearer ${token}`);
+
+const updateLabel = (token, id, body) =>
+	request(app).put(`/api/v1/labels/${id}`).set("Authorization", `Bearer ${token}`).send(body);
+
+const mergeLabels = (token, id, sourceId) =>
+	request(app)
+		.post(`/api/v1/labels/${id}/merge`)
+		.set("Authorization", `Bearer ${token}`)
+		.send({ sourceId });
+
+const findLabelByName = async (token, name) =>
+	(await listLabels(token)).body.data.find((label) => label.name === name);
+
+describe("Labels — name matching", () => {
+	it("ignores company suffixes when looking for variants", () => {
+		expect(labelCore("Warp Records")).toBe("warp");
+		expect(labelCore("Domino Recording Co.")).toBe("domino");
+		expect(labelCore("Sub Pop")).toBe("sub pop");
+		expect(labelCore("Records")).toBe("records");
+	});
+});
+
+describe("Labels — album links", () => {
+	it("creates a label the first time an album uses its name", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { labels: ["Warp"] });
+
+		const res = await listLabels(token);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toHaveLength(1);
+		expect(res.body.data[0]).toMatchObject({ name: "Warp", albumCount: 1 });
+		expect(album.labelIds).toEqual([res.body.data[0]._id]);
+	});
+
+	it("links name variants to the existing label and uses its name", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, { title: "Selected Ambient Works II", labels: ["Warp"] });
+
+		const album = await createAlbum(token, { title: "Drukqs", labels: ["WARP"] });
+
+		expect(album.labels).toEqual(["Warp"]);
+		expect((await listLabels(token)).body.data[0].albumCount).toBe(2);
+	});
+
+	it("re-links an album when its labels change", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { labels: ["Parlophone"] });
+
+		const res = await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ labels: ["XL Recordings"] });
+
+		const xl = await findLabelByName(token, "XL Recordings");
+		expect(res.body.data.labelIds).toEqual([xl._id]);
+	});
+
+	it("rejects setting labelIds directly → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ labelIds: [album._id] });
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Labels — GET /labels/merge-suggestions", () => {
+	it("groups labels that only differ by a suffix → 200", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, { title: "Drukqs", labels: ["Warp"] });
+		await createAlbum(token, { title: "Music Has the Right to Children", labels: ["Warp"] });
+		await createAlbum(token, { title: "Geogaddi", labels: ["Warp Records"] });
+		await createAlbum(token, { title: "Bleach", labels: ["Sub Pop"] });
+
+		const res = await request(app)
+			.get("/api/v1/labels/merge-suggestions")
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.meta.count).toBe(1);
+		const [suggestion] = res.body.data;
+		expect(suggestion.labels.map((label) => [label.name, label.albumCount])).toEqual([
+			["Warp", 2],
+			["Warp Records", 1],
+		]);
+		expect(suggestion.suggestedTarget).toBe(suggestion.labels[0]._id);
+	});
+});
+
+describe("Labels — GET /labels/:id", () => {
+	it("lists the label's albums by release date with its stats → 200", async () => {
+		const { token } = await createUser();
+		const drukqs = await createAlbum(token, {
+			title: "Drukqs",
+			artists: ["Aphex Twin"],
+			labels: ["Warp"],
+			releaseDate: "2001-10-22",
+			genres: ["IDM"],
+		});
+		await createAlbum(token, {
+			title: "Tri Repetae",
+			artists: ["Autechre"],
+			labels: ["Warp"],
+			releaseDate: "1995-11-06",
+			genres: ["IDM"],
+		});
+
+		const res = await getLabel(token, drukqs.labelIds[0]);
+
+		expect(res.status).toBe(200);
+		const page = res.body.data;
+		expect(page.label.name).toBe("Warp");
+		expect(page.albums.map((album) => album.title)).toEqual(["Tri Repetae", "Drukqs"]);
+		expect(page.stats.albumCount).toBe(2);
+		expect(page.stats.genres).toEqual([{ value: "IDM", count: 2 }]);
+		expect(page.stats.artists).toHaveLength(2);
+		expect(page.sublabels).toEqual([]);
+	});
+
+	it("returns 404 for another user's label", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const album = await createAlbum(token, { labels: ["Warp"] });
+
+		const res = await getLabel(otherToken, album.labelIds[0]);
+
+		expect(res.status).toBe(404);
+		expect(res.body.message).toBe("Label not found");
+	});
+});
+
+describe("Labels — PUT /labels/:id", () => {
+	it("updates the label and its parent → 200", async () => {
+		const { token } = await createUser();
+		const parent = await createAlbum(token, { title: "Kid A", labels: ["Parlophone"] });
+		const album = await createAlbum(token, { labels: ["Regal"] });
+
+		const res = await updateLabel(token, album.labelIds[0], {
+			name: "Regal Recordings",
+			country: "UK",
+			foundedYear: 1914,
+			parent: parent.labelIds[0],
+			personalNote: { content: "Parlophone's imprint" },
+		});
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toMatchObject({
+			name: "Regal Recordings",
+			aliases: ["Regal"],
+			country: "UK",
+			foundedYear: 1914,
+			parent: parent.labelIds[0],
+		});
+
+		const page = await getLabel(token, parent.labelIds[0]);
+		expect(page.body.data.sublabels.map((label) => label.name)).toEqual(["Regal Recordings"]);
+	});
+
+	it("rejects a parent nested under the label → 400", async () => {
+		const { token } = await createUser();
+		const parent = await createAlbum(token, { title: "Kid A", labels: ["Parlophone"] });
+		const album = await createAlbum(token, { labels: ["Regal"] });
+		await updateLabel(token, album.labelIds[0], { parent: parent.labelIds[0] });
+
+		const res = await updateLabel(token, parent.labelIds[0], { parent: album.labelIds[0] });
+
+		expect(res.status).toBe(400);
+	});
+
+	it("rejects a founding year in the future → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { labels: ["Warp"] });
+
+		const res = await updateLabel(token, album.labelIds[0], {
+			foundedYear: new Date().getFullYear() + 1,
+		});
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Labels — POST /labels/:id/merge", () => {
+	it("moves the source's albums and sublabels → 200", async () => {
+		const { token } = await createUser();
+		const warp = await createAlbum(token, { title: "Drukqs", labels: ["Warp"] });
+		const geogaddi = await createAlbum(token, { title: "Geogaddi", labels: ["Warp Records"] });
+		const imprint = await createAlbum(token, { title: "Lex", labels: ["Lex Records"] });
+		await updateLabel(token, imprint.labelIds[0], { parent: geogaddi.labelIds[0] });
+
+		const res = await mergeLabels(token, warp.labelIds[0], geogaddi.labelIds[0]);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.aliases).toEqual(["Warp Records"]);
+		expect(res.body.meta.albumsMoved).toBe(1);
+		expect(await Label.findById(geogaddi.labelIds[0])).toBeNull();
+
+		const merged = await request(app)
+			.get(`/api/v1/albums/${geogaddi._id}`)
+			.set("Authorization", `Bearer ${token}`);
+		expect(merged.body.data.labels).toEqual(["Warp"]);
+
+		const page = await getLabel(token, warp.labelIds[0]);
+		expect(page.body.data.sublabels.map((label) => label.name)).toEqual(["Lex Records"]);
+	});
+});
+
+describe("Labels — DELETE /labels/:id", () => {
+	it("refuses to delete a label with albums → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { labels: ["Warp"] });
+
+		const res = await request(app)
+			.delete(`/api/v1/labels/${album.labelIds[0]}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Labels — linking existing albums", () => {
+	const migrate = () =>
+		linkExistingNames({ Model: Label, names: "labels", ids: "labelIds", link: linkLabels });
+
+	// Albums saved before labels existed: free-text names, no labelIds
+	const insertUnlinked = (userId, albums) =>
+		Album.collection.insertMany(
+			albums.map(([title, label]) => ({
+				title,
+				labels: [label],
+				addedBy: new mongoose.Types.ObjectId(userId),
+				updatedAt: new Date("2020-01-01"),
+			})),
+		);
+
+	it("creates one label per name variant group and links every album, once", async () => {
+		const { user, token } = await createUser();
+		await insertUnlinked(user._id, [
+			["Selected Ambient Works 85-92", "Warp"],
+			["Music Has the Right to Children", "Warp"],
+			["Dummy", "WARP"],
+			["Tri Repetae", "Warp Records"],
+			["Heaven or Las Vegas", "4AD"],
+		]);
+
+		expect(await migrate()).toEqual({ users: 1, created: 3, linked: 5 });
+		expect(await migrate()).toEqual({ users: 1, created: 0, linked: 0 });
+
+		const labels = (await listLabels(token)).body.data;
+		// A suffix is not a variant: "Warp Records" is left for merge-suggestions
+		expect(labels.map((label) => label.name)).toEqual(["4AD", "Warp", "Warp Records"]);
+		expect(labels.find((label) => label.name === "Warp")).toMatchObject({
+			aliases: ["WARP"],
+			albumCount: 3,
+		});
+
+		const dummy = await Album.collection.findOne({ title: "Dummy" });
+		expect(dummy.labels).toEqual(["Warp"]);
+		expect(dummy.labelIds).toHaveLength(1);
+		// Linked without touching updatedAt
+		expect(dummy.updatedAt).toEqual(new Date("2020-01-01"));
+	});
+});
@@ -0,0 +1,225 @@
+const request = require("supertest");
+const app = require("../../app");
+const Album = require("../api/models/album.model");
+const { createUser, albumFactory, createAlbum } = require("./helpers");
+
+const listensUrl = (album) => `/api/v1/albums/${album._id}/listens`;
+
+const addListen = (token, album, body = {}) =>
+	request(app).post(listensUrl(album)).set("Authorization", `Bearer ${token}`).send(body);
+
+describe("Listens — POST /albums/:id/listens", () => {
+	it("returns 401 without token", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app).post(listensUrl(album)).send({});
+		expect(res.status).toBe(401);
+	});
+
+	it("logs a session and derives the listening context → 201", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await addListen(token, album, {
+			listenedAt: "2024-03-02T22:30:00.000Z",
+			setting: "Night bus home",
+			medium: "vinyl",
+			moodBefore: "anxious",
+			moodAfter: "peaceful",
+			note: "Side B finally clicked",
+		});
+
+		expect(res.status).toBe(201);
+		expect(res.body.data).toMatchObject({
+			listenedAt: "2024-03-02T22:30:00.000Z",
+			setting: "Night bus home",
+			medium: "vinyl",
+			moodBefore: "anxious",
+			moodAfter: "peaceful",
+		});
+		expect(res.body.meta.listeningContext).toMatchObject({
+			firstListen: "2024-03-02T22:30:00.000Z",
+			lastListen: "2024-03-02T22:30:00.000Z",
+			frequency: "once",
+		});
+	});
+
+	it("defaults listenedAt to now", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		const before = Date.now();
+
+		const res = await addListen(token, album);
+
+		expect(res.status).toBe(201);
+		expect(new Date(res.body.data.listenedAt).getTime()).toBeGreaterThanOrEqual(before);
+	});
+
+	it("raises the frequency with the number of sessions", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const frequencies = [];
+		for (let day = 1; day <= 5; day++) {
+			const res = await addListen(token, album, { listenedAt: `2024-01-0${day}` });
+			frequencies.push(res.body.meta.listeningContext.frequency);
+		}
+
+		expect(frequencies).toEqual(["once", "occasional", "occasional", "occasional", "regular"]);
+	});
+
+	it("keeps the listening dates an album had before its first session", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		await Album.updateOne(
+			{ _id: album._id },
+			{
+				"listeningContext.firstListen": new Date("2005-01-15"),
+				"listeningContext.lastListen": new Date("2019-08-01"),
+			},
+		);
+
+		const res = await addListen(token, album, { listenedAt: "2024-03-02" });
+
+		expect(res.body.meta.listeningContext).toMatchObject({
+			firstListen: "2005-01-15T00:00:00.000Z",
+			lastListen: "2024-03-02T00:00:00.000Z",
+			frequency: "occasional",
+		});
+		const listens = await request(app).get(listensUrl(album)).set("Authorization", `Bearer ${token}`);
+		expect(listens.body.meta.count).toBe(3);
+	});
+
+	it("rejects invalid fields and future dates → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const badMedium = await addListen(token, album, { medium: "wax-cylinder" });
+		expect(badMedium.status).toBe(400);
+
+		const badMood = await addListen(token, album, { moodAfter: "bored" });
+		expect(badMood.status).toBe(400);
+
+		const future = await addListen(token, album, { listenedAt: "2999-01-01" });
+		expect(future.status).toBe(400);
+	});
+
+	it("returns 403 for another user's album", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await addListen(otherToken, album);
+		expect(res.status).toBe(403);
+	});
+});
+
+describe("Listens — GET /albums/:id/listens", () => {
+	it("lists the sessions newest first with the derived context → 200", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		await addListen(token, album, { listenedAt: "2024-01-01", setting: "First" });
+		await addListen(token, album, { listenedAt: "2024-06-01", setting: "Last" });
+		await addListen(token, album, { listenedAt: "2024-03-01", setting: "Middle" });
+
+		const res = await request(app).get(listensUrl(album)).set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((listen) => listen.setting)).toEqual(["Last", "Middle", "First"]);
+		expect(res.body.meta.count).toBe(3);
+		expect(res.body.meta.listeningContext).toMatchObject({
+			firstListen: "2024-01-01T00:00:00.000Z",
+			lastListen: "2024-06-01T00:00:00.000Z",
+			frequency: "occasional",
+		});
+	});
+});
+
+describe("Listens — PUT /albums/:id/listens/:listenId", () => {
+	it("updates a session and re-derives the context → 200", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		await addListen(token, album, { listenedAt: "2024-01-01" });
+		const created = await addListen(token, album, { listenedAt: "2024-02-01", medium: "cd" });
+
+		const res = await request(app)
+			.put(`${listensUrl(album)}/${created.body.data._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ listenedAt: "2023-12-01", medium: null, note: "Actually earlier" });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.note).toBe("Actually earlier");
+		expect(res.body.data.medium).toBeUndefined();
+		expect(res.body.meta.listeningContext).toMatchObject({
+			firstListen: "2023-12-01T00:00:00.000Z",
+			lastListen: "2024-01-01T00:00:00.000Z",
+		});
+	});
+
+	it("returns 404 for an unknown session", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app)
+			.put(`${listensUrl(album)}/507f1f77bcf86cd799439077`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ note: "Nope" });
+
+		expect(res.status).toBe(404);
+		expect(res.body.message).toBe("Listen not found");
+	});
+});
+
+describe("Listens — DELETE /albums/:id/listens/:listenId", () => {
+	it("removes a session and clears the context with the last one → 200", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { listeningContext: { context: "Headphones" } });
+		const created = await addListen(token, album, { listenedAt: "2024-01-01" });
+
+		const res = await request(app)
+			.delete(`${listensUrl(album)}/${created.body.data._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.meta.listeningContext).toEqual({ context: "Headphones" });
+	});
+});
+
+describe("Listens — derived fields on albums", () => {
+	it("rejects hand-set derived fields on create and update → 400", async () => {
+		const { token } = await createUser();
+
+		const create = await request(app)
+			.post("/api/v1/albums")
+			.set("Authorization", `Bearer ${token}`)
+			.send(albumFactory({ listeningContext: { frequency: "regular" } }));
+		expect(create.status).toBe(400);
+		expect(JSON.stringify(create.body)).toContain("POST /albums/:id/listens");
+
+		const album = await createAlbum(token);
+		const update = await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ listeningContext: { lastListen: "2024-01-01" } });
+		expect(update.status).toBe(400);
+	});
+
+	it("keeps the derived fields when the context text is updated", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		await addListen(token, album, { listenedAt: "2024-01-01" });
+
+		const res = await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ listeningContext: { context: "Long drives" } });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.listeningContext).toMatchObject({
+			context: "Long drives",
+			frequency: "once",
+			firstListen: "2024-01-01T00:00:00.000Z",
+		});
+	});
+});
@@ -0,0 +1,289 @@
+const request = require("supertest");
+const app = require("../../app");
+const NoteRevision = require("../api/models/noteRevision.model");
+const { createUser, createAlbum } = require("./helpers");
+
+const editNote = (token, album, content) =>
+	request(app)
+		.put(`/api/v1/albums/${album._id}`)
+		.set("Authorization", `Bearer ${token}`)
+		.send({ personalNote: { content } });
+
+const listRevisions = (token, album) =>
+	request(app)
+		.get(`/api/v1/albums/${album._id}/note/revisions`)
+		.set("Authorization", `Bearer ${token}`);
+
+/**
+ * Creates an album whose note went through three versions; returns the album and its
+ * revisions, oldest first.
+ */
+const createHistory = async (token) => {
+	const album = await createAlbum(token, {
+		personalNote: { content: "First listen.\nToo noisy." },
+	});
+	await editNote(token, album, "First listen.\nNoisy, but warm.");
+	await editNote(token, album, "First listen.\nNoisy, but warm.\nNow a favourite.");
+
+	const res = await listRevisions(token, album);
+	return { album, revisions: [...res.body.data].reverse() };
+};
+
+describe("Notes — GET /albums/:id/note/revisions", () => {
+	it("stores a revision for every change of the note, newest first → 200", async () => {
+		const { token } = await createUser();
+		const { album } = await createHistory(token);
+
+		const res = await listRevisions(token, album);
+
+		expect(res.status).toBe(200);
+		expect(res.body.meta.count).toBe(3);
+		expect(res.body.data.map((revision) => revision.wordCount)).toEqual([8, 5, 4]);
+		expect(res.body.data[0].content).toBeUndefined();
+	});
+
+	it("does not store a revision when other fields change", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { personalNote: { content: "Short note" } });
+
+		await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ rating: 8, personalNote: { content: "Short note" } });
+
+		const res = await listRevisions(token, album);
+		expect(res.body.meta.count).toBe(1);
+	});
+
+	it("keeps a note that predates revisions as the first revision", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { personalNote: { content: "Written long ago" } });
+		await NoteRevision.deleteMany({ album: album._id });
+
+		await editNote(token, album, "Written long ago, edited today");
+
+		const res = await listRevisions(token, album);
+		expect(res.body.meta.count).toBe(2);
+		expect(res.body.data.map((revision) => revision.wordCount)).toEqual([5, 3]);
+	});
+
+	it("returns 403 for another user's album", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await listRevisions(otherToken, album);
+		expect(res.status).toBe(403);
+	});
+});
+
+describe("Notes — GET /albums/:id/note/revisions/:revisionId", () => {
+	it("returns the content of a revision → 200", async () => {
+		const { token } = await createUser();
+		const { album, revisions } = await createHistory(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${album._id}/note/revisions/${revisions[0]._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.content).toBe("First listen.\nToo noisy.");
+	});
+
+	it("returns 404 for a revision of another album", async () => {
+		const { token } = await createUser();
+		const { revisions } = await createHistory(token);
+		const other = await createAlbum(token, { title: "Other" });
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${other._id}/note/revisions/${revisions[0]._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(404);
+		expect(res.body.message).toBe("Revision not found");
+	});
+});
+
+describe("Notes — GET /albums/:id/note/diff", () => {
+	it("diffs two revisions line by line → 200", async () => {
+		const { token } = await createUser();
+		const { album, revisions } = await createHistory(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${album._id}/note/diff`)
+			.query({ from: revisions[0]._id, to: revisions[1]._id })
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.stats).toEqual({ added: 1, removed: 1, unchanged: 1 });
+		expect(res.body.data.lines).toEqual([
+			{ op: "equal", text: "First listen.", oldLine: 1, newLine: 1 },
+			{ op: "removed", text: "Too noisy.", oldLine: 2 },
+			{ op: "added", text: "Noisy, but warm.", newLine: 2 },
+		]);
+	});
+
+	it("diffs against the newest revision by default", async () => {
+		const { token } = await createUser();
+		const { album, revisions } = await createHistory(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${album._id}/note/diff`)
+			.query({ from: revisions[1]._id })
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.body.data.to._id).toBe(revisions[2]._id);
+		expect(res.body.data.stats).toEqual({ added: 1, removed: 0, unchanged: 2 });
+	});
+
+	it("requires a valid from revision → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${album._id}/note/diff`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Notes — POST /albums/:id/note/revisions/:revisionId/restore", () => {
+	it("restores an old revision as a new revision → 200", async () => {
+		const { token } = await createUser();
+		const { album, revisions } = await createHistory(token);
+
+		const res = await request(app)
+			.post(`/api/v1/albums/${album._id}/note/revisions/${revisions[0]._id}/restore`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.personalNote).toMatchObject({
+			content: "First listen.\nToo noisy.",
+			wordCount: 4,
+		});
+
+		const history = await listRevisions(token, album);
+		expect(history.body.meta.count).toBe(4);
+		expect(history.body.data[0].restoredFrom).toBe(revisions[0]._id);
+	});
+
+	it("re-syncs the wikilinks of the restored note", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, { title: "Loveless" });
+		const album = await createAlbum(token, {
+			title: "Souvlaki",
+			personalNote: { content: "Reminds me of [[Loveless]]" },
+		});
+		await editNote(token, album, "No links anymore");
+		const [, first] = (await listRevisions(token, album)).body.data;
+
+		const res = await request(app)
+			.post(`/api/v1/albums/${album._id}/note/revisions/${first._id}/restore`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.body.data.connections).toHaveLength(1);
+		expect(res.body.data.connections[0]).toMatchObject({ origin: "note" });
+	});
+
+	it("rejects restoring the current content → 400", async () => {
+		const { token } = await createUser();
+		const { album, revisions } = await createHistory(token);
+
+		const res = await request(app)
+			.post(`/api/v1/albums/${album._id}/note/revisions/${revisions[2]._id}/restore`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Notes — album deletion", () => {
+	it("deletes the revisions of a deleted album", async () => {
+		const { token } = await createUser();
+		const { album } = await createHistory(token);
+
+		await request(app).delete(`/api/v1/albums/${album._id}`).set("Authorization", `Bearer ${token}`);
+
+		expect(await NoteRevision.countDocuments({ album: album._id })).toBe(0);
+	});
+});
+
+describe("Notes — GET /albums/:id?render=html", () => {
+	const getRendered = (token, album) =>
+		request(app)
+			.get(`/api/v1/albums/${album._id}`)
+			.query({ render: "html" })
+			.set("Authorization", `Bearer ${token}`);
+
+	it("renders the Markdown note with its outline → 200", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, {
+			personalNote: {
+				content: "# First impressions\nA **wall** of guitars.\n\n## Standout tracks\n- Only Shallow",
+			},
+		});
+
+		const res = await getRendered(token, album);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.personalNote.html).toContain(
+			'<h1 id="first-impressions">First impressions</h1>',
+		);
+		expect(res.body.data.personalNote.html).toContain("<strong>wall</strong>");
+		expect(res.body.data.personalNote.outline).toEqual([
+			{ level: 1, text: "First impressions", id: "first-impressions" },
+			{ level: 2, text: "Standout tracks", id: "standout-tracks" },
+		]);
+	});
+
+	it("strips scripts, event handlers and javascript: links", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, {
+			personalNote: {
+				content:
+					'Hi<script>alert(1)</script> <img src="https://x.test/a.png" onerror="alert(1)"> [x](javascript:alert(1))',
+			},
+		});
+
+		const { html } = (await getRendered(token, album)).body.data.personalNote;
+
+		expect(html).not.toMatch(/script|onerror|javascript:/);
+		expect(html).toContain('<img src="https://x.test/a.png" />');
+	});
+
+	it("only includes the rendered note when asked", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, { personalNote: { content: "# Notes" } });
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.body.data.personalNote.html).toBeUndefined();
+		expect(res.body.data.personalNote.outline).toBeUndefined();
+	});
+
+	it("rejects an unknown render value → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app)
+			.get(`/api/v1/albums/${album._id}`)
+			.query({ render: "pdf" })
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Notes — reading time", () => {
+	it("estimates the reading time next to the word count", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token, {
+			personalNote: { content: Array(450).fill("word").join(" ") },
+		});
+
+		expect(album.personalNote).toMatchObject({ wordCount: 450, readingTime: 3 });
+	});
+});
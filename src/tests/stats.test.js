@@ -0,0 +1,285 @@
+const request = require("supertest");
+const app = require("../../app");
+const Album = require("../api/models/album.model");
+const { createUser, createAlbum } = require("./helpers");
+
+const getStats = (token, query = {}) =>
+	request(app).get("/api/v1/users/me/stats").query(query).set("Authorization", `Bearer ${token}`);
+
+// createdAt is immutable through Mongoose, so it is moved with the raw driver
+const addedOn = (album, date) =>
+	Album.collection.updateOne({ _id: album._id }, { $set: { createdAt: new Date(date) } });
+
+/**
+ * Two albums added in January 2024 and one in March 2024, with notes and listens.
+ */
+const createLibrary = async (token) => {
+	const loveless = await createAlbum(token, {
+		title: "Loveless",
+		format: "LP",
+		releaseDate: "1991-11-04",
+		genres: ["Shoegaze", "Noise Pop"],
+		dimensions: { emotional: ["dreamy"], sonic: ["layered"] },
+		rating: 9,
+		personalNote: { content: "Wall of sound" },
+	});
+	const souvlaki = await createAlbum(token, {
+		title: "Souvlaki",
+		format: "LP",
+		releaseDate: "1993-05-17",
+		genres: ["Shoegaze"],
+		rating: 8,
+	});
+	const kidA = await createAlbum(token, {
+		title: "Kid A",
+		format: "EP",
+		releaseDate: "2000-10-02",
+		genres: ["Electronic"],
+		scenes: ["Oxford"],
+		rating: 7,
+	});
+
+	await addedOn(loveless, "2024-01-10");
+	await addedOn(souvlaki, "2024-01-20");
+	await addedOn(kidA, "2024-03-05");
+
+	for (const listenedAt of ["2024-01-11", "2024-02-01"]) {
+		await request(app)
+			.post(`/api/v1/albums/${loveless._id}/listens`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ listenedAt });
+	}
+};
+
+describe("Users — GET /me/stats", () => {
+	it("returns 401 without token", async () => {
+		const res = await request(app).get("/api/v1/users/me/stats");
+		expect(res.status).toBe(401);
+	});
+
+	it("returns empty stats for a new user → 200", async () => {
+		const { token } = await createUser();
+
+		const res = await getStats(token);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.total).toBe(0);
+		expect(res.body.data.added).toEqual([]);
+		expect(res.body.data.listening.frequency).toEqual([]);
+	});
+
+	it("reports additions and distributions per month", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await getStats(token);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.total).toBe(3);
+		expect(res.body.data.added).toEqual([
+			{ period: "2024-01", count: 2 },
+			{ period: "2024-03", count: 1 },
+		]);
+		expect(res.body.data.distributions.genres).toEqual([
+			{
+				period: "2024-01",
+				values: [
+					{ value: "Shoegaze", count: 2 },
+					{ value: "Noise Pop", count: 1 },
+				],
+			},
+			{ period: "2024-03", values: [{ value: "Electronic", count: 1 }] },
+		]);
+		expect(res.body.data.distributions.scenes).toEqual([
+			{ period: "2024-03", values: [{ value: "Oxford", count: 1 }] },
+		]);
+	});
+
+	it("averages ratings by decade and format", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await getStats(token);
+
+		expect(res.body.data.ratings.byDecade).toEqual([
+			{ value: 1990, average: 8.5, count: 2 },
+			{ value: 2000, average: 7, count: 1 },
+		]);
+		expect(res.body.data.ratings.byFormat).toEqual([
+			{ value: "EP", average: 7, count: 1 },
+			{ value: "LP", average: 8.5, count: 2 },
+		]);
+	});
+
+	it("reports listening frequency, listens and note activity", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await getStats(token);
+
+		expect(res.body.data.listening.frequency).toEqual([
+			{ value: "unlogged", count: 2 },
+			{ value: "occasional", count: 1 },
+		]);
+		expect(res.body.data.listening.listens).toEqual([
+			{ period: "2024-01", count: 1 },
+			{ period: "2024-02", count: 1 },
+		]);
+		expect(res.body.data.notes).toHaveLength(1);
+		expect(res.body.data.notes[0]).toMatchObject({ count: 1, words: 3 });
+	});
+
+	it("buckets by year and limits the values per period", async () => {
+		const { token } = await createUser();
+		await createLibrary(token);
+
+		const res = await getStats(token, { interval: "year", limit: 1 });
+
+		expect(res.body.data.interval).toBe("year");
+		expect(res.body.data.added).toEqual([{ period: "2024", count: 3 }]);
+		expect(res.body.data.distributions.genres).toEqual([
+			{ period: "2024", values: [{ value: "Shoegaze", count: 2 }] },
+		]);
+	});
+
+	it("rejects an invalid interval or limit → 400", async () => {
+		const { token } = await createUser();
+
+		expect((await getStats(token, { interval: "week" })).status).toBe(400);
+		expect((await getStats(token, { limit: 0 })).status).toBe(400);
+
+		const repeated = await request(app)
+			.get("/api/v1/users/me/stats?interval=month&interval=year")
+			.set("Authorization", `Bearer ${token}`);
+		expect(repeated.status).toBe(400);
+	});
+});
+
+describe("Users — GET /me/review/:year", () => {
+	const year = new Date().getUTCFullYear();
+
+	const getReview = (token, reviewYear, query = {}) =>
+		request(app)
+			.get(`/api/v1/users/me/review/${reviewYear}`)
+			.query(query)
+			.set("Authorization", `Bearer ${token}`);
+
+	/**
+	 * Two albums added this year (one a rated favourite connected to the other, with a
+	 * listen) and one added last year.
+	 */
+	const createYear = async (token) => {
+		const loveless = await createAlbum(token, {
+			title: "Loveless",
+			genres: ["Shoegaze"],
+			dimensions: { emotional: ["dreamy"], sonic: ["layered"] },
+			rating: 9,
+			favourite: true,
+		});
+		const souvlaki = await createAlbum(token, {
+			title: "Souvlaki",
+			genres: ["Shoegaze"],
+			dimensions: { emotional: ["dreamy", "melancholic"] },
+			rating: 8,
+		});
+		const kidA = await createAlbum(token, { title: "Kid A", rating: 10 });
+		await addedOn(kidA, `${year - 1}-06-01`);
+
+		await request(app)
+			.post(`/api/v1/albums/${loveless._id}/connections`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ targetAlbumId: souvlaki._id, type: "influences" });
+		await request(app)
+			.post(`/api/v1/albums/${kidA._id}/listens`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({});
+	};
+
+	it("returns 401 without token", async () => {
+		const res = await request(app).get(`/api/v1/users/me/review/${year}`);
+		expect(res.status).toBe(401);
+	});
+
+	it("summarises the albums, ratings and favourites of the year → 200", async () => {
+		const { token } = await createUser();
+		await createYear(token);
+
+		const res = await getReview(token, year);
+
+		expect(res.status).toBe(200);
+		const review = res.body.data;
+		expect(review.year).toBe(year);
+		expect(review.albums.added).toBe(2);
+		expect(review.albums.byMonth).toHaveLength(12);
+		expect(review.albums.list.map((album) => album.title)).toEqual(["Loveless", "Souvlaki"]);
+		expect(review.albums.list[0]).toMatchObject({
+			artists: "Radiohead",
+			favourite: "Yes",
+			rating: 9,
+		});
+		expect(review.ratings).toMatchObject({ average: 8.5, rated: 2 });
+		expect(review.ratings.top.map((album) => album.title)).toEqual(["Loveless", "Souvlaki"]);
+		expect(review.favourites.map((album) => album.title)).toEqual(["Loveless"]);
+		expect(review.dimensions.emotional[0]).toEqual({ value: "dreamy", count: 2 });
+		expect(review.genres).toEqual([{ value: "Shoegaze", count: 2 }]);
+	});
+
+	it("counts listens and connections of the year, on older albums too", async () => {
+		const { token } = await createUser();
+		await createYear(token);
+
+		const res = await getReview(token, year);
+
+		expect(res.body.data.listening).toMatchObject({ sessions: 1, albums: 1, firstListens: 1 });
+		expect(res.body.data.listening.mostPlayed[0]).toMatchObject({ title: "Kid A", listens: 1 });
+		expect(res.body.data.connections.created).toBe(1);
+		expect(res.body.data.connections.list[0]).toMatchObject({
+			from: { title: "Loveless" },
+			to: { title: "Souvlaki" },
+			type: "influences",
+		});
+	});
+
+	it("counts a connection once when neither end is marked as the mirror", async () => {
+		const { token } = await createUser();
+		await createYear(token);
+		await Album.updateMany({}, { $set: { "connections.$[].mirror": false } });
+
+		const res = await getReview(token, year);
+
+		expect(res.body.data.connections.created).toBe(1);
+		expect(res.body.data.connections.byType).toEqual([{ type: "influences", count: 1 }]);
+	});
+
+	it("only includes the requested year", async () => {
+		const { token } = await createUser();
+		await createYear(token);
+
+		const res = await getReview(token, year - 1);
+
+		expect(res.body.data.albums.list.map((album) => album.title)).toEqual(["Kid A"]);
+		expect(res.body.data.listening.sessions).toBe(0);
+		expect(res.body.data.connections.created).toBe(0);
+	});
+
+	it("renders a standalone HTML page with format=html", async () => {
+		const { token } = await createUser({ name: "Ana <3" });
+		await createYear(token);
+
+		const res = await getReview(token, year, { format: "html" });
+
+		expect(res.status).toBe(200);
+		expect(res.headers["content-type"]).toContain("text/html");
+		expect(res.text).toMatch(/^<!DOCTYPE html>/);
+		expect(res.text).toContain(`Ana &lt;3&#39;s ${year} in review`);
+		expect(res.text).toContain("Loveless");
+	});
+
+	it("rejects an invalid or future year → 400", async () => {
+		const { token } = await createUser();
+
+		expect((await getReview(token, "last")).status).toBe(400);
+		expect((await getReview(token, year + 1)).status).toBe(400);
+		expect((await getReview(token, year, { format: "pdf" })).status).toBe(400);
+	});
+});
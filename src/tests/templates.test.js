@@ -0,0 +1,198 @@
+const request = require("supertest");
+const app = require("../../app");
+const { createUser, createAlbum, albumFactory } = require("./helpers");
+
+const REVIEW = "# {{title}} — {{artists}} ({{releaseYear}})\n\n## First impressions\n\n_{{today}}_";
+
+const postTemplate = (token, body) =>
+	request(app).post("/api/v1/templates").set("Authorization", `Bearer ${token}`).send(body);
+
+const createTemplate = async (token, overrides = {}) => {
+	const res = await postTemplate(token, { name: "Full review", content: REVIEW, ...overrides });
+	return res.body.data;
+};
+
+describe("Templates — POST /templates", () => {
+	it("returns 401 without token", async () => {
+		const res = await request(app).post("/api/v1/templates").send({ name: "x", content: "x" });
+		expect(res.status).toBe(401);
+	});
+
+	it("creates a template → 201", async () => {
+		const { token } = await createUser();
+
+		const res = await postTemplate(token, {
+			name: "Full review",
+			description: "Consistent structure",
+			content: REVIEW,
+		});
+
+		expect(res.status).toBe(201);
+		expect(res.body.data).toMatchObject({ name: "Full review", content: REVIEW });
+	});
+
+	it("rejects unknown placeholders → 400", async () => {
+		const { token } = await createUser();
+
+		const res = await postTemplate(token, { name: "Typo", content: "{{title}} by {{artist}}" });
+
+		expect(res.status).toBe(400);
+		expect(res.body.message).toContain("Unknown placeholders: {{artist}}");
+	});
+
+	it("rejects a name the user already has, ignoring case → 400", async () => {
+		const { token } = await createUser();
+		await createTemplate(token);
+
+		const res = await postTemplate(token, { name: "full REVIEW", content: "x" });
+
+		expect(res.status).toBe(400);
+		expect(res.body.message).toBe("You already have a template with this name");
+	});
+
+	it("allows the same name for different users", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		await createTemplate(token);
+
+		const res = await postTemplate(otherToken, { name: "Full review", content: "x" });
+		expect(res.status).toBe(201);
+	});
+});
+
+describe("Templates — GET /templates", () => {
+	it("lists the user's templates with the available placeholders → 200", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		await createTemplate(token, { name: "Quick take" });
+		await createTemplate(token, { name: "Full review" });
+		await createTemplate(otherToken);
+
+		const res = await request(app).get("/api/v1/templates").set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((template) => template.name)).toEqual(["Full review", "Quick take"]);
+		expect(res.body.meta.placeholders).toEqual(
+			expect.arrayContaining(["title", "artists", "releaseYear", "today"]),
+		);
+	});
+
+	it("returns 404 for another user's template", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const template = await createTemplate(token);
+
+		const res = await request(app)
+			.get(`/api/v1/templates/${template._id}`)
+			.set("Authorization", `Bearer ${otherToken}`);
+
+		expect(res.status).toBe(404);
+	});
+});
+
+describe("Templates — PUT /templates/:id", () => {
+	it("updates a template → 200", async () => {
+		const { token } = await createUser();
+		const template = await createTemplate(token);
+
+		const res = await request(app)
+			.put(`/api/v1/templates/${template._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ name: "Long review", content: "## {{title}}" });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toMatchObject({ name: "Long review", content: "## {{title}}" });
+	});
+
+	it("keeps its own name when renaming with different case", async () => {
+		const { token } = await createUser();
+		const template = await createTemplate(token);
+
+		const res = await request(app)
+			.put(`/api/v1/templates/${template._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ name: "FULL REVIEW" });
+
+		expect(res.status).toBe(200);
+	});
+});
+
+describe("Templates — DELETE /templates/:id", () => {
+	it("deletes a template → 200", async () => {
+		const { token } = await createUser();
+		const template = await createTemplate(token);
+
+		const res = await request(app)
+			.delete(`/api/v1/templates/${template._id}`)
+			.set("Authorization", `Bearer ${token}`);
+		expect(res.status).toBe(200);
+
+		const again = await request(app)
+			.get(`/api/v1/templates/${template._id}`)
+			.set("Authorization", `Bearer ${token}`);
+		expect(again.status).toBe(404);
+	});
+});
+
+describe("Templates — POST /albums with templateId", () => {
+	it("pre-fills the note from the template → 201", async () => {
+		const { token } = await createUser();
+		const template = await createTemplate(token);
+		const today = new Date().toISOString().split("T")[0];
+
+		const album = await createAlbum(token, {
+			title: "Loveless",
+			artists: ["My Bloody Valentine"],
+			releaseDate: "1991-11-04",
+			templateId: template._id,
+		});
+
+		expect(album.personalNote.content).toBe(
+			`# Loveless — My Bloody Valentine (1991)\n\n## First impressions\n\n_${today}_`,
+		);
+		expect(album.templateId).toBeUndefined();
+	});
+
+	it("turns wikilinks of the filled template into connections", async () => {
+		const { token } = await createUser();
+		await createAlbum(token, { title: "Souvlaki" });
+		const template = await createTemplate(token, {
+			name: "Compared",
+			content: "{{title}} next to [[Souvlaki]]",
+		});
+
+		const res = await request(app)
+			.post("/api/v1/albums")
+			.set("Authorization", `Bearer ${token}`)
+			.send(albumFactory({ title: "Loveless", templateId: template._id }));
+
+		expect(res.status).toBe(201);
+		expect(res.body.data.connections).toHaveLength(1);
+	});
+
+	it("rejects another user's template → 400", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const template = await createTemplate(otherToken);
+
+		const res = await request(app)
+			.post("/api/v1/albums")
+			.set("Authorization", `Bearer ${token}`)
+			.send(albumFactory({ title: "Loveless", templateId: template._id }));
+
+		expect(res.status).toBe(400);
+		expect(res.body.message).toBe("Note template not found");
+	});
+
+	it("rejects a template together with note content → 400", async () => {
+		const { token } = await createUser();
+		const template = await createTemplate(token);
+
+		const res = await request(app)
+			.post("/api/v1/albums")
+			.set("Authorization", `Bearer ${token}`)
+			.send(albumFactory({ templateId: template._id, personalNote: { content: "My own note" } }));
+
+		expect(res.status).toBe(400);
+	});
+});
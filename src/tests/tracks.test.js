@@ -0,0 +1,225 @@
+const request = require("supertest");
+const app = require("../../app");
+const { createUser, albumFactory, createAlbum } = require("./helpers");
+
+const tracksUrl = (album) => `/api/v1/albums/${album._id}/tracks`;
+
+const addTrack = (token, album, body) =>
+	request(app).post(tracksUrl(album)).set("Authorization", `Bearer ${token}`).send(body);
+
+const replaceTracks = (token, album, tracks) =>
+	request(app).put(tracksUrl(album)).set("Authorization", `Bearer ${token}`).send({ tracks });
+
+describe("Tracks — POST /albums/:id/tracks", () => {
+	it("returns 401 without token", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app).post(tracksUrl(album)).send({ title: "Airbag" });
+		expect(res.status).toBe(401);
+	});
+
+	it("adds a track and derives the totals → 201", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await addTrack(token, album, {
+			title: "Airbag",
+			duration: "4:44",
+			featuredArtists: ["Nobody"],
+			note: "That drum loop",
+			standout: true,
+		});
+
+		expect(res.status).toBe(201);
+		expect(res.body.data).toMatchObject({
+			position: 1,
+			title: "Airbag",
+			duration: 284,
+			featuredArtists: ["Nobody"],
+			note: "That drum loop",
+			standout: true,
+		});
+		expect(res.body.meta).toEqual({ trackCount: 1, totalDuration: 284 });
+	});
+
+	it("numbers tracks after the last one of their disc", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		await addTrack(token, album, { disc: "A", title: "Only Shallow" });
+		await addTrack(token, album, { disc: "B", title: "When You Sleep" });
+		const res = await addTrack(token, album, { disc: "A", title: "Loomer" });
+
+		expect(res.body.data).toMatchObject({ disc: "A", position: 2 });
+	});
+
+	it("rejects a position already taken → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		await addTrack(token, album, { disc: "A", position: 1, title: "Only Shallow" });
+
+		const res = await addTrack(token, album, { disc: "a", position: 1, title: "Loomer" });
+
+		expect(res.status).toBe(400);
+		expect(res.body.message).toBe("Track positions already taken: a1");
+	});
+
+	it("rejects invalid fields → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		expect((await addTrack(token, album, { duration: "4:44" })).status).toBe(400);
+		expect((await addTrack(token, album, { title: "x", duration: "4:99" })).status).toBe(400);
+		expect((await addTrack(token, album, { title: "x", position: 0 })).status).toBe(400);
+	});
+
+	it("returns 403 for another user's album", async () => {
+		const { token } = await createUser();
+		const { token: otherToken } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await addTrack(otherToken, album, { title: "Airbag" });
+		expect(res.status).toBe(403);
+	});
+});
+
+describe("Tracks — PUT /albums/:id/tracks", () => {
+	it("replaces the tracklist, in play order → 200", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		await addTrack(token, album, { title: "Old" });
+
+		const res = await replaceTracks(token, album, [
+			{ disc: "B", title: "When You Sleep", duration: 252 },
+			{ disc: "A", title: "Only Shallow", duration: "4:17" },
+			{ disc: "A", title: "Loomer", duration: "2:38" },
+		]);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((track) => [track.disc, track.position, track.title])).toEqual([
+			["A", 1, "Only Shallow"],
+			["A", 2, "Loomer"],
+			["B", 1, "When You Sleep"],
+		]);
+		expect(res.body.meta).toEqual({ trackCount: 3, totalDuration: 667 });
+	});
+
+	it("clears the tracklist with an empty array", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		await addTrack(token, album, { title: "Airbag", duration: 284 });
+
+		const res = await replaceTracks(token, album, []);
+
+		expect(res.body.data).toEqual([]);
+		expect(res.body.meta).toEqual({ trackCount: 0 });
+	});
+
+	it("rejects duplicated positions → 400", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await replaceTracks(token, album, [
+			{ position: 1, title: "Airbag" },
+			{ position: 1, title: "Paranoid Android" },
+		]);
+
+		expect(res.status).toBe(400);
+	});
+});
+
+describe("Tracks — GET /albums/:id/tracks", () => {
+	it("lists the tracks with the totals and standouts → 200", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		await replaceTracks(token, album, [
+			{ title: "Airbag", duration: 284, standout: true },
+			{ title: "Paranoid Android", duration: 383 },
+		]);
+
+		const res = await request(app).get(tracksUrl(album)).set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.map((track) => track.title)).toEqual(["Airbag", "Paranoid Android"]);
+		expect(res.body.meta).toEqual({ trackCount: 2, totalDuration: 667, standouts: 1 });
+	});
+});
+
+describe("Tracks — PUT /albums/:id/tracks/:trackId", () => {
+	it("updates a track and re-sorts the tracklist → 200", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		const { body } = await replaceTracks(token, album, [
+			{ title: "Airbag" },
+			{ title: "Paranoid Android" },
+			{ title: "Subterranean Homesick Alien" },
+		]);
+
+		const res = await request(app)
+			.put(`${tracksUrl(album)}/${body.data[0]._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ position: 4, duration: "4:44", note: null });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data).toMatchObject({ title: "Airbag", position: 4, duration: 284 });
+
+		const list = await request(app).get(tracksUrl(album)).set("Authorization", `Bearer ${token}`);
+		expect(list.body.data.map((track) => track.title)).toEqual([
+			"Paranoid Android",
+			"Subterranean Homesick Alien",
+			"Airbag",
+		]);
+	});
+
+	it("returns 404 for an unknown track", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+
+		const res = await request(app)
+			.put(`${tracksUrl(album)}/507f1f77bcf86cd799439011`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ title: "Airbag" });
+
+		expect(res.status).toBe(404);
+		expect(res.body.message).toBe("Track not found");
+	});
+});
+
+describe("Tracks — DELETE /albums/:id/tracks/:trackId", () => {
+	it("removes a track and re-derives the totals → 200", async () => {
+		const { token } = await createUser();
+		const album = await createAlbum(token);
+		const { body } = await replaceTracks(token, album, [
+			{ title: "Airbag", duration: 284 },
+			{ title: "Paranoid Android", duration: 383 },
+		]);
+
+		const res = await request(app)
+			.delete(`${tracksUrl(album)}/${body.data[0]._id}`)
+			.set("Authorization", `Bearer ${token}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.meta).toEqual({ trackCount: 1, totalDuration: 383 });
+	});
+});
+
+describe("Tracks — derived fields on albums", () => {
+	it("rejects tracks and totals on create and update → 400", async () => {
+		const { token } = await createUser();
+
+		const create = await request(app)
+			.post("/api/v1/albums")
+			.set("Authorization", `Bearer ${token}`)
+			.send(albumFactory({ tracks: [{ position: 1, title: "Airbag" }] }));
+		expect(create.status).toBe(400);
+		expect(JSON.stringify(create.body)).toContain("/albums/:id/tracks");
+
+		const album = await createAlbum(token);
+		const update = await request(app)
+			.put(`/api/v1/albums/${album._id}`)
+			.set("Authorization", `Bearer ${token}`)
+			.send({ totalDuration: 100 });
+		expect(update.status).toBe(400);
+	});
+});
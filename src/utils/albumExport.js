@@ -0,0 +1,115 @@
+const { formatDuration } = require("./tracklist");
+
+/**
+ * Album export serializer
+ *
+ * The fields written for every album by the CSV export, shared by the reports that
+ * list albums (e.g. the year in review). Each field has the CSV column header, a
+ * camelCase key for JSON output, and a value function returning the flattened value:
+ * lists joined with ", ", dates as YYYY-MM-DD, favourite as Yes/No.
+ *
+ * The column names for the core fields (Name, Artist, Release Date, Format, Label,
+ * Main Genre, Release Country, Cover, URL, Rating, Favourite) match the Notion import
+ * format, so re-importing an export keeps those fields intact. Tracks and Duration
+ * (total, "m:ss" or "h:mm:ss") are read back by the import too.
+ */
+
+const toDate = (date) => (date ? date.toISOString().split("T")[0] : "");
+
+const EXPORT_FIELDS = [
+	{ header: "Name", key: "title", value: (album) => album.title },
+	{ header: "Artist", key: "artists", value: (album) => album.artists.join(", ") },
+	{ header: "Release Date", key: "releaseDate", value: (album) => toDate(album.releaseDate) },
+	{ header: "Format", key: "format", value: (album) => album.format },
+	{ header: "Label", key: "labels", value: (album) => album.labels.join(", ") },
+	{ header: "Main Genre", key: "genres", value: (album) => album.genres.join(", ") },
+	{ header: "Tags", key: "tags", value: (album) => album.tags.join(", ") },
+	{ header: "Scenes", key: "scenes", value: (album) => album.scenes.join(", ") },
+	{ header: "Movements", key: "movements", value: (album) => album.movements.join(", ") },
+	{
+		header: "Emotional Dimensions",
+		key: "emotional",
+		value: (album) => album.dimensions?.emotional?.join(", ") || "",
+	},
+	{
+		header: "Sonic Dimensions",
+		key: "sonic",
+		value: (album) => album.dimensions?.sonic?.join(", ") || "",
+	},
+	{ header: "Release Country", key: "releaseCountry", value: (album) => album.releaseCountry || "" },
+	{ header: "Cover", key: "coverArtUrl", value: (album) => album.coverArtUrl || "" },
+	{ header: "URL", key: "externalUrl", value: (album) => album.externalUrl || "" },
+	{
+		header: "Rating",
+		key: "rating",
+		value: (album) => (album.rating !== undefined && album.rating !== null ? album.rating : ""),
+	},
+	{ header: "Favourite", key: "favourite", value: (album) => (album.favourite ? "Yes" : "No") },
+	{
+		header: "First Listen",
+		key: "firstListen",
+		value: (album) => toDate(album.listeningContext?.firstListen),
+	},
+	{
+		header: "Last Listen",
+		key: "lastListen",
+		value: (album) => toDate(album.listeningContext?.lastListen),
+	},
+	{
+		header: "Listening Frequency",
+		key: "frequency",
+		value: (album) => album.listeningContext?.frequency || "",
+	},
+	{
+		header: "Listening Context",
+		key: "listeningContext",
+		value: (album) => album.listeningContext?.context || "",
+	},
+	{
+		header: "Personal Note",
+		key: "personalNote",
+		value: (album) => album.personalNote?.content || "",
+	},
+	{
+		header: "Tracks",
+		key: "trackCount",
+		value: (album) => album.trackCount ?? "",
+	},
+	{
+		header: "Duration",
+		key: "totalDuration",
+		value: (album) => formatDuration(album.totalDuration),
+	},
+];
+
+const HEADERS = EXPORT_FIELDS.map((field) => field.header);
+
+/**
+ * Escapes a value for CSV output.
+ * Wraps in quotes if the value contains commas, quotes, or newlines.
+ */
+const escapeCSV = (value) => {
+	if (value === null || value === undefined) return "";
+	const str = String(value);
+	if (str.includes(",") || str.includes('"') || str.includes("\n")) {
+		return `"${str.replace(/"/g, '""')}"`;
+	}
+	return str;
+};
+
+/**
+ * Maps an Album document to a CSV row array.
+ */
+const albumToRow = (album) => EXPORT_FIELDS.map((field) => escapeCSV(field.value(album)));
+
+/**
+ * Maps an Album document to an object with the exported fields, keyed by EXPORT_FIELDS keys.
+ *
+ * @example
+ * serializeAlbum(album);
+ * // { title: "Kid A", artists: "Radiohead", releaseDate: "2000-10-02", ..., favourite: "Yes", ... }
+ */
+const serializeAlbum = (album) =>
+	Object.fromEntries(EXPORT_FIELDS.map((field) => [field.key, field.value(album)]));
+
+module.exports = { EXPORT_FIELDS, HEADERS, escapeCSV, albumToRow, serializeAlbum };
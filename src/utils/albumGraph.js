@@ -0,0 +1,465 @@
+/**
+ * Graph utilities over album connections
+ *
+ * The graph is built in memory from the user's albums: every album is a node and
+ * every connection is a directed edge (source → target). These
+ * helpers are pure — they never touch the database — so graph.controller loads
+ * the albums once and runs any number of queries over them.
+ */
+
+const { canonicalType, isSymmetric } = require("./connectionTypes");
+
+// Weight of connections without a strength: the middle of the 1–5 scale
+const DEFAULT_CONNECTION_STRENGTH = 3;
+
+/**
+ * Collects the edges of a set of albums.
+ * Connections pointing at albums outside the set (e.g. deleted) are skipped.
+ *
+ * Both ends of a connection are stored, so each relation is reported once with its
+ * active label: "B influenced-by A" becomes A → B influences, and the two ends of a
+ * symmetric connection collapse into one edge. The end created by the user wins over
+ * its mirror, so its direction and ID are kept.
+ *
+ * Edges are weighted by the connection strength (1–5); connections without one
+ * weigh DEFAULT_CONNECTION_STRENGTH.
+ *
+ * @param {Array} albums - Album documents or lean objects with _id and connections
+ * @returns {Array<{ id: string, source: string, target: string, type: string, note: string,
+ *   strength: number|null, weight: number, createdAt: Date, discoveredOn: Date }>}
+ */
+const collectEdges = (albums) => {
+	const ids = new Set(albums.map((album) => album._id.toString()));
+	const connections = [];
+
+	for (const album of albums) {
+		for (const conn of album.connections || []) {
+			const target = (conn.album?._id || conn.album)?.toString();
+			if (!target || !ids.has(target)) continue;
+			connections.push({ album: album._id.toString(), target, conn });
+		}
+	}
+
+	// Process user-created ends first so mirrors only fill in for missing ones
+	connections.sort((a, b) => Number(Boolean(a.conn.mirror)) - Number(Boolean(b.conn.mirror)));
+
+	const edges = new Map();
+	for (const { album, target, conn } of connections) {
+		const type = canonicalType(conn.type);
+		const [source, sink] = type === conn.type ? [album, target] : [target, album];
+		const key = isSymmetric(type)
+			? `${type}|${[source, sink].sort().join("|")}`
+			: `${type}|${source}|${sink}`;
+		if (edges.has(key)) continue;
+
+		edges.set(key, {
+			id: conn._id?.toString(),
+			source,
+			target: sink,
+			type,
+			note: conn.note || "",
+			strength: conn.strength ?? null,
+			weight: conn.strength ?? DEFAULT_CONNECTION_STRENGTH,
+			createdAt: conn.createdAt,
+			discoveredOn: conn.discoveredOn,
+		});
+	}
+
+	return [...edges.values()];
+};
+
+/**
+ * Builds an adjacency list from edges.
+ *
+ * @param {Array} edges - Edges from collectEdges
+ * @param {object} options
+ * @param {string[]} [options.types] - Only keep edges of these types (all when empty)
+ * @param {number} [options.minWeight] - Only keep edges at least this heavy
+ * @param {"out"|"in"|"both"} [options.direction] - Which way edges can be walked (default "both")
+ * @returns {Map<string, Array<{ node: string, edge: object, reversed: boolean }>>}
+ *   reversed is true when the edge is walked from its target to its source
+ */
+const buildAdjacency = (edges, { types = [], minWeight = 0, direction = "both" } = {}) => {
+	const adjacency = new Map();
+	const link = (from, entry) => {
+		if (!adjacency.has(from)) adjacency.set(from, []);
+		adjacency.get(from).push(entry);
+	};
+
+	for (const edge of edges) {
+		if (types.length && !types.includes(edge.type)) continue;
+		if (edge.weight < minWeight) continue;
+		if (direction !== "in") link(edge.source, { node: edge.target, edge, reversed: false });
+		if (direction !== "out") link(edge.target, { node: edge.source, edge, reversed: true });
+	}
+
+	return adjacency;
+};
+
+/**
+ * Breadth-first search from a start node up to `depth` hops.
+ *
+ * @returns {Map<string, number>} Reached node → hop distance (the start node has distance 0)
+ */
+const neighbourhood = (adjacency, start, depth) => {
+	const distances = new Map([[start, 0]]);
+	let frontier = [start];
+
+	for (let hop = 1; hop <= depth && frontier.length; hop++) {
+		const next = [];
+		for (const node of frontier) {
+			for (const { node: neighbour } of adjacency.get(node) || []) {
+				if (distances.has(neighbour)) continue;
+				distances.set(neighbour, hop);
+				next.push(neighbour);
+			}
+		}
+		frontier = next;
+	}
+
+	return distances;
+};
+
+/**
+ * Finds the strongest path between two nodes (Dijkstra). Walking an edge costs
+ * 1 / weight, so a chain of strong connections beats a single faint one, and with
+ * equal weights the path with the fewest hops wins.
+ *
+ * @returns {Array<{ from: string, to: string, edge: object, reversed: boolean }>|null}
+ *   The steps of the path in order, an empty array when from === to, or null when
+ *   the nodes are not connected
+ */
+const shortestPath = (adjacency, from, to) => {
+	if (from === to) return [];
+
+	const cost = new Map([[from, 0]]);
+	const previous = new Map([[from, null]]);
+	const done = new Set();
+	const frontier = new Set([from]);
+
+	while (frontier.size) {
+		let node = null;
+		for (const candidate of frontier) {
+			if (node === null || cost.get(candidate) < cost.get(node)) node = candidate;
+		}
+		frontier.delete(node);
+		done.add(node);
+
+		if (node === to) {
+			const path = [];
+			for (let at = to; previous.get(at); at = previous.get(at).from) {
+				const { from: stepFrom, node: stepTo, edge, reversed } = previous.get(at);
+				path.unshift({ from: stepFrom, to: stepTo, edge, reversed });
+			}
+			return path;
+		}
+
+		for (const step of adjacency.get(node) || []) {
+			if (done.has(step.node)) continue;
+
+			const total = cost.get(node) + 1 / step.edge.weight;
+			if (cost.has(step.node) && cost.get(step.node) <= total) continue;
+
+			cost.set(step.node, total);
+			previous.set(step.node, { ...step, from: node });
+			frontier.add(step.node);
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Splits the graph into weakly connected components (edge direction ignored).
+ *
+ * @param {string[]} nodeIds - Every node of the graph, including isolated ones
+ * @param {Array} edges - Edges from collectEdges
+ * @returns {string[][]} Components, largest first; isolated nodes form components of size 1
+ */
+const connectedComponents = (nodeIds, edges) => {
+	const adjacency = buildAdjacency(edges);
+	const seen = new Set();
+	const components = [];
+
+	for (const start of nodeIds) {
+		if (seen.has(start)) continue;
+
+		const component = [];
+		const stack = [start];
+		seen.add(start);
+
+		while (stack.length) {
+			const node = stack.pop();
+			component.push(node);
+			for (const { node: neighbour } of adjacency.get(node) || []) {
+				if (seen.has(neighbour)) continue;
+				seen.add(neighbour);
+				stack.push(neighbour);
+			}
+		}
+
+		components.push(component);
+	}
+
+	return components.sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Builds an undirected neighbour set per node. Parallel edges and self-loops are
+ * collapsed, so centrality and communities only look at which albums are linked.
+ */
+const undirectedNeighbours = (nodeIds, edges) => {
+	const neighbours = new Map(nodeIds.map((id) => [id, new Set()]));
+
+	for (const { source, target } of edges) {
+		if (source === target || !neighbours.has(source) || !neighbours.has(target)) continue;
+		neighbours.get(source).add(target);
+		neighbours.get(target).add(source);
+	}
+
+	return neighbours;
+};
+
+/**
+ * Counts incoming and outgoing edges per node, and sums their weights.
+ *
+ * @returns {Map<string, { in: number, out: number, total: number, weighted: number }>}
+ */
+const degreeCentrality = (nodeIds, edges) => {
+	const degrees = new Map(nodeIds.map((id) => [id, { in: 0, out: 0, total: 0, weighted: 0 }]));
+
+	for (const { source, target, weight = 1 } of edges) {
+		if (!degrees.has(source) || !degrees.has(target)) continue;
+		degrees.get(source).out++;
+		degrees.get(target).in++;
+		degrees.get(source).weighted += weight;
+		degrees.get(target).weighted += weight;
+	}
+
+	for (const degree of degrees.values()) degree.total = degree.in + degree.out;
+
+	return degrees;
+};
+
+/**
+ * Betweenness centrality (Brandes' algorithm) with edge direction ignored.
+ * Scores are normalised to 0–1: the share of shortest paths between every other
+ * pair of albums that go through the node.
+ *
+ * @returns {Map<string, number>}
+ */
+const betweennessCentrality = (nodeIds, edges) => {
+	const neighbours = undirectedNeighbours(nodeIds, edges);
+	const scores = new Map(nodeIds.map((id) => [id, 0]));
+
+	for (const source of nodeIds) {
+		const stack = [];
+		const predecessors = new Map(nodeIds.map((id) => [id, []]));
+		const paths = new Map(nodeIds.map((id) => [id, 0]));
+		const distance = new Map([[source, 0]]);
+		const queue = [source];
+		paths.set(source, 1);
+
+		while (queue.length) {
+			const node = queue.shift();
+			stack.push(node);
+			for (const neighbour of neighbours.get(node)) {
+				if (!distance.has(neighbour)) {
+					distance.set(neighbour, distance.get(node) + 1);
+					queue.push(neighbour);
+				}
+				if (distance.get(neighbour) === distance.get(node) + 1) {
+					paths.set(neighbour, paths.get(neighbour) + paths.get(node));
+					predecessors.get(neighbour).push(node);
+				}
+			}
+		}
+
+		const dependency = new Map(nodeIds.map((id) => [id, 0]));
+		while (stack.length) {
+			const node = stack.pop();
+			for (const predecessor of predecessors.get(node)) {
+				const share = (paths.get(predecessor) / paths.get(node)) * (1 + dependency.get(node));
+				dependency.set(predecessor, dependency.get(predecessor) + share);
+			}
+			if (node !== source) scores.set(node, scores.get(node) + dependency.get(node));
+		}
+	}
+
+	// Every pair was counted from both ends; (n - 1)(n - 2) is twice the number of pairs
+	const n = nodeIds.length;
+	const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+	for (const [id, score] of scores) scores.set(id, score * scale);
+
+	return scores;
+};
+
+/**
+ * PageRank over the connection direction: a connection from A to B counts as a
+ * vote for B, in proportion to its weight among A's connections. Rank of albums
+ * without outgoing connections is spread evenly.
+ *
+ * @param {object} [options]
+ * @param {number} [options.damping] - Probability of following a connection (default 0.85)
+ * @param {number} [options.iterations] - Maximum number of iterations (default 100)
+ * @param {number} [options.tolerance] - Stops when the total change is below this (default 1e-6)
+ * @returns {Map<string, number>} Scores summing to 1
+ */
+const pageRank = (nodeIds, edges, { damping = 0.85, iterations = 100, tolerance = 1e-6 } = {}) => {
+	const n = nodeIds.length;
+	if (!n) return new Map();
+
+	const outgoing = new Map(nodeIds.map((id) => [id, []]));
+	const outWeight = new Map(nodeIds.map((id) => [id, 0]));
+	for (const { source, target, weight = 1 } of edges) {
+		if (!outgoing.has(source) || !outgoing.has(target)) continue;
+		outgoing.get(source).push({ target, weight });
+		outWeight.set(source, outWeight.get(source) + weight);
+	}
+
+	let ranks = new Map(nodeIds.map((id) => [id, 1 / n]));
+
+	for (let i = 0; i < iterations; i++) {
+		let dangling = 0;
+		for (const id of nodeIds) {
+			if (!outgoing.get(id).length) dangling += ranks.get(id);
+		}
+
+		const base = (1 - damping) / n + (damping * dangling) / n;
+		const next = new Map(nodeIds.map((id) => [id, base]));
+		for (const id of nodeIds) {
+			for (const { target, weight } of outgoing.get(id)) {
+				const share = (damping * ranks.get(id) * weight) / outWeight.get(id);
+				next.set(target, next.get(target) + share);
+			}
+		}
+
+		let change = 0;
+		for (const id of nodeIds) change += Math.abs(next.get(id) - ranks.get(id));
+		ranks = next;
+		if (change < tolerance) break;
+	}
+
+	return ranks;
+};
+
+/**
+ * One pass of Louvain's local moving phase: every node joins the neighbouring
+ * community with the largest modularity gain until no move improves modularity.
+ *
+ * @param {Map<string, Map<string, number>>} graph - Symmetric weighted adjacency; a node's
+ *   entry for itself holds twice the weight inside it (aggregated communities)
+ * @returns {{ membership: Map<string, string>, moved: boolean }}
+ */
+const louvainMoveNodes = (graph) => {
+	const strength = new Map();
+	for (const [node, links] of graph) {
+		let total = 0;
+		for (const weight of links.values()) total += weight;
+		strength.set(node, total);
+	}
+
+	const twoM = [...strength.values()].reduce((sum, value) => sum + value, 0);
+	const membership = new Map([...graph.keys()].map((node) => [node, node]));
+	const communityStrength = new Map(strength);
+	let moved = false;
+	let improved = true;
+
+	while (improved) {
+		improved = false;
+
+		for (const [node, links] of graph) {
+			const current = membership.get(node);
+			const k = strength.get(node);
+			communityStrength.set(current, communityStrength.get(current) - k);
+
+			const linksTo = new Map([[current, 0]]);
+			for (const [neighbour, weight] of links) {
+				if (neighbour === node) continue;
+				const community = membership.get(neighbour);
+				linksTo.set(community, (linksTo.get(community) || 0) + weight);
+			}
+
+			const gain = (community) =>
+				linksTo.get(community) - (communityStrength.get(community) * k) / twoM;
+			let best = current;
+			for (const community of linksTo.keys()) {
+				if (gain(community) > gain(best) + 1e-12) best = community;
+			}
+
+			communityStrength.set(best, communityStrength.get(best) + k);
+			if (best !== current) {
+				membership.set(node, best);
+				improved = true;
+				moved = true;
+			}
+		}
+	}
+
+	return { membership, moved };
+};
+
+/**
+ * Detects communities with the Louvain method (modularity optimisation), edge
+ * direction ignored. Nodes are visited in the given order, so the result is
+ * deterministic for the same graph.
+ *
+ * @param {string[]} nodeIds - Every node of the graph, including isolated ones
+ * @param {Array} edges - Edges from collectEdges; an optional `weight` (default 1) is summed
+ *   over parallel edges
+ * @returns {string[][]} Communities, largest first; isolated nodes form communities of size 1
+ */
+const louvainCommunities = (nodeIds, edges) => {
+	let graph = new Map(nodeIds.map((id) => [id, new Map()]));
+	const addWeight = (from, to, weight) =>
+		graph.get(from).set(to, (graph.get(from).get(to) || 0) + weight);
+
+	for (const { source, target, weight = 1 } of edges) {
+		if (source === target || !graph.has(source) || !graph.has(target)) continue;
+		addWeight(source, target, weight);
+		addWeight(target, source, weight);
+	}
+
+	// Original node → node of the current (aggregated) graph
+	const assignment = new Map(nodeIds.map((id) => [id, id]));
+
+	for (;;) {
+		const { membership, moved } = louvainMoveNodes(graph);
+		if (!moved) break;
+
+		for (const [node, group] of assignment) assignment.set(node, membership.get(group));
+
+		const aggregated = new Map();
+		for (const community of membership.values()) aggregated.set(community, new Map());
+		for (const [node, links] of graph) {
+			const from = membership.get(node);
+			for (const [neighbour, weight] of links) {
+				const to = membership.get(neighbour);
+				aggregated.get(from).set(to, (aggregated.get(from).get(to) || 0) + weight);
+			}
+		}
+		graph = aggregated;
+	}
+
+	const communities = new Map();
+	for (const node of nodeIds) {
+		const community = assignment.get(node);
+		if (!communities.has(community)) communities.set(community, []);
+		communities.get(community).push(node);
+	}
+
+	return [...communities.values()].sort((a, b) => b.length - a.length);
+};
+
+module.exports = {
+	DEFAULT_CONNECTION_STRENGTH,
+	collectEdges,
+	buildAdjacency,
+	neighbourhood,
+	shortestPath,
+	connectedComponents,
+	degreeCentrality,
+	betweennessCentrality,
+	pageRank,
+	louvainCommunities,
+};
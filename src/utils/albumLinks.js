@@ -0,0 +1,192 @@
+const Album = require("../api/models/album.model");
+const { escapeRegex } = require("./albumQuery");
+const { parseWikilinks } = require("./wikilinks");
+const { inverseType } = require("./connectionTypes");
+
+/**
+ * Album links
+ *
+ * Keeps connections consistent when they change: [[wikilinks]] in personal notes become
+ * connections (syncNoteLinks), and every connection's other end follows it (syncMirrors).
+ * Used by the album controllers and by anything else that edits notes or connections.
+ */
+
+/**
+ * Helper: syncNoteLinks
+ * ---------------------
+ * Turns the [[wikilinks]] of an album's personal note into connections.
+ *
+ * Workflow:
+ * 1. Parses [[Title]] and [[Title|type]] links from personalNote.content.
+ * 2. Resolves every title against the owner's albums (case-insensitive, exact title).
+ * 3. Removes connections with origin "note" whose link is no longer in the note.
+ * 4. Adds a connection with origin "note" for every resolved link that is not already
+ *    connected with the same album + type (manual connections are never duplicated).
+ *
+ * Notes:
+ * - Mutates album.connections only; the caller is responsible for saving and for
+ *   updating the other ends (syncMirrors).
+ * - Returns the links that could not be turned into a connection, each with a reason:
+ *   unknown type, no album with that title, several albums with that title, or a self-link.
+ */
+const syncNoteLinks = async (album) => {
+	const links = parseWikilinks(album.personalNote?.content);
+	const validTypes = Album.schema.path("connections").schema.path("type").enumValues;
+	const unresolvedLinks = [];
+
+	const candidates = links.length
+		? await Album.find(
+				{
+					addedBy: album.addedBy,
+					title: { $in: links.map((l) => new RegExp(`^${escapeRegex(l.title)}$`, "i")) },
+				},
+				"_id title",
+			)
+		: [];
+
+	const desired = [];
+	for (const link of links) {
+		const unresolved = (reason) =>
+			unresolvedLinks.push({ link: link.raw, title: link.title, type: link.type, reason });
+
+		if (!validTypes.includes(link.type)) {
+			unresolved(`Unknown connection type "${link.type}"`);
+			continue;
+		}
+
+		const matches = candidates.filter((c) => c.title.toLowerCase() === link.title.toLowerCase());
+
+		if (!matches.length) {
+			unresolved("No album with this title in your collection");
+		} else if (matches.length > 1) {
+			unresolved("Several albums in your collection share this title");
+		} else if (matches[0]._id.equals(album._id)) {
+			unresolved("An album cannot link to itself");
+		} else {
+			desired.push({ album: matches[0]._id, type: link.type });
+		}
+	}
+
+	const isDesired = (conn) =>
+		desired.some((d) => d.album.equals(conn.album) && d.type === conn.type);
+
+	// Drop note connections whose link was removed from the note (mirrors belong to the other album's note)
+	for (const conn of [...album.connections]) {
+		if (conn.origin === "note" && !conn.mirror && !isDesired(conn)) conn.deleteOne();
+	}
+
+	for (const link of desired) {
+		const exists = album.connections.some(
+			(conn) => link.album.equals(conn.album) && conn.type === link.type,
+		);
+		if (!exists) album.connections.push({ ...link, note: "", origin: "note" });
+	}
+
+	return unresolvedLinks;
+};
+
+// Connection fields copied to the other end and kept equal on both
+const SHARED_CONNECTION_FIELDS = ["note", "strength", "discoveredOn"];
+
+/**
+ * Helper: snapshotConnections
+ * ---------------------------
+ * Copies an album's connections into plain objects (album, type, origin, mirror,
+ * createdAt and the shared fields), so they can be compared with the connections after a
+ * change (see syncMirrors).
+ */
+const snapshotConnections = (album) =>
+	album.connections.map((conn) => ({
+		album: (conn.album?._id || conn.album).toString(),
+		type: conn.type,
+		note: conn.note || "",
+		strength: conn.strength ?? null,
+		discoveredOn: conn.discoveredOn ?? null,
+		origin: conn.origin,
+		mirror: Boolean(conn.mirror),
+		createdAt: conn.createdAt,
+	}));
+
+// Compares connection field values, dates by their timestamp
+const sameValue = (a, b) =>
+	a instanceof Date || b instanceof Date ? a?.getTime?.() === b?.getTime?.() : a === b;
+
+/**
+ * Helper: syncMirrors
+ * -------------------
+ * Keeps the other end of an album's connections consistent after they changed.
+ *
+ * Every connection "A type B" has a counterpart "B inverse(type) A" stored on B
+ * (see utils/connectionTypes). Given the connections before the change:
+ * 1. Removed connections → their counterpart is pulled from the target album.
+ * 2. Added connections → a counterpart is pushed to the target album, flagged
+ *    mirror: true, unless the target already holds it.
+ * 3. Connections whose note, strength or discovery date changed → the new values are
+ *    copied to the counterpart.
+ * 4. Mirrors that became regular connections (an edited mirror) → the counterpart
+ *    becomes the mirror, with the same origin, so exactly one end stays active.
+ *
+ * Notes:
+ * - Call it after album.save(); it writes the target albums directly.
+ * - Self-connections have no other end and are ignored.
+ */
+const syncMirrors = async (album, before) => {
+	const key = (conn) => `${conn.album}|${conn.type}`;
+	const previous = new Map(before.map((conn) => [key(conn), conn]));
+	const current = new Map(snapshotConnections(album).map((conn) => [key(conn), conn]));
+	const albumId = album._id;
+
+	const counterpart = (conn) => ({
+		_id: conn.album,
+		addedBy: album.addedBy,
+		connections: { $elemMatch: { album: albumId, type: inverseType(conn.type) } },
+	});
+
+	for (const [connKey, conn] of previous) {
+		if (current.has(connKey) || albumId.equals(conn.album)) continue;
+		await Album.updateOne(
+			{ _id: conn.album, addedBy: album.addedBy },
+			{ $pull: { connections: { album: albumId, type: inverseType(conn.type) } } },
+		);
+	}
+
+	for (const [connKey, conn] of current) {
+		if (albumId.equals(conn.album)) continue;
+		const prev = previous.get(connKey);
+
+		const shared = Object.fromEntries(SHARED_CONNECTION_FIELDS.map((field) => [field, conn[field]]));
+
+		if (!prev) {
+			await Album.updateOne(
+				{ ...counterpart(conn), connections: { $not: counterpart(conn).connections } },
+				{
+					$push: {
+						connections: {
+							album: albumId,
+							type: inverseType(conn.type),
+							...shared,
+							origin: conn.origin,
+							createdAt: conn.createdAt,
+							mirror: true,
+						},
+					},
+				},
+			);
+		} else {
+			const promoted = prev.mirror && !conn.mirror;
+			const changed = SHARED_CONNECTION_FIELDS.some((field) => !sameValue(prev[field], conn[field]));
+			if (!promoted && !changed) continue;
+
+			const $set = Object.fromEntries(
+				SHARED_CONNECTION_FIELDS.map((field) => [`connections.$.${field}`, conn[field]]),
+			);
+			if (promoted) {
+				$set["connections.$.mirror"] = true;
+				$set["connections.$.origin"] = conn.origin;
+			}
+			await Album.updateOne(counterpart(conn), { $set });
+		}
+	}
+};
+
+module.exports = { syncNoteLinks, snapshotConnections, syncMirrors };
@@ -0,0 +1,308 @@
+const { isObjectIdOrHexString } = require("mongoose");
+const { createError } = require("./createError");
+const { parseAlbumQuery } = require("./albumQueryLanguage");
+
+/**
+ * Query parameters that filter on string-array fields of the Album schema.
+ * Values are matched case-insensitively and as whole values, so "shoegaze"
+ * matches "Shoegaze" but not "Nu-Shoegaze".
+ */
+const ARRAY_FILTERS = {
+	genre: "genres",
+	label: "labels",
+	scene: "scenes",
+	movement: "movements",
+	tag: "tags",
+};
+
+/**
+ * Query parameters that filter on enum fields. Values are matched exactly.
+ */
+const ENUM_FILTERS = {
+	format: "format",
+	emotional: "dimensions.emotional",
+	sonic: "dimensions.sonic",
+	frequency: "listeningContext.frequency",
+};
+
+/**
+ * Sort keys accepted by the list endpoint, mapped to Album schema paths.
+ * Only scalar fields are sortable: MongoDB sorts array fields by their
+ * smallest/largest element, which cannot be paged through reliably.
+ */
+const SORT_FIELDS = {
+	createdAt: "createdAt",
+	updatedAt: "updatedAt",
+	title: "title",
+	releaseDate: "releaseDate",
+	rating: "rating",
+	format: "format",
+	favourite: "favourite",
+	frequency: "listeningContext.frequency",
+	firstListen: "listeningContext.firstListen",
+	lastListen: "listeningContext.lastListen",
+	releaseCountry: "releaseCountry",
+};
+
+/**
+ * Every parameter understood by buildAlbumFilter.
+ */
+const FILTER_PARAMS = [
+	...Object.keys(ARRAY_FILTERS),
+	...Object.keys(ENUM_FILTERS),
+	"yearFrom",
+	"yearTo",
+	"ratingMin",
+	"ratingMax",
+	"favourite",
+	"query",
+];
+
+const RANGE_PARAMS = ["yearFrom", "yearTo", "ratingMin", "ratingMax"];
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Splits a comma-separated query value into trimmed, non-empty items.
+ * Arrays (e.g. ?genre=a&genre=b) are flattened the same way.
+ */
+const splitList = (value) => {
+	if (value === undefined || value === null) return [];
+	const values = Array.isArray(value) ? value : [value];
+	return values
+		.flatMap((v) => String(v).split(","))
+		.map((v) => v.trim())
+		.filter(Boolean);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const exactInsensitive = (value) => new RegExp(`^${escapeRegex(value)}$`, "i");
+
+/**
+ * Builds a MongoDB filter for the albums of one user from list query parameters.
+ *
+ * Supported parameters:
+ * - genre, label, scene, movement, tag: comma-separated values, any of them matches;
+ *   genres also match their subgenres when options.expandGenres is given
+ * - format, emotional, sonic, frequency: comma-separated enum values, any of them matches
+ * - yearFrom / yearTo: inclusive release-year range
+ * - ratingMin / ratingMax: inclusive rating range
+ * - favourite: "true" or "false"
+ * - query: query language expression (see albumQueryLanguage), combined with the rest
+ *
+ * Parameters are expected to have been validated by albumFilterValidations.
+ *
+ * @param {ObjectId} userId - Owner of the albums (req.user._id)
+ * @param {object} params - Query parameters (req.query)
+ * @param {object} [options]
+ * @param {(values: string[]) => string[]} [options.expandGenres] - Expands genre values
+ *   with the user's genre tree (see loadGenreExpander in utils/genreTaxonomy)
+ * @returns {object} MongoDB filter
+ */
+const buildAlbumFilter = (userId, params = {}, { expandGenres } = {}) => {
+	const filter = { addedBy: userId };
+
+	for (const [param, path] of Object.entries(ARRAY_FILTERS)) {
+		let values = splitList(params[param]);
+		if (param === "genre" && expandGenres) values = expandGenres(values);
+		if (values.length) filter[path] = { $in: values.map(exactInsensitive) };
+	}
+
+	for (const [param, path] of Object.entries(ENUM_FILTERS)) {
+		const values = splitList(params[param]);
+		if (values.length) filter[path] = { $in: values };
+	}
+
+	if (params.yearFrom !== undefined || params.yearTo !== undefined) {
+		filter.releaseDate = {};
+		if (params.yearFrom !== undefined) {
+			filter.releaseDate.$gte = new Date(Date.UTC(Number(params.yearFrom), 0, 1));
+		}
+		if (params.yearTo !== undefined) {
+			filter.releaseDate.$lt = new Date(Date.UTC(Number(params.yearTo) + 1, 0, 1));
+		}
+	}
+
+	if (params.ratingMin !== undefined || params.ratingMax !== undefined) {
+		filter.rating = {};
+		if (params.ratingMin !== undefined) filter.rating.$gte = Number(params.ratingMin);
+		if (params.ratingMax !== undefined) filter.rating.$lte = Number(params.ratingMax);
+	}
+
+	if (params.favourite !== undefined) {
+		filter.favourite = String(params.favourite) === "true";
+	}
+
+	if (params.query) {
+		const condition = parseAlbumQuery(params.query, { expandGenres });
+		if (Object.keys(condition).length) filter.$and = [condition];
+	}
+
+	return filter;
+};
+
+/**
+ * Normalizes filter parameters for storage (e.g. a smart collection): keeps only the
+ * parameters buildAlbumFilter understands, turns lists into arrays, ranges into numbers
+ * favourite into a boolean and query into a trimmed string. The result can be passed back to buildAlbumFilter.
+ *
+ * @example
+ * normalizeAlbumFilter({ genre: "shoegaze, dream pop", yearFrom: "1988", sort: "title" });
+ * // { genre: ["shoegaze", "dream pop"], yearFrom: 1988 }
+ */
+const normalizeAlbumFilter = (params = {}) => {
+	const filter = {};
+
+	for (const param of FILTER_PARAMS) {
+		const value = params[param];
+		if (value === undefined || value === null || value === "") continue;
+
+		if (RANGE_PARAMS.includes(param)) {
+			// A stored NaN would break every later query of the filter
+			if (Number.isFinite(Number(value))) filter[param] = Number(value);
+		} else if (param === "favourite") filter[param] = String(value) === "true";
+		else if (param === "query") {
+			if (String(value).trim()) filter[param] = String(value).trim();
+		} else if (splitList(value).length) filter[param] = splitList(value);
+	}
+
+	return filter;
+};
+
+/**
+ * Encodes the sort value and _id of an album into an opaque cursor.
+ * Dates are tagged so they can be restored as Date objects when decoding.
+ */
+const encodeCursor = (album, sortPath, direction) => {
+	const value = sortPath.split(".").reduce((obj, key) => obj?.[key], album);
+	const payload = {
+		v: value instanceof Date ? value.toISOString() : (value ?? null),
+		d: value instanceof Date,
+		id: album._id.toString(),
+		dir: direction,
+	};
+	return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor → 400 if it is malformed: the ID must be
+ * an ObjectId, the value a scalar and a tagged date a valid one, so a tampered cursor
+ * never reaches the query.
+ */
+const decodeCursor = (cursor) => {
+	try {
+		const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+		if (!isObjectIdOrHexString(payload.id) || !["next", "prev"].includes(payload.dir)) {
+			throw new Error();
+		}
+		if (payload.v !== null && !["string", "number", "boolean"].includes(typeof payload.v)) {
+			throw new Error();
+		}
+
+		const value = payload.d && payload.v !== null ? new Date(payload.v) : payload.v;
+		if (value instanceof Date && Number.isNaN(value.getTime())) throw new Error();
+
+		return { value, id: payload.id, dir: payload.dir };
+	} catch {
+		throw createError(400, "Invalid pagination cursor");
+	}
+};
+
+/**
+ * Builds the keyset condition that selects the albums strictly after the
+ * cursor position in the given sort order (1 = ascending, -1 = descending).
+ *
+ * MongoDB sorts missing/null values before everything else, so they come
+ * first in ascending order and last in descending order.
+ */
+const cursorCondition = (sortPath, order, value, id) => {
+	const idOp = order === 1 ? "$gt" : "$lt";
+	const valueOp = order === 1 ? "$gt" : "$lt";
+
+	if (value === null) {
+		return order === 1
+			? { $or: [{ [sortPath]: { $ne: null } }, { [sortPath]: null, _id: { [idOp]: id } }] }
+			: { [sortPath]: null, _id: { [idOp]: id } };
+	}
+
+	const conditions = [
+		{ [sortPath]: { [valueOp]: value } },
+		{ [sortPath]: value, _id: { [idOp]: id } },
+	];
+	if (order === -1) conditions.push({ [sortPath]: null });
+
+	return { $or: conditions };
+};
+
+/**
+ * Runs a cursor-paginated find over the Album model.
+ *
+ * @param {Model} Model - Mongoose model to query
+ * @param {object} filter - Base filter (from buildAlbumFilter)
+ * @param {object} options - { sort, order, limit, cursor, populate }
+ * @returns {Promise<{ items: Array, meta: object }>} Page items and pagination metadata
+ */
+const paginateAlbums = async (Model, filter, options = {}) => {
+	const sortKey = options.sort || "createdAt";
+	const sortPath = SORT_FIELDS[sortKey];
+	const order = options.order === "asc" ? 1 : -1;
+	const limit = Number(options.limit) || DEFAULT_LIMIT;
+	const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+
+	// The cursor value must fit the sort field, e.g. not a title reused to page by date
+	if (cursor && cursor.value !== null) {
+		try {
+			Model.schema.path(sortPath).cast(cursor.value);
+		} catch {
+			throw createError(400, "Invalid pagination cursor");
+		}
+	}
+
+	// Walking backwards means querying in the inverted order and reversing the page
+	const backwards = cursor?.dir === "prev";
+	const queryOrder = backwards ? -order : order;
+
+	const pageFilter = cursor
+		? { $and: [filter, cursorCondition(sortPath, queryOrder, cursor.value, cursor.id)] }
+		: filter;
+
+	let query = Model.find(pageFilter)
+		.sort({ [sortPath]: queryOrder, _id: queryOrder })
+		.limit(limit + 1);
+	if (options.populate) query = query.populate(...options.populate);
+
+	const [results, total] = await Promise.all([query, Model.countDocuments(filter)]);
+
+	const hasMore = results.length > limit;
+	const items = results.slice(0, limit);
+	if (backwards) items.reverse();
+
+	const hasNext = backwards ? Boolean(cursor) : hasMore;
+	const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+	return {
+		items,
+		meta: {
+			total,
+			count: items.length,
+			limit,
+			sort: sortKey,
+			order: order === 1 ? "asc" : "desc",
+			nextCursor: hasNext && items.length ? encodeCursor(items.at(-1), sortPath, "next") : null,
+			prevCursor: hasPrev && items.length ? encodeCursor(items[0], sortPath, "prev") : null,
+		},
+	};
+};
+
+module.exports = {
+	ARRAY_FILTERS,
+	ENUM_FILTERS,
+	SORT_FIELDS,
+	FILTER_PARAMS,
+	splitList,
+	escapeRegex,
+	buildAlbumFilter,
+	normalizeAlbumFilter,
+	paginateAlbums,
+};
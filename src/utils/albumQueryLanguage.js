@@ -0,0 +1,338 @@
+const Album = require("../api/models/album.model");
+const { createError } = require("./createError");
+
+/**
+ * Album query language
+ *
+ * A compact, keyboard-friendly way to filter albums, e.g.
+ *
+ *   genre:shoegaze year:1990..1995 mood:dreamy rating:>=8 -tag:overrated artist:"My Bloody Valentine"
+ *
+ * Syntax:
+ * - Terms are separated by spaces and must all match.
+ * - field:value              → field matches value
+ * - field:a,b                → field matches any of the values
+ * - field:"two words"        → quoted values may contain spaces, commas and \" escapes
+ * - -field:value             → negation: albums that do NOT match (including albums without the field)
+ * - word or "some words"     → free text: title or artist contains it
+ *
+ * Numbers (rating, year) also accept comparisons and inclusive ranges:
+ *   rating:8   rating:>=8   rating:<5   year:1990..1995   year:1990..   year:..1995
+ *
+ * Field names are case-insensitive; see QUERY_FIELDS for the available fields. genre
+ * also matches subgenres when the parser is given the user's genre tree.
+ */
+
+const enumValues = (path) => {
+	const schemaType = Album.schema.path(path);
+	return schemaType.caster?.enumValues ?? schemaType.enumValues;
+};
+
+/**
+ * Fields of the language, mapped to Album schema paths.
+ *
+ * Kinds:
+ * - list:    whole-value, case-insensitive match on a string or string array
+ * - text:    case-insensitive substring match
+ * - enum:    one of the schema's enum values (case-insensitive)
+ * - number:  number, comparison or range
+ * - year:    release year, as a number, comparison or range
+ * - boolean: true/false (also yes/no)
+ */
+const QUERY_FIELDS = {
+	genre: { path: "genres", kind: "list" },
+	label: { path: "labels", kind: "list" },
+	scene: { path: "scenes", kind: "list" },
+	movement: { path: "movements", kind: "list" },
+	tag: { path: "tags", kind: "list" },
+	artist: { path: "artists", kind: "list" },
+	country: { path: "releaseCountry", kind: "list" },
+	title: { path: "title", kind: "text" },
+	note: { path: "personalNote.content", kind: "text" },
+	format: { path: "format", kind: "enum", values: enumValues("format") },
+	mood: { path: "dimensions.emotional", kind: "enum", values: enumValues("dimensions.emotional") },
+	sonic: { path: "dimensions.sonic", kind: "enum", values: enumValues("dimensions.sonic") },
+	frequency: {
+		path: "listeningContext.frequency",
+		kind: "enum",
+		values: enumValues("listeningContext.frequency"),
+	},
+	year: { path: "releaseDate", kind: "year" },
+	rating: { path: "rating", kind: "number" },
+	favourite: { path: "favourite", kind: "boolean" },
+};
+
+// Alternative field names, mostly matching the list query parameters
+const FIELD_ALIASES = {
+	emotional: "mood",
+	favorite: "favourite",
+};
+
+// Fields searched by terms without a field name
+const FREE_TEXT_PATHS = ["title", "artists"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Builds the 400 error for a bad token: the message names the 1-based position and
+ * quotes the token so the user can find it.
+ */
+const queryError = (token, reason) =>
+	createError(400, `Invalid query at position ${token.start + 1} (${token.text}): ${reason}`);
+
+/**
+ * Reads a double-quoted string starting at input[start] === '"'.
+ * Returns the unescaped value and the index after the closing quote.
+ */
+const readQuoted = (input, start) => {
+	let value = "";
+	let i = start + 1;
+
+	while (i < input.length) {
+		const char = input[i];
+		if (char === "\\" && i + 1 < input.length) {
+			value += input[i + 1];
+			i += 2;
+		} else if (char === '"') {
+			return { value, end: i + 1 };
+		} else {
+			value += char;
+			i++;
+		}
+	}
+
+	throw createError(400, `Invalid query at position ${start + 1}: unterminated quote`);
+};
+
+/**
+ * Splits a query into terms: { negated, field, values, start, text }.
+ * `field` is null for free-text terms; `values` holds the comma-separated values.
+ */
+const tokenize = (input) => {
+	const tokens = [];
+	let i = 0;
+
+	while (i < input.length) {
+		if (/\s/.test(input[i])) {
+			i++;
+			continue;
+		}
+
+		const start = i;
+		const negated = input[i] === "-";
+		if (negated) i++;
+
+		const key = /^([a-zA-Z]+):/.exec(input.slice(i));
+		const field = key ? key[1] : null;
+		if (key) i += key[0].length;
+
+		const values = [];
+		for (;;) {
+			if (input[i] === '"') {
+				const { value, end } = readQuoted(input, i);
+				values.push(value);
+				i = end;
+			} else {
+				let end = i;
+				while (end < input.length && !/[\s,"]/.test(input[end])) end++;
+				values.push(input.slice(i, end));
+				i = end;
+			}
+
+			if (input[i] !== ",") break;
+			i++;
+		}
+
+		const token = { negated, field, values, start, text: input.slice(start, i) };
+
+		if (i < input.length && !/\s/.test(input[i])) {
+			token.text = input.slice(start, i + 1);
+			throw queryError(token, `unexpected ${input[i]}`);
+		}
+
+		tokens.push(token);
+	}
+
+	return tokens;
+};
+
+/**
+ * Parses a number, comparison (>=8, <5) or inclusive range (1990..1995, 1990.., ..1995)
+ * into { min, minExclusive, max, maxExclusive }; null when the value is not one of them.
+ */
+const parseNumeric = (value) => {
+	const number = "(-?\\d+(?:\\.\\d+)?)";
+	const comparison = new RegExp(`^(>=|<=|>|<|=)?${number}$`).exec(value);
+
+	if (comparison) {
+		const [, operator = "=", raw] = comparison;
+		const n = Number(raw);
+		if (operator === "=") return { min: n, max: n };
+		if (operator === ">=") return { min: n };
+		if (operator === ">") return { min: n, minExclusive: true };
+		if (operator === "<=") return { max: n };
+		return { max: n, maxExclusive: true };
+	}
+
+	const range = new RegExp(`^${number}?\\.\\.${number}?$`).exec(value);
+	if (range && (range[1] !== undefined || range[2] !== undefined)) {
+		return {
+			min: range[1] === undefined ? undefined : Number(range[1]),
+			max: range[2] === undefined ? undefined : Number(range[2]),
+		};
+	}
+
+	return null;
+};
+
+const numberCondition = (path, { min, minExclusive, max, maxExclusive }) => {
+	const condition = {};
+	if (min !== undefined) condition[minExclusive ? "$gt" : "$gte"] = min;
+	if (max !== undefined) condition[maxExclusive ? "$lt" : "$lte"] = max;
+	return { [path]: condition };
+};
+
+/**
+ * Turns a year range into a release-date range: [Jan 1 of the first year, Jan 1 after the last).
+ */
+const yearCondition = (path, { min, minExclusive, max, maxExclusive }) => {
+	const condition = {};
+	if (min !== undefined) {
+		condition.$gte = new Date(Date.UTC(minExclusive ? min + 1 : min, 0, 1));
+	}
+	if (max !== undefined) {
+		condition.$lt = new Date(Date.UTC(maxExclusive ? max : max + 1, 0, 1));
+	}
+	return { [path]: condition };
+};
+
+/**
+ * Combines the conditions of a term's values: any of them matches.
+ */
+const anyOf = (conditions) => (conditions.length === 1 ? conditions[0] : { $or: conditions });
+
+/**
+ * Compiles one term into a MongoDB condition → 400 pointing at the term when invalid.
+ * options.expandGenres adds the subgenres of genre values (see parseAlbumQuery).
+ */
+const compileTerm = (token, { expandGenres } = {}) => {
+	if (token.values.some((value) => value === "")) {
+		throw queryError(token, token.field ? `missing value for ${token.field}` : "missing value");
+	}
+
+	if (token.field === null) {
+		const patterns = token.values.map((value) => new RegExp(escapeRegex(value), "i"));
+		return { $or: FREE_TEXT_PATHS.map((path) => ({ [path]: { $in: patterns } })) };
+	}
+
+	const name = token.field.toLowerCase();
+	const field = QUERY_FIELDS[FIELD_ALIASES[name] ?? name];
+
+	if (!field) {
+		throw queryError(
+			token,
+			`unknown field "${token.field}". Fields: ${Object.keys(QUERY_FIELDS).join(", ")}`,
+		);
+	}
+
+	switch (field.kind) {
+		case "list": {
+			const values =
+				field.path === "genres" && expandGenres ? expandGenres(token.values) : token.values;
+			return {
+				[field.path]: {
+					$in: values.map((value) => new RegExp(`^${escapeRegex(value)}$`, "i")),
+				},
+			};
+		}
+
+		case "text":
+			return {
+				[field.path]: { $in: token.values.map((value) => new RegExp(escapeRegex(value), "i")) },
+			};
+
+		case "enum":
+			return {
+				[field.path]: {
+					$in: token.values.map((value) => {
+						const match = field.values.find((allowed) => allowed.toLowerCase() === value.toLowerCase());
+						if (!match) {
+							throw queryError(
+								token,
+								`invalid ${name} "${value}". Must be one of: ${field.values.join(", ")}`,
+							);
+						}
+						return match;
+					}),
+				},
+			};
+
+		case "number":
+		case "year":
+			return anyOf(
+				token.values.map((value) => {
+					const range = parseNumeric(value);
+					if (!range) {
+						throw queryError(
+							token,
+							`invalid ${name} "${value}". Use a number, a comparison (>=8) or a range (1990..1995)`,
+						);
+					}
+					if (
+						field.kind === "year" &&
+						[range.min, range.max].some((n) => n !== undefined && !Number.isInteger(n))
+					) {
+						throw queryError(token, `invalid year "${value}". Years must be whole numbers`);
+					}
+					if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+						throw queryError(token, `empty range "${value}"`);
+					}
+					return field.kind === "year"
+						? yearCondition(field.path, range)
+						: numberCondition(field.path, range);
+				}),
+			);
+
+		default: {
+			const booleans = { true: true, yes: true, false: false, no: false };
+			return anyOf(
+				token.values.map((value) => {
+					const boolean = booleans[value.toLowerCase()];
+					if (boolean === undefined) {
+						throw queryError(token, `invalid ${name} "${value}". Must be true or false`);
+					}
+					return { [field.path]: boolean };
+				}),
+			);
+		}
+	}
+};
+
+/**
+ * Parses a query into a MongoDB filter on the Album schema.
+ *
+ * @param {string} input - Query, e.g. 'genre:shoegaze year:1990..1995 -tag:overrated'
+ * @param {object} [options]
+ * @param {(values: string[]) => string[]} [options.expandGenres] - Expands genre values
+ *   with the user's genre tree (see loadGenreExpander in utils/genreTaxonomy)
+ * @returns {object} MongoDB filter ({} for an empty query)
+ * @throws {Error} 400 naming the position and text of the first invalid term
+ *
+ * @example
+ * parseAlbumQuery("mood:dreamy -tag:overrated");
+ * // { $and: [
+ * //   { "dimensions.emotional": { $in: ["dreamy"] } },
+ * //   { $nor: [{ tags: { $in: [/^overrated$/i] } }] },
+ * // ] }
+ */
+const parseAlbumQuery = (input, options = {}) => {
+	const conditions = tokenize(String(input)).map((token) => {
+		const condition = compileTerm(token, options);
+		return token.negated ? { $nor: [condition] } : condition;
+	});
+
+	if (conditions.length === 0) return {};
+	return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+module.exports = { QUERY_FIELDS, parseAlbumQuery };
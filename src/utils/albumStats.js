@@ -0,0 +1,28 @@
+/**
+ * Album stats
+ *
+ * Small aggregations over a list of albums, shared by the year in review and the
+ * artist and label pages.
+ */
+
+// Number of entries in every "top" list
+const TOP = 5;
+
+/**
+ * Counts how often each value appears, most frequent first (ties alphabetically).
+ */
+const topValues = (values, limit = TOP) => {
+	const counts = new Map();
+	for (const value of values) {
+		counts.set(value, (counts.get(value) || 0) + 1);
+	}
+	return [...counts]
+		.map(([value, count]) => ({ value, count }))
+		.sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+		.slice(0, limit);
+};
+
+// Sort key for albums by release date: albums without one go last
+const releaseTime = (album) => album.releaseDate?.getTime() ?? Number.MAX_SAFE_INTEGER;
+
+module.exports = { TOP, topValues, releaseTime };
@@ -0,0 +1,22 @@
+const Artist = require("../api/models/artist.model");
+const { nameLinks } = require("./nameLinks");
+
+/**
+ * Artist links
+ *
+ * album.artistIds references the Artist of each name in album.artists, in the same
+ * order (see utils/nameLinks).
+ *
+ * @example
+ * await canonicalArtistNames(userId, ["Bjork"]); // ["Björk"] when the user has "Björk"
+ * await linkArtists(album); // creates missing artists, sets album.artistIds
+ */
+const {
+	find: findArtists,
+	canonicalNames: canonicalArtistNames,
+	link: linkArtists,
+	relinkAlbums,
+	countAlbums,
+} = nameLinks({ Model: Artist, names: "artists", ids: "artistIds" });
+
+module.exports = { findArtists, canonicalArtistNames, linkArtists, relinkAlbums, countAlbums };
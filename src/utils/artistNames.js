@@ -0,0 +1,80 @@
+/**
+ * Artist names
+ *
+ * The same artist is often typed in different ways ("Björk", "Bjork", "björk ",
+ * "The Beatles", "Beatles"). Names are compared through a normalised key so these
+ * variants resolve to one Artist. Label names are compared the same way.
+ */
+
+/**
+ * Normalises an artist name for comparison: diacritics stripped, lowercase,
+ * punctuation removed, "&" read as "and", whitespace collapsed and a leading
+ * "the" dropped. Names made only of punctuation are kept as they are.
+ *
+ * @param {string} name - Artist name as typed
+ * @returns {string} Comparison key ("" for an empty name)
+ *
+ * @example
+ * normalizeArtistName("Björk"); // "bjork"
+ * normalizeArtistName("The Beatles"); // "beatles"
+ * normalizeArtistName("Simon & Garfunkel"); // "simon and garfunkel"
+ */
+const normalizeArtistName = (name = "") => {
+	const key = name
+		.normalize("NFKD")
+		.replace(/\p{M}/gu, "")
+		.toLowerCase()
+		.replace(/&/g, " and ")
+		.replace(/[^\p{L}\p{N}\s]/gu, "")
+		.replace(/\s+/g, " ")
+		.trim();
+
+	// Names made only of punctuation ("!!!") are compared as typed
+	if (!key) return name.trim().toLowerCase();
+
+	// "The The" keeps its second "the"
+	return key.replace(/^the (?=.)/, "");
+};
+
+/**
+ * Comparison keys of an artist or label: its name and aliases, normalised, without
+ * duplicates.
+ *
+ * @param {{ name: string, aliases?: string[] }} entity
+ * @returns {string[]}
+ */
+const nameKeys = ({ name, aliases = [] }) => [
+	...new Set([name, ...aliases].map(normalizeArtistName).filter(Boolean)),
+];
+
+// Number of letters carrying diacritics ("Björk" → 1)
+const diacriticCount = (name) =>
+	[...name].filter((char) => char.normalize("NFKD").length > char.length).length;
+
+/**
+ * Picks the name to keep among variants of the same artist: the most used one,
+ * then the one with the most diacritics (so "Björk" wins over "Bjork"), then the
+ * first one seen.
+ *
+ * @param {string[]} variants - Every occurrence of the name, repeats included
+ * @returns {string}
+ *
+ * @example
+ * pickCanonicalName(["Bjork", "Björk"]); // "Björk"
+ * pickCanonicalName(["Bjork", "Bjork", "Björk"]); // "Bjork"
+ */
+const pickCanonicalName = (variants) => {
+	const counts = new Map();
+	for (const variant of variants) {
+		counts.set(variant, (counts.get(variant) || 0) + 1);
+	}
+
+	return [...counts.keys()].reduce((best, name) =>
+		counts.get(name) > counts.get(best) ||
+		(counts.get(name) === counts.get(best) && diacriticCount(name) > diacriticCount(best))
+			? name
+			: best,
+	);
+};
+
+module.exports = { normalizeArtistName, nameKeys, pickCanonicalName };
@@ -0,0 +1,57 @@
+/**
+ * Connection type semantics
+ *
+ * A connection is a relation between two albums, stored on both of them so it shows
+ * up from either side. Each type is either:
+ * - symmetric: the same label on both ends ("A similar-to B" ⇔ "B similar-to A");
+ * - half of an inverse pair: "A influences B" ⇔ "B influenced-by A". The passive
+ *   label (influenced-by) only exists as the other end of the active one, so graph
+ *   queries always report the relation with its active label.
+ */
+
+const CONNECTION_TYPES = {
+	influences: { inverse: "influenced-by" },
+	"influenced-by": { inverse: "influences", passive: true },
+	"similar-to": { symmetric: true },
+	"contrasts-with": { symmetric: true },
+	evokes: { inverse: "evoked-by" },
+	"evoked-by": { inverse: "evokes", passive: true },
+	progression: { inverse: "progressed-from" },
+	"progressed-from": { inverse: "progression", passive: true },
+	thematic: { symmetric: true },
+	"discovered-through": { inverse: "led-to" },
+	"led-to": { inverse: "discovered-through", passive: true },
+	samples: { inverse: "sampled-by" },
+	"sampled-by": { inverse: "samples", passive: true },
+};
+
+const CONNECTION_TYPE_NAMES = Object.keys(CONNECTION_TYPES);
+
+/**
+ * Returns the label of a connection as seen from the other album.
+ *
+ * @example
+ * inverseType("samples");    // "sampled-by"
+ * inverseType("similar-to"); // "similar-to"
+ */
+const inverseType = (type) =>
+	CONNECTION_TYPES[type]?.symmetric ? type : CONNECTION_TYPES[type]?.inverse;
+
+const isSymmetric = (type) => Boolean(CONNECTION_TYPES[type]?.symmetric);
+
+/**
+ * Returns the active label of a type: passive labels map to their inverse, every
+ * other type to itself.
+ *
+ * @example
+ * canonicalType("influenced-by"); // "influences"
+ */
+const canonicalType = (type) => (CONNECTION_TYPES[type]?.passive ? inverseType(type) : type);
+
+module.exports = {
+	CONNECTION_TYPES,
+	CONNECTION_TYPE_NAMES,
+	inverseType,
+	isSymmetric,
+	canonicalType,
+};
@@ -0,0 +1,59 @@
+const { normalizeArtistName } = require("./artistNames");
+const { trackLabel } = require("./tracklist");
+
+/**
+ * Credits
+ *
+ * Beyond its artists, an album lists who worked on it (album.credits): a person, their
+ * role and, when the credit only covers part of the album, the tracks it applies to,
+ * written as track labels ("3", "A3", "2-3", see trackLabel). Persons are free text
+ * compared like artist names (see utils/artistNames), so "Steve Albini" and
+ * "steve albini" are the same person.
+ */
+
+const CREDIT_ROLES = ["producer", "engineer", "featured", "composer", "mixing", "artwork"];
+
+// Role reported for the album's own artists when listing a person's albums
+const ARTIST_ROLE = "artist";
+
+/**
+ * Collects what a person did on an album: being one of its artists, its credits and
+ * the tracks they are featured on (track featuredArtists count as "featured").
+ * Entries with the same role are combined; a role without tracks covers the whole album.
+ *
+ * @param {object} album - Album with artists, credits and tracks
+ * @param {string[]} keys - Normalised names of the person (e.g. an artist's keys)
+ * @returns {Array<{ role: string, tracks: string[] }>} Empty when the person is not on the album
+ *
+ * @example
+ * personCredits(album, ["steve albini"]);
+ * // [{ role: "engineer", tracks: [] }, { role: "mixing", tracks: ["3"] }]
+ */
+const personCredits = (album, keys) => {
+	const matches = (name) => keys.includes(normalizeArtistName(name));
+	const found = [];
+
+	if (album.artists.some(matches)) {
+		found.push({ role: ARTIST_ROLE, tracks: [] });
+	}
+	for (const credit of album.credits || []) {
+		if (matches(credit.person)) found.push({ role: credit.role, tracks: credit.tracks || [] });
+	}
+	for (const track of album.tracks || []) {
+		if (track.featuredArtists?.some(matches)) {
+			found.push({ role: "featured", tracks: [trackLabel(track)] });
+		}
+	}
+
+	const byRole = new Map();
+	for (const { role, tracks } of found) {
+		const previous = byRole.get(role);
+		// A credit without tracks covers the whole album, and so the track-level ones
+		const wholeAlbum = !tracks.length || previous?.length === 0;
+		byRole.set(role, wholeAlbum ? [] : [...new Set([...(previous || []), ...tracks])]);
+	}
+
+	return [...byRole].map(([role, tracks]) => ({ role, tracks }));
+};
+
+module.exports = { CREDIT_ROLES, ARTIST_ROLE, personCredits };
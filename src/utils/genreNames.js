@@ -0,0 +1,33 @@
+const { normalizeArtistName } = require("./artistNames");
+
+/**
+ * Genre names
+ *
+ * Genres are typed as free text on albums and often spelled in several ways
+ * ("Post-Rock", "post rock", "Postrock" aside). They are compared like artist names
+ * (see utils/artistNames), with hyphens, slashes and underscores read as spaces.
+ */
+
+/**
+ * Normalises a genre name for comparison.
+ *
+ * @param {string} name - Genre as typed
+ * @returns {string} Comparison key ("" for an empty name)
+ *
+ * @example
+ * normalizeGenreName("Post-Rock"); // "post rock"
+ * normalizeGenreName("Drum & Bass"); // "drum and bass"
+ */
+const normalizeGenreName = (name = "") => normalizeArtistName(name.replace(/[-/_]/g, " "));
+
+/**
+ * Comparison keys of a genre: its name and aliases, normalised, without duplicates.
+ *
+ * @param {{ name: string, aliases?: string[] }} genre
+ * @returns {string[]}
+ */
+const genreKeys = ({ name, aliases = [] }) => [
+	...new Set([name, ...aliases].map(normalizeGenreName).filter(Boolean)),
+];
+
+module.exports = { normalizeGenreName, genreKeys };
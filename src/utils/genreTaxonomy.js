@@ -0,0 +1,233 @@
+const Genre = require("../api/models/genre.model");
+const { normalizeGenreName } = require("./genreNames");
+const { pickCanonicalName } = require("./artistNames");
+
+/**
+ * Genre taxonomy
+ *
+ * Album genres stay free-text strings; each user can arrange them in a tree of Genre
+ * documents (name, aliases, parent) on top. The tree is used to expand genre filters
+ * to every subgenre: filtering by "Electronic" also finds albums tagged "IDM" or
+ * "Dub Techno" when those sit under Electronic.
+ */
+
+// Share of a genre's albums that must also carry another genre for it to be proposed
+// as a subgenre of it
+const MIN_SHARED_SHARE = 0.8;
+
+/**
+ * Groups genres by parent: Map of parent ID → child genres. Roots are under "".
+ *
+ * @param {Array<{ _id: ObjectId, parent?: ObjectId }>} genres
+ * @returns {Map<string, Array<object>>}
+ */
+const childrenByParent = (genres) => {
+	const children = new Map();
+	for (const genre of genres) {
+		const parentId = genre.parent ? genre.parent.toString() : "";
+		children.set(parentId, [...(children.get(parentId) || []), genre]);
+	}
+	return children;
+};
+
+/**
+ * Returns a genre and all its descendants, at any depth. Cycles in stored data are
+ * tolerated: every genre is returned once.
+ *
+ * @param {object} root - Genre to start from
+ * @param {Map<string, Array<object>>} children - See childrenByParent
+ * @returns {Array<object>}
+ */
+const subtree = (root, children) => {
+	const found = new Map();
+	const queue = [root];
+
+	while (queue.length) {
+		const genre = queue.shift();
+		const id = genre._id.toString();
+		if (found.has(id)) continue;
+
+		found.set(id, genre);
+		queue.push(...(children.get(id) || []));
+	}
+
+	return [...found.values()];
+};
+
+/**
+ * Builds the function that expands genre filter values with the user's taxonomy: a
+ * value matching a genre (by name or alias, see normalizeGenreName) is replaced by the
+ * names and aliases of that genre and of all its descendants. Other values are kept
+ * as they are.
+ *
+ * @param {Array<object>} genres - The user's genres
+ * @returns {(values: string[]) => string[]}
+ *
+ * @example
+ * // Electronic → Techno → Dub Techno, IDM (alias "Intelligent Dance Music")
+ * const expandGenres = genreExpander(genres);
+ * expandGenres(["electronic"]);
+ * // ["electronic", "Techno", "IDM", "Intelligent Dance Music", "Dub Techno"]
+ */
+const genreExpander = (genres) => {
+	const byKey = new Map(genres.flatMap((genre) => genre.keys.map((key) => [key, genre])));
+	const children = childrenByParent(genres);
+
+	return (values) => {
+		// Filters ignore case: one value per lowercase spelling
+		const names = new Map(values.map((value) => [value.toLowerCase(), value]));
+		const add = (name) => {
+			if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+		};
+
+		for (const value of values) {
+			const genre = byKey.get(normalizeGenreName(value));
+			if (!genre) continue;
+
+			for (const member of subtree(genre, children)) {
+				add(member.name);
+				member.aliases.forEach(add);
+			}
+		}
+
+		return [...names.values()];
+	};
+};
+
+/**
+ * Loads the genre expander of a user (see genreExpander), to pass to buildAlbumFilter.
+ *
+ * @param {ObjectId} userId
+ * @returns {Promise<(values: string[]) => string[]>}
+ */
+const loadGenreExpander = async (userId) =>
+	genreExpander(await Genre.find({ addedBy: userId }, "name aliases keys parent").lean());
+
+/**
+ * Nests a flat list into a tree: every item gets a children array, sorted by name.
+ * Items whose parent is not in the list are roots.
+ *
+ * @param {Array<object>} items
+ * @param {(item: object) => string} idOf
+ * @param {(item: object) => string|undefined} parentOf
+ * @returns {Array<object>} Root items, with their children nested
+ */
+const nestGenres = (items, idOf, parentOf) => {
+	const nodes = new Map(items.map((item) => [idOf(item), { ...item, children: [] }]));
+	const roots = [];
+
+	for (const node of nodes.values()) {
+		const parent = nodes.get(parentOf(node));
+		(parent && parent !== node ? parent.children : roots).push(node);
+	}
+
+	const byName = (a, b) => a.name.localeCompare(b.name);
+	for (const node of nodes.values()) node.children.sort(byName);
+
+	return roots.sort(byName);
+};
+
+/**
+ * Proposes a genre tree from the genres of a user's albums.
+ *
+ * 1. Spellings of the same genre ("Post-Rock", "post rock") become one genre, named
+ *    after the most used spelling, with the others as aliases.
+ * 2. A genre ending with the name of another one goes under it, the longest match
+ *    first: "Dub Techno" under "Techno", "Progressive Death Metal" under "Death Metal".
+ * 3. Other genres go under the genre most of their albums also carry, when that genre
+ *    is on more albums: "IDM" under "Electronic" when IDM albums are also tagged
+ *    Electronic. The smallest such genre is picked, so chains stay as deep as possible.
+ *
+ * The result is acyclic.
+ *
+ * @param {Array<{ genres: string[] }>} albums - The user's albums
+ * @returns {Array<{ key: string, name: string, aliases: string[], albumCount: number,
+ *   parent: string|null, reason: "name"|"albums"|null }>} Proposed genres, by name;
+ *   parent is the key of the parent genre
+ */
+const proposeGenreTree = (albums) => {
+	const spellings = new Map();
+	const albumsByKey = new Map();
+
+	albums.forEach((album, index) => {
+		for (const name of album.genres || []) {
+			const key = normalizeGenreName(name);
+			if (!key) continue;
+
+			spellings.set(key, [...(spellings.get(key) || []), name.trim()]);
+			albumsByKey.set(key, (albumsByKey.get(key) || new Set()).add(index));
+		}
+	});
+
+	const genres = new Map(
+		[...spellings].map(([key, names]) => {
+			const name = pickCanonicalName(names);
+			// Genre filters ignore case, so spellings only differing by case are not aliases
+			const aliases = new Map(names.map((alias) => [alias.toLowerCase(), alias]));
+			aliases.delete(name.toLowerCase());
+			return [
+				key,
+				{
+					key,
+					name,
+					aliases: [...aliases.values()],
+					albumCount: albumsByKey.get(key).size,
+					parent: null,
+					reason: null,
+				},
+			];
+		}),
+	);
+
+	// 2. Names: the longest ending that is another genre
+	for (const genre of genres.values()) {
+		const words = genre.key.split(" ");
+		for (let i = 1; i < words.length; i++) {
+			const ending = words.slice(i).join(" ");
+			if (genres.has(ending)) {
+				genre.parent = ending;
+				genre.reason = "name";
+				break;
+			}
+		}
+	}
+
+	const descendsFrom = (genre, ancestor) => {
+		for (let key = genre.parent; key; key = genres.get(key).parent) {
+			if (key === ancestor.key) return true;
+		}
+		return false;
+	};
+
+	// 3. Albums: the smallest broader genre most of the albums also carry
+	const byAlbumCount = [...genres.values()].sort(
+		(a, b) => a.albumCount - b.albumCount || a.name.localeCompare(b.name),
+	);
+	for (const genre of byAlbumCount) {
+		if (genre.parent) continue;
+
+		const own = albumsByKey.get(genre.key);
+		const parent = byAlbumCount.find((other) => {
+			if (other.albumCount <= genre.albumCount || descendsFrom(other, genre)) return false;
+
+			const shared = [...own].filter((index) => albumsByKey.get(other.key).has(index)).length;
+			return shared / own.size >= MIN_SHARED_SHARE;
+		});
+
+		if (parent) {
+			genre.parent = parent.key;
+			genre.reason = "albums";
+		}
+	}
+
+	return [...genres.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+module.exports = {
+	childrenByParent,
+	subtree,
+	genreExpander,
+	loadGenreExpander,
+	nestGenres,
+	proposeGenreTree,
+};
@@ -0,0 +1,247 @@
+/**
+ * Serializers for the album graph
+ *
+ * Each serializer takes the nodes and edges built by getAlbumGraph and returns the
+ * file content for a graph tool:
+ * - graphml   → yEd, Gephi, Cytoscape, NetworkX
+ * - gexf      → Gephi
+ * - dot       → Graphviz
+ * - cytoscape → Cytoscape / Cytoscape.js (elements JSON)
+ *
+ * Node attributes: label, artists, format, genres, emotional, sonic, rating, releaseYear.
+ * Edge attributes: type, note, weight (connection strength, 3 when unrated), discoveredOn.
+ * List attributes (artists, genres, dimensions) are written as "|"-separated strings in
+ * GraphML, GEXF and DOT, which Gephi can split back into lists; Cytoscape JSON keeps arrays.
+ */
+
+const NODE_ATTRIBUTES = [
+	{ key: "artists", type: "string" },
+	{ key: "format", type: "string" },
+	{ key: "genres", type: "string" },
+	{ key: "emotional", type: "string" },
+	{ key: "sonic", type: "string" },
+	{ key: "rating", type: "double" },
+	{ key: "releaseYear", type: "int" },
+];
+
+const EDGE_ATTRIBUTES = [
+	{ key: "type", type: "string" },
+	{ key: "note", type: "string" },
+	{ key: "weight", type: "double" },
+	{ key: "discoveredOn", type: "string" },
+];
+
+/**
+ * Flattens a graph edge into the attribute map shared by every format.
+ */
+const edgeAttributes = (edge) => ({
+	type: edge.type,
+	note: edge.note,
+	weight: edge.weight,
+	discoveredOn: edge.discoveredOn ? new Date(edge.discoveredOn).toISOString().split("T")[0] : null,
+});
+
+const escapeXML = (value) =>
+	String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&apos;");
+
+const escapeDOT = (value) =>
+	String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\r?\n/g, "\\n");
+
+/**
+ * Returns the attribute value as written in text formats, or null when it is empty.
+ */
+const flatValue = (value) => {
+	if (value === undefined || value === null) return null;
+	if (Array.isArray(value)) return value.length ? value.join("|") : null;
+	if (value === "") return null;
+	return value;
+};
+
+/**
+ * Flattens a graph node into the attribute map shared by every format.
+ */
+const nodeAttributes = (node) => ({
+	artists: node.artists,
+	format: node.format,
+	genres: node.genres,
+	emotional: node.dimensions?.emotional,
+	sonic: node.dimensions?.sonic,
+	rating: node.rating,
+	releaseYear: node.releaseDate ? new Date(node.releaseDate).getUTCFullYear() : null,
+});
+
+/**
+ * Serializes the graph as GraphML.
+ */
+const toGraphML = (nodes, edges) => {
+	const keys = [
+		'  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+		...NODE_ATTRIBUTES.map(
+			({ key, type }) => `  <key id="${key}" for="node" attr.name="${key}" attr.type="${type}"/>`,
+		),
+		...EDGE_ATTRIBUTES.map(
+			({ key, type }) => `  <key id="edge_${key}" for="edge" attr.name="${key}" attr.type="${type}"/>`,
+		),
+	];
+
+	const data = (key, value) =>
+		flatValue(value) === null
+			? []
+			: [`      <data key="${key}">${escapeXML(flatValue(value))}</data>`];
+
+	const nodeElements = nodes.map((node) => {
+		const attributes = nodeAttributes(node);
+		return [
+			`    <node id="${escapeXML(node.id)}">`,
+			...data("label", node.label),
+			...NODE_ATTRIBUTES.flatMap(({ key }) => data(key, attributes[key])),
+			"    </node>",
+		].join("\n");
+	});
+
+	const edgeElements = edges.map((edge, i) => {
+		const attributes = edgeAttributes(edge);
+		return [
+			`    <edge id="e${i}" source="${escapeXML(edge.source)}" target="${escapeXML(edge.target)}">`,
+			...EDGE_ATTRIBUTES.flatMap(({ key }) => data(`edge_${key}`, attributes[key])),
+			"    </edge>",
+		].join("\n");
+	});
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+		...keys,
+		'  <graph id="craterra" edgedefault="directed">',
+		...nodeElements,
+		...edgeElements,
+		"  </graph>",
+		"</graphml>",
+	].join("\n");
+};
+
+/**
+ * Serializes the graph as GEXF 1.3.
+ * The weight is written as the native edge weight rather than as an attribute.
+ */
+const toGEXF = (nodes, edges) => {
+	const edgeAttributeKeys = EDGE_ATTRIBUTES.filter(({ key }) => key !== "weight");
+
+	const attributeDefinitions = (attributes) =>
+		attributes.map(({ key, type }) => `      <attribute id="${key}" title="${key}" type="${type}"/>`);
+
+	const attvalues = (attributes, values) => {
+		const entries = attributes
+			.filter(({ key }) => flatValue(values[key]) !== null)
+			.map(
+				({ key }) => `          <attvalue for="${key}" value="${escapeXML(flatValue(values[key]))}"/>`,
+			);
+		return entries.length ? ["        <attvalues>", ...entries, "        </attvalues>"] : [];
+	};
+
+	const nodeElements = nodes.map((node) =>
+		[
+			`      <node id="${escapeXML(node.id)}" label="${escapeXML(node.label)}">`,
+			...attvalues(NODE_ATTRIBUTES, nodeAttributes(node)),
+			"      </node>",
+		].join("\n"),
+	);
+
+	const edgeElements = edges.map((edge, i) =>
+		[
+			`      <edge id="e${i}" source="${escapeXML(edge.source)}" target="${escapeXML(edge.target)}" label="${escapeXML(edge.type)}" weight="${edge.weight ?? 1}">`,
+			...attvalues(edgeAttributeKeys, edgeAttributes(edge)),
+			"      </edge>",
+		].join("\n"),
+	);
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+		"  <meta>",
+		"    <creator>Craterra</creator>",
+		"  </meta>",
+		'  <graph mode="static" defaultedgetype="directed">',
+		'    <attributes class="node">',
+		...attributeDefinitions(NODE_ATTRIBUTES),
+		"    </attributes>",
+		'    <attributes class="edge">',
+		...attributeDefinitions(edgeAttributeKeys),
+		"    </attributes>",
+		"    <nodes>",
+		...nodeElements,
+		"    </nodes>",
+		"    <edges>",
+		...edgeElements,
+		"    </edges>",
+		"  </graph>",
+		"</gexf>",
+	].join("\n");
+};
+
+/**
+ * Serializes the graph as a Graphviz DOT digraph.
+ */
+const toDOT = (nodes, edges) => {
+	const attributeList = (attributes) =>
+		Object.entries(attributes)
+			.filter(([, value]) => flatValue(value) !== null)
+			.map(([key, value]) => `${key}="${escapeDOT(flatValue(value))}"`)
+			.join(", ");
+
+	const nodeLines = nodes.map(
+		(node) =>
+			`  "${escapeDOT(node.id)}" [${attributeList({ label: node.label, ...nodeAttributes(node) })}];`,
+	);
+
+	const edgeLines = edges.map(
+		(edge) =>
+			`  "${escapeDOT(edge.source)}" -> "${escapeDOT(edge.target)}" [${attributeList({
+				label: edge.type,
+				...edgeAttributes(edge),
+			})}];`,
+	);
+
+	return ["digraph craterra {", ...nodeLines, ...edgeLines, "}"].join("\n");
+};
+
+/**
+ * Serializes the graph as Cytoscape elements JSON.
+ */
+const toCytoscape = (nodes, edges) =>
+	JSON.stringify(
+		{
+			elements: {
+				nodes: nodes.map((node) => ({
+					data: { id: String(node.id), label: node.label, ...nodeAttributes(node) },
+				})),
+				edges: edges.map((edge, i) => ({
+					data: {
+						id: `e${i}`,
+						source: String(edge.source),
+						target: String(edge.target),
+						...edgeAttributes(edge),
+					},
+				})),
+			},
+		},
+		null,
+		2,
+	);
+
+/**
+ * Supported graph formats: serializer, Content-Type and file extension.
+ */
+const GRAPH_FORMATS = {
+	graphml: { serialize: toGraphML, contentType: "application/graphml+xml", extension: "graphml" },
+	gexf: { serialize: toGEXF, contentType: "application/gexf+xml", extension: "gexf" },
+	dot: { serialize: toDOT, contentType: "text/vnd.graphviz", extension: "dot" },
+	cytoscape: { serialize: toCytoscape, contentType: "application/json", extension: "cyjs" },
+};
+
+module.exports = { GRAPH_FORMATS, toGraphML, toGEXF, toDOT, toCytoscape };
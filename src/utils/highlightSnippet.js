@@ -0,0 +1,97 @@
+/**
+ * Utility functions to build highlighted search snippets
+ *
+ * MongoDB text search tells us *which* documents match, but not *where* in a
+ * personal note the match happened. These helpers locate the search terms in
+ * the note and return a short excerpt with each hit wrapped in <mark> tags.
+ */
+
+const escapeHTML = (value) =>
+	value
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Extracts the terms worth highlighting from a MongoDB $text search string.
+ * Quoted phrases are kept whole, negated terms (-word, -"phrase") are dropped.
+ *
+ * @param {string} search - Raw search string (e.g. 'night "long drive" -summer')
+ * @returns {string[]} Terms to highlight
+ *
+ * @example
+ * extractSearchTerms('night "long drive" -summer'); // ["long drive", "night"]
+ */
+const extractSearchTerms = (search) => {
+	const terms = [];
+	const phrasePattern = /(-?)"([^"]+)"/g;
+
+	for (const [, negated, phrase] of search.matchAll(phrasePattern)) {
+		if (!negated && phrase.trim()) terms.push(phrase.trim());
+	}
+
+	const rest = search.replace(phrasePattern, " ");
+	for (const word of rest.split(/\s+/)) {
+		if (word && !word.startsWith("-")) terms.push(word);
+	}
+
+	return [...new Set(terms)];
+};
+
+/**
+ * Builds a regex that matches any of the terms at a word boundary.
+ * Single words also match their inflections ("drive" → "drives", "driving"),
+ * roughly mirroring the stemming MongoDB applies to text search.
+ */
+const termsPattern = (terms) => {
+	const parts = terms
+		.sort((a, b) => b.length - a.length)
+		.map((term) => {
+			if (/\s/.test(term)) return escapeRegex(term);
+			const stem = term.length > 4 ? term.replace(/(ing|ed|es|s|e)$/i, "") : term;
+			return `${escapeRegex(stem)}\\w*`;
+		});
+	return new RegExp(`\\b(?:${parts.join("|")})`, "gi");
+};
+
+/**
+ * Returns an excerpt of `text` around the first match of any term, with every
+ * match inside the excerpt wrapped in <mark>. The text is HTML-escaped, so the
+ * snippet is safe to render as HTML.
+ *
+ * @param {string} text - Full text to excerpt (e.g. personalNote.content)
+ * @param {string[]} terms - Terms to highlight (see extractSearchTerms)
+ * @param {number} radius - Characters of context kept on each side of the first match
+ * @returns {string|null} Highlighted snippet, or null when no term occurs in the text
+ */
+const buildSnippet = (text, terms, radius = 80) => {
+	if (!text || !terms.length) return null;
+
+	const pattern = termsPattern([...terms]);
+	const first = pattern.exec(text);
+	if (!first) return null;
+
+	let start = Math.max(0, first.index - radius);
+	let end = Math.min(text.length, first.index + first[0].length + radius);
+
+	// Avoid cutting words in half at the edges of the excerpt
+	if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+	if (end < text.length) {
+		const lastSpace = text.lastIndexOf(" ", end);
+		if (lastSpace > first.index + first[0].length) end = lastSpace;
+	}
+
+	const excerpt = text.slice(start, end);
+	const highlighted = excerpt
+		.split(new RegExp(`(${pattern.source})`, "gi"))
+		.map((part, i) => (i % 2 === 1 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)))
+		.join("");
+
+	return `${start > 0 ? "…" : ""}${highlighted}${end < text.length ? "…" : ""}`;
+};
+
+module.exports = { escapeHTML, extractSearchTerms, buildSnippet };
@@ -0,0 +1,18 @@
+const Label = require("../api/models/label.model");
+const { nameLinks } = require("./nameLinks");
+
+/**
+ * Label links
+ *
+ * album.labelIds references the Label of each name in album.labels, in the same order
+ * (see utils/nameLinks).
+ */
+const {
+	find: findLabels,
+	canonicalNames: canonicalLabelNames,
+	link: linkLabels,
+	relinkAlbums,
+	countAlbums,
+} = nameLinks({ Model: Label, names: "labels", ids: "labelIds" });
+
+module.exports = { findLabels, canonicalLabelNames, linkLabels, relinkAlbums, countAlbums };
@@ -0,0 +1,59 @@
+const { normalizeArtistName } = require("./artistNames");
+
+/**
+ * Label names
+ *
+ * Labels are matched like artist names (see utils/artistNames), and are also often
+ * typed with or without a company suffix: "Warp" and "Warp Records". These variants
+ * are only suggested for merging, never linked automatically, since a suffix sometimes
+ * tells two labels apart.
+ */
+
+// Company suffixes ignored when looking for variants, compared normalised
+const LABEL_SUFFIXES = [
+	"records",
+	"recordings",
+	"recording",
+	"music",
+	"label",
+	"ltd",
+	"limited",
+	"inc",
+	"co",
+	"company",
+	"group",
+	"entertainment",
+];
+
+const SUFFIX_PATTERN = new RegExp(`(?: (?:${LABEL_SUFFIXES.join("|")}))+$`);
+
+/**
+ * Normalised label name without its company suffixes.
+ *
+ * @example
+ * labelCore("Warp Records"); // "warp"
+ * labelCore("Domino Recording Co."); // "domino"
+ */
+const labelCore = (name) => {
+	const key = normalizeArtistName(name);
+	return key.replace(SUFFIX_PATTERN, "") || key;
+};
+
+/**
+ * Groups labels whose names only differ by a company suffix, e.g. "Warp" and
+ * "Warp Records". Labels without variants are left out.
+ *
+ * @param {Array<{ name: string }>} labels
+ * @returns {Array<Array<object>>} Groups of two or more labels, in the order given
+ */
+const groupLabelVariants = (labels) => {
+	const groups = new Map();
+	for (const label of labels) {
+		const core = labelCore(label.name);
+		groups.set(core, [...(groups.get(core) || []), label]);
+	}
+
+	return [...groups.values()].filter((group) => group.length > 1);
+};
+
+module.exports = { LABEL_SUFFIXES, labelCore, groupLabelVariants };
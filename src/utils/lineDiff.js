@@ -0,0 +1,83 @@
+/**
+ * Line diff
+ *
+ * Compares two texts line by line with a longest common subsequence (LCS): lines in
+ * the LCS are unchanged, the rest were removed from the old text or added in the new one.
+ * Removals are listed before the additions that replace them, like `diff -u`.
+ */
+
+const splitLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+
+/**
+ * Diffs two texts line by line.
+ *
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {{ lines: Array<{ op: "equal"|"removed"|"added", text: string, oldLine?: number, newLine?: number }>,
+ *   stats: { added: number, removed: number, unchanged: number } }}
+ *   Line numbers are 1-based; removed lines only have oldLine, added lines only newLine.
+ *
+ * @example
+ * diffLines("a\nb\nc", "a\nc\nd").lines;
+ * // [{ op: "equal", text: "a", oldLine: 1, newLine: 1 },
+ * //  { op: "removed", text: "b", oldLine: 2 },
+ * //  { op: "equal", text: "c", oldLine: 3, newLine: 2 },
+ * //  { op: "added", text: "d", newLine: 3 }]
+ */
+const diffLines = (before, after) => {
+	const a = splitLines(before);
+	const b = splitLines(after);
+
+	// Skip the common prefix and suffix so the LCS table only covers the changed middle
+	let start = 0;
+	while (start < a.length && start < b.length && a[start] === b[start]) start++;
+	let endA = a.length;
+	let endB = b.length;
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+	}
+
+	// lcs[i][j]: length of the LCS of a[start + i..endA) and b[start + j..endB)
+	const n = endA - start;
+	const m = endB - start;
+	const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+	for (let i = n - 1; i >= 0; i--) {
+		for (let j = m - 1; j >= 0; j--) {
+			lcs[i][j] =
+				a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+
+	const lines = [];
+	const equal = (i, j) => lines.push({ op: "equal", text: a[i], oldLine: i + 1, newLine: j + 1 });
+
+	for (let k = 0; k < start; k++) equal(k, k);
+
+	let i = 0;
+	let j = 0;
+	while (i < n || j < m) {
+		if (i < n && j < m && a[start + i] === b[start + j]) {
+			equal(start + i, start + j);
+			i++;
+			j++;
+		} else if (j >= m || (i < n && lcs[i + 1][j] >= lcs[i][j + 1])) {
+			lines.push({ op: "removed", text: a[start + i], oldLine: start + i + 1 });
+			i++;
+		} else {
+			lines.push({ op: "added", text: b[start + j], newLine: start + j + 1 });
+			j++;
+		}
+	}
+
+	for (let k = 0; k < a.length - endA; k++) equal(endA + k, endB + k);
+
+	const count = (op) => lines.filter((line) => line.op === op).length;
+
+	return {
+		lines,
+		stats: { added: count("added"), removed: count("removed"), unchanged: count("equal") },
+	};
+};
+
+module.exports = { diffLines };
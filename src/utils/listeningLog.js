@@ -0,0 +1,61 @@
+/**
+ * Listening log
+ *
+ * An album's listeningContext.firstListen, lastListen and frequency are derived from
+ * its listening sessions (album.listens) rather than edited by hand.
+ */
+
+// Minimum number of sessions for each frequency, highest first
+const FREQUENCY_THRESHOLDS = [
+	{ frequency: "obsessive", minListens: 12 },
+	{ frequency: "regular", minListens: 5 },
+	{ frequency: "occasional", minListens: 2 },
+	{ frequency: "once", minListens: 1 },
+];
+
+/**
+ * Derives the listening context fields from a list of sessions.
+ * All three fields are undefined when there are no sessions.
+ *
+ * @param {Array<{ listenedAt: Date }>} listens - Listening sessions, in any order
+ * @returns {{ firstListen?: Date, lastListen?: Date, frequency?: string }}
+ *
+ * @example
+ * deriveListeningContext([{ listenedAt: new Date("2024-01-05") }, { listenedAt: new Date("2023-06-01") }]);
+ * // { firstListen: 2023-06-01, lastListen: 2024-01-05, frequency: "occasional" }
+ */
+const deriveListeningContext = (listens = []) => {
+	const times = listens
+		.map((listen) => new Date(listen.listenedAt).getTime())
+		.filter(Number.isFinite);
+
+	if (!times.length) {
+		return { firstListen: undefined, lastListen: undefined, frequency: undefined };
+	}
+
+	return {
+		firstListen: new Date(Math.min(...times)),
+		lastListen: new Date(Math.max(...times)),
+		frequency: FREQUENCY_THRESHOLDS.find(({ minListens }) => times.length >= minListens).frequency,
+	};
+};
+
+/**
+ * Returns sessions for the listening dates an album carries without any session, e.g.
+ * entered before the listening log existed or imported: one at firstListen and one at
+ * lastListen (once when they are the same). Logged with the album's first session,
+ * they keep those dates from being overwritten by the derived ones.
+ *
+ * @param {object} album - Album with listens and listeningContext
+ * @returns {Array<{ listenedAt: Date }>} Empty when the album already has sessions
+ */
+const sessionsFromContext = (album) => {
+	if (album.listens?.length) return [];
+
+	const { firstListen, lastListen } = album.listeningContext || {};
+	const times = new Set([firstListen, lastListen].filter(Boolean).map((date) => date.getTime()));
+
+	return [...times].map((time) => ({ listenedAt: new Date(time) }));
+};
+
+module.exports = { FREQUENCY_THRESHOLDS, deriveListeningContext, sessionsFromContext };
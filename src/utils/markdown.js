@@ -0,0 +1,111 @@
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+/**
+ * Markdown notes
+ *
+ * Personal notes are Markdown. This module renders them to HTML that is safe to display
+ * (scripts, event handlers and javascript: URLs are stripped), extracts their headings as
+ * a table of contents and estimates their reading time.
+ */
+
+// Average silent reading speed used for reading time estimates
+const WORDS_PER_MINUTE = 200;
+
+// Rendered HTML may only contain these tags and attributes
+const SANITIZE_OPTIONS = {
+	allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "del", "input"],
+	allowedAttributes: {
+		a: ["href", "title", "rel"],
+		img: ["src", "alt", "title"],
+		h1: ["id"],
+		h2: ["id"],
+		h3: ["id"],
+		h4: ["id"],
+		h5: ["id"],
+		h6: ["id"],
+		code: ["class"],
+		ol: ["start"],
+		input: ["type", "checked", "disabled"],
+	},
+	allowedClasses: { code: [/^language-[\w-]+$/] },
+	allowedSchemes: ["http", "https", "mailto"],
+	transformTags: {
+		a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer nofollow" }),
+	},
+};
+
+/**
+ * Turns heading text into an anchor id, GitHub style: lowercase, punctuation removed,
+ * spaces as dashes. Repeated headings get -1, -2… suffixes.
+ */
+const createSlugger = () => {
+	const seen = new Map();
+
+	return (text) => {
+		const base =
+			text
+				.toLowerCase()
+				.trim()
+				.replace(/[^\p{L}\p{N}\s-]/gu, "")
+				.replace(/\s+/g, "-") || "section";
+		const count = seen.get(base) || 0;
+		seen.set(base, count + 1);
+		return count ? `${base}-${count}` : base;
+	};
+};
+
+// Plain text of a heading: inline Markdown and HTML stripped
+const plainText = (marked, tokens) =>
+	sanitizeHtml(marked.parseInline(tokens.map((token) => token.raw).join("")), {
+		allowedTags: [],
+		allowedAttributes: {},
+	})
+		.replace(/&amp;/g, "&")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.trim();
+
+/**
+ * Renders a Markdown note.
+ *
+ * @param {string} content - Markdown source
+ * @returns {{ html: string, outline: Array<{ level: number, text: string, id: string }> }}
+ *   Sanitised HTML whose headings carry the ids listed in the outline
+ *
+ * @example
+ * renderMarkdown("# First impressions\nA *wall* of guitars.<script>alert(1)</script>");
+ * // { html: '<h1 id="first-impressions">First impressions</h1>\n<p>A <em>wall</em> of guitars.</p>',
+ * //   outline: [{ level: 1, text: "First impressions", id: "first-impressions" }] }
+ */
+const renderMarkdown = (content = "") => {
+	const slug = createSlugger();
+	const outline = [];
+	const marked = new Marked({ gfm: true, breaks: true });
+
+	marked.use({
+		renderer: {
+			heading({ tokens, depth }) {
+				const text = plainText(marked, tokens);
+				const id = slug(text);
+				outline.push({ level: depth, text, id });
+				return `<h${depth} id="${id}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+			},
+		},
+	});
+
+	const html = sanitizeHtml(marked.parse(content || ""), SANITIZE_OPTIONS).trim();
+
+	return { html, outline };
+};
+
+/**
+ * Estimates the reading time of a note in minutes (rounded up; 0 for an empty note).
+ *
+ * @param {number} wordCount - Number of words
+ * @returns {number} Minutes
+ */
+const readingTime = (wordCount = 0) => Math.ceil(wordCount / WORDS_PER_MINUTE);
+
+module.exports = { WORDS_PER_MINUTE, renderMarkdown, readingTime };
@@ -0,0 +1,54 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const Album = require("../../api/models/album.model");
+
+const { WORDS_PER_MINUTE } = require("../../utils/markdown");
+
+/**
+ * Migration: backfillReadingTime
+ *
+ * Notes saved before personalNote.readingTime existed report 0 minutes until they are
+ * edited again. This fills it in from the stored wordCount (see readingTime in
+ * utils/markdown), without touching the notes themselves or their lastEdited.
+ *
+ * Usage: npm run migrate:reading-time
+ */
+const migrate = async () => {
+	try {
+		await mongoose.connect(process.env.DB_URL);
+		console.log("✅ MongoDB connected");
+
+		const { modifiedCount } = await Album.updateMany(
+			{
+				"personalNote.wordCount": { $gt: 0 },
+				"personalNote.readingTime": { $in: [0, null] },
+			},
+			[
+				{
+					$set: {
+						"personalNote.readingTime": {
+							$ceil: { $divide: ["$personalNote.wordCount", WORDS_PER_MINUTE] },
+						},
+					},
+				},
+			],
+			{ timestamps: false },
+		);
+
+		console.log("");
+		console.log("⏱️ Reading time migration completed");
+		console.log("--------------------------------");
+		console.log(`💿 Albums : ${modifiedCount} updated`);
+		console.log("--------------------------------");
+	} catch (error) {
+		console.error("❌ Error during the reading time migration");
+		console.error(error);
+		process.exitCode = 1;
+	} finally {
+		await mongoose.disconnect();
+		console.log("🔌 MongoDB disconnected");
+	}
+};
+
+migrate();
@@ -0,0 +1,46 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const Artist = require("../../api/models/artist.model");
+
+const { linkArtists } = require("../../utils/artistLinks");
+const { linkExistingNames } = require("./linkNames");
+
+/**
+ * Migration: linkArtists
+ *
+ * Turns the free-text artist names of existing albums into Artist documents and links
+ * every album to them (artistIds), merging name variants (see linkExistingNames).
+ *
+ * Usage: npm run migrate:artists
+ */
+const migrate = async () => {
+	try {
+		await mongoose.connect(process.env.DB_URL);
+		console.log("✅ MongoDB connected");
+
+		const { users, created, linked } = await linkExistingNames({
+			Model: Artist,
+			names: "artists",
+			ids: "artistIds",
+			link: linkArtists,
+		});
+
+		console.log("");
+		console.log("🎤 Artist migration completed");
+		console.log("--------------------------------");
+		console.log(`👤 Users  : ${users}`);
+		console.log(`🎤 Artists: ${created} created`);
+		console.log(`💿 Albums : ${linked} linked`);
+		console.log("--------------------------------");
+	} catch (error) {
+		console.error("❌ Error during the artist migration");
+		console.error(error);
+		process.exitCode = 1;
+	} finally {
+		await mongoose.disconnect();
+		console.log("🔌 MongoDB disconnected");
+	}
+};
+
+migrate();
@@ -0,0 +1,48 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const Label = require("../../api/models/label.model");
+
+const { linkLabels } = require("../../utils/labelLinks");
+const { linkExistingNames } = require("./linkNames");
+
+/**
+ * Migration: linkLabels
+ *
+ * Turns the free-text label names of existing albums into Label documents and links
+ * every album to them (labelIds), merging name variants (see linkExistingNames).
+ * Labels that only differ by a suffix ("Warp", "Warp Records") are kept apart; see
+ * GET /labels/merge-suggestions.
+ *
+ * Usage: npm run migrate:labels
+ */
+const migrate = async () => {
+	try {
+		await mongoose.connect(process.env.DB_URL);
+		console.log("✅ MongoDB connected");
+
+		const { users, created, linked } = await linkExistingNames({
+			Model: Label,
+			names: "labels",
+			ids: "labelIds",
+			link: linkLabels,
+		});
+
+		console.log("");
+		console.log("🏷️ Label migration completed");
+		console.log("--------------------------------");
+		console.log(`👤 Users  : ${users}`);
+		console.log(`🏷️ Labels : ${created} created`);
+		console.log(`💿 Albums : ${linked} linked`);
+		console.log("--------------------------------");
+	} catch (error) {
+		console.error("❌ Error during the label migration");
+		console.error(error);
+		process.exitCode = 1;
+	} finally {
+		await mongoose.disconnect();
+		console.log("🔌 MongoDB disconnected");
+	}
+};
+
+migrate();
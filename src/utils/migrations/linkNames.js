@@ -0,0 +1,61 @@
+const Album = require("../../api/models/album.model");
+const { normalizeArtistName, pickCanonicalName } = require("../../utils/artistNames");
+
+/**
+ * Links the free-text names of an album field (artists, labels) to their entities for
+ * every user (see utils/nameLinks). Variants of the same name ("Bjork", "Björk") become
+ * one entity per user, named after the most used variant (see pickCanonicalName), with
+ * the others kept as aliases; the albums are renamed to match.
+ *
+ * Safe to run more than once: entities that already exist are reused and albums that
+ * are already linked are left untouched.
+ *
+ * @param {object} options
+ * @param {import("mongoose").Model} options.Model - Entity model, e.g. Artist
+ * @param {string} options.names - Album field holding the names, e.g. "artists"
+ * @param {string} options.ids - Album field holding the references, e.g. "artistIds"
+ * @param {(album: object) => Promise} options.link - Linker of the field, e.g. linkArtists
+ * @returns {Promise<{ users: number, created: number, linked: number }>}
+ */
+const linkExistingNames = async ({ Model, names: namesField, ids: idsField, link }) => {
+	const userIds = await Album.distinct("addedBy");
+	let created = 0;
+	let linked = 0;
+
+	for (const userId of userIds) {
+		const albums = await Album.find({ addedBy: userId });
+		const existing = await Model.find({ addedBy: userId });
+		const known = new Set(existing.flatMap((entity) => entity.keys));
+
+		// Every spelling of each new entity, repeats included, to pick the name to keep
+		const variants = new Map();
+		for (const name of albums.flatMap((album) => album[namesField] || [])) {
+			const key = normalizeArtistName(name);
+			if (!key || known.has(key)) continue;
+			variants.set(key, [...(variants.get(key) || []), name.trim()]);
+		}
+
+		for (const spellings of variants.values()) {
+			const name = pickCanonicalName(spellings);
+			await Model.create({ name, aliases: [...new Set(spellings)], addedBy: userId });
+			created++;
+		}
+
+		for (const album of albums) {
+			await link(album);
+			if (!album.isModified()) continue;
+
+			// Raw update so updatedAt and the note history are left as they were
+			await Album.updateOne(
+				{ _id: album._id },
+				{ $set: { [namesField]: album[namesField], [idsField]: album[idsField] } },
+				{ timestamps: false },
+			);
+			linked++;
+		}
+	}
+
+	return { users: userIds.length, created, linked };
+};
+
+module.exports = { linkExistingNames };
@@ -0,0 +1,143 @@
+const Album = require("../api/models/album.model");
+const { normalizeArtistName } = require("./artistNames");
+
+/**
+ * Name links
+ *
+ * Some album fields are lists of names backed by a per-user entity: album.artists by
+ * Artist (artistIds) and album.labels by Label (labelIds). The names are kept for
+ * display, search and export, and the IDs reference the matching documents in the same
+ * order. Names are matched through their normalised keys (see utils/artistNames), so
+ * an album typed with "Bjork" links to the existing "Björk" and is shown with that name.
+ *
+ * nameLinks builds the helpers for one such field; see utils/artistLinks and
+ * utils/labelLinks.
+ *
+ * @param {object} options
+ * @param {import("mongoose").Model} options.Model - Entity model (name, aliases, keys, addedBy)
+ * @param {string} options.names - Album field holding the names, e.g. "artists"
+ * @param {string} options.ids - Album field holding the references, e.g. "artistIds"
+ */
+const nameLinks = ({ Model, names: namesField, ids: idsField }) => {
+	/**
+	 * Finds the user's entities matching each name (by name or alias).
+	 *
+	 * @param {ObjectId} userId - Owner of the entities
+	 * @param {string[]} names - Names as typed
+	 * @returns {Promise<Array<object|null>>} The matching entity of each name, or null
+	 */
+	const find = async (userId, names) => {
+		const keys = names.map(normalizeArtistName);
+		const entities = await Model.find({ addedBy: userId, keys: { $in: keys } });
+
+		return keys.map((key) => entities.find((entity) => entity.keys.includes(key)) || null);
+	};
+
+	/**
+	 * Groups names by entity: the first name typed for each normalised key, with the
+	 * entity it matches (or null). Variants of the same name collapse into one entry.
+	 */
+	const resolve = async (userId, names) => {
+		const trimmed = names.map((name) => name.trim()).filter(Boolean);
+		const found = await find(userId, trimmed);
+		const resolved = new Map();
+
+		trimmed.forEach((name, i) => {
+			const key = normalizeArtistName(name);
+			if (!resolved.has(key)) resolved.set(key, { name, entity: found[i] });
+		});
+
+		return [...resolved.values()];
+	};
+
+	/**
+	 * Returns the names albums would be saved with: the name of the matching entity when
+	 * there is one, the typed name otherwise, without variants of the same name. Used to
+	 * detect duplicates before any entity is created.
+	 */
+	const canonicalNames = async (userId, names) =>
+		(await resolve(userId, names)).map(({ name, entity }) => entity?.name ?? name);
+
+	/**
+	 * Links an album to its entities before it is saved: creates the ones that do not
+	 * exist yet, sets the IDs field and replaces every name with its entity's name.
+	 *
+	 * @param {object} album - Album document (names and addedBy set); not saved here
+	 * @returns {Promise<Array<object>>} The album's entities, in order
+	 */
+	const link = async (album) => {
+		const entities = [];
+
+		for (const { name, entity } of await resolve(album.addedBy, album[namesField] || [])) {
+			entities.push(entity ?? (await Model.create({ name, addedBy: album.addedBy })));
+		}
+
+		album[namesField] = entities.map((entity) => entity.name);
+		album[idsField] = entities.map((entity) => entity._id);
+
+		return entities;
+	};
+
+	/**
+	 * Points the user's albums linked to any of `fromIds` at `entity`: their IDs become
+	 * the entity's ID and their names the entity's name, keeping the order and dropping
+	 * the duplicates a merge can create. Used after an entity is renamed or merged.
+	 *
+	 * @param {object} entity - Entity the albums should reference (saved)
+	 * @param {Array<ObjectId>} [fromIds] - Entities to replace (default: the entity itself)
+	 * @returns {Promise<number>} Number of albums updated
+	 */
+	const relinkAlbums = async (entity, fromIds = [entity._id]) => {
+		const from = new Set(fromIds.map(String));
+		const albums = await Album.find(
+			{ addedBy: entity.addedBy, [idsField]: { $in: fromIds } },
+			`${namesField} ${idsField}`,
+		);
+
+		const operations = albums.map((album) => {
+			const names = [];
+			const ids = [];
+
+			album[idsField].forEach((id, i) => {
+				const linked = from.has(id.toString()) ? entity._id : id;
+				if (ids.some((other) => other.equals(linked))) return;
+
+				ids.push(linked);
+				names.push(linked.equals(entity._id) ? entity.name : album[namesField][i]);
+			});
+
+			return {
+				updateOne: {
+					filter: { _id: album._id },
+					update: { $set: { [namesField]: names, [idsField]: ids } },
+				},
+			};
+		});
+
+		if (operations.length) {
+			await Album.bulkWrite(operations);
+		}
+
+		return operations.length;
+	};
+
+	/**
+	 * Counts the user's albums linked to each entity.
+	 *
+	 * @param {ObjectId} userId
+	 * @returns {Promise<Map<string, number>>} Entity ID → number of albums
+	 */
+	const countAlbums = async (userId) => {
+		const counts = await Album.aggregate([
+			{ $match: { addedBy: userId } },
+			{ $unwind: `$${idsField}` },
+			{ $group: { _id: `$${idsField}`, count: { $sum: 1 } } },
+		]);
+
+		return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+	};
+
+	return { find, canonicalNames, link, relinkAlbums, countAlbums };
+};
+
+module.exports = { nameLinks };
@@ -0,0 +1,147 @@
+const { createError } = require("./createError");
+
+/**
+ * Named entities
+ *
+ * Artists, labels and genres are all per-user documents with a name, aliases and their
+ * normalised keys; labels and genres also nest under a parent. The schema plugin and
+ * helpers below are shared by their models and controllers, which supply the Model, the
+ * keys and the messages.
+ */
+
+/**
+ * Schema plugin: keeps the matching keys in sync with the name and aliases (dropping
+ * empty and repeated aliases and the name itself), and stamps note edits when the
+ * schema has a personalNote.
+ *
+ * @param {import("mongoose").Schema} schema
+ * @param {object} options
+ * @param {(entity: object) => string[]} options.keysOf - Normalised name and aliases
+ *   (see nameKeys, genreKeys)
+ */
+const namedEntity = (schema, { keysOf }) => {
+	const hasNote = Boolean(schema.path("personalNote.content"));
+
+	schema.pre("save", function (next) {
+		if (this.isModified("name") || this.isModified("aliases")) {
+			this.aliases = [...new Set(this.aliases.filter((alias) => alias && alias !== this.name))];
+			this.keys = keysOf(this);
+		}
+
+		if (hasNote && this.isModified("personalNote.content") && this.personalNote.content) {
+			this.personalNote.lastEdited = new Date();
+		}
+
+		next();
+	});
+};
+
+/**
+ * Loads one of the user's entities → 404 with `message` when there is none.
+ *
+ * @param {import("mongoose").Model} Model
+ * @param {ObjectId} userId
+ * @param {string} id
+ * @param {string} message - e.g. "Label not found"
+ * @returns {Promise<object>} The entity document
+ */
+const findOwned = async (Model, userId, id, message) => {
+	const entity = await Model.findOne({ _id: id, addedBy: userId });
+
+	if (!entity) {
+		throw createError(404, message);
+	}
+
+	return entity;
+};
+
+/**
+ * A name or alias identifies one entity per user → 400 when another of the user's
+ * entities already uses one of the entity's keys.
+ *
+ * @param {import("mongoose").Model} Model
+ * @param {object} entity - Entity about to be saved (addedBy set)
+ * @param {string[]} keys - Its normalised name and aliases (see nameKeys, genreKeys)
+ * @param {string} [advice] - Appended to the message, e.g. "Merge the two labels instead"
+ */
+const checkNames = async (Model, entity, keys, advice) => {
+	const other = await Model.findOne({
+		addedBy: entity.addedBy,
+		keys: { $in: keys },
+		_id: { $ne: entity._id },
+	});
+
+	if (other) {
+		const message = `"${other.name}" already uses this name or alias`;
+		throw createError(400, advice ? `${message}. ${advice}` : message);
+	}
+};
+
+/**
+ * Returns the entity's parent, the parent's parent and so on ({ _id, name, parent }),
+ * from the root down. A cycle in stored data ends the walk.
+ *
+ * @param {import("mongoose").Model} Model
+ * @param {object} entity
+ * @returns {Promise<Array<object>>}
+ */
+const ancestorsOf = async (Model, entity) => {
+	const ancestors = [];
+	let parentId = entity.parent;
+
+	while (parentId && !ancestors.some((ancestor) => ancestor._id.equals(parentId))) {
+		const parent = await Model.findById(parentId, "name parent");
+		if (!parent) break;
+
+		ancestors.unshift(parent);
+		parentId = parent.parent;
+	}
+
+	return ancestors;
+};
+
+/**
+ * An entity cannot be nested under itself or one of its descendants (at any depth)
+ * → 400 with `message`.
+ *
+ * @param {import("mongoose").Model} Model
+ * @param {object} entity - Entity getting a new parent
+ * @param {object} parent - The new parent, one of the user's entities
+ * @param {string} message
+ */
+const checkNesting = async (Model, entity, parent, message) => {
+	const ancestors = await ancestorsOf(Model, parent);
+
+	if (
+		parent._id.equals(entity._id) ||
+		ancestors.some((ancestor) => ancestor._id.equals(entity._id))
+	) {
+		throw createError(400, message);
+	}
+};
+
+/**
+ * Merges the names and note of `source` into `entity`, which is not saved: the
+ * source's name and aliases become aliases, and its note is appended.
+ *
+ * @param {object} entity - Entity that is kept
+ * @param {object} source - Entity merged into it
+ */
+const absorbEntity = (entity, source) => {
+	entity.aliases = [...entity.aliases, source.name, ...source.aliases];
+
+	if (source.personalNote?.content) {
+		entity.personalNote.content = [entity.personalNote.content, source.personalNote.content]
+			.filter(Boolean)
+			.join("\n\n");
+	}
+};
+
+module.exports = {
+	namedEntity,
+	findOwned,
+	checkNames,
+	ancestorsOf,
+	checkNesting,
+	absorbEntity,
+};
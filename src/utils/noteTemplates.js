@@ -0,0 +1,78 @@
+/**
+ * Note templates
+ *
+ * Templates are Markdown with {{placeholders}} (spaces inside the braces are allowed:
+ * {{ title }}). They are filled from the album being created, so every review can
+ * start from the same structure.
+ */
+
+// Matches {{name}}; the name is captured without the surrounding spaces
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+const list = (values) => (values || []).filter(Boolean).join(", ");
+
+const isoDate = (date) => date.toISOString().split("T")[0];
+
+/**
+ * Value of every placeholder for an album. Fields the album does not have
+ * are filled with an empty string.
+ */
+const PLACEHOLDERS = {
+	title: (album) => album.title || "",
+	artists: (album) => list(album.artists),
+	releaseYear: (album) =>
+		album.releaseDate && !Number.isNaN(new Date(album.releaseDate).getTime())
+			? String(new Date(album.releaseDate).getUTCFullYear())
+			: "",
+	releaseDate: (album) =>
+		album.releaseDate && !Number.isNaN(new Date(album.releaseDate).getTime())
+			? isoDate(new Date(album.releaseDate))
+			: "",
+	format: (album) => album.format || "",
+	genres: (album) => list(album.genres),
+	labels: (album) => list(album.labels),
+	scenes: (album) => list(album.scenes),
+	today: (_album, now) => isoDate(now),
+};
+
+const PLACEHOLDER_NAMES = Object.keys(PLACEHOLDERS);
+
+/**
+ * Lists the placeholders of a template that are not in PLACEHOLDERS.
+ *
+ * @param {string} content - Template content
+ * @returns {string[]} Unknown placeholder names, without duplicates
+ *
+ * @example
+ * unknownPlaceholders("{{title}} by {{artist}}"); // ["artist"]
+ */
+const unknownPlaceholders = (content = "") => [
+	...new Set(
+		[...content.matchAll(PLACEHOLDER_PATTERN)]
+			.map(([, name]) => name)
+			.filter((name) => !Object.hasOwn(PLACEHOLDERS, name)),
+	),
+];
+
+/**
+ * Fills the placeholders of a template from an album.
+ *
+ * @param {string} content - Template content
+ * @param {object} album - Album fields (title, artists, releaseDate, format, genres…)
+ * @param {Date} [now] - Date used for {{today}} (UTC)
+ * @returns {string} The filled content; unknown placeholders are left as they are
+ *
+ * @example
+ * fillTemplate("## {{title}} — {{artists}} ({{releaseYear}})", {
+ *   title: "Loveless",
+ *   artists: ["My Bloody Valentine"],
+ *   releaseDate: "1991-11-04",
+ * });
+ * // "## Loveless — My Bloody Valentine (1991)"
+ */
+const fillTemplate = (content, album, now = new Date()) =>
+	content.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+		Object.hasOwn(PLACEHOLDERS, name) ? PLACEHOLDERS[name](album, now) : placeholder,
+	);
+
+module.exports = { PLACEHOLDER_NAMES, unknownPlaceholders, fillTemplate };
@@ -3,6 +3,10 @@ const mongoose = require("mongoose");
 
 const User = require("../../api/models/user.model");
 const Album = require("../../api/models/album.model");
+const NoteRevision = require("../../api/models/noteRevision.model");
+const Artist = require("../../api/models/artist.model");
+const Label = require("../../api/models/label.model");
+const Genre = require("../../api/models/genre.model");
 
 const usersData = require("../../data/users");
 const albumsData = require("../../data/albums");
@@ -10,6 +14,8 @@ const albumsData = require("../../data/albums");
 const { connectCloudinary } = require("../../config/cloudinary");
 
 const { deleteImgCloudinary } = require("../../utils/deleteImage");
+const { linkArtists } = require("../../utils/artistLinks");
+const { linkLabels } = require("../../utils/labelLinks");
 
 const seedDB = async () => {
 	try {
@@ -50,6 +56,10 @@ connectCloudinary();
 		await Promise.all([
 			User.deleteMany({}),
 			Album.deleteMany({}),
+			NoteRevision.deleteMany({}),
+			Artist.deleteMany({}),
+			Label.deleteMany({}),
+			Genre.deleteMany({}),
 		]);
 
 		console.log("🗑️ Database cleaned");
@@ -97,6 +107,10 @@ connectCloudinary();
 				addedBy: normalUsers[i % normalUsers.length]._id,
 			});
 
+			// Creates the album's artists and labels on first use
+			await linkArtists(album);
+			await linkLabels(album);
+
 			// Executes pre('save') middleware (wordCount, future hooks, etc.)
 			await album.save();
 
@@ -125,6 +139,8 @@ connectCloudinary();
 		console.log("--------------------------------");
 		console.log(`👤 Users : ${insertedUsers.length}`);
 		console.log(`💿 Albums: ${insertedAlbums.length}`);
+		console.log(`🎤 Artists: ${await Artist.countDocuments()}`);
+		console.log(`🏷️ Labels: ${await Label.countDocuments()}`);
 		console.log("--------------------------------");
 	} catch (error) {
 		console.error("❌ Error during seeding");
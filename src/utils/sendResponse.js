@@ -7,14 +7,16 @@
  * @param {boolean} success - true for success, false for error
  * @param {string} message - Description of the result
  * @param {object|null} data - (optional) Additional payload or error details
+ * @param {object|null} meta - (optional) Response metadata such as pagination info
  * @returns {object} JSON response
  */
 
-const sendResponse = (res, statusCode, success, message, data = null) => {
+const sendResponse = (res, statusCode, success, message, data = null, meta = null) => {
 	const response = { success, message };
 
 	// Only include "data" if it's meaningful (not null or undefined)
 	if (data) response.data = data;
+	if (meta) response.meta = meta;
 
 	return res.status(statusCode).json(response);
 };
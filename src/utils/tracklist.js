@@ -0,0 +1,140 @@
+/**
+ * Tracklist
+ *
+ * Albums have an ordered list of tracks (album.tracks). A track's place is its disc or
+ * side (optional: "1", "2", "A", "B"…) and its position on that disc. The album's
+ * trackCount and totalDuration are derived from the tracks, so they can also be kept
+ * for albums imported without a tracklist.
+ */
+
+/**
+ * Parses a duration: seconds as a number, or "m:ss" / "h:mm:ss".
+ *
+ * @param {number|string} value - Duration
+ * @returns {number|null} Seconds, or null when the value is not a valid duration
+ *
+ * @example
+ * parseDuration("4:05"); // 245
+ * parseDuration("1:02:03"); // 3723
+ * parseDuration(245); // 245
+ */
+const parseDuration = (value) => {
+	if (typeof value === "number") {
+		return Number.isInteger(value) && value >= 0 ? value : null;
+	}
+
+	const str = String(value ?? "").trim();
+	if (/^\d+$/.test(str)) return Number(str);
+
+	const match = str.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+	if (!match) return null;
+
+	const [hours, minutes, seconds] = match.slice(1).map((part) => Number(part || 0));
+	if (seconds > 59 || (match[1] !== undefined && minutes > 59)) return null;
+
+	return hours * 3600 + minutes * 60 + seconds;
+};
+
+/**
+ * Formats seconds as "m:ss", or "h:mm:ss" from an hour up.
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration ("" when there is none)
+ *
+ * @example
+ * formatDuration(245); // "4:05"
+ * formatDuration(3723); // "1:02:03"
+ */
+const formatDuration = (seconds) => {
+	if (seconds === undefined || seconds === null) return "";
+
+	const hours = Math.floor(seconds / 3600);
+	const minutes = Math.floor((seconds % 3600) / 60);
+	const rest = String(seconds % 60).padStart(2, "0");
+
+	return hours ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}` : `${minutes}:${rest}`;
+};
+
+// Discs are compared case-insensitively: "a" and "A" are the same side
+const discKey = (track) => (track.disc || "").toLowerCase();
+
+// "A3", "2-3" or "3" (no disc)
+const trackLabel = (track) =>
+	track.disc
+		? `${track.disc}${/^\d+$/.test(track.disc) ? "-" : ""}${track.position}`
+		: String(track.position);
+
+/**
+ * Sort order of tracks: tracks without a disc first, then discs/sides in natural
+ * order ("2" before "10", "A" before "B"), then by position.
+ */
+const compareTracks = (a, b) =>
+	(a.disc || "").localeCompare(b.disc || "", "en", { numeric: true, sensitivity: "base" }) ||
+	a.position - b.position;
+
+/**
+ * Fills in missing positions, numbering each disc after its highest position.
+ *
+ * @param {Array<{ disc?: string, position?: number }>} tracks - Tracks in play order
+ * @returns {Array<object>} The same tracks, with every position set
+ */
+const numberTracks = (tracks) => {
+	const last = new Map();
+	for (const track of tracks) {
+		if (track.position) {
+			last.set(discKey(track), Math.max(last.get(discKey(track)) || 0, track.position));
+		}
+	}
+
+	return tracks.map((track) => {
+		if (track.position) return track;
+		const position = (last.get(discKey(track)) || 0) + 1;
+		last.set(discKey(track), position);
+		return { ...track, position };
+	});
+};
+
+/**
+ * Lists the places (disc + position) used by more than one track.
+ *
+ * @returns {string[]} Labels such as "A3" or "2-3", without duplicates
+ */
+const duplicatePositions = (tracks) => {
+	const seen = new Set();
+	const duplicates = new Set();
+
+	for (const track of tracks) {
+		const key = `${discKey(track)}\u0000${track.position}`;
+		if (seen.has(key)) duplicates.add(trackLabel(track));
+		seen.add(key);
+	}
+
+	return [...duplicates];
+};
+
+/**
+ * Derives the album's track count and total duration from its tracks. Tracks without
+ * a duration count as 0; totalDuration is undefined when no track has a duration.
+ *
+ * @returns {{ trackCount: number, totalDuration?: number }}
+ */
+const deriveTracklist = (tracks = []) => {
+	const durations = tracks
+		.map((track) => track.duration)
+		.filter((duration) => duration !== undefined && duration !== null);
+
+	return {
+		trackCount: tracks.length,
+		totalDuration: durations.length ? durations.reduce((sum, value) => sum + value, 0) : undefined,
+	};
+};
+
+module.exports = {
+	parseDuration,
+	formatDuration,
+	trackLabel,
+	compareTracks,
+	numberTracks,
+	duplicatePositions,
+	deriveTracklist,
+};
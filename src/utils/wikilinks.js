@@ -0,0 +1,47 @@
+/**
+ * Utility functions for Obsidian-style wikilinks in personal notes
+ *
+ * Supported syntax:
+ * - [[Album Title]]       → link with the default connection type
+ * - [[Album Title|type]]  → link with an explicit connection type (e.g. influences)
+ *
+ * Links are resolved against the user's albums by album.controller, which turns
+ * them into connections with origin "note".
+ */
+
+// Connection type used when a link does not name one
+const DEFAULT_NOTE_LINK_TYPE = "discovered-through";
+
+const WIKILINK_PATTERN = /\[\[([^[\]|]+)(?:\|([^[\]]*))?\]\]/g;
+
+/**
+ * Extracts the wikilinks of a note, in order of appearance and without duplicates.
+ *
+ * @param {string} content - Personal note content
+ * @returns {Array<{ raw: string, title: string, type: string }>} Parsed links
+ *
+ * @example
+ * parseWikilinks("Heard it after [[Loveless]], echoes [[Isn't Anything|influences]]");
+ * // [
+ * //   { raw: "[[Loveless]]", title: "Loveless", type: "discovered-through" },
+ * //   { raw: "[[Isn't Anything|influences]]", title: "Isn't Anything", type: "influences" },
+ * // ]
+ */
+const parseWikilinks = (content) => {
+	if (!content) return [];
+
+	const links = new Map();
+
+	for (const [raw, rawTitle, rawType] of content.matchAll(WIKILINK_PATTERN)) {
+		const title = rawTitle.trim();
+		const type = rawType?.trim().toLowerCase() || DEFAULT_NOTE_LINK_TYPE;
+		if (!title) continue;
+
+		const key = `${title.toLowerCase()}|${type}`;
+		if (!links.has(key)) links.set(key, { raw, title, type });
+	}
+
+	return [...links.values()];
+};
+
+module.exports = { DEFAULT_NOTE_LINK_TYPE, parseWikilinks };
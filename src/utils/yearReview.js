@@ -0,0 +1,278 @@
+const { serializeAlbum } = require("./albumExport");
+const { collectEdges } = require("./albumGraph");
+const { TOP, topValues } = require("./albumStats");
+
+/**
+ * Year in review
+ *
+ * Builds an annual summary of a user's library from album createdAt, listening
+ * sessions, ratings, favourites, connections and dimensions, and renders it as a
+ * standalone HTML page. Years are calendar years in UTC.
+ */
+
+const inYear = (date, year) => Boolean(date) && new Date(date).getUTCFullYear() === year;
+
+/**
+ * Counts dates per month of the year: [{ month: "2024-01", count }, …] for all 12 months.
+ */
+const perMonth = (dates, year) => {
+	const months = Array.from({ length: 12 }, (_, i) => ({
+		month: `${year}-${String(i + 1).padStart(2, "0")}`,
+		count: 0,
+	}));
+	for (const date of dates) {
+		months[new Date(date).getUTCMonth()].count++;
+	}
+	return months;
+};
+
+const summary = (album) => ({ id: album._id, title: album.title, artists: album.artists });
+
+/**
+ * Builds the review of one year.
+ *
+ * @param {Array<object>} albums - All albums of the user (connections, listens included)
+ * @param {number} year - Calendar year, e.g. 2024
+ * @returns {object} { year, albums, ratings, favourites, listening, connections, dimensions, genres }
+ *
+ * - albums: albums added that year (createdAt) per month, and the list with the fields of
+ *   the CSV export (see utils/albumExport) plus id and addedAt
+ * - ratings: average rating of the albums added that year and the top rated ones
+ * - favourites: favourite albums added that year
+ * - listening: sessions logged that year per month, albums listened to, first listens
+ *   (listeningContext.firstListen in the year) and the most played albums
+ * - connections: connections created that year, each relation counted once with its active
+ *   label and direction, whichever end is the mirror
+ * - dimensions, genres: most frequent values among the albums added that year
+ */
+const buildYearReview = (albums, year) => {
+	const albumsById = new Map(albums.map((album) => [album._id.toString(), album]));
+	const added = albums
+		.filter((album) => inYear(album.createdAt, year))
+		.sort((a, b) => a.createdAt - b.createdAt);
+
+	const rated = added.filter((album) => album.rating !== undefined && album.rating !== null);
+	const average = rated.length
+		? Math.round((rated.reduce((sum, album) => sum + album.rating, 0) / rated.length) * 100) / 100
+		: null;
+
+	const sessions = albums.flatMap((album) =>
+		(album.listens || [])
+			.filter((listen) => inYear(listen.listenedAt, year))
+			.map((listen) => ({ album, listenedAt: listen.listenedAt })),
+	);
+	const playCounts = topValues(
+		sessions.map((session) => session.album._id.toString()),
+		TOP,
+	);
+
+	// Each relation once, with its active label and direction (see collectEdges)
+	const connections = collectEdges(albums)
+		.filter((edge) => inYear(edge.createdAt, year))
+		.sort((a, b) => a.createdAt - b.createdAt)
+		.map((edge) => ({
+			from: summary(albumsById.get(edge.source)),
+			to: summary(albumsById.get(edge.target)),
+			type: edge.type,
+			note: edge.note,
+			createdAt: edge.createdAt,
+		}));
+
+	return {
+		year,
+		albums: {
+			added: added.length,
+			byMonth: perMonth(
+				added.map((album) => album.createdAt),
+				year,
+			),
+			list: added.map((album) => ({
+				id: album._id,
+				addedAt: album.createdAt,
+				...serializeAlbum(album),
+			})),
+		},
+		ratings: {
+			average,
+			rated: rated.length,
+			top: [...rated]
+				.sort((a, b) => b.rating - a.rating || a.title.localeCompare(b.title))
+				.slice(0, TOP)
+				.map((album) => ({ ...summary(album), rating: album.rating })),
+		},
+		favourites: added.filter((album) => album.favourite).map(summary),
+		listening: {
+			sessions: sessions.length,
+			albums: new Set(sessions.map((session) => session.album._id.toString())).size,
+			firstListens: albums.filter((album) => inYear(album.listeningContext?.firstListen, year)).length,
+			byMonth: perMonth(
+				sessions.map((session) => session.listenedAt),
+				year,
+			),
+			mostPlayed: playCounts.map(({ value, count }) => ({
+				...summary(albumsById.get(value)),
+				listens: count,
+			})),
+		},
+		connections: {
+			created: connections.length,
+			byType: topValues(
+				connections.map((connection) => connection.type),
+				Number.POSITIVE_INFINITY,
+			).map(({ value, count }) => ({ type: value, count })),
+			list: connections,
+		},
+		dimensions: {
+			emotional: topValues(added.flatMap((album) => album.dimensions?.emotional || [])),
+			sonic: topValues(added.flatMap((album) => album.dimensions?.sonic || [])),
+		},
+		genres: topValues(added.flatMap((album) => album.genres)),
+	};
+};
+
+const escapeHTML = (value) =>
+	String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+
+const albumLabel = (album) =>
+	album.title
+		? `<strong>${escapeHTML(album.title)}</strong> — ${escapeHTML((album.artists || []).join(", "))}`
+		: "<em>Deleted album</em>";
+
+const list = (items, render, empty = "Nothing this year") =>
+	items.length
+		? `<ol>${items.map((item) => `<li>${render(item)}</li>`).join("")}</ol>`
+		: `<p class="empty">${empty}</p>`;
+
+/**
+ * Horizontal bars for { label, count } entries, scaled to the largest count.
+ */
+const bars = (entries) => {
+	const max = Math.max(1, ...entries.map((entry) => entry.count));
+	return `<div class="bars">${entries
+		.map(
+			(entry) =>
+				`<div class="bar"><span class="label">${escapeHTML(entry.label)}</span><span class="fill" style="width:${Math.round((entry.count / max) * 100)}%"></span><span class="count">${entry.count}</span></div>`,
+		)
+		.join("")}</div>`;
+};
+
+const valueBars = (values) =>
+	values.length
+		? bars(values.map(({ value, count }) => ({ label: value, count })))
+		: '<p class="empty">Nothing this year</p>';
+
+const monthBars = (months) =>
+	bars(
+		months.map(({ month, count }) => ({
+			label: new Date(`${month}-01T00:00:00Z`).toLocaleString("en", {
+				month: "short",
+				timeZone: "UTC",
+			}),
+			count,
+		})),
+	);
+
+/**
+ * Renders a review built by buildYearReview as a standalone HTML page (inline CSS,
+ * no external assets), ready to be saved or shared.
+ *
+ * @param {object} review - Result of buildYearReview
+ * @param {{ name?: string }} [user] - Owner of the library, shown in the title
+ * @returns {string} HTML document
+ */
+const renderYearReviewHtml = (review, user = {}) => {
+	const title = user.name ? `${user.name}'s ${review.year} in review` : `${review.year} in review`;
+
+	const stats = [
+		["Albums added", review.albums.added],
+		["Listening sessions", review.listening.sessions],
+		["First listens", review.listening.firstListens],
+		["Connections made", review.connections.created],
+		["Average rating", review.ratings.average ?? "—"],
+	];
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)} · Craterra</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1d1d1f; background: #fafafa; }
+h1 { font-size: 2rem; margin-bottom: 0.25rem; }
+h2 { margin-top: 2.5rem; border-bottom: 1px solid #ddd; padding-bottom: 0.25rem; }
+.stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(130px, 1fr)); gap: 0.75rem; margin-top: 1.5rem; }
+.stat { background: #fff; border: 1px solid #e5e5e5; border-radius: 8px; padding: 0.75rem; }
+.stat b { display: block; font-size: 1.6rem; }
+.bars { display: grid; gap: 0.25rem; }
+.bar { display: grid; grid-template-columns: 140px 1fr 3rem; align-items: center; gap: 0.5rem; }
+.fill { display: block; height: 0.8rem; background: #6c5ce7; border-radius: 4px; min-width: 2px; }
+.count { text-align: right; color: #666; }
+.empty, footer { color: #888; }
+table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+th, td { text-align: left; padding: 0.35rem; border-bottom: 1px solid #eee; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<div class="stats">${stats
+		.map(
+			([label, value]) => `<div class="stat"><b>${escapeHTML(value)}</b>${escapeHTML(label)}</div>`,
+		)
+		.join("")}</div>
+
+<h2>Albums added</h2>
+${monthBars(review.albums.byMonth)}
+
+<h2>Top rated</h2>
+${list(review.ratings.top, (album) => `${albumLabel(album)} · ${escapeHTML(album.rating)}`)}
+
+<h2>Most played</h2>
+${list(review.listening.mostPlayed, (album) => `${albumLabel(album)} · ${album.listens} listens`)}
+
+<h2>Listening sessions</h2>
+${monthBars(review.listening.byMonth)}
+
+<h2>Favourites</h2>
+${list(review.favourites, albumLabel)}
+
+<h2>Moods</h2>
+${valueBars(review.dimensions.emotional)}
+
+<h2>Sound</h2>
+${valueBars(review.dimensions.sonic)}
+
+<h2>Genres</h2>
+${valueBars(review.genres)}
+
+<h2>Connections</h2>
+${list(
+	review.connections.list,
+	(connection) =>
+		`${albumLabel(connection.from)} <em>${escapeHTML(connection.type)}</em> ${albumLabel(connection.to)}`,
+)}
+
+<h2>Every album</h2>
+${
+	review.albums.list.length
+		? `<table><thead><tr><th>Added</th><th>Album</th><th>Artist</th><th>Format</th><th>Genre</th><th>Rating</th></tr></thead><tbody>${review.albums.list
+				.map(
+					(album) =>
+						`<tr><td>${escapeHTML(new Date(album.addedAt).toISOString().split("T")[0])}</td><td>${escapeHTML(album.title)}</td><td>${escapeHTML(album.artists)}</td><td>${escapeHTML(album.format)}</td><td>${escapeHTML(album.genres)}</td><td>${escapeHTML(album.rating)}</td></tr>`,
+				)
+				.join("")}</tbody></table>`
+		: '<p class="empty">Nothing this year</p>'
+}
+
+<footer><p>Generated by Craterra on ${new Date().toISOString().split("T")[0]}</p></footer>
+</body>
+</html>
+`;
+};
+
+module.exports = { buildYearReview, renderYearReviewHtml };